@@ -5,11 +5,11 @@ const path = require('path');
 const crypto = require('crypto');
 
 class CertificateBackupManager {
-  constructor() {
-    this.backupDir = path.join(process.cwd(), 'certificate-backups');
-    this.pkiDir = path.join(process.cwd(), 'easy-rsa', 'pki');
-    this.certDir = path.join(process.cwd(), 'test-certificates');
-    this.configDir = path.join(process.cwd(), 'src');
+  constructor(options = {}) {
+    this.backupDir = options.backupDir || path.join(process.cwd(), 'certificate-backups');
+    this.pkiDir = options.pkiDir || path.join(process.cwd(), 'easy-rsa', 'pki');
+    this.certDir = options.certDir || path.join(process.cwd(), 'test-certificates');
+    this.configDir = options.configDir || path.join(process.cwd(), 'src');
   }
 
   /**
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * OpenVPN client-connect / client-disconnect hook for access groups and schedules
+ *
+ *   node client-access.js connect|disconnect --registry <file> --groups <file>
+ *     [--default-group <name>] [--lan-subnets <cidr,cidr>]
+ *
+ * OpenVPN passes the client in the environment ($common_name, $ifconfig_pool_remote_ip).
+ * The certificate's group and schedule are read from the registry on every connection, so a
+ * change in the web interface applies the next time the device connects. Connections outside
+ * the schedule are refused. Paths are passed on the command line because OpenVPN does not
+ * run the hook with the web server's environment.
+ */
+
+const fs = require('fs').promises;
+const { spawn } = require('cross-spawn');
+const AccessGroups = require('../src/utils/access-groups');
+const AccessRules = require('../src/utils/access-rules');
+const AccessSchedule = require('../src/utils/access-schedule');
+
+function parseArgs(argv) {
+  const [action, ...rest] = argv;
+  const options = { action };
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = rest[i].replace(/^--/, '');
+    options[key] = rest[i + 1];
+  }
+
+  return options;
+}
+
+function runIptables(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('iptables', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`iptables ${args.join(' ')} failed: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+/**
+ * Registry record of a certificate; empty when it is not registered
+ */
+async function readCertificate(registryFile, commonName) {
+  try {
+    const data = JSON.parse(await fs.readFile(registryFile, 'utf8'));
+    return (data.certificates || {})[commonName] || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+async function runAll(commands, run, ignoreErrors) {
+  for (const args of commands) {
+    try {
+      await run(args);
+    } catch (error) {
+      if (!ignoreErrors) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} env - OpenVPN's environment
+ * @param {Object} [deps] - { runIptables, logger, now } for tests
+ * @returns {Promise<number>} Exit code; non-zero on connect makes OpenVPN refuse the client
+ */
+async function main(argv, env, deps = {}) {
+  const run = deps.runIptables || runIptables;
+  const logger = deps.logger || console;
+  const options = parseArgs(argv);
+  const commonName = env.common_name;
+  const address = env.ifconfig_pool_remote_ip;
+
+  if (!['connect', 'disconnect'].includes(options.action)) {
+    logger.error('Usage: client-access.js connect|disconnect --registry <file> --groups <file>');
+    return 2;
+  }
+
+  try {
+    // Clear whatever an earlier session at this address left behind
+    await runAll(AccessRules.disconnectCommands(address), run, true);
+    if (options.action === 'disconnect') {
+      return 0;
+    }
+
+    const certificate = await readCertificate(options.registry, commonName);
+    if (!AccessSchedule.isAllowed(certificate.schedule, deps.now ? deps.now() : new Date())) {
+      logger.warn(`VPN-ACCESS: Refused ${commonName}; outside its schedule (${AccessSchedule.format(certificate.schedule)})`);
+      return 1;
+    }
+
+    const groups = new AccessGroups(logger, {
+      storeFile: options.groups,
+      defaultGroup: options['default-group'],
+      lanSubnets: (options['lan-subnets'] || '').split(',').map(entry => entry.trim()).filter(Boolean)
+    });
+    const group = await groups.resolve(certificate.accessGroup);
+
+    await runAll(AccessRules.connectCommands(group, address), run, false);
+    logger.info(`VPN-ACCESS: '${group.name}' access applied to ${commonName} (${address})`);
+    return 0;
+  } catch (error) {
+    // Fail closed: a client whose rules could not be applied is not let in
+    logger.error(`VPN-ACCESS: Could not apply access rules to ${commonName} (${address}): ${error.message}`);
+    if (options.action === 'connect' && address) {
+      await runAll(AccessRules.disconnectCommands(address), run, true).catch(() => {});
+    }
+    return options.action === 'connect' ? 1 : 0;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2), process.env).then(code => {
+    process.exit(code);
+  });
+}
+
+module.exports = { main, parseArgs, readCertificate };
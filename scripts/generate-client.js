@@ -5,6 +5,7 @@ const os = require('os');
 const readline = require('readline');
 
 const CertificateManager = require('../src/utils/certificate-manager');
+const PasswordUtils = require('../src/utils/password-utils');
 
 // Create a readline interface for user input
 const rl = readline.createInterface({
@@ -12,6 +13,60 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
+function ask(query) {
+  return new Promise((resolve) => {
+    rl.question(query, (answer) => {
+      resolve(answer.trim());
+    });
+  });
+}
+
+// Like ask(), but without echoing what is typed; output is muted once the prompt is shown
+function askHidden(query) {
+  const writeToOutput = rl._writeToOutput;
+  return new Promise((resolve) => {
+    rl.question(query, (answer) => {
+      rl._writeToOutput = writeToOutput;
+      rl.output.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {};
+  });
+}
+
+/**
+ * Ask whether to encrypt the client's private key
+ * @returns {Promise<{passphrase: string|null, generated: boolean}>}
+ */
+async function askKeyPassphrase() {
+  const choice = (await ask('Protect the private key with a passphrase? [N]o / [g]enerate / [e]nter one: ')).toLowerCase();
+
+  if (choice === 'g' || choice === 'generate') {
+    // No symbols so it can be typed on a phone keyboard
+    return { passphrase: PasswordUtils.generatePassword(20, { includeSymbols: false }), generated: true };
+  }
+
+  if (choice === 'e' || choice === 'enter') {
+    while (true) {
+      const passphrase = await askHidden('Key passphrase: ');
+      try {
+        CertificateManager.validateKeyPassphrase(passphrase);
+      } catch (error) {
+        console.error(error.message);
+        continue;
+      }
+
+      if (await askHidden('Repeat passphrase: ') !== passphrase) {
+        console.error('Passphrases do not match');
+        continue;
+      }
+      return { passphrase, generated: false };
+    }
+  }
+
+  return { passphrase: null, generated: false };
+}
+
 async function generateClient() {
   try {
     // Ask for client name
@@ -27,13 +82,15 @@ async function generateClient() {
       return;
     }
 
+    const keyProtection = await askKeyPassphrase();
+
     console.log(`Generating certificates for client: ${clientName}`);
 
     // Initialize certificate manager
     const certManager = new CertificateManager();
     
     // Generate client certificate
-    await certManager.generateClientCertificate(clientName);
+    await certManager.generateClientCertificate(clientName, { passphrase: keyProtection.passphrase });
     
     // Get server IP address for configuration
     const serverIp = await new Promise((resolve) => {
@@ -63,6 +120,17 @@ ${path.resolve(require('../src/config').certificates.dir, `${clientName}.ovpn`)}
 Share this file securely with the client.
 `);
 
+    if (keyProtection.generated) {
+      console.log(`The private key is encrypted. Key passphrase (shown only once):
+
+  ${keyProtection.passphrase}
+
+The device asks for it every time it connects.
+`);
+    } else if (keyProtection.passphrase) {
+      console.log('The private key is encrypted with the passphrase you entered.\n');
+    }
+
     rl.close();
   } catch (error) {
     console.error('Error generating client certificate:', error);
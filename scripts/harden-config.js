@@ -4,6 +4,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const config = require('../src/config');
 const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+const ServerSettings = require('../src/utils/server-settings');
 
 console.log('🔒 Applying OpenVPN Security Hardening...');
 
@@ -33,13 +34,17 @@ async function hardenConfiguration() {
     // Create security config manager
     const securityConfig = new OpenVPNSecurityConfig(config, logger);
     
+    // Port, protocol, subnet and max clients as last applied on the server settings page, or config.vpn
+    ServerSettings.applyStoredSettings(config, path.join(config.certificates.dir, 'server-settings.json'));
+
     // Generate hardened configuration
     const hardenedConfig = securityConfig.generateHardenedConfig(config.certificates.dir, {
-      port: 1194,
-      protocol: 'udp',
-      subnet: '10.8.0.0',
-      netmask: '255.255.255.0',
-      dnsServers: ['1.1.1.1', '1.0.0.1'], // Cloudflare DNS for security
+      port: config.vpn.port,
+      protocol: config.vpn.protocol,
+      subnet: config.vpn.subnet,
+      netmask: config.vpn.netmask,
+      maxClients: config.vpn.maxClients,
+      // DNS pushes (forwarder or DNS_PROVIDER servers) and the search domain come from config.dns
       logDir: process.platform === 'win32' ? 'C:\\ProgramData\\OpenVPN\\log' : '/var/log/openvpn'
     });
 
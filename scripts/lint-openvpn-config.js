@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * OpenVPN config linter
+ * Checks the server config and a client profile for security and compatibility problems.
+ * Without --server it uses the installed config, or the one harden-config would generate;
+ * without --client it renders a client profile the way new certificates get one.
+ */
+
+const config = require('../src/config');
+const CertificateManager = require('../src/utils/certificate-manager');
+const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+const OpenVPNConfigLinter = require('../src/utils/openvpn-config-linter');
+
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+// Keep the managers' start-up logging out of the report
+const quietLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+function showHelp() {
+  console.log(`
+🔎 OpenVPN Config Linter
+
+Usage: node scripts/lint-openvpn-config.js [options]
+
+Options:
+  --server <file>      Server config (default: installed openvpn.conf, or the generated one)
+  --client <file>      Client profile (default: a freshly rendered profile)
+  --disable <rules>    Comma-separated rule ids to skip
+  --json               Print findings as JSON
+  --help, -h           Show this help message
+
+Exits with status 1 when there are errors.
+`);
+}
+
+function parseArgs(argv) {
+  const options = { disabledRules: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--server':
+        options.serverFile = argv[++i];
+        break;
+      case '--client':
+        options.clientFile = argv[++i];
+        break;
+      case '--disable':
+        options.disabledRules = (argv[++i] || '').split(',').map(rule => rule.trim()).filter(Boolean);
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+function describe(source) {
+  return source.source === 'file' ? source.path : 'generated';
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  const sources = await OpenVPNConfigLinter.loadSources(config, {
+    serverFile: options.serverFile,
+    clientFile: options.clientFile,
+    securityConfig: new OpenVPNSecurityConfig(config, quietLogger),
+    certManager: options.clientFile ? null : new CertificateManager(quietLogger)
+  });
+  const result = OpenVPNConfigLinter.lint({
+    server: sources.server.text,
+    client: sources.client && sources.client.text
+  }, { disabledRules: options.disabledRules });
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      server: describe(sources.server),
+      client: sources.client ? describe(sources.client) : null,
+      ...result
+    }, null, 2));
+  } else {
+    console.log('🔎 Linting OpenVPN configuration...');
+    console.log(`   Server: ${describe(sources.server)}`);
+    if (sources.client) {
+      console.log(`   Client: ${describe(sources.client)}`);
+    }
+    console.log('');
+
+    for (const finding of result.findings) {
+      const location = finding.line ? `${finding.target}:${finding.line}` : finding.target;
+      console.log(`${SEVERITY_ICONS[finding.severity]} [${finding.rule}] ${location} - ${finding.message}`);
+    }
+
+    console.log(`\n📊 ${result.summary.error} error(s), ${result.summary.warning} warning(s), ${result.summary.info} note(s)`);
+  }
+
+  if (!result.passed) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Config lint failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
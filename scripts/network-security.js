@@ -14,6 +14,7 @@ const { spawn } = require('cross-spawn');
 const config = require('../src/config');
 const LoggingService = require('../src/services/logging-service');
 const NetworkSecurityManager = require('../src/utils/network-security');
+const { getDnsProvider, getAllowedDnsServers } = require('../src/utils/dns-settings');
 
 const loggingService = new LoggingService();
 const logger = loggingService.getLogger();
@@ -166,9 +167,9 @@ Options:
       if (dnsTest.success) {
         console.log('✅ DNS resolution working');
         
-        // Check if using secure DNS servers
-        if (dnsTest.stdout.includes('1.1.1.1') || dnsTest.stdout.includes('1.0.0.1')) {
-          console.log('✅ Using secure DNS servers (Cloudflare)');
+        // Check if using the configured DNS servers
+        if (getAllowedDnsServers(config).some(server => dnsTest.stdout.includes(server))) {
+          console.log(`✅ Using configured DNS servers (${getDnsProvider(config).label})`);
         } else {
           console.log('⚠️  May not be using configured secure DNS servers');
         }
@@ -183,14 +183,14 @@ function generateSampleConfig(certDir) {
   const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
   const logger = require('../src/services/logging-service');
   
-  const securityConfig = new OpenVPNSecurityConfig({}, logger);
+  // DNS pushes (forwarder or DNS_PROVIDER servers) and the search domain come from config.dns
+  const securityConfig = new OpenVPNSecurityConfig(require('../src/config'), logger);
   
   return securityConfig.generateHardenedConfig(certDir, {
     port: 1194,
     protocol: 'udp',
     subnet: '10.8.0.0',
     netmask: '255.255.255.0',
-    dnsServers: ['1.1.1.1', '1.0.0.1'], // Secure DNS servers
     logDir: platform === 'win32' ? 'C:\\ProgramData\\OpenVPN\\log' : '/var/log/openvpn'
   });
 }
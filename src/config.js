@@ -2,13 +2,115 @@ module.exports = {
   vpn: {
     subnet: process.env.VPN_SUBNET || '10.8.0.0',
     netmask: process.env.VPN_NETMASK || '255.255.255.0',
+    // Public host name or IP written into client profiles
+    host: process.env.VPN_HOST || null,
     port: 1194,
-    protocol: 'udp'
+    protocol: 'udp',
+    maxClients: parseInt(process.env.VPN_MAX_CLIENTS) || 100,
+    // Addresses after the server's reserved for static assignments; OpenVPN's pool starts after them
+    staticAddresses: parseInt(process.env.VPN_STATIC_ADDRESSES) || 50,
+    // Matches "management 127.0.0.1 7505" in the generated server config
+    management: {
+      enabled: process.env.OPENVPN_MANAGEMENT_ENABLED !== 'false',
+      host: process.env.OPENVPN_MANAGEMENT_HOST || '127.0.0.1',
+      port: parseInt(process.env.OPENVPN_MANAGEMENT_PORT) || 7505,
+      password: process.env.OPENVPN_MANAGEMENT_PASSWORD || null
+    },
+    // Written by "status ... 10" in the generated server config
+    statusLog: process.env.OPENVPN_STATUS_LOG || '/var/log/openvpn/openvpn-status.log',
+    // Written by client-connect.sh; defaults to client-access.log in the certificates directory
+    accessLog: process.env.OPENVPN_ACCESS_LOG || null,
+    // Access group for certificates that have none, and the networks "lan-only" clients may reach
+    accessGroups: {
+      default: process.env.DEFAULT_ACCESS_GROUP || 'full',
+      lanSubnets: (process.env.LAN_SUBNETS || '10.0.0.0/8,172.16.0.0/12,192.168.0.0/16')
+        .split(',')
+        .map(subnet => subnet.trim())
+        .filter(Boolean)
+    }
+  },
+  // Second tunnel type offered next to OpenVPN when adding a device
+  wireguard: {
+    enabled: process.env.WIREGUARD_ENABLED === 'true',
+    interface: process.env.WG_INTERFACE || 'wg0',
+    port: parseInt(process.env.WG_PORT) || 51820,
+    // Must not overlap the OpenVPN subnet
+    subnet: process.env.WG_SUBNET || '10.9.0.0',
+    netmask: process.env.WG_NETMASK || '255.255.255.0',
+    // Public host[:port] clients connect to; defaults to VPN_HOST
+    endpoint: process.env.WG_ENDPOINT || process.env.VPN_HOST || null,
+    // Defaults to the IPv4 resolvers of DNS_PROVIDER
+    dns: process.env.WG_DNS ? process.env.WG_DNS.split(',').map(server => server.trim()).filter(Boolean) : null,
+    allowedIPs: process.env.WG_ALLOWED_IPS || '0.0.0.0/0, ::/0',
+    persistentKeepalive: parseInt(process.env.WG_PERSISTENT_KEEPALIVE) || 25,
+    // Server key, client configs and wg0.conf; defaults to wireguard/ in the certificates directory
+    dir: process.env.WG_DIR || null,
+    // Where wg0.conf is written, e.g. /etc/wireguard/wg0.conf; defaults to the WireGuard directory
+    configPath: process.env.WG_CONFIG_PATH || null,
+    // Adds NAT rules for this interface to wg0.conf (PostUp/PostDown)
+    externalInterface: process.env.WG_EXTERNAL_INTERFACE || null,
+    // Load peer changes into the running interface with `wg syncconf`
+    syncInterface: process.env.WG_SYNC_INTERFACE === 'true'
+  },
+  dns: {
+    // Resolvers for VPN clients: cloudflare, quad9, cloudflare-family, adguard-family, cleanbrowsing-family,
+    // opendns-familyshield (presets in utils/dns-providers.js), or custom with DNS_SERVERS
+    provider: process.env.DNS_PROVIDER || 'cloudflare',
+    servers: (process.env.DNS_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean),
+    // DNS-over-TLS name and DNS-over-HTTPS URL of a custom provider
+    tlsName: process.env.DNS_TLS_NAME || null,
+    dohUrl: process.env.DNS_DOH_URL || null,
+    // Push the provider's IPv6 resolvers too (not used with the filtering forwarder)
+    ipv6: process.env.DNS_IPV6 !== 'false',
+    // Filtering DNS forwarder pushed to OpenVPN clients instead of the provider's resolvers
+    filter: {
+      enabled: process.env.DNS_FILTER_ENABLED === 'true',
+      // Defaults to the VPN gateway, the first address of VPN_SUBNET
+      listenAddress: process.env.DNS_FILTER_ADDRESS || null,
+      port: parseInt(process.env.DNS_FILTER_PORT) || 53,
+      // How the forwarder reaches the provider: udp, tls (DNS over TLS) or https (DNS over HTTPS)
+      upstreamProtocol: process.env.DNS_UPSTREAM_PROTOCOL || 'udp',
+      // Explicit upstreams (ip[:port], tls://ip[:port]#name or https:// URLs) instead of the provider's
+      upstream: process.env.DNS_UPSTREAM
+        ? process.env.DNS_UPSTREAM.split(',').map(server => server.trim()).filter(Boolean)
+        : null,
+      // hosts or adblock files, one list per file; defaults to blocklists/ in the certificates directory
+      blocklistDir: process.env.DNS_BLOCKLIST_DIR || null,
+      // Lists for access groups that name none; unset means every list
+      defaultBlocklists: process.env.DNS_DEFAULT_BLOCKLISTS
+        ? process.env.DNS_DEFAULT_BLOCKLISTS.split(',').map(list => list.trim()).filter(Boolean)
+        : null
+    },
+    // Names for VPN devices (laptop-anna.family.lan) and manual records, served by the forwarder above
+    zone: {
+      enabled: process.env.DNS_ZONE_ENABLED !== 'false',
+      domain: (process.env.DNS_ZONE_DOMAIN || 'family.lan').toLowerCase().replace(/\.$/, '')
+    }
   },
   certificates: {
     dir: process.env.VPN_CERT_DIR || (process.env.NODE_ENV === 'production' ? './certificates' : '/Users/alex/.privatevpn/certificates'),
     serverCertName: 'server',
-    validityDays: 3650 // 10 years
+    validityDays: 3650, // 10 years
+    expiryWarningDays: parseInt(process.env.CERT_EXPIRY_WARNING_DAYS) || 30, // flag certificates expiring within this window
+    renewalGraceHours: parseInt(process.env.CERT_RENEWAL_GRACE_HOURS) || 72 // keep the old certificate valid after renewal
+  },
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    // Cron syntax: minute hour day-of-month month day-of-week (server local time)
+    schedules: {
+      'crl-refresh': { schedule: process.env.JOB_CRL_REFRESH_SCHEDULE || '0 3 * * *', enabled: true },
+      'certificate-expiry-scan': { schedule: process.env.JOB_EXPIRY_SCAN_SCHEDULE || '0 8 * * *', enabled: true },
+      'pending-revocations': { schedule: process.env.JOB_PENDING_REVOCATIONS_SCHEDULE || '15 * * * *', enabled: true },
+      'access-schedule-enforcement': { schedule: process.env.JOB_ACCESS_SCHEDULE_SCHEDULE || '* * * * *', enabled: true },
+      'dns-stats': { schedule: process.env.JOB_DNS_STATS_SCHEDULE || '0 * * * *', enabled: true },
+      'dns-blocklist-reload': { schedule: process.env.JOB_DNS_BLOCKLIST_RELOAD_SCHEDULE || '0 4 * * *', enabled: true },
+      'failed-attempt-cleanup': { schedule: process.env.JOB_FAILED_ATTEMPT_CLEANUP_SCHEDULE || '*/10 * * * *', enabled: true },
+      'session-cleanup': { schedule: process.env.JOB_SESSION_CLEANUP_SCHEDULE || '*/15 * * * *', enabled: true },
+      'certificate-backup': {
+        schedule: process.env.JOB_BACKUP_SCHEDULE || '30 2 * * 0',
+        enabled: process.env.JOB_BACKUP_ENABLED === 'true'
+      }
+    }
   },
   config: {
     path: process.env.VPN_CONFIG_DIR || (process.env.NODE_ENV === 'production' ? './config' : '/Users/alex/.privatevpn/config')
@@ -16,6 +118,9 @@ module.exports = {
   web: {
     port: parseInt(process.env.WEB_PORT) || 3000,
     httpsOnly: process.env.WEB_HTTPS_ONLY === 'true',
+    // Base URL phones use to reach this server, e.g. https://vpn.example.com:3000; defaults to https:// and the request host
+    publicUrl: process.env.WEB_PUBLIC_URL || null,
+    onboardingLinkTtlMinutes: parseInt(process.env.ONBOARDING_LINK_TTL_MINUTES) || 10, // single-use QR code links
     session: {
       secret: process.env.WEB_SESSION_SECRET,
       timeout: parseInt(process.env.WEB_SESSION_TIMEOUT) || 30 * 60 * 1000, // 30 minutes
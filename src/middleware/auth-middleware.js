@@ -153,6 +153,7 @@ const requestLogger = (logger, loggingService, basicHealthService) => {
     req.logger = logger;
     
     const startTime = Date.now();
+    const startHrTime = process.hrtime.bigint();
     
     // Log incoming request
     if (loggingService) {
@@ -176,7 +177,10 @@ const requestLogger = (logger, loggingService, basicHealthService) => {
       const duration = Date.now() - startTime;
       
       if (basicHealthService) {
-        basicHealthService.recordHttpRequest(req.method, req.route?.path || req.url, res.statusCode);
+        // Label by route pattern, not URL, so ids and query strings don't create new series
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - startHrTime) / 1e9;
+        basicHealthService.observeHttpRequest(req.method, route, res.statusCode, seconds);
       }
       
       if (loggingService) {
@@ -204,6 +208,7 @@ const requireSessionAuth = (req, res, next) => {
     // Set user info for consistency with JWT middleware
     req.user = {
       username: req.session.username,
+      role: req.session.role,
       loginTime: req.session.loginTime,
       sessionId: req.session.id
     };
@@ -230,6 +235,7 @@ const requireAuth = (authService) => {
       req.session.lastActivity = new Date();
       req.user = {
         username: req.session.username,
+        role: req.session.role,
         loginTime: req.session.loginTime,
         sessionId: req.session.id
       };
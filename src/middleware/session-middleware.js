@@ -27,10 +27,14 @@ function createSessionMiddleware(config = {}) {
             sameSite: 'strict' // CSRF protection
         },
         // Regenerate session ID on login to prevent session fixation
-        genid: () => crypto.randomBytes(32).toString('hex')
+        genid: () => crypto.randomBytes(32).toString('hex'),
+        // Keep a reference to the store so idle sessions can be pruned by the job scheduler
+        store: config.store || new session.MemoryStore()
     };
 
-    return session(sessionConfig);
+    const middleware = session(sessionConfig);
+    middleware.store = sessionConfig.store;
+    return middleware;
 }
 
 /**
@@ -303,8 +307,81 @@ function createSessionCleanup() {
     };
 }
 
+/**
+ * Remove sessions that have been idle longer than the session timeout
+ * @param {Object} store - express-session store supporting all() and destroy()
+ * @param {number} timeout - Idle timeout in milliseconds
+ * @returns {Promise<Object>} Number of sessions checked and removed
+ */
+function cleanupExpiredSessions(store, timeout = parseInt(process.env.WEB_SESSION_TIMEOUT) || 30 * 60 * 1000) {
+    return new Promise((resolve, reject) => {
+        store.all(async (err, sessions) => {
+            if (err) {
+                return reject(err);
+            }
+
+            // MemoryStore returns an object keyed by id, other stores return an array
+            const entries = Array.isArray(sessions)
+                ? sessions.map(sess => [sess.id, sess])
+                : Object.entries(sessions || {});
+            const now = Date.now();
+            let removed = 0;
+
+            for (const [id, sess] of entries) {
+                const lastActivity = sess && sess.lastActivity ? new Date(sess.lastActivity).getTime() : null;
+                if (!id || lastActivity === null || now - lastActivity <= timeout) {
+                    continue;
+                }
+
+                await new Promise(done => store.destroy(id, () => done()));
+                removed++;
+            }
+
+            resolve({ checked: entries.length, removed });
+        });
+    });
+}
+
+/**
+ * Log a user out everywhere by removing their sessions from the store
+ * Sessions carry the role granted at login, so they must go when an account is disabled,
+ * deleted or changes role, and when its password is reset.
+ * @param {Object} store - express-session store supporting all() and destroy()
+ * @param {string} username - Account whose sessions are removed
+ * @param {string} [keepSessionId] - Session left in place, e.g. the one making the change
+ * @returns {Promise<number>} Number of sessions removed
+ */
+function destroyUserSessions(store, username, keepSessionId = null) {
+    return new Promise((resolve, reject) => {
+        store.all(async (err, sessions) => {
+            if (err) {
+                return reject(err);
+            }
+
+            // MemoryStore returns an object keyed by id, other stores return an array
+            const entries = Array.isArray(sessions)
+                ? sessions.map(sess => [sess.id, sess])
+                : Object.entries(sessions || {});
+            let removed = 0;
+
+            for (const [id, sess] of entries) {
+                if (!id || !sess || sess.username !== username || id === keepSessionId) {
+                    continue;
+                }
+
+                await new Promise(done => store.destroy(id, () => done()));
+                removed++;
+            }
+
+            resolve(removed);
+        });
+    });
+}
+
 module.exports = {
     createSessionMiddleware,
+    cleanupExpiredSessions,
+    destroyUserSessions,
     createSecurityMiddleware,
     createHTTPSEnforcement,
     createLoginRateLimit,
@@ -0,0 +1,224 @@
+/**
+ * Account Security Frontend
+ * Handles TOTP two-factor enrollment, recovery codes and disabling two-factor
+ */
+
+class AccountSecurity {
+    constructor() {
+        // DOM elements
+        this.elements = {
+            statusText: document.getElementById('totpStatusText'),
+            disabledPanel: document.getElementById('totpDisabledPanel'),
+            enrollPanel: document.getElementById('totpEnrollPanel'),
+            enabledPanel: document.getElementById('totpEnabledPanel'),
+            recoveryPanel: document.getElementById('recoveryCodesPanel'),
+            recoveryList: document.getElementById('recoveryCodesList'),
+            qrCode: document.getElementById('totpQrCode'),
+            secret: document.getElementById('totpSecret'),
+            confirmCode: document.getElementById('totpConfirmCode'),
+            manageCode: document.getElementById('totpManageCode'),
+            setupBtn: document.getElementById('totpSetupBtn'),
+            confirmBtn: document.getElementById('totpConfirmBtn'),
+            regenerateBtn: document.getElementById('regenerateCodesBtn'),
+            disableBtn: document.getElementById('totpDisableBtn'),
+            logoutBtn: document.getElementById('logoutBtn'),
+            notificationContainer: document.getElementById('notificationContainer')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the page
+     */
+    init() {
+        this.elements.setupBtn.addEventListener('click', () => this.startEnrollment());
+        this.elements.confirmBtn.addEventListener('click', () => this.confirmEnrollment());
+        this.elements.regenerateBtn.addEventListener('click', () => this.regenerateRecoveryCodes());
+        this.elements.disableBtn.addEventListener('click', () => this.disableTotp());
+        this.elements.logoutBtn.addEventListener('click', async () => {
+            await this.postAction('/logout', {});
+            window.location.href = '/login';
+        });
+
+        this.loadStatus();
+    }
+
+    /**
+     * Load two-factor status
+     */
+    async loadStatus() {
+        try {
+            const response = await fetch('/account', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load account');
+            }
+
+            this.renderStatus(result.totp);
+
+        } catch (error) {
+            console.error('Failed to load account status:', error);
+            this.showNotification('error', 'Load Failed', 'Failed to load account security settings.');
+        }
+    }
+
+    /**
+     * Show the panel matching the current two-factor state
+     */
+    renderStatus(totp) {
+        this.elements.enrollPanel.style.display = 'none';
+        this.elements.disabledPanel.style.display = totp.enabled ? 'none' : 'block';
+        this.elements.enabledPanel.style.display = totp.enabled ? 'block' : 'none';
+
+        this.elements.statusText.textContent = totp.enabled
+            ? `Enabled. ${totp.remainingRecoveryCodes} recovery codes left.`
+            : 'Not enabled. Your account is protected by your password only.';
+    }
+
+    /**
+     * Request a new secret and show the QR code
+     */
+    async startEnrollment() {
+        const result = await this.postAction('/account/totp/setup', {});
+        if (!result || !result.success) {
+            return this.showNotification('error', 'Setup Failed', result?.error || 'Failed to start setup');
+        }
+
+        // SVG markup is generated server-side from the provisioning URI
+        this.elements.qrCode.innerHTML = result.qrCodeSvg;
+        this.elements.secret.textContent = result.secret;
+        this.elements.disabledPanel.style.display = 'none';
+        this.elements.recoveryPanel.style.display = 'none';
+        this.elements.enrollPanel.style.display = 'block';
+        this.elements.confirmCode.focus();
+    }
+
+    /**
+     * Confirm enrollment with the first code
+     */
+    async confirmEnrollment() {
+        const result = await this.postAction('/account/totp/confirm', {
+            code: this.elements.confirmCode.value.trim()
+        });
+
+        if (!result || !result.success) {
+            return this.showNotification('error', 'Verification Failed', result?.error || 'Invalid verification code');
+        }
+
+        this.elements.confirmCode.value = '';
+        this.elements.qrCode.innerHTML = '';
+        this.elements.secret.textContent = '';
+        this.showRecoveryCodes(result.recoveryCodes);
+        this.showNotification('success', 'Two-Factor Enabled', 'You will be asked for a code at your next login.');
+        await this.loadStatus();
+    }
+
+    /**
+     * Replace recovery codes
+     */
+    async regenerateRecoveryCodes() {
+        const result = await this.postAction('/account/totp/recovery-codes', {
+            code: this.elements.manageCode.value.trim()
+        });
+        this.elements.manageCode.value = '';
+
+        if (!result || !result.success) {
+            return this.showNotification('error', 'Action Failed', result?.error || 'Invalid verification code');
+        }
+
+        this.showRecoveryCodes(result.recoveryCodes);
+        await this.loadStatus();
+    }
+
+    /**
+     * Turn off two-factor authentication
+     */
+    async disableTotp() {
+        const result = await this.postAction('/account/totp/disable', {
+            code: this.elements.manageCode.value.trim()
+        });
+        this.elements.manageCode.value = '';
+
+        if (!result || !result.success) {
+            return this.showNotification('error', 'Action Failed', result?.error || 'Invalid verification code');
+        }
+
+        this.elements.recoveryPanel.style.display = 'none';
+        this.showNotification('success', 'Two-Factor Disabled', 'Two-factor authentication has been turned off.');
+        await this.loadStatus();
+    }
+
+    /**
+     * Display recovery codes once
+     */
+    showRecoveryCodes(codes) {
+        this.elements.recoveryList.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            this.elements.recoveryList.appendChild(item);
+        });
+        this.elements.recoveryPanel.style.display = 'block';
+    }
+
+    /**
+     * POST JSON with the CSRF token
+     */
+    async postAction(url, body) {
+        try {
+            const csrfToken = document.getElementById('csrfToken')?.value || '';
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ ...body, csrfToken })
+            });
+
+            return await response.json();
+
+        } catch (error) {
+            console.error('Account request error:', error);
+            this.showNotification('error', 'Network Error',
+                'Failed to connect to server. Please try again.');
+            return null;
+        }
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(type, title, message) {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        const header = document.createElement('div');
+        header.className = 'notification-header';
+        const titleElement = document.createElement('div');
+        titleElement.className = 'notification-title';
+        titleElement.textContent = title;
+        header.appendChild(titleElement);
+
+        const messageElement = document.createElement('p');
+        messageElement.className = 'notification-message';
+        messageElement.textContent = message;
+
+        notification.appendChild(header);
+        notification.appendChild(messageElement);
+        this.elements.notificationContainer.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => notification.remove(), 5000);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AccountSecurity();
+});
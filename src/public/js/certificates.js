@@ -6,6 +6,9 @@
 class CertificateManager {
     constructor() {
         this.certificates = [];
+        this.tunnelTypes = [];
+        this.vpnSubnet = null;
+        this.staticRange = null;
         this.isLoading = false;
         this.refreshInterval = null;
         
@@ -15,6 +18,11 @@ class CertificateManager {
             clientNameInput: document.getElementById('clientName'),
             clientNameError: document.getElementById('clientName-error'),
             generateBtn: document.getElementById('generateBtn'),
+            tunnelTypeGroup: document.getElementById('tunnelTypeGroup'),
+            tunnelTypeSelect: document.getElementById('tunnelType'),
+            keyProtectionGroup: document.getElementById('keyProtectionGroup'),
+            keyProtectionSelect: document.getElementById('keyProtection'),
+            keyPassphraseInput: document.getElementById('keyPassphrase'),
             refreshBtn: document.getElementById('refreshBtn'),
             logoutBtn: document.getElementById('logoutBtn'),
             loadingState: document.getElementById('loadingState'),
@@ -25,6 +33,10 @@ class CertificateManager {
             modalOverlay: document.getElementById('modalOverlay'),
             modalTitle: document.getElementById('modalTitle'),
             modalMessage: document.getElementById('modalMessage'),
+            modalQrCode: document.getElementById('modalQrCode'),
+            modalKeyPassphrase: document.getElementById('modalKeyPassphrase'),
+            modalInput: document.getElementById('modalInput'),
+            modalSelect: document.getElementById('modalSelect'),
             modalConfirm: document.getElementById('modalConfirm'),
             modalCancel: document.getElementById('modalCancel'),
             modalClose: document.getElementById('modalClose')
@@ -70,6 +82,19 @@ class CertificateManager {
             });
         }
 
+        // Passphrase options depend on the tunnel type
+        if (this.elements.keyProtectionSelect) {
+            this.elements.keyProtectionSelect.addEventListener('change', () => {
+                this.updateKeyProtection();
+            });
+        }
+
+        if (this.elements.tunnelTypeSelect) {
+            this.elements.tunnelTypeSelect.addEventListener('change', () => {
+                this.updateKeyProtection();
+            });
+        }
+
         // Refresh button
         if (this.elements.refreshBtn) {
             this.elements.refreshBtn.addEventListener('click', () => {
@@ -97,6 +122,16 @@ class CertificateManager {
             });
         }
 
+        // Enter in the modal's input confirms
+        if (this.elements.modalInput) {
+            this.elements.modalInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.elements.modalConfirm.click();
+                }
+            });
+        }
+
         // Close modal on overlay click
         if (this.elements.modalOverlay) {
             this.elements.modalOverlay.addEventListener('click', (e) => {
@@ -172,6 +207,15 @@ class CertificateManager {
         }
 
         const clientName = this.elements.clientNameInput.value.trim();
+        const tunnelType = this.elements.tunnelTypeSelect?.value || 'openvpn';
+        const keyProtection = this.getKeyProtection();
+
+        if (keyProtection.keyProtection === 'passphrase' && keyProtection.keyPassphrase.length < 8) {
+            this.showNotification('error', 'Invalid Passphrase', 
+                'Key passphrase must be at least 8 characters');
+            this.elements.keyPassphraseInput.focus();
+            return;
+        }
         
         try {
             this.setGenerateButtonLoading(true);
@@ -187,6 +231,8 @@ class CertificateManager {
                 },
                 body: JSON.stringify({ 
                     clientName,
+                    tunnelType,
+                    ...keyProtection,
                     csrfToken 
                 })
             });
@@ -195,18 +241,27 @@ class CertificateManager {
 
             if (result.success) {
                 this.showNotification('success', 'Certificate Generated', 
-                    `Certificate for "${clientName}" has been generated successfully.`);
+                    tunnelType === 'wireguard'
+                        ? `WireGuard configuration for "${clientName}" has been created${result.certificate.address ? ` (${result.certificate.address})` : ''}.`
+                        : `Certificate for "${clientName}" has been generated successfully.`);
                 
                 // Clear form
                 this.elements.clientNameInput.value = '';
                 this.elements.clientNameError.textContent = '';
                 this.elements.clientNameInput.classList.remove('invalid');
+                if (this.elements.keyPassphraseInput) {
+                    this.elements.keyPassphraseInput.value = '';
+                }
                 
                 // Refresh certificate list
                 await this.loadCertificates();
                 
                 // Focus back to input
                 this.elements.clientNameInput.focus();
+
+                if (result.keyPassphrase) {
+                    this.showKeyPassphrase(clientName, result.keyPassphrase);
+                }
                 
             } else {
                 this.showNotification('error', 'Generation Failed', 
@@ -237,6 +292,7 @@ class CertificateManager {
 
             if (result.success) {
                 this.certificates = result.certificates || [];
+                this.applyRolePermissions(result);
                 this.renderCertificateList();
             } else {
                 throw new Error(result.error || 'Failed to load certificates');
@@ -252,6 +308,98 @@ class CertificateManager {
         }
     }
 
+    /**
+     * Hide actions the current user's role does not allow
+     */
+    applyRolePermissions(result) {
+        const generationSection = document.querySelector('.certificate-generation');
+        if (generationSection && result.canGenerate === false) {
+            generationSection.style.display = 'none';
+        }
+
+        this.renderTunnelTypes(result.tunnelTypes || []);
+        this.vpnSubnet = result.vpnSubnet || null;
+        this.staticRange = result.staticRange || null;
+
+        // User management and server settings are only available to administrators
+        const usersLink = document.getElementById('usersLink');
+        if (usersLink) {
+            usersLink.style.display = result.role === 'admin' ? 'flex' : 'none';
+        }
+        const serverConfigLink = document.getElementById('serverConfigLink');
+        if (serverConfigLink) {
+            serverConfigLink.style.display = result.role === 'admin' ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Offer a tunnel type choice when more than one VPN backend is enabled
+     */
+    renderTunnelTypes(tunnelTypes) {
+        const select = this.elements.tunnelTypeSelect;
+        if (!select) {
+            return;
+        }
+
+        const selected = select.value;
+        select.innerHTML = tunnelTypes.map(type =>
+            `<option value="${this.escapeHtml(type.type)}">${this.escapeHtml(type.label)}</option>`
+        ).join('');
+
+        if (tunnelTypes.some(type => type.type === selected)) {
+            select.value = selected;
+        }
+        this.elements.tunnelTypeGroup.style.display = tunnelTypes.length > 1 ? 'block' : 'none';
+
+        this.tunnelTypes = tunnelTypes;
+        this.updateKeyProtection();
+    }
+
+    /**
+     * Offer key passphrases only for tunnel types that support them
+     */
+    updateKeyProtection() {
+        if (!this.elements.keyProtectionSelect) {
+            return;
+        }
+
+        const tunnelType = this.elements.tunnelTypeSelect?.value || 'openvpn';
+        const type = this.tunnelTypes.find(entry => entry.type === tunnelType);
+        const supported = !type || type.supportsKeyPassphrase !== false;
+
+        this.elements.keyProtectionGroup.style.display = supported ? 'block' : 'none';
+        this.elements.keyPassphraseInput.style.display =
+            supported && this.elements.keyProtectionSelect.value === 'passphrase' ? 'block' : 'none';
+    }
+
+    /**
+     * Key protection fields for the generate request
+     */
+    getKeyProtection() {
+        if (!this.elements.keyProtectionSelect || this.elements.keyProtectionGroup.style.display === 'none') {
+            return { keyProtection: 'none' };
+        }
+
+        const keyProtection = this.elements.keyProtectionSelect.value;
+        return keyProtection === 'passphrase'
+            ? { keyProtection, keyPassphrase: this.elements.keyPassphraseInput.value }
+            : { keyProtection };
+    }
+
+    /**
+     * Show a generated key passphrase; the server never returns it again
+     */
+    showKeyPassphrase(certName, passphrase) {
+        this.showModal(
+            'Key Passphrase',
+            `Write down the passphrase for "${certName}". The device asks for it every time it connects, and it will not be shown again.`,
+            null
+        );
+
+        this.elements.modalKeyPassphrase.textContent = passphrase;
+        this.elements.modalKeyPassphrase.style.display = 'block';
+    }
+
     /**
      * Show loading state
      */
@@ -300,6 +448,60 @@ class CertificateManager {
                 this.confirmRevokeCertificate(certName);
             });
         });
+
+        // Add event listeners for renew buttons
+        const renewButtons = tbody.querySelectorAll('.cert-action-btn.renew');
+        renewButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const certName = e.target.getAttribute('data-cert-name');
+                this.confirmRenewCertificate(certName);
+            });
+        });
+
+        // Add event listeners for QR code buttons
+        const onboardingButtons = tbody.querySelectorAll('.cert-action-btn.onboarding');
+        onboardingButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const certName = e.target.getAttribute('data-cert-name');
+                this.showOnboardingQrCode(certName);
+            });
+        });
+
+        // Add event listeners for static IP buttons
+        const staticIpButtons = tbody.querySelectorAll('.cert-action-btn.static-ip');
+        staticIpButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const certName = e.target.getAttribute('data-cert-name');
+                this.showStaticAddressDialog(certName);
+            });
+        });
+
+        // Add event listeners for access group buttons
+        const accessGroupButtons = tbody.querySelectorAll('.cert-action-btn.access-group');
+        accessGroupButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const certName = e.target.getAttribute('data-cert-name');
+                this.showAccessGroupDialog(certName);
+            });
+        });
+
+        // Add event listeners for schedule buttons
+        const scheduleButtons = tbody.querySelectorAll('.cert-action-btn.schedule');
+        scheduleButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const certName = e.target.getAttribute('data-cert-name');
+                this.showScheduleDialog(certName);
+            });
+        });
+
+        // Add event listeners for disconnect buttons
+        const disconnectButtons = tbody.querySelectorAll('.cert-action-btn.disconnect');
+        disconnectButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const certName = e.target.getAttribute('data-cert-name');
+                this.confirmDisconnectSession(certName);
+            });
+        });
     }
 
     /**
@@ -311,13 +513,30 @@ class CertificateManager {
         // Format dates
         const createdDate = this.formatDate(cert.createdAt);
         const expiresDate = cert.expiresAt ? this.formatDate(cert.expiresAt) : 'Unknown';
-        const isExpired = cert.expiresAt && new Date(cert.expiresAt) < new Date();
-        const expiresSoon = cert.expiresAt && 
-            new Date(cert.expiresAt) < new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+        // Expiry flags are computed server-side using the configured warning window
+        const isExpired = cert.expired ?? (cert.expiresAt && new Date(cert.expiresAt) < new Date());
+        const expiresSoon = cert.expiringSoon ?? (cert.expiresAt && 
+            new Date(cert.expiresAt) < new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)); // 30 days
+        const canRevoke = !cert.permissions || cert.permissions.revoke;
+        const canRenew = !cert.permissions || cert.permissions.renew;
+        const canDisconnect = cert.connected && (!cert.permissions || cert.permissions.disconnect);
+        const canManageNetwork = Boolean(cert.permissions && cert.permissions.network);
 
         row.innerHTML = `
             <td>
                 <strong>${this.escapeHtml(cert.name)}</strong>
+                ${cert.tunnelType === 'wireguard' ? 
+                    `<span class="cert-tunnel-type">WireGuard</span>` : ''}
+                ${cert.address ? 
+                    `<br><small class="cert-serial">Address: ${this.escapeHtml(cert.address)}</small>` : ''}
+                ${cert.staticAddress ? 
+                    `<br><small class="cert-serial">Static IP: ${this.escapeHtml(cert.staticAddress)}</small>` : ''}
+                ${cert.accessGroup && cert.accessGroup !== 'full' ? 
+                    `<br><small class="cert-serial">Access: ${this.escapeHtml(cert.accessGroup)}</small>` : ''}
+                ${cert.scheduleText ? 
+                    `<br><small class="cert-schedule-flag ${cert.withinSchedule ? '' : 'blocked'}" title="${cert.withinSchedule ? 'Allowed to connect now' : 'Outside its schedule right now'}">⏰ ${this.escapeHtml(cert.scheduleText)}</small>` : ''}
+                ${cert.keyProtected ? 
+                    `<br><small class="cert-key-flag" title="The private key is encrypted with a passphrase">🔑 Passphrase-protected key</small>` : ''}
                 ${cert.serialNumber && cert.serialNumber !== 'unknown' ? 
                     `<br><small class="cert-serial">Serial: ${this.escapeHtml(cert.serialNumber)}</small>` : ''}
             </td>
@@ -325,6 +544,8 @@ class CertificateManager {
                 <span class="cert-status ${cert.status}">
                     ${cert.status}
                 </span>
+                ${cert.connected ? 
+                    `<br><small class="cert-connection-flag" title="Connected since ${this.formatDate(cert.connection.connectedSince)}">🟢 Connected${cert.connection.virtualAddress ? ` (${this.escapeHtml(cert.connection.virtualAddress)})` : ''}</small>` : ''}
             </td>
             <td>
                 <div class="cert-date">${createdDate}</div>
@@ -335,21 +556,71 @@ class CertificateManager {
                 <div class="cert-date ${isExpired ? 'expired' : expiresSoon ? 'expires-soon' : ''}">
                     ${expiresDate}
                 </div>
+                ${isExpired ? '<small class="cert-expiry-flag expired">⚠️ Expired</small>' :
+                    expiresSoon ? `<small class="cert-expiry-flag expires-soon">⏳ Expires in ${cert.expiresInDays} days</small>` : ''}
+                ${cert.pendingRevocation ? 
+                    `<br><small>Old certificate valid until ${this.formatDate(cert.pendingRevocation.revokeAfter)}</small>` : ''}
             </td>
             <td>
                 <div class="cert-actions">
                     ${cert.status === 'active' ? `
                         <a href="/certificates/download/${encodeURIComponent(cert.name)}" 
                            class="cert-action-btn download" 
-                           title="Download certificate">
+                           title="${cert.tunnelType === 'wireguard' ? 'Download WireGuard configuration (.conf)' : 'Download certificate'}">
                             📥 Download
                         </a>
                         <button type="button" 
-                                class="cert-action-btn revoke" 
+                                class="cert-action-btn onboarding secondary" 
                                 data-cert-name="${this.escapeHtml(cert.name)}"
-                                title="Revoke certificate">
-                            🚫 Revoke
+                                title="Show a one-time QR code to install this profile on a phone">
+                            📱 QR code
                         </button>
+                        ${this.renderExportFormats(cert)}
+                        ${canRenew ? `
+                            <button type="button" 
+                                    class="cert-action-btn renew secondary" 
+                                    data-cert-name="${this.escapeHtml(cert.name)}"
+                                    title="Issue a new certificate for this client"
+                                    ${cert.pendingRevocation ? 'disabled' : ''}>
+                                🔁 Renew
+                            </button>
+                        ` : ''}
+                        ${canManageNetwork ? `
+                            <button type="button" 
+                                    class="cert-action-btn static-ip secondary" 
+                                    data-cert-name="${this.escapeHtml(cert.name)}"
+                                    title="Give this device a fixed VPN address">
+                                📌 Static IP
+                            </button>
+                            <button type="button" 
+                                    class="cert-action-btn access-group secondary" 
+                                    data-cert-name="${this.escapeHtml(cert.name)}"
+                                    title="Choose which networks this device may reach">
+                                🛡️ Access
+                            </button>
+                            <button type="button" 
+                                    class="cert-action-btn schedule secondary" 
+                                    data-cert-name="${this.escapeHtml(cert.name)}"
+                                    title="Limit the hours this device may connect">
+                                ⏰ Schedule
+                            </button>
+                        ` : ''}
+                        ${canDisconnect ? `
+                            <button type="button" 
+                                    class="cert-action-btn disconnect secondary" 
+                                    data-cert-name="${this.escapeHtml(cert.name)}"
+                                    title="End the device's current VPN session">
+                                ⏏️ Disconnect now
+                            </button>
+                        ` : ''}
+                        ${canRevoke ? `
+                            <button type="button" 
+                                    class="cert-action-btn revoke" 
+                                    data-cert-name="${this.escapeHtml(cert.name)}"
+                                    title="Revoke certificate">
+                                🚫 Revoke
+                            </button>
+                        ` : ''}
                     ` : `
                         <span class="cert-action-btn" style="opacity: 0.5; cursor: not-allowed;">
                             Certificate ${cert.status}
@@ -362,6 +633,27 @@ class CertificateManager {
         return row;
     }
 
+    /**
+     * Links to the same profile in platform-native formats (the first format is the default download)
+     */
+    renderExportFormats(cert) {
+        const formats = (cert.exportFormats || []).slice(1);
+        if (formats.length === 0) {
+            return '';
+        }
+
+        const base = `/certificates/download/${encodeURIComponent(cert.name)}`;
+        return `
+            <small class="cert-export-formats">
+                Also as:
+                ${formats.map(entry => `
+                    <a href="${base}?format=${encodeURIComponent(entry.format)}" 
+                       title="Download for ${this.escapeHtml(entry.label)} (${this.escapeHtml(entry.extension)})">${this.escapeHtml(entry.label)}</a>
+                `).join(' · ')}
+            </small>
+        `;
+    }
+
     /**
      * Confirm certificate revocation
      */
@@ -373,6 +665,341 @@ class CertificateManager {
         );
     }
 
+    /**
+     * Confirm certificate renewal
+     */
+    confirmRenewCertificate(certName) {
+        this.showModal(
+            'Renew Certificate',
+            `Issue a new certificate for "${certName}"? The current certificate keeps working for a short grace period, then it is revoked. Download the new configuration and install it on the device.` +
+                (this.certificates.find(cert => cert.name === certName)?.keyProtected
+                    ? ' Its private key gets a new passphrase, which is shown once.'
+                    : ''),
+            () => this.renewCertificate(certName)
+        );
+    }
+
+    /**
+     * Renew certificate
+     */
+    async renewCertificate(certName) {
+        try {
+            this.hideModal();
+
+            const csrfTokenElement = document.getElementById('csrfToken');
+            const csrfToken = csrfTokenElement?.value || '';
+
+            const response = await fetch(`/certificates/renew/${encodeURIComponent(certName)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ csrfToken })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification('success', 'Certificate Renewed', 
+                    `Certificate "${certName}" has been renewed. Download the new configuration for the device.`);
+
+                await this.loadCertificates();
+
+                if (result.keyPassphrase) {
+                    this.showKeyPassphrase(certName, result.keyPassphrase);
+                }
+            } else {
+                this.showNotification('error', 'Renewal Failed', 
+                    result.error || 'Failed to renew certificate');
+            }
+
+        } catch (error) {
+            console.error('Certificate renewal error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for a fixed VPN address; an empty value removes it
+     */
+    showStaticAddressDialog(certName) {
+        const cert = this.certificates.find(entry => entry.name === certName);
+        const range = this.staticRange
+            ? ` from ${this.staticRange.first} to ${this.staticRange.last}`
+            : (this.vpnSubnet ? ` inside ${this.vpnSubnet}` : '');
+
+        this.showModal(
+            'Static VPN Address',
+            `Fixed VPN address for "${certName}"${range}. Leave empty to get an address automatically. The change applies on the next connection.`,
+            () => this.saveStaticAddress(certName, this.elements.modalInput.value.trim())
+        );
+
+        this.elements.modalInput.value = (cert && cert.staticAddress) || '';
+        this.elements.modalInput.placeholder = 'e.g. 10.8.0.20';
+        this.elements.modalInput.style.display = 'block';
+        this.elements.modalInput.focus();
+    }
+
+    /**
+     * Save or clear a static VPN address
+     */
+    async saveStaticAddress(certName, address) {
+        try {
+            const csrfTokenElement = document.getElementById('csrfToken');
+            const csrfToken = csrfTokenElement?.value || '';
+
+            const response = await fetch(`/certificates/static-ip/${encodeURIComponent(certName)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ address: address || null, csrfToken })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.hideModal();
+                this.showNotification('success', 'Static Address Updated', result.message);
+
+                await this.loadCertificates();
+            } else {
+                // Keep the dialog open so the address can be corrected
+                this.showNotification('error', 'Update Failed', 
+                    result.error || 'Failed to update static address');
+                this.elements.modalInput.focus();
+            }
+
+        } catch (error) {
+            console.error('Static address update error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
+    /**
+     * Let an admin pick the access group applied on the device's next connection
+     */
+    async showAccessGroupDialog(certName) {
+        const cert = this.certificates.find(entry => entry.name === certName);
+
+        try {
+            const response = await fetch('/certificates/access-groups', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                this.showNotification('error', 'Access Groups Unavailable', 
+                    result.error || 'Failed to load access groups');
+                return;
+            }
+
+            this.showModal(
+                'Access Group',
+                `Networks "${certName}" may reach over the VPN. The change applies on the next connection.`,
+                () => this.saveAccessGroup(certName, this.elements.modalSelect.value)
+            );
+
+            const select = this.elements.modalSelect;
+            select.innerHTML = '';
+            result.groups.forEach(group => {
+                const option = document.createElement('option');
+                option.value = group.name;
+                option.textContent = group.description ? `${group.label} – ${group.description}` : group.label;
+                select.appendChild(option);
+            });
+            select.value = (cert && cert.accessGroup) || result.defaultGroup;
+            select.style.display = 'block';
+            select.focus();
+
+        } catch (error) {
+            console.error('Access group load error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
+    /**
+     * Save a device's access group
+     */
+    async saveAccessGroup(certName, group) {
+        try {
+            const csrfTokenElement = document.getElementById('csrfToken');
+            const csrfToken = csrfTokenElement?.value || '';
+
+            const response = await fetch(`/certificates/access-group/${encodeURIComponent(certName)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ group, csrfToken })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.hideModal();
+                this.showNotification('success', 'Access Group Updated', result.message);
+
+                await this.loadCertificates();
+            } else {
+                this.showNotification('error', 'Update Failed', 
+                    result.error || 'Failed to update access group');
+            }
+
+        } catch (error) {
+            console.error('Access group update error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for the weekly hours a device may connect; an empty value removes the limit
+     */
+    showScheduleDialog(certName) {
+        const cert = this.certificates.find(entry => entry.name === certName);
+
+        this.showModal(
+            'Connection Schedule',
+            `When "${certName}" may use the VPN, in server time, e.g. "Mon-Fri 07:00-20:00; Sat-Sun 09:00-22:00". Leave empty to allow any time. Sessions still running when a window ends are disconnected.`,
+            () => this.saveSchedule(certName, this.elements.modalInput.value.trim())
+        );
+
+        this.elements.modalInput.value = (cert && cert.scheduleText) || '';
+        this.elements.modalInput.placeholder = 'e.g. Mon-Fri 07:00-20:00; Sat-Sun 09:00-22:00';
+        this.elements.modalInput.style.display = 'block';
+        this.elements.modalInput.focus();
+    }
+
+    /**
+     * Save or clear a device's schedule
+     */
+    async saveSchedule(certName, schedule) {
+        try {
+            const csrfTokenElement = document.getElementById('csrfToken');
+            const csrfToken = csrfTokenElement?.value || '';
+
+            const response = await fetch(`/certificates/schedule/${encodeURIComponent(certName)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ schedule: schedule || null, csrfToken })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.hideModal();
+                this.showNotification('success', 'Schedule Updated', result.message);
+
+                await this.loadCertificates();
+            } else {
+                // Keep the dialog open so the schedule can be corrected
+                this.showNotification('error', 'Update Failed', 
+                    result.error || 'Failed to update schedule');
+                this.elements.modalInput.focus();
+            }
+
+        } catch (error) {
+            console.error('Schedule update error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
+    /**
+     * Confirm ending a live VPN session
+     */
+    confirmDisconnectSession(certName) {
+        this.showModal(
+            'Disconnect Device',
+            `Disconnect the current VPN session of "${certName}"? The certificate stays valid, so the device can reconnect.`,
+            () => this.disconnectSession(certName)
+        );
+    }
+
+    /**
+     * End a live VPN session through the management interface
+     */
+    async disconnectSession(certName) {
+        try {
+            this.hideModal();
+
+            const csrfTokenElement = document.getElementById('csrfToken');
+            const csrfToken = csrfTokenElement?.value || '';
+
+            const response = await fetch(`/certificates/disconnect/${encodeURIComponent(certName)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ csrfToken })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification('success', 'Device Disconnected', 
+                    `The VPN session of "${certName}" has been closed.`);
+
+                await this.loadCertificates();
+            } else {
+                this.showNotification('error', 'Disconnect Failed', 
+                    result.error || 'Failed to disconnect VPN session');
+            }
+
+        } catch (error) {
+            console.error('Session disconnect error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
+    /**
+     * Create a single-use link for the profile and show it as a QR code to scan with a phone
+     */
+    async showOnboardingQrCode(certName) {
+        try {
+            const csrfTokenElement = document.getElementById('csrfToken');
+            const csrfToken = csrfTokenElement?.value || '';
+
+            const response = await fetch(`/certificates/onboarding/${encodeURIComponent(certName)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ csrfToken })
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                this.showNotification('error', 'QR Code Failed', 
+                    result.error || 'Failed to create onboarding link');
+                return;
+            }
+
+            const expiresAt = new Date(result.expiresAt).toLocaleTimeString();
+            this.showModal(
+                `Install "${certName}" on a phone`,
+                `Scan this code with the phone's camera to open the profile in OpenVPN Connect. The link works once and expires at ${expiresAt}.`,
+                null
+            );
+            // SVG markup is generated server-side from the link
+            this.elements.modalQrCode.innerHTML = result.qrCodeSvg;
+            this.elements.modalQrCode.style.display = 'block';
+
+        } catch (error) {
+            console.error('Onboarding link error:', error);
+            this.showNotification('error', 'Network Error', 
+                'Failed to connect to server. Please try again.');
+        }
+    }
+
     /**
      * Revoke certificate
      */
@@ -395,8 +1022,10 @@ class CertificateManager {
             const result = await response.json();
 
             if (result.success) {
+                const disconnected = result.disconnect && result.disconnect.status === 'disconnected';
                 this.showNotification('success', 'Certificate Revoked', 
-                    `Certificate "${certName}" has been revoked successfully.`);
+                    `Certificate "${certName}" has been revoked successfully.` +
+                    (disconnected ? ' Its active VPN session was disconnected.' : ''));
                 
                 // Refresh certificate list
                 await this.loadCertificates();
@@ -496,8 +1125,11 @@ class CertificateManager {
         this.elements.modalConfirm.parentNode.replaceChild(newConfirmBtn, this.elements.modalConfirm);
         this.elements.modalConfirm = newConfirmBtn;
 
-        // Add new event listener
-        this.elements.modalConfirm.addEventListener('click', onConfirm);
+        // Informational modals (such as the QR code) only need a way to close
+        if (onConfirm) {
+            this.elements.modalConfirm.addEventListener('click', onConfirm);
+        }
+        this.elements.modalConfirm.style.display = onConfirm ? '' : 'none';
     }
 
     /**
@@ -505,6 +1137,26 @@ class CertificateManager {
      */
     hideModal() {
         this.elements.modalOverlay.style.display = 'none';
+
+        if (this.elements.modalQrCode) {
+            this.elements.modalQrCode.innerHTML = '';
+            this.elements.modalQrCode.style.display = 'none';
+        }
+
+        if (this.elements.modalKeyPassphrase) {
+            this.elements.modalKeyPassphrase.textContent = '';
+            this.elements.modalKeyPassphrase.style.display = 'none';
+        }
+
+        if (this.elements.modalInput) {
+            this.elements.modalInput.value = '';
+            this.elements.modalInput.style.display = 'none';
+        }
+
+        if (this.elements.modalSelect) {
+            this.elements.modalSelect.innerHTML = '';
+            this.elements.modalSelect.style.display = 'none';
+        }
     }
 
     /**
@@ -0,0 +1,219 @@
+/**
+ * Connections panel on the certificate page
+ * Shows who is online right now and past sessions per certificate
+ */
+
+class ConnectionsPanel {
+    constructor() {
+        this.history = {};
+        this.refreshInterval = null;
+
+        this.elements = {
+            summary: document.getElementById('connectionsSummary'),
+            refreshBtn: document.getElementById('connectionsRefreshBtn'),
+            tableContainer: document.getElementById('connectionsTableContainer'),
+            tableBody: document.getElementById('connectionsTableBody'),
+            historySelect: document.getElementById('historySelect'),
+            historyEmpty: document.getElementById('historyEmpty'),
+            historyTableContainer: document.getElementById('historyTableContainer'),
+            historyTableBody: document.getElementById('historyTableBody')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.tableBody) {
+            return;
+        }
+
+        this.elements.refreshBtn.addEventListener('click', () => this.refresh());
+        this.elements.historySelect.addEventListener('change', () => this.renderHistory());
+
+        this.refresh();
+
+        // Refresh every 30 seconds, like the certificate list
+        this.refreshInterval = setInterval(() => this.refresh(), 30000);
+    }
+
+    async refresh() {
+        await Promise.all([this.loadConnections(), this.loadHistory()]);
+    }
+
+    /**
+     * Load currently connected clients
+     */
+    async loadConnections() {
+        try {
+            const response = await fetch('/api/connections', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                this.elements.summary.textContent = result.error || 'Connection status is unavailable';
+                this.elements.tableContainer.style.display = 'none';
+                return;
+            }
+
+            this.renderConnections(result);
+
+        } catch (error) {
+            console.error('Failed to load connections:', error);
+            this.elements.summary.textContent = 'Failed to load connections';
+            this.elements.tableContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * Load past sessions per certificate
+     */
+    async loadHistory() {
+        try {
+            const response = await fetch('/api/connections/history', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.history = result.history || {};
+                this.renderHistoryOptions();
+                this.renderHistory();
+            }
+
+        } catch (error) {
+            console.error('Failed to load connection history:', error);
+        }
+    }
+
+    renderConnections(result) {
+        const connections = result.connections || [];
+        const updated = result.updatedAt ? ` · updated ${this.formatDate(result.updatedAt)}` : '';
+
+        if (result.stale) {
+            this.elements.summary.textContent = `Status file is out of date; OpenVPN may not be running${updated}`;
+        } else {
+            this.elements.summary.textContent = `${connections.length} device${connections.length === 1 ? '' : 's'} online${updated}`;
+        }
+
+        this.elements.tableContainer.style.display = connections.length > 0 ? 'block' : 'none';
+        this.elements.tableBody.innerHTML = connections.map(connection => `
+            <tr>
+                <td><strong>${this.escapeHtml(connection.commonName)}</strong></td>
+                <td>${this.escapeHtml(connection.realIP || '—')}</td>
+                <td>${this.escapeHtml(connection.virtualAddress || '—')}</td>
+                <td><div class="cert-date">${connection.connectedSince ? this.formatDate(connection.connectedSince) : '—'}</div></td>
+                <td>${this.formatBytes(connection.bytesReceived)}</td>
+                <td>${this.formatBytes(connection.bytesSent)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Fill the certificate selector, keeping the current choice
+     */
+    renderHistoryOptions() {
+        const select = this.elements.historySelect;
+        const selected = select.value;
+        const names = Object.keys(this.history).sort();
+
+        select.innerHTML = names.map(name =>
+            `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)} (${this.history[name].totalSessions})</option>`
+        ).join('');
+        select.style.display = names.length > 0 ? '' : 'none';
+
+        if (names.includes(selected)) {
+            select.value = selected;
+        }
+    }
+
+    renderHistory() {
+        const record = this.history[this.elements.historySelect.value];
+        const sessions = record ? record.sessions : [];
+
+        this.elements.historyEmpty.style.display = sessions.length > 0 ? 'none' : 'block';
+        this.elements.historyTableContainer.style.display = sessions.length > 0 ? 'block' : 'none';
+
+        this.elements.historyTableBody.innerHTML = sessions.map(session => `
+            <tr>
+                <td><div class="cert-date">${session.connectedAt ? this.formatDate(session.connectedAt) : '—'}</div></td>
+                <td><div class="cert-date">${session.disconnectedAt ? this.formatDate(session.disconnectedAt) : '<span class="cert-connection-flag">🟢 Online</span>'}</div></td>
+                <td>${session.duration !== undefined ? this.formatDuration(session.duration) : '—'}</td>
+                <td>${this.escapeHtml(session.realIP || '—')}</td>
+                <td>${this.escapeHtml(session.virtualAddress || '—')}</td>
+                <td>${session.bytesReceived !== undefined ? this.formatBytes(session.bytesReceived) : '—'}</td>
+                <td>${session.bytesSent !== undefined ? this.formatBytes(session.bytesSent) : '—'}</td>
+            </tr>
+        `).join('');
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes || 0;
+        let unit = 0;
+
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        }
+        return minutes > 0 ? `${minutes}m` : `${seconds}s`;
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Cleanup when page unloads
+     */
+    destroy() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+}
+
+let connectionsPanel;
+
+document.addEventListener('DOMContentLoaded', () => {
+    connectionsPanel = new ConnectionsPanel();
+});
+
+window.addEventListener('beforeunload', () => {
+    if (connectionsPanel) {
+        connectionsPanel.destroy();
+    }
+});
@@ -10,6 +10,10 @@ class LoginForm {
         this.passwordInput = document.getElementById('password');
         this.loginBtn = document.getElementById('loginBtn');
         this.formMessage = document.getElementById('formMessage');
+        this.totpForm = document.getElementById('totpForm');
+        this.totpCodeInput = document.getElementById('totpCode');
+        this.totpBtn = document.getElementById('totpBtn');
+        this.totpMessage = document.getElementById('totpMessage');
 
         this.isSubmitting = false;
 
@@ -24,6 +28,11 @@ class LoginForm {
 
         this.bindEvents();
         this.setupValidation();
+
+        // Returning from a non-JS password submission that requires a second factor
+        if (new URLSearchParams(window.location.search).get('step') === 'totp') {
+            this.showTotpStep();
+        }
     }
 
     bindEvents() {
@@ -48,6 +57,12 @@ class LoginForm {
                 this.handleSubmit(e);
             }
         });
+
+        // Two-factor step
+        if (this.totpForm) {
+            this.totpForm.addEventListener('submit', (e) => this.handleTotpSubmit(e));
+            this.totpCodeInput.addEventListener('input', () => this.clearTotpMessage());
+        }
     }
 
     setupValidation() {
@@ -147,7 +162,9 @@ class LoginForm {
 
             const response = await this.submitLogin(credentials);
 
-            if (response.success) {
+            if (response.success && response.totpRequired) {
+                this.showTotpStep();
+            } else if (response.success) {
                 this.showFormMessage('Login successful! Redirecting...', 'success');
 
                 // Redirect after a short delay
@@ -181,16 +198,79 @@ class LoginForm {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
             },
             body: formData,
             credentials: 'same-origin'
         });
 
+        return this.parseLoginResponse(response);
+    }
+
+    async handleTotpSubmit(e) {
+        e.preventDefault();
+
+        if (this.isSubmitting) {
+            return;
+        }
+
+        const code = this.totpCodeInput.value.trim();
+        if (!code) {
+            this.showTotpMessage('Verification code is required', 'error');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.totpBtn.disabled = true;
+        this.totpBtn.classList.add('loading');
+
+        try {
+            const formData = new URLSearchParams();
+            formData.append('code', code);
+            formData.append('csrfToken', document.getElementById('csrfToken')?.value || '');
+
+            const response = await this.parseLoginResponse(await fetch('/login/totp', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json'
+                },
+                body: formData,
+                credentials: 'same-origin'
+            }));
+
+            if (response.success) {
+                this.showTotpMessage('Login successful! Redirecting...', 'success');
+                setTimeout(() => {
+                    window.location.href = response.redirectUrl || '/certificates';
+                }, 1000);
+            } else {
+                this.totpCodeInput.value = '';
+                this.showTotpMessage(response.message || 'Invalid verification code', 'error');
+
+                // Expired or locked challenges need a fresh password step
+                if (/expired|locked|disabled/i.test(response.message || '')) {
+                    this.showPasswordStep(response.message);
+                }
+            }
+
+        } catch (error) {
+            console.error('Verification error:', error);
+            this.showTotpMessage(error.message || 'Network error. Please try again.', 'error');
+        } finally {
+            this.isSubmitting = false;
+            this.totpBtn.disabled = false;
+            this.totpBtn.classList.remove('loading');
+        }
+    }
+
+    async parseLoginResponse(response) {
         if (!response.ok) {
             if (response.status === 429) {
                 throw new Error('Too many login attempts. Please try again later.');
             } else if (response.status === 401) {
-                return { success: false, message: 'Invalid username or password' };
+                const data = await response.json().catch(() => ({}));
+                return { success: false, message: data.error || 'Invalid username or password' };
             } else if (response.status === 403) {
                 throw new Error('Security error. Please refresh the page and try again.');
             } else {
@@ -221,6 +301,32 @@ class LoginForm {
         }
     }
 
+    showTotpStep() {
+        this.form.style.display = 'none';
+        this.totpForm.style.display = 'block';
+        this.clearTotpMessage();
+        this.totpCodeInput.focus();
+    }
+
+    showPasswordStep(message) {
+        this.totpForm.style.display = 'none';
+        this.form.style.display = 'block';
+        this.passwordInput.value = '';
+        this.showFormMessage(message, 'error');
+    }
+
+    showTotpMessage(message, type) {
+        this.totpMessage.textContent = message;
+        this.totpMessage.className = `form-message ${type}`;
+        this.totpMessage.style.display = 'block';
+    }
+
+    clearTotpMessage() {
+        this.totpMessage.textContent = '';
+        this.totpMessage.className = 'form-message';
+        this.totpMessage.style.display = 'none';
+    }
+
     setLoadingState(loading) {
         this.isSubmitting = loading;
 
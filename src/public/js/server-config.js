@@ -0,0 +1,253 @@
+/**
+ * Server Settings Frontend
+ * Edits port, protocol, subnet and max clients, previews the regenerated server.conf,
+ * applies it and rolls it back
+ */
+
+class ServerConfigEditor {
+    constructor() {
+        // DOM elements
+        this.elements = {
+            form: document.getElementById('settingsForm'),
+            port: document.getElementById('port'),
+            protocol: document.getElementById('protocol'),
+            subnet: document.getElementById('subnet'),
+            netmask: document.getElementById('netmask'),
+            maxClients: document.getElementById('maxClients'),
+            appliedStatus: document.getElementById('appliedStatus'),
+            previewBtn: document.getElementById('previewBtn'),
+            applyBtn: document.getElementById('applyBtn'),
+            rollbackBtn: document.getElementById('rollbackBtn'),
+            previewSection: document.getElementById('previewSection'),
+            previewSummary: document.getElementById('previewSummary'),
+            diff: document.getElementById('configDiff'),
+            logoutBtn: document.getElementById('logoutBtn'),
+            notificationContainer: document.getElementById('notificationContainer')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the page
+     */
+    init() {
+        this.elements.previewBtn.addEventListener('click', () => this.previewChanges());
+        this.elements.applyBtn.addEventListener('click', () => this.applyChanges());
+        this.elements.rollbackBtn.addEventListener('click', () => this.rollback());
+        // Apply only what was previewed
+        this.elements.form.addEventListener('input', () => {
+            this.elements.applyBtn.disabled = true;
+        });
+        this.elements.logoutBtn.addEventListener('click', async () => {
+            await this.postAction('/logout', {});
+            window.location.href = '/login';
+        });
+
+        this.loadSettings();
+    }
+
+    /**
+     * Load the settings in effect and the rollback state
+     */
+    async loadSettings() {
+        try {
+            const response = await fetch('/api/server-config/settings', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load settings');
+            }
+
+            this.renderState(result);
+
+        } catch (error) {
+            console.error('Failed to load server settings:', error);
+            this.showNotification('error', 'Load Failed', 'Failed to load the server settings.');
+        }
+    }
+
+    /**
+     * Fill the form and describe the last change
+     */
+    renderState(state) {
+        const { settings } = state;
+        this.elements.port.value = settings.port;
+        this.elements.protocol.value = settings.protocol;
+        this.elements.subnet.value = settings.subnet;
+        this.elements.netmask.value = settings.netmask;
+        this.elements.maxClients.value = settings.maxClients;
+
+        this.elements.appliedStatus.textContent = state.appliedAt
+            ? `Last applied ${new Date(state.appliedAt).toLocaleString()}${state.appliedBy ? ` by ${state.appliedBy}` : ''}. Config file: ${state.configPath}`
+            : `Using the defaults from the server configuration. Config file: ${state.configPath}`;
+        this.elements.rollbackBtn.disabled = !state.canRollback;
+        this.elements.applyBtn.disabled = true;
+    }
+
+    getFormValues() {
+        return {
+            port: this.elements.port.value.trim(),
+            protocol: this.elements.protocol.value,
+            subnet: this.elements.subnet.value.trim(),
+            netmask: this.elements.netmask.value.trim(),
+            maxClients: this.elements.maxClients.value.trim()
+        };
+    }
+
+    /**
+     * Show the diff of the regenerated server.conf without writing it
+     */
+    async previewChanges() {
+        const result = await this.postAction('/api/server-config/preview', this.getFormValues());
+        if (!result || !result.success) {
+            return this.showError('Invalid Settings', result, 'Failed to preview the changes');
+        }
+
+        this.renderDiff(result.diff, this.describe(result));
+        this.elements.applyBtn.disabled = !result.changed;
+    }
+
+    /**
+     * Write the new server.conf and restart OpenVPN
+     */
+    async applyChanges() {
+        this.elements.applyBtn.disabled = true;
+        const result = await this.postAction('/api/server-config/apply', this.getFormValues());
+        if (!result || !result.success) {
+            return this.showError('Apply Failed', result, 'Failed to apply the settings');
+        }
+
+        this.renderDiff(result.diff, this.describe(result));
+        this.showReloadResult('Settings Applied', result);
+        await this.loadSettings();
+    }
+
+    /**
+     * Restore the previous server.conf and restart OpenVPN
+     */
+    async rollback() {
+        this.elements.rollbackBtn.disabled = true;
+        const result = await this.postAction('/api/server-config/rollback', {});
+        if (!result || !result.success) {
+            await this.loadSettings();
+            return this.showError('Rollback Failed', result, 'Failed to roll back the server config');
+        }
+
+        this.renderDiff(result.diff, this.describe(result));
+        this.showReloadResult('Rolled Back', result);
+        await this.loadSettings();
+    }
+
+    describe(result) {
+        if (result.changes.length === 0) {
+            return 'Settings are unchanged.';
+        }
+
+        const changes = result.changes
+            .map(change => `${change.field}: ${change.from} → ${change.to}`)
+            .join(', ');
+        return result.affectsProfiles
+            ? `${changes}. Existing profiles must be downloaded again.`
+            : `${changes}.`;
+    }
+
+    /**
+     * Render a unified diff with one line per element
+     */
+    renderDiff(diff, summary) {
+        this.elements.diff.innerHTML = '';
+        if (!diff) {
+            this.elements.diff.textContent = 'The regenerated server.conf is identical to the installed one.';
+        }
+
+        diff.split('\n').filter(Boolean).forEach(line => {
+            const element = document.createElement('span');
+            element.className = 'diff-line';
+            if (line.startsWith('@@')) {
+                element.classList.add('diff-hunk');
+            } else if (line.startsWith('+') && !line.startsWith('+++')) {
+                element.classList.add('diff-added');
+            } else if (line.startsWith('-') && !line.startsWith('---')) {
+                element.classList.add('diff-removed');
+            }
+            element.textContent = line;
+            this.elements.diff.appendChild(element);
+        });
+
+        this.elements.previewSummary.textContent = summary;
+        this.elements.previewSection.style.display = 'block';
+    }
+
+    showReloadResult(title, result) {
+        if (result.reload && result.reload.reloaded) {
+            this.showNotification('success', title, result.reload.message || 'OpenVPN restarted with the new config.');
+        } else {
+            this.showNotification('warning', title, result.reload?.message || 'Restart OpenVPN to use the new config.');
+        }
+    }
+
+    showError(title, result, fallback) {
+        const message = result?.details ? result.details.join('. ') : (result?.error || fallback);
+        this.showNotification('error', title, message);
+    }
+
+    /**
+     * POST JSON with the CSRF token
+     */
+    async postAction(url, body) {
+        try {
+            const csrfToken = document.getElementById('csrfToken')?.value || '';
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ ...body, csrfToken })
+            });
+
+            return await response.json();
+
+        } catch (error) {
+            console.error('Server settings request error:', error);
+            this.showNotification('error', 'Network Error',
+                'Failed to connect to server. Please try again.');
+            return null;
+        }
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(type, title, message) {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        const header = document.createElement('div');
+        header.className = 'notification-header';
+        const titleElement = document.createElement('div');
+        titleElement.className = 'notification-title';
+        titleElement.textContent = title;
+        header.appendChild(titleElement);
+
+        const messageElement = document.createElement('p');
+        messageElement.className = 'notification-message';
+        messageElement.textContent = message;
+
+        notification.appendChild(header);
+        notification.appendChild(messageElement);
+        this.elements.notificationContainer.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => notification.remove(), 5000);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new ServerConfigEditor();
+});
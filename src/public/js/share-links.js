@@ -0,0 +1,250 @@
+/**
+ * Share links panel on the certificate page
+ * Creates expiring download links for family members without an account and lists or revokes them
+ */
+
+class ShareLinksPanel {
+    constructor() {
+        this.links = [];
+
+        this.elements = {
+            summary: document.getElementById('shareLinksSummary'),
+            refreshBtn: document.getElementById('shareLinksRefreshBtn'),
+            form: document.getElementById('shareLinkForm'),
+            certificateSelect: document.getElementById('shareCertificate'),
+            expirySelect: document.getElementById('shareExpiry'),
+            maxDownloadsInput: document.getElementById('shareMaxDownloads'),
+            pinInput: document.getElementById('sharePin'),
+            submitBtn: document.getElementById('shareLinkBtn'),
+            error: document.getElementById('shareLinkError'),
+            result: document.getElementById('shareLinkResult'),
+            resultUrl: document.getElementById('shareLinkUrl'),
+            tableContainer: document.getElementById('shareLinksTableContainer'),
+            tableBody: document.getElementById('shareLinksTableBody')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.form) {
+            return;
+        }
+
+        this.elements.refreshBtn.addEventListener('click', () => this.refresh());
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createLink();
+        });
+        this.elements.resultUrl.addEventListener('focus', () => this.elements.resultUrl.select());
+
+        this.refresh();
+    }
+
+    async refresh() {
+        await Promise.all([this.loadCertificates(), this.loadLinks()]);
+    }
+
+    /**
+     * Offer the active certificates the user may share
+     */
+    async loadCertificates() {
+        try {
+            const response = await fetch('/certificates/list');
+            const result = await response.json();
+
+            if (!result.success) {
+                return;
+            }
+
+            const select = this.elements.certificateSelect;
+            const selected = select.value;
+            const names = (result.certificates || [])
+                .filter(cert => cert.status === 'active')
+                .map(cert => cert.name)
+                .sort();
+
+            select.innerHTML = names.map(name =>
+                `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+            ).join('');
+
+            if (names.includes(selected)) {
+                select.value = selected;
+            }
+            this.elements.submitBtn.disabled = names.length === 0;
+
+        } catch (error) {
+            console.error('Failed to load certificates for sharing:', error);
+        }
+    }
+
+    async loadLinks() {
+        try {
+            const response = await fetch('/certificates/shares');
+            const result = await response.json();
+
+            if (!result.success) {
+                this.elements.summary.textContent = result.error || 'Share links are unavailable';
+                return;
+            }
+
+            this.links = result.links || [];
+            this.renderLinks();
+
+        } catch (error) {
+            console.error('Failed to load share links:', error);
+            this.elements.summary.textContent = 'Failed to load share links';
+        }
+    }
+
+    async createLink() {
+        this.elements.error.textContent = '';
+        this.elements.submitBtn.disabled = true;
+
+        try {
+            const name = this.elements.certificateSelect.value;
+            const response = await fetch(`/certificates/share/${encodeURIComponent(name)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    csrfToken: this.getCsrfToken(),
+                    expiresInHours: Number(this.elements.expirySelect.value),
+                    maxDownloads: Number(this.elements.maxDownloadsInput.value),
+                    pin: this.elements.pinInput.value.trim() || undefined
+                })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                this.elements.error.textContent = result.error || 'Failed to create share link';
+                return;
+            }
+
+            this.elements.pinInput.value = '';
+            this.elements.resultUrl.value = result.url;
+            this.elements.result.style.display = 'block';
+            this.elements.resultUrl.focus();
+
+            await this.loadLinks();
+
+        } catch (error) {
+            console.error('Share link creation error:', error);
+            this.elements.error.textContent = 'Failed to connect to server. Please try again.';
+        } finally {
+            this.elements.submitBtn.disabled = false;
+        }
+    }
+
+    async revokeLink(id) {
+        try {
+            const response = await fetch(`/certificates/shares/${encodeURIComponent(id)}/revoke`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ csrfToken: this.getCsrfToken() })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                this.elements.summary.textContent = result.error || 'Failed to revoke share link';
+                return;
+            }
+
+            await this.loadLinks();
+
+        } catch (error) {
+            console.error('Share link revocation error:', error);
+            this.elements.summary.textContent = 'Failed to connect to server. Please try again.';
+        }
+    }
+
+    renderLinks() {
+        const active = this.links.filter(link => link.status === 'active').length;
+        this.elements.summary.textContent = `${active} active share link${active === 1 ? '' : 's'}`;
+
+        this.elements.tableContainer.style.display = this.links.length > 0 ? 'block' : 'none';
+        this.elements.tableBody.innerHTML = this.links.map(link => `
+            <tr>
+                <td>
+                    <strong>${this.escapeHtml(link.clientName)}</strong>
+                    ${link.pinProtected ? '<br><small class="cert-serial">🔒 PIN protected</small>' : ''}
+                </td>
+                <td><span class="cert-status ${link.status === 'active' ? 'active' : 'revoked'}">${this.escapeHtml(link.status)}</span></td>
+                <td>${link.downloads} / ${link.maxDownloads}</td>
+                <td><div class="cert-date">${this.formatDate(link.expiresAt)}</div></td>
+                <td>${this.escapeHtml(link.createdBy || 'unknown')}</td>
+                <td>
+                    <div class="cert-actions">
+                        ${link.status === 'active' ? `
+                            <button type="button"
+                                    class="cert-action-btn share-copy secondary"
+                                    data-url="${this.escapeHtml(link.url)}"
+                                    title="Show the link again">
+                                🔗 Show link
+                            </button>
+                            <button type="button"
+                                    class="cert-action-btn revoke share-revoke"
+                                    data-link-id="${this.escapeHtml(link.id)}"
+                                    title="Revoke this share link">
+                                🚫 Revoke
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        this.elements.tableBody.querySelectorAll('.share-copy').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.elements.resultUrl.value = e.currentTarget.getAttribute('data-url');
+                this.elements.result.style.display = 'block';
+                this.elements.resultUrl.focus();
+            });
+        });
+
+        this.elements.tableBody.querySelectorAll('.share-revoke').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.revokeLink(e.currentTarget.getAttribute('data-link-id'));
+            });
+        });
+    }
+
+    getCsrfToken() {
+        const csrfTokenElement = document.getElementById('csrfToken');
+        return csrfTokenElement?.value || '';
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+let shareLinksPanel;
+
+document.addEventListener('DOMContentLoaded', () => {
+    shareLinksPanel = new ShareLinksPanel();
+});
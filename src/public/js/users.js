@@ -0,0 +1,450 @@
+/**
+ * User Management Frontend
+ * Handles listing, creating, enabling/disabling, password resets and deletion of web users
+ */
+
+class UserManager {
+    constructor() {
+        this.users = [];
+        this.currentUser = null;
+        this.isLoading = false;
+
+        // DOM elements
+        this.elements = {
+            userForm: document.getElementById('userForm'),
+            usernameInput: document.getElementById('newUsername'),
+            usernameError: document.getElementById('newUsername-error'),
+            passwordInput: document.getElementById('newPassword'),
+            roleSelect: document.getElementById('newRole'),
+            createBtn: document.getElementById('createUserBtn'),
+            refreshBtn: document.getElementById('refreshBtn'),
+            logoutBtn: document.getElementById('logoutBtn'),
+            loadingState: document.getElementById('loadingState'),
+            emptyState: document.getElementById('emptyState'),
+            userTableContainer: document.getElementById('userTableContainer'),
+            userTableBody: document.getElementById('userTableBody'),
+            notificationContainer: document.getElementById('notificationContainer'),
+            modalOverlay: document.getElementById('modalOverlay'),
+            modalTitle: document.getElementById('modalTitle'),
+            modalMessage: document.getElementById('modalMessage'),
+            modalPasswordGroup: document.getElementById('modalPasswordGroup'),
+            modalPassword: document.getElementById('modalPassword'),
+            modalConfirm: document.getElementById('modalConfirm'),
+            modalCancel: document.getElementById('modalCancel'),
+            modalClose: document.getElementById('modalClose')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the user manager
+     */
+    init() {
+        this.setupEventListeners();
+        this.loadUsers();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.userForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleUserCreation();
+        });
+
+        this.elements.usernameInput.addEventListener('blur', () => {
+            this.validateUsername(true);
+        });
+
+        this.elements.refreshBtn.addEventListener('click', () => {
+            this.loadUsers();
+        });
+
+        this.elements.logoutBtn.addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        this.elements.modalCancel.addEventListener('click', () => this.hideModal());
+        this.elements.modalClose.addEventListener('click', () => this.hideModal());
+
+        this.elements.modalOverlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.modalOverlay) {
+                this.hideModal();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.elements.modalOverlay.style.display !== 'none') {
+                this.hideModal();
+            }
+        });
+
+        // Row actions are delegated so re-rendering keeps them working
+        this.elements.userTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.handleRowAction(button.getAttribute('data-action'), button.getAttribute('data-username'));
+            }
+        });
+    }
+
+    /**
+     * Validate username input
+     */
+    validateUsername(showErrors = false) {
+        const username = this.elements.usernameInput.value.trim();
+        const errorElement = this.elements.usernameError;
+
+        errorElement.textContent = '';
+        this.elements.usernameInput.classList.remove('invalid');
+
+        let error = '';
+        if (!/^[a-zA-Z0-9_-]{3,50}$/.test(username)) {
+            error = 'Use only letters, numbers, hyphens, and underscores (3-50 characters)';
+        } else if (this.users.some(user => user.username === username)) {
+            error = 'A user with this name already exists';
+        }
+
+        if (error && showErrors) {
+            errorElement.textContent = error;
+            this.elements.usernameInput.classList.add('invalid');
+        }
+
+        return !error;
+    }
+
+    /**
+     * Handle user creation
+     */
+    async handleUserCreation() {
+        if (!this.validateUsername(true)) {
+            return;
+        }
+
+        const username = this.elements.usernameInput.value.trim();
+
+        this.setCreateButtonLoading(true);
+        const result = await this.postAction('/users/create', {
+            username,
+            password: this.elements.passwordInput.value,
+            role: this.elements.roleSelect.value
+        });
+        this.setCreateButtonLoading(false);
+
+        if (result && result.success) {
+            this.showNotification('success', 'User Created', `User "${username}" has been created.`);
+            this.elements.userForm.reset();
+            await this.loadUsers();
+        } else if (result) {
+            this.showNotification('error', 'Creation Failed', result.error || 'Failed to create user');
+        }
+    }
+
+    /**
+     * Handle clicks on row action buttons
+     */
+    handleRowAction(action, username) {
+        const encoded = encodeURIComponent(username);
+
+        switch (action) {
+            case 'disable':
+                this.showModal('Disable User', `Disable "${username}"? They will no longer be able to log in.`, false,
+                    () => this.runAction(`/users/disable/${encoded}`, {}, 'User Disabled', `User "${username}" has been disabled.`));
+                break;
+            case 'enable':
+                this.runAction(`/users/enable/${encoded}`, {}, 'User Enabled', `User "${username}" has been enabled.`);
+                break;
+            case 'reset-password':
+                this.showModal('Reset Password', `Enter a new password for "${username}".`, true,
+                    () => this.runAction(`/users/reset-password/${encoded}`, { password: this.elements.modalPassword.value },
+                        'Password Reset', `Password for "${username}" has been reset.`));
+                break;
+            case 'reset-totp':
+                this.showModal('Reset Two-Factor', `Remove two-factor authentication for "${username}"? They can sign in with their password and enroll again.`, false,
+                    () => this.runAction(`/users/reset-totp/${encoded}`, {}, 'Two-Factor Reset', `Two-factor authentication for "${username}" has been reset.`));
+                break;
+            case 'delete':
+                this.showModal('Delete User', `Delete "${username}"? This action cannot be undone.`, false,
+                    () => this.runAction(`/users/delete/${encoded}`, {}, 'User Deleted', `User "${username}" has been deleted.`));
+                break;
+        }
+    }
+
+    /**
+     * Change a user's role from the table
+     */
+    async changeRole(username, role) {
+        await this.runAction(`/users/role/${encodeURIComponent(username)}`, { role },
+            'Role Updated', `User "${username}" is now ${role}.`);
+    }
+
+    /**
+     * Run a row action and refresh the list
+     */
+    async runAction(url, body, title, message) {
+        this.hideModal();
+        const result = await this.postAction(url, body);
+
+        if (result && result.success) {
+            this.showNotification('success', title, message);
+        } else if (result) {
+            this.showNotification('error', 'Action Failed', result.error || 'Request failed');
+        }
+
+        await this.loadUsers();
+    }
+
+    /**
+     * POST JSON with the CSRF token
+     */
+    async postAction(url, body) {
+        try {
+            const csrfToken = document.getElementById('csrfToken')?.value || '';
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ ...body, csrfToken })
+            });
+
+            return await response.json();
+
+        } catch (error) {
+            console.error('User management request error:', error);
+            this.showNotification('error', 'Network Error',
+                'Failed to connect to server. Please try again.');
+            return null;
+        }
+    }
+
+    /**
+     * Load users from server
+     */
+    async loadUsers() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            this.showState('loading');
+
+            const response = await fetch('/users/list', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load users');
+            }
+
+            this.users = result.users || [];
+            this.currentUser = result.currentUser;
+            this.renderUserList();
+
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            this.showNotification('error', 'Load Failed',
+                'Failed to load user list. Please refresh the page.');
+            this.showState('empty');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Toggle between loading, empty and table views
+     */
+    showState(state) {
+        this.elements.loadingState.style.display = state === 'loading' ? 'block' : 'none';
+        this.elements.emptyState.style.display = state === 'empty' ? 'block' : 'none';
+        this.elements.userTableContainer.style.display = state === 'table' ? 'block' : 'none';
+    }
+
+    /**
+     * Render user list
+     */
+    renderUserList() {
+        if (this.users.length === 0) {
+            this.showState('empty');
+            return;
+        }
+
+        this.showState('table');
+
+        const tbody = this.elements.userTableBody;
+        tbody.innerHTML = '';
+
+        this.users.forEach(user => {
+            tbody.appendChild(this.createUserRow(user));
+        });
+    }
+
+    /**
+     * Create user table row
+     */
+    createUserRow(user) {
+        const row = document.createElement('tr');
+        const isSelf = user.username === this.currentUser;
+        const name = this.escapeHtml(user.username);
+
+        row.innerHTML = `
+            <td>
+                <strong>${name}</strong>
+                ${isSelf ? '<br><small>(you)</small>' : ''}
+                ${user.totpEnabled ? '<br><small>🔐 2FA enabled</small>' : ''}
+            </td>
+            <td>
+                <select class="role-select" data-username="${name}" ${isSelf ? 'disabled' : ''}>
+                    ${['admin', 'member', 'guest'].map(role => `
+                        <option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>
+                    `).join('')}
+                </select>
+            </td>
+            <td>
+                <span class="cert-status ${user.isActive ? 'active' : 'disabled'}">
+                    ${user.isActive ? 'active' : 'disabled'}
+                </span>
+            </td>
+            <td>
+                <div class="cert-date">${user.lastLogin ? this.formatDate(user.lastLogin) : 'Never'}</div>
+                <small>${user.loginCount || 0} logins</small>
+            </td>
+            <td>
+                <div class="cert-actions">
+                    <button type="button" class="cert-action-btn download" data-action="reset-password" data-username="${name}">
+                        🔑 Reset Password
+                    </button>
+                    ${user.totpEnabled && !isSelf ? `
+                        <button type="button" class="cert-action-btn secondary" data-action="reset-totp" data-username="${name}">
+                            🔓 Reset 2FA
+                        </button>
+                    ` : ''}
+                    ${isSelf ? '' : `
+                        <button type="button" class="cert-action-btn secondary" data-action="${user.isActive ? 'disable' : 'enable'}" data-username="${name}">
+                            ${user.isActive ? '⏸ Disable' : '▶ Enable'}
+                        </button>
+                        <button type="button" class="cert-action-btn revoke" data-action="delete" data-username="${name}">
+                            🗑 Delete
+                        </button>
+                    `}
+                </div>
+            </td>
+        `;
+
+        const roleSelect = row.querySelector('.role-select');
+        roleSelect.addEventListener('change', () => {
+            this.changeRole(user.username, roleSelect.value);
+        });
+
+        return row;
+    }
+
+    /**
+     * Handle logout
+     */
+    async handleLogout() {
+        await this.postAction('/logout', {});
+        window.location.href = '/login';
+    }
+
+    /**
+     * Set create button loading state
+     */
+    setCreateButtonLoading(loading) {
+        const btn = this.elements.createBtn;
+        const btnText = btn.querySelector('.btn-text');
+
+        btn.disabled = loading;
+        btn.classList.toggle('loading', loading);
+        btnText.textContent = loading ? 'Creating...' : 'Create User';
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(type, title, message) {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        notification.innerHTML = `
+            <div class="notification-header">
+                <div class="notification-title">${this.escapeHtml(title)}</div>
+                <button type="button" class="notification-close" onclick="this.parentElement.parentElement.remove()">×</button>
+            </div>
+            <p class="notification-message">${this.escapeHtml(message)}</p>
+        `;
+
+        this.elements.notificationContainer.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentElement) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Show modal, optionally with a password field
+     */
+    showModal(title, message, withPassword, onConfirm) {
+        this.elements.modalTitle.textContent = title;
+        this.elements.modalMessage.textContent = message;
+        this.elements.modalPassword.value = '';
+        this.elements.modalPasswordGroup.style.display = withPassword ? 'block' : 'none';
+        this.elements.modalOverlay.style.display = 'flex';
+
+        // Remove previous event listeners
+        const newConfirmBtn = this.elements.modalConfirm.cloneNode(true);
+        this.elements.modalConfirm.parentNode.replaceChild(newConfirmBtn, this.elements.modalConfirm);
+        this.elements.modalConfirm = newConfirmBtn;
+
+        this.elements.modalConfirm.addEventListener('click', onConfirm);
+
+        if (withPassword) {
+            this.elements.modalPassword.focus();
+        }
+    }
+
+    /**
+     * Hide modal
+     */
+    hideModal() {
+        this.elements.modalOverlay.style.display = 'none';
+        this.elements.modalPassword.value = '';
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) {
+            return 'Invalid Date';
+        }
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize user manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new UserManager();
+});
@@ -0,0 +1,193 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const UserConfigManager = require('../utils/user-config');
+const {
+    requireAuthentication,
+    createCSRFProtection
+} = require('../middleware/session-middleware');
+
+/**
+ * Account security routes for the logged-in web user
+ * Handles TOTP two-factor enrollment, recovery codes and disabling two-factor
+ */
+class AccountRoutes {
+    constructor(logger, loggingService, basicHealthService, options = {}) {
+        this.router = express.Router();
+        this.logger = logger;
+        this.loggingService = loggingService;
+        this.basicHealthService = basicHealthService;
+        this.userConfig = options.userConfig || new UserConfigManager(logger);
+
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        const csrfProtection = createCSRFProtection();
+
+        this.router.use('/account', requireAuthentication());
+
+        // GET /account - Display account security page
+        this.router.get('/account', csrfProtection, async (req, res) => {
+            if (!req.xhr && !req.headers.accept?.includes('application/json')) {
+                return res.render('account', {
+                    csrfToken: res.locals.csrfToken,
+                    username: req.session.username
+                });
+            }
+
+            try {
+                const totp = await this.userConfig.getTotpStatus(req.session.username);
+                res.json({
+                    success: true,
+                    username: req.session.username,
+                    role: req.session.role,
+                    totp
+                });
+            } catch (error) {
+                this.handleError(req, res, error, 'load account');
+            }
+        });
+
+        // POST /account/totp/setup - Generate a new secret and provisioning QR code
+        this.router.post('/account/totp/setup', csrfProtection, async (req, res) => {
+            const username = req.session.username;
+
+            try {
+                const enrollment = await this.userConfig.beginTotpEnrollment(username);
+                const qrCodeSvg = await QRCode.toString(enrollment.provisioningUri, {
+                    type: 'svg',
+                    errorCorrectionLevel: 'M',
+                    margin: 1
+                });
+
+                this.logAuthenticationEvent('TOTP_ENROLLMENT_STARTED', username, req.ip, true);
+
+                res.json({
+                    success: true,
+                    secret: enrollment.secret,
+                    provisioningUri: enrollment.provisioningUri,
+                    qrCodeSvg
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'start two-factor enrollment');
+            }
+        });
+
+        // POST /account/totp/confirm - Verify first code and enable two-factor
+        this.router.post('/account/totp/confirm', csrfProtection, async (req, res) => {
+            const username = req.session.username;
+
+            try {
+                const result = await this.userConfig.confirmTotpEnrollment(username, req.body.code);
+
+                this.logAuthenticationEvent('TOTP_ENABLED', username, req.ip, true);
+
+                res.json({
+                    success: true,
+                    message: 'Two-factor authentication enabled',
+                    recoveryCodes: result.recoveryCodes
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'enable two-factor authentication');
+            }
+        });
+
+        // POST /account/totp/recovery-codes - Replace recovery codes (requires current code)
+        this.router.post('/account/totp/recovery-codes', csrfProtection, async (req, res) => {
+            const username = req.session.username;
+
+            try {
+                await this.userConfig.verifySecondFactor(username, req.body.code);
+                const result = await this.userConfig.regenerateRecoveryCodes(username);
+
+                this.logAuthenticationEvent('TOTP_RECOVERY_CODES_REGENERATED', username, req.ip, true);
+
+                res.json({
+                    success: true,
+                    message: 'Recovery codes regenerated',
+                    recoveryCodes: result.recoveryCodes
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'regenerate recovery codes');
+            }
+        });
+
+        // POST /account/totp/disable - Turn off two-factor (requires current code)
+        this.router.post('/account/totp/disable', csrfProtection, async (req, res) => {
+            const username = req.session.username;
+
+            try {
+                await this.userConfig.verifySecondFactor(username, req.body.code);
+                await this.userConfig.disableTotp(username);
+
+                this.logAuthenticationEvent('TOTP_DISABLED', username, req.ip, true);
+
+                res.json({
+                    success: true,
+                    message: 'Two-factor authentication disabled'
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'disable two-factor authentication');
+            }
+        });
+    }
+
+    /**
+     * Map user store errors to HTTP responses
+     */
+    handleError(req, res, error, action) {
+        const statusByCode = {
+            USER_NOT_FOUND: 404,
+            INVALID_TOTP: 400,
+            TOTP_ALREADY_ENABLED: 409,
+            TOTP_NOT_PENDING: 409,
+            TOTP_NOT_ENABLED: 409
+        };
+        const status = statusByCode[error.code];
+
+        if (error.code === 'INVALID_TOTP') {
+            this.logAuthenticationEvent('TOTP_VERIFICATION_FAILED', req.session.username, req.ip, false, { action });
+        }
+
+        if (!status) {
+            this.logger.error(`Failed to ${action}`, {
+                error: error.message,
+                username: req.session.username
+            });
+        }
+
+        return res.status(status || 500).json({
+            success: false,
+            error: status ? error.message : `Failed to ${action}`
+        });
+    }
+
+    /**
+     * Log authentication events
+     */
+    logAuthenticationEvent(event, username, clientIP, success, details = {}) {
+        if (this.loggingService && this.loggingService.logAuthenticationEvent) {
+            this.loggingService.logAuthenticationEvent(event, username, clientIP, success, details);
+        } else {
+            // Fallback to regular logger
+            this.logger[success ? 'info' : 'warn'](`Authentication ${event}`, {
+                username,
+                clientIP,
+                ...details
+            });
+        }
+    }
+
+    /**
+     * Get router instance
+     */
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = AccountRoutes;
@@ -1,5 +1,6 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const UserConfigManager = require('../utils/user-config');
 const { 
     createLoginRateLimit, 
     createCSRFProtection 
@@ -10,15 +11,19 @@ const {
  * This is separate from the JWT-based API authentication
  */
 class WebAuthRoutes {
-    constructor(logger, loggingService, basicHealthService) {
+    constructor(logger, loggingService, basicHealthService, options = {}) {
         this.router = express.Router();
         this.logger = logger;
         this.loggingService = loggingService;
         this.basicHealthService = basicHealthService;
         
+        // Web users are stored in web-users.json (seeded from environment on first start)
+        this.userConfig = options.userConfig || new UserConfigManager(logger);
+        
         // Configuration
         this.maxFailedAttempts = parseInt(process.env.MAX_FAILED_ATTEMPTS) || 5;
         this.lockoutDuration = parseInt(process.env.LOCKOUT_DURATION) || 15 * 60 * 1000; // 15 minutes
+        this.totpChallengeTimeout = 5 * 60 * 1000; // 5 minutes to enter the second factor
         
         // In-memory store for failed attempts (in production, use Redis or database)
         this.failedAttempts = new Map();
@@ -75,24 +80,20 @@ class WebAuthRoutes {
                     return this.sendLoginError(res, 'Account temporarily locked due to too many failed attempts');
                 }
 
-                // Get admin credentials from environment
-                const validUsername = process.env.WEB_ADMIN_USERNAME || process.env.VPN_USERNAME;
-                const validPasswordHash = process.env.WEB_ADMIN_PASSWORD_HASH || process.env.VPN_PASSWORD_HASH;
-
-                if (!validUsername || !validPasswordHash) {
-                    this.logger.error('Web authentication credentials not configured');
-                    return this.sendLoginError(res, 'Authentication system not properly configured');
-                }
-
-                // Verify credentials
-                const isValidUsername = username === validUsername;
-                const isValidPassword = isValidUsername ? await this.verifyPassword(password, validPasswordHash) : false;
+                // Verify credentials against the user store
+                let authResult;
+                try {
+                    authResult = await this.userConfig.authenticateUser(username, password);
+                } catch (authError) {
+                    if (authError.code !== 'INVALID_CREDENTIALS' && authError.code !== 'USER_DISABLED') {
+                        throw authError;
+                    }
 
-                if (!isValidUsername || !isValidPassword) {
+                    const isDisabled = authError.code === 'USER_DISABLED';
                     this.recordFailedAttempt(username, clientIP);
                     
-                    this.logAuthenticationEvent('FAILED', username, clientIP, false, {
-                        reason: 'Invalid credentials',
+                    this.logAuthenticationEvent(isDisabled ? 'DISABLED_ACCOUNT_ATTEMPT' : 'FAILED', username, clientIP, false, {
+                        reason: authError.message,
                         duration: (Date.now() - startTime) / 1000
                     });
                     
@@ -100,54 +101,18 @@ class WebAuthRoutes {
                         this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
                     }
                     
-                    return this.sendLoginError(res, 'Invalid username or password');
+                    return this.sendLoginError(res, isDisabled ? 'Account is disabled' : 'Invalid username or password');
+                }
+
+                // With two-factor enabled the password alone does not clear the lockout counter
+                if (authResult.user.totpEnabled) {
+                    return this.startTotpChallenge(req, res, authResult.user, startTime);
                 }
 
                 // Clear failed attempts on successful authentication
                 this.clearFailedAttempts(username, clientIP);
 
-                // Regenerate session ID to prevent session fixation
-                req.session.regenerate((err) => {
-                    if (err) {
-                        this.logger.error('Session regeneration failed', { error: err.message });
-                        return this.sendLoginError(res, 'Login failed due to session error');
-                    }
-
-                    // Set session data
-                    req.session.authenticated = true;
-                    req.session.user = username; // This is what authenticateWebUser expects
-                    req.session.username = username; // Keep for backward compatibility
-                    req.session.loginTime = new Date();
-                    req.session.lastActivity = new Date();
-
-                    // Save session
-                    req.session.save((err) => {
-                        if (err) {
-                            this.logger.error('Session save failed', { error: err.message });
-                            return this.sendLoginError(res, 'Login failed due to session error');
-                        }
-
-                        this.logAuthenticationEvent('SUCCESS', username, clientIP, true, {
-                            sessionId: req.session.id,
-                            duration: (Date.now() - startTime) / 1000
-                        });
-                        
-                        if (this.basicHealthService) {
-                            this.basicHealthService.recordAuthAttempt('success', username, clientIP);
-                        }
-
-                        // Respond based on request type
-                        if (req.xhr || req.headers.accept?.includes('application/json')) {
-                            res.json({
-                                success: true,
-                                message: 'Login successful',
-                                redirectUrl: '/certificates'
-                            });
-                        } else {
-                            res.redirect('/certificates');
-                        }
-                    });
-                });
+                await this.establishSession(req, res, authResult.user, startTime);
 
             } catch (error) {
                 this.logAuthenticationEvent('ERROR', username || 'unknown', clientIP, false, {
@@ -165,6 +130,94 @@ class WebAuthRoutes {
             }
         });
 
+        // POST /login/totp - Second login step for users with two-factor authentication
+        this.router.post('/login/totp', loginRateLimit, csrfProtection, async (req, res) => {
+            const startTime = Date.now();
+            const { code } = req.body;
+            const clientIP = req.ip;
+            const pending = req.session.pendingTotp;
+
+            if (!pending || pending.expiresAt < Date.now()) {
+                delete req.session.pendingTotp;
+                return this.sendLoginError(res, 'Verification expired. Please sign in again');
+            }
+
+            const username = pending.username;
+
+            try {
+                if (this.isAccountLocked(username, clientIP)) {
+                    delete req.session.pendingTotp;
+
+                    this.logAuthenticationEvent('LOCKED_ACCOUNT_ATTEMPT', username, clientIP, false, {
+                        reason: 'Account temporarily locked',
+                        step: 'totp'
+                    });
+
+                    if (this.basicHealthService) {
+                        this.basicHealthService.recordAuthAttempt('locked', username, clientIP);
+                    }
+
+                    return this.sendLoginError(res, 'Account temporarily locked due to too many failed attempts');
+                }
+
+                const user = await this.userConfig.getUser(username);
+                if (!user || !user.isActive) {
+                    delete req.session.pendingTotp;
+                    return this.sendLoginError(res, 'Account is disabled');
+                }
+
+                let verification;
+                try {
+                    verification = await this.userConfig.verifySecondFactor(username, code);
+                } catch (verifyError) {
+                    if (verifyError.code !== 'INVALID_TOTP') {
+                        throw verifyError;
+                    }
+
+                    // TOTP failures count towards the same lockout as password failures
+                    this.recordFailedAttempt(username, clientIP);
+
+                    this.logAuthenticationEvent('TOTP_FAILED', username, clientIP, false, {
+                        reason: verifyError.message,
+                        duration: (Date.now() - startTime) / 1000
+                    });
+
+                    if (this.basicHealthService) {
+                        this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
+                    }
+
+                    if (this.isAccountLocked(username, clientIP)) {
+                        delete req.session.pendingTotp;
+                        return this.sendLoginError(res, 'Account temporarily locked due to too many failed attempts');
+                    }
+
+                    return this.sendLoginError(res, 'Invalid verification code');
+                }
+
+                this.clearFailedAttempts(username, clientIP);
+
+                await this.establishSession(req, res, user, startTime, {
+                    secondFactor: verification.method,
+                    remainingRecoveryCodes: verification.remainingRecoveryCodes
+                });
+
+            } catch (error) {
+                this.logAuthenticationEvent('ERROR', username, clientIP, false, {
+                    error: error.message,
+                    step: 'totp',
+                    duration: (Date.now() - startTime) / 1000
+                });
+
+                this.logger.error('Two-factor verification error', {
+                    error: error.message,
+                    username,
+                    clientIP
+                });
+
+                return this.sendLoginError(res, 'An error occurred during login');
+            }
+        });
+
         // POST /logout - Destroy session and redirect
         this.router.post('/logout', (req, res) => {
             const username = req.session?.username;
@@ -209,6 +262,94 @@ class WebAuthRoutes {
         });
     }
 
+    /**
+     * Remember a password-verified user in the session until the TOTP code is checked
+     */
+    startTotpChallenge(req, res, user, startTime) {
+        req.session.pendingTotp = {
+            username: user.username,
+            expiresAt: Date.now() + this.totpChallengeTimeout
+        };
+
+        req.session.save((err) => {
+            if (err) {
+                this.logger.error('Session save failed', { error: err.message });
+                return this.sendLoginError(res, 'Login failed due to session error');
+            }
+
+            this.logAuthenticationEvent('TOTP_REQUIRED', user.username, req.ip, true, {
+                duration: (Date.now() - startTime) / 1000
+            });
+
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                res.json({
+                    success: true,
+                    totpRequired: true,
+                    message: 'Enter the code from your authenticator app'
+                });
+            } else {
+                res.redirect('/login?step=totp');
+            }
+        });
+    }
+
+    /**
+     * Start an authenticated session after all login steps succeeded
+     */
+    async establishSession(req, res, user, startTime, details = {}) {
+        const username = user.username;
+        const clientIP = req.ip;
+
+        // Only now is it a login: a password whose second factor never came is not counted.
+        // recordLogin logs its own failures, which do not stop the sign-in
+        await this.userConfig.recordLogin(username).catch(() => {});
+
+        // Regenerate session ID to prevent session fixation
+        req.session.regenerate((err) => {
+            if (err) {
+                this.logger.error('Session regeneration failed', { error: err.message });
+                return this.sendLoginError(res, 'Login failed due to session error');
+            }
+
+            // Set session data
+            req.session.authenticated = true;
+            req.session.user = username; // This is what authenticateWebUser expects
+            req.session.username = username; // Keep for backward compatibility
+            req.session.role = user.role;
+            req.session.loginTime = new Date();
+            req.session.lastActivity = new Date();
+
+            // Save session
+            req.session.save((err) => {
+                if (err) {
+                    this.logger.error('Session save failed', { error: err.message });
+                    return this.sendLoginError(res, 'Login failed due to session error');
+                }
+
+                this.logAuthenticationEvent('SUCCESS', username, clientIP, true, {
+                    sessionId: req.session.id,
+                    duration: (Date.now() - startTime) / 1000,
+                    ...details
+                });
+                
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordAuthAttempt('success', username, clientIP);
+                }
+
+                // Respond based on request type
+                if (req.xhr || req.headers.accept?.includes('application/json')) {
+                    res.json({
+                        success: true,
+                        message: 'Login successful',
+                        redirectUrl: '/certificates'
+                    });
+                } else {
+                    res.redirect('/certificates');
+                }
+            });
+        });
+    }
+
     /**
      * Verify password against hash
      */
@@ -275,11 +416,14 @@ class WebAuthRoutes {
      */
     cleanupFailedAttempts() {
         const now = Date.now();
+        let removed = 0;
         for (const [key, attempts] of this.failedAttempts.entries()) {
             if (now - attempts.lastAttempt > this.lockoutDuration) {
                 this.failedAttempts.delete(key);
+                removed++;
             }
         }
+        return removed;
     }
 
     /**
@@ -1,21 +1,43 @@
 const express = require('express');
+const QRCode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
 const { promisify } = require('util');
 const exec = promisify(require('child_process').exec);
 const CertificateManager = require('../utils/certificate-manager');
+const CertificateRegistry = require('../utils/certificate-registry');
+const AccessControl = require('../utils/access-control');
+const OnboardingLinks = require('../utils/onboarding-links');
+const ShareLinkStore = require('../utils/share-links');
+const ClientConfigDir = require('../utils/client-config-dir');
+const AccessGroups = require('../utils/access-groups');
+const AccessSchedule = require('../utils/access-schedule');
+const DnsZone = require('../utils/dns-zone');
+const DnsProviders = require('../utils/dns-providers');
+const { getDnsZoneDomain, getGroupDnsOverride, getWireGuardDnsServers } = require('../utils/dns-settings');
+const PasswordUtils = require('../utils/password-utils');
+const VPNBackend = require('../services/vpn-backend');
+const OpenVPNBackend = require('../services/openvpn-backend');
+const WireGuardBackend = require('../services/wireguard-backend');
 const { 
     requireAuthentication, 
     createCertificateRateLimit,
     createCSRFProtection 
 } = require('../middleware/session-middleware');
 
+// Upper bounds for share links created from the web interface
+const MAX_SHARE_LINK_HOURS = 30 * 24;
+const MAX_SHARE_LINK_DOWNLOADS = 10;
+
+// Generated key passphrases skip symbols so they can be typed on a phone keyboard
+const GENERATED_KEY_PASSPHRASE_LENGTH = 20;
+
 /**
  * Certificate management routes for web interface
  * Provides secure certificate generation, listing, download, and revocation
  */
 class CertificateRoutes {
-    constructor(logger, loggingService, basicHealthService, config) {
+    constructor(logger, loggingService, basicHealthService, config, options = {}) {
         this.router = express.Router();
         this.logger = logger;
         this.loggingService = loggingService;
@@ -23,15 +45,190 @@ class CertificateRoutes {
         this.config = config;
         this.certManager = new CertificateManager(logger);
         
-        // Certificate metadata storage (in production, use database)
-        this.certificateMetadata = new Map();
+        // Persistent certificate metadata (survives restarts)
+        this.registry = options.registry || new CertificateRegistry(logger, {
+            registryFile: path.join(config.certificates.dir, 'certificate-registry.json')
+        });
+        this.registryReady = null;
+
+        // VPN backends keyed by tunnel type; registry records without a backend are OpenVPN.
+        // WireGuard is always loaded so existing peers can be downloaded and revoked,
+        // but new devices can only use it when it is enabled.
+        const wireguardConfig = config.wireguard || {};
+        this.backends = {
+            openvpn: new OpenVPNBackend(logger, {
+                certManager: this.certManager,
+                certDir: config.certificates.dir
+            }),
+            wireguard: new WireGuardBackend(logger, {
+                ...wireguardConfig,
+                dns: getWireGuardDnsServers(config),
+                dir: wireguardConfig.dir || path.join(config.certificates.dir, 'wireguard'),
+                registry: this.registry
+            }),
+            ...options.backends
+        };
+        this.enabledTunnelTypes = options.tunnelTypes ||
+            ['openvpn', ...(wireguardConfig.enabled ? ['wireguard'] : [])];
+
+        // Single-use links behind the QR codes shown for phone onboarding
+        const webConfig = config.web || {};
+        this.publicUrl = webConfig.publicUrl || null;
+        this.onboardingLinks = options.onboardingLinks || new OnboardingLinks(logger, {
+            ttlMinutes: webConfig.onboardingLinkTtlMinutes
+        });
+
+        // Signed share links for downloading a profile without an account
+        this.shareLinks = options.shareLinks || new ShareLinkStore(logger, {
+            storeFile: path.join(config.certificates.dir, 'share-links.json')
+        });
+
+        // Per-client OpenVPN directives, such as static addresses, in the server's client-config-dir
+        const vpnConfig = config.vpn || {};
+        this.clientConfigDir = options.clientConfigDir || new ClientConfigDir(logger, {
+            dir: path.join(config.certificates.dir, 'ccd'),
+            subnet: vpnConfig.subnet,
+            netmask: vpnConfig.netmask,
+            staticAddresses: vpnConfig.staticAddresses
+        });
+
+        // Named groups deciding which networks a client may reach; applied by the client-connect hook
+        const accessGroupConfig = vpnConfig.accessGroups || {};
+        this.accessGroups = options.accessGroups || new AccessGroups(logger, {
+            storeFile: path.join(config.certificates.dir, 'access-groups.json'),
+            lanSubnets: accessGroupConfig.lanSubnets,
+            defaultGroup: accessGroupConfig.default
+        });
+
+        // Family DNS zone (laptop-anna.family.lan) answered by the filtering DNS forwarder
+        const dnsConfig = config.dns || {};
+        this.dnsZoneServed = Boolean(getDnsZoneDomain(config));
+        this.dnsZone = options.dnsZone || new DnsZone(logger, {
+            storeFile: path.join(config.certificates.dir, 'dns-zone.json'),
+            domain: dnsConfig.zone && dnsConfig.zone.domain
+        });
+
+        // Optional UserConfigManager used to validate certificate assignments
+        this.userConfig = options.userConfig || null;
+
+        // Optional OpenVPN management client used to show and end live sessions
+        this.management = options.management || null;
+
+        // Expiry warning window and how long a renewed certificate's old serial stays valid
+        this.expiryWarningDays = config.certificates.expiryWarningDays || 30;
+        this.renewalGraceHours = config.certificates.renewalGraceHours ?? 72;
         
         this.setupRoutes();
     }
 
+    /**
+     * Load the certificate registry, rebuilding it from the Easy-RSA index if needed
+     */
+    ensureRegistry() {
+        if (!this.registryReady) {
+            this.registryReady = this.certManager.initPromise
+                .catch(() => null)
+                .then(() => {
+                    const easyrsaPath = this.certManager.easyrsaPath || path.join(process.cwd(), 'easy-rsa');
+                    return this.registry.initialize(path.join(easyrsaPath, 'pki', 'index.txt'));
+                })
+                .catch(error => {
+                    this.registryReady = null;
+                    throw error;
+                });
+        }
+        return this.registryReady;
+    }
+
     setupRoutes() {
-        // Apply authentication to all certificate routes
-        this.router.use(requireAuthentication());
+        // GET /onboard/:token - Profile behind a QR code; the single-use token replaces the login
+        this.router.get('/onboard/:token', async (req, res) => {
+            const clientIP = req.ip;
+            res.setHeader('Cache-Control', 'no-store');
+
+            // Link previews probe with HEAD; only a real GET uses the link up
+            const link = req.method === 'HEAD'
+                ? this.onboardingLinks.peek(req.params.token)
+                : this.onboardingLinks.consume(req.params.token);
+
+            if (!link) {
+                this.logger.warn('Invalid or expired onboarding link used', { clientIP });
+                return res.status(404).json({
+                    success: false,
+                    error: 'This link has expired or was already used'
+                });
+            }
+
+            if (req.method === 'HEAD') {
+                return res.status(200).end();
+            }
+
+            const name = link.clientName;
+
+            try {
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+
+                if (metadata && metadata.status === 'revoked') {
+                    return res.status(410).json({
+                        success: false,
+                        error: 'Certificate has been revoked'
+                    });
+                }
+
+                const format = link.format || this.getBackend(metadata).nativeFormat;
+                const profile = await this.loadClientProfile(name, metadata, format);
+
+                this.logCertificateEvent('DOWNLOAD', name, link.createdBy, clientIP, {
+                    format,
+                    via: 'onboarding-link',
+                    fileSize: Buffer.byteLength(profile.content, 'utf8')
+                });
+
+                if (metadata) {
+                    await this.registry.update(name, {
+                        lastDownloadedAt: new Date().toISOString(),
+                        lastDownloadedBy: link.createdBy,
+                        downloadCount: (metadata.downloadCount || 0) + 1
+                    });
+                }
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordCertificateOperation('download', 'success', link.createdBy);
+                }
+
+                res.setHeader('Content-Type', profile.contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${profile.filename}"`);
+                res.setHeader('Content-Length', Buffer.byteLength(profile.content, 'utf8'));
+
+                res.send(profile.content);
+
+            } catch (error) {
+                this.logger.error('Onboarding download failed', {
+                    error: error.message,
+                    name,
+                    clientIP
+                });
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordCertificateOperation('download', 'failed', link.createdBy);
+                }
+
+                res.status(error.code === 'PROFILE_NOT_FOUND' ? 404 : 500).json({
+                    success: false,
+                    error: 'Failed to download certificate'
+                });
+            }
+        });
+
+        // GET /share/:token - Share link; PIN-protected links show a PIN form first
+        this.router.get('/share/:token', (req, res) => this.handleShareLink(req, res));
+
+        // POST /share/:token - Submit the PIN of a share link
+        this.router.post('/share/:token', (req, res) => this.handleShareLink(req, res, req.body && req.body.pin));
+
+        // Apply authentication to all certificate routes; the API routers mounted after this one do their own
+        this.router.use('/certificates', requireAuthentication());
         
         // Apply rate limiting for certificate operations
         const certificateRateLimit = createCertificateRateLimit(this.logger);
@@ -49,11 +246,16 @@ class CertificateRoutes {
                 }
 
                 // For API requests, return certificate list
-                const certificates = await this.listCertificates();
+                const user = this.getSessionUser(req);
+                const certificates = this.filterCertificates(user, await this.listCertificates());
                 res.json({
                     success: true,
                     certificates,
-                    count: certificates.length
+                    count: certificates.length,
+                    role: user.role,
+                    canGenerate: AccessControl.canCreate(user),
+                    tunnelTypes: this.getTunnelTypes(),
+                    expiryWarningDays: this.expiryWarningDays
                 });
 
             } catch (error) {
@@ -78,7 +280,8 @@ class CertificateRoutes {
         // GET /certificates/list - API endpoint for certificate list
         this.router.get('/certificates/list', async (req, res) => {
             try {
-                const certificates = await this.listCertificates();
+                const user = this.getSessionUser(req);
+                const certificates = this.filterCertificates(user, await this.listCertificates());
                 
                 if (this.basicHealthService) {
                     this.basicHealthService.recordHttpRequest('GET', '/certificates/list', 200);
@@ -88,6 +291,12 @@ class CertificateRoutes {
                     success: true,
                     certificates,
                     count: certificates.length,
+                    role: user.role,
+                    canGenerate: AccessControl.canCreate(user),
+                    tunnelTypes: this.getTunnelTypes(),
+                    vpnSubnet: this.clientConfigDir.subnet.toCIDR(),
+                    staticRange: this.clientConfigDir.getStaticRange(),
+                    expiryWarningDays: this.expiryWarningDays,
                     timestamp: new Date().toISOString()
                 });
 
@@ -113,10 +322,16 @@ class CertificateRoutes {
             const startTime = Date.now();
             
             let { clientName } = req.body;
+            const tunnelType = req.body.tunnelType || 'openvpn';
             const username = req.session.username;
             const clientIP = req.ip;
 
             try {
+                // Guests may only use certificates assigned to them
+                if (!AccessControl.canCreate(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'generate', typeof clientName === 'string' ? clientName : 'unknown');
+                }
+
                 // Validate input
                 if (!clientName || typeof clientName !== 'string') {
                     return res.status(400).json({
@@ -135,9 +350,27 @@ class CertificateRoutes {
                     });
                 }
 
-                // Check if certificate already exists
-                const existingCerts = await this.listCertificates();
-                const exists = existingCerts.some(cert => cert.name === clientName);
+                if (!this.enabledTunnelTypes.includes(tunnelType)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unsupported tunnel type. Use one of: ${this.enabledTunnelTypes.join(', ')}`
+                    });
+                }
+                const backend = this.backends[tunnelType];
+
+                const keyProtection = this.parseKeyProtection(req.body, backend);
+                if (keyProtection.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: keyProtection.error
+                    });
+                }
+
+                // Check if certificate already exists; a revoked name can be issued again
+                const existing = await this.registry.get(clientName);
+                const exists = existing
+                    ? existing.status === 'active'
+                    : (await this.listCertificates()).some(cert => cert.name === clientName);
                 
                 if (exists) {
                     return res.status(409).json({
@@ -148,31 +381,45 @@ class CertificateRoutes {
 
                 // Log certificate generation start
                 this.logCertificateEvent('GENERATION_STARTED', clientName, username, clientIP, {
-                    requestId: this.generateRequestId()
+                    requestId: this.generateRequestId(),
+                    tunnelType
                 });
 
-                // Generate certificate using certificate manager
-                await this.certManager.generateClientCertificate(clientName);
+                // Issue the certificate or create the peer with the chosen backend
+                const backendMetadata = await backend.createClient(clientName, {
+                    keyPassphrase: keyProtection.passphrase
+                });
 
                 // Store certificate metadata
-                const metadata = {
+                const metadata = await this.registry.set(clientName, {
                     name: clientName,
-                    createdAt: new Date(),
+                    createdAt: new Date().toISOString(),
                     createdBy: username,
                     status: 'active',
                     clientIP: clientIP,
-                    serialNumber: await this.getCertificateSerial(clientName),
-                    expiresAt: await this.getCertificateExpiry(clientName)
-                };
+                    ...(backend.usesCertificates ? {
+                        serialNumber: await this.getCertificateSerial(clientName),
+                        expiresAt: await this.getCertificateExpiry(clientName)
+                    } : {}),
+                    assignedTo: [],
+                    source: 'web',
+                    ...backendMetadata
+                });
 
-                this.certificateMetadata.set(clientName, metadata);
+                // The default access group may come with its own DNS provider
+                await this.syncDnsOverride(metadata).catch(error => {
+                    this.logger.warn('Failed to write DNS override', { name: clientName, error: error.message });
+                });
 
                 const duration = (Date.now() - startTime) / 1000;
 
                 // Log successful generation
                 this.logCertificateEvent('GENERATION_SUCCESS', clientName, username, clientIP, {
                     duration,
-                    serialNumber: metadata.serialNumber
+                    tunnelType,
+                    serialNumber: metadata.serialNumber,
+                    address: metadata.address,
+                    keyProtected: Boolean(metadata.keyProtected)
                 });
 
                 if (this.basicHealthService) {
@@ -180,15 +427,21 @@ class CertificateRoutes {
                     this.basicHealthService.recordHttpRequest('POST', '/certificates/generate', 201);
                 }
 
+                // A generated passphrase is only ever shown in this response
+                res.setHeader('Cache-Control', 'no-store');
                 res.status(201).json({
                     success: true,
                     message: 'Certificate generated successfully',
                     certificate: {
                         name: clientName,
+                        tunnelType,
                         createdAt: metadata.createdAt,
                         status: metadata.status,
+                        address: metadata.address,
+                        keyProtected: Boolean(metadata.keyProtected),
                         downloadUrl: `/certificates/download/${clientName}`
-                    }
+                    },
+                    keyPassphrase: keyProtection.generated ? keyProtection.passphrase : undefined
                 });
 
             } catch (error) {
@@ -196,6 +449,7 @@ class CertificateRoutes {
 
                 this.logCertificateEvent('GENERATION_FAILED', clientName || 'unknown', username, clientIP, {
                     error: error.message,
+                    tunnelType,
                     duration
                 });
 
@@ -206,19 +460,22 @@ class CertificateRoutes {
                     clientIP
                 });
 
+                // Configuration problems the administrator can fix are reported as such
+                const statusCode = { WIREGUARD_NOT_CONFIGURED: 503, SUBNET_EXHAUSTED: 409 }[error.code] || 500;
+
                 if (this.basicHealthService) {
                     this.basicHealthService.recordCertificateOperation('generate', 'failed', username);
-                    this.basicHealthService.recordHttpRequest('POST', '/certificates/generate', 500);
+                    this.basicHealthService.recordHttpRequest('POST', '/certificates/generate', statusCode);
                 }
 
-                res.status(500).json({
+                res.status(statusCode).json({
                     success: false,
-                    error: 'Failed to generate certificate'
+                    error: statusCode === 500 ? 'Failed to generate certificate' : error.message
                 });
             }
         });
 
-        // GET /certificates/download/:name - Download certificate file
+        // GET /certificates/download/:name?format= - Download the client profile, optionally in another format
         this.router.get('/certificates/download/:name', async (req, res) => {
             const { name } = req.params;
             const username = req.session.username;
@@ -233,45 +490,76 @@ class CertificateRoutes {
                     });
                 }
 
-                // Check if certificate exists
-                const certPath = path.join(this.config.certificates.dir, `${name}.ovpn`);
-                
-                try {
-                    await fs.access(certPath);
-                } catch (error) {
-                    this.logger.warn('Certificate download attempted for non-existent certificate', {
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!AccessControl.canDownload(this.getSessionUser(req), metadata)) {
+                    return this.denyAccess(req, res, 'download', name);
+                }
+
+                // Revoked certificates must not be handed out again
+                if (metadata && metadata.status === 'revoked') {
+                    this.logger.warn('Certificate download attempted for revoked certificate', {
                         name,
                         username,
                         clientIP
                     });
 
-                    return res.status(404).json({
+                    return res.status(410).json({
                         success: false,
-                        error: 'Certificate not found'
+                        error: 'Certificate has been revoked'
                     });
                 }
 
-                // Read certificate file
-                const certData = await fs.readFile(certPath, 'utf8');
+                const format = req.query.format || this.getBackend(metadata).nativeFormat;
+                const profile = await this.loadClientProfile(name, metadata, format);
 
                 // Log download event
                 this.logCertificateEvent('DOWNLOAD', name, username, clientIP, {
-                    fileSize: certData.length
+                    format,
+                    fileSize: Buffer.byteLength(profile.content, 'utf8')
                 });
 
+                if (metadata) {
+                    await this.registry.update(name, {
+                        lastDownloadedAt: new Date().toISOString(),
+                        lastDownloadedBy: username,
+                        downloadCount: (metadata.downloadCount || 0) + 1
+                    });
+                }
+
                 if (this.basicHealthService) {
                     this.basicHealthService.recordCertificateOperation('download', 'success', username);
                     this.basicHealthService.recordHttpRequest('GET', `/certificates/download/${name}`, 200);
                 }
 
                 // Set appropriate headers for file download
-                res.setHeader('Content-Type', 'application/octet-stream');
-                res.setHeader('Content-Disposition', `attachment; filename="${name}.ovpn"`);
-                res.setHeader('Content-Length', Buffer.byteLength(certData, 'utf8'));
+                res.setHeader('Content-Type', profile.contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${profile.filename}"`);
+                res.setHeader('Content-Length', Buffer.byteLength(profile.content, 'utf8'));
 
-                res.send(certData);
+                res.send(profile.content);
 
             } catch (error) {
+                const statusCode = {
+                    UNSUPPORTED_FORMAT: 400,
+                    PROFILE_NOT_FOUND: 404,
+                    VPN_HOST_NOT_CONFIGURED: 503
+                }[error.code];
+                if (statusCode) {
+                    this.logger.warn('Certificate download rejected', {
+                        error: error.message,
+                        name,
+                        username,
+                        clientIP
+                    });
+
+                    return res.status(statusCode).json({
+                        success: false,
+                        error: error.message,
+                        formats: error.formats
+                    });
+                }
+
                 this.logger.error('Certificate download failed', {
                     error: error.message,
                     name,
@@ -291,14 +579,13 @@ class CertificateRoutes {
             }
         });
 
-        // POST /certificates/revoke/:name - Revoke certificate
-        this.router.post('/certificates/revoke/:name', csrfProtection, async (req, res) => {
+        // POST /certificates/onboarding/:name - Short-lived QR code link for installing on a phone
+        this.router.post('/certificates/onboarding/:name', csrfProtection, async (req, res) => {
             const { name } = req.params;
             const username = req.session.username;
             const clientIP = req.ip;
-            
+
             try {
-                // Validate certificate name
                 if (!this.isValidClientName(name)) {
                     return res.status(400).json({
                         success: false,
@@ -306,189 +593,1775 @@ class CertificateRoutes {
                     });
                 }
 
-                // Check if certificate exists and is not already revoked
-                const metadata = this.certificateMetadata.get(name);
-                if (!metadata) {
-                    return res.status(404).json({
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!AccessControl.canDownload(this.getSessionUser(req), metadata)) {
+                    return this.denyAccess(req, res, 'download', name);
+                }
+
+                if (metadata && metadata.status === 'revoked') {
+                    return res.status(410).json({
                         success: false,
-                        error: 'Certificate not found'
+                        error: 'Certificate has been revoked'
                     });
                 }
 
-                if (metadata.status === 'revoked') {
-                    return res.status(409).json({
+                const backend = this.getBackend(metadata);
+                const format = req.body.format || backend.nativeFormat;
+                const formats = backend.getExportFormats(metadata).map(entry => entry.format);
+                if (!formats.includes(format)) {
+                    return res.status(400).json({
                         success: false,
-                        error: 'Certificate is already revoked'
+                        error: `Unsupported format for ${backend.label} profiles`,
+                        formats
                     });
                 }
 
-                // Revoke certificate using Easy-RSA
-                await this.revokeCertificate(name);
-
-                // Update metadata
-                metadata.status = 'revoked';
-                metadata.revokedAt = new Date();
-                metadata.revokedBy = username;
-                this.certificateMetadata.set(name, metadata);
+                try {
+                    await fs.access(backend.getClientConfigPath(name));
+                } catch (error) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
 
-                // Log revocation event
-                this.logCertificateEvent('REVOCATION_SUCCESS', name, username, clientIP, {
-                    serialNumber: metadata.serialNumber
+                const link = this.onboardingLinks.create(name, { createdBy: username, format });
+                const url = `${this.getPublicBaseUrl(req)}/onboard/${link.token}`;
+                const qrCodeSvg = await QRCode.toString(url, {
+                    type: 'svg',
+                    errorCorrectionLevel: 'M',
+                    margin: 1
                 });
 
-                if (this.basicHealthService) {
-                    this.basicHealthService.recordCertificateOperation('revoke', 'success', username);
-                    this.basicHealthService.recordHttpRequest('POST', `/certificates/revoke/${name}`, 200);
-                }
+                this.logCertificateEvent('ONBOARDING_LINK_CREATED', name, username, clientIP, {
+                    format,
+                    expiresAt: link.expiresAt
+                });
 
                 res.json({
                     success: true,
-                    message: 'Certificate revoked successfully',
-                    certificate: {
-                        name,
-                        status: 'revoked',
-                        revokedAt: metadata.revokedAt,
-                        revokedBy: username
-                    }
+                    url,
+                    format,
+                    expiresAt: link.expiresAt,
+                    qrCodeSvg
                 });
 
             } catch (error) {
-                this.logCertificateEvent('REVOCATION_FAILED', name, username, clientIP, {
-                    error: error.message
-                });
-
-                this.logger.error('Certificate revocation failed', {
+                this.logger.error('Onboarding link creation failed', {
                     error: error.message,
                     name,
                     username,
                     clientIP
                 });
 
-                if (this.basicHealthService) {
-                    this.basicHealthService.recordCertificateOperation('revoke', 'failed', username);
-                    this.basicHealthService.recordHttpRequest('POST', `/certificates/revoke/${name}`, 500);
-                }
-
                 res.status(500).json({
                     success: false,
-                    error: 'Failed to revoke certificate'
+                    error: 'Failed to create onboarding link'
                 });
             }
         });
-    }
-
-    /**
-     * List all certificates with their status
-     */
-    async listCertificates() {
-        try {
-            const certificates = [];
-            const certDir = this.config.certificates.dir;
 
-            // Read certificate directory
-            const files = await fs.readdir(certDir);
-            const ovpnFiles = files.filter(file => file.endsWith('.ovpn'));
+        // POST /certificates/share/:name - Create a share link with an expiry, download limit and optional PIN
+        this.router.post('/certificates/share/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const username = req.session.username;
+            const clientIP = req.ip;
 
-            for (const file of ovpnFiles) {
-                const name = path.basename(file, '.ovpn');
-                
-                // Skip server certificates
-                if (name === 'server' || name === this.config.certificates.serverCertName) {
-                    continue;
+            try {
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
                 }
 
-                const filePath = path.join(certDir, file);
-                const stats = await fs.stat(filePath);
-                
-                // Get metadata if available
-                let metadata = this.certificateMetadata.get(name);
-                
-                // If no metadata exists, create basic metadata from file
-                if (!metadata) {
-                    metadata = {
-                        name,
-                        createdAt: stats.birthtime || stats.mtime,
-                        status: 'active',
-                        serialNumber: await this.getCertificateSerial(name).catch(() => 'unknown'),
-                        expiresAt: await this.getCertificateExpiry(name).catch(() => null)
-                    };
-                    this.certificateMetadata.set(name, metadata);
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!AccessControl.canDownload(this.getSessionUser(req), metadata)) {
+                    return this.denyAccess(req, res, 'share', name);
                 }
 
-                certificates.push({
-                    name: metadata.name,
-                    createdAt: metadata.createdAt,
-                    createdBy: metadata.createdBy || 'unknown',
-                    status: metadata.status,
-                    serialNumber: metadata.serialNumber,
-                    expiresAt: metadata.expiresAt,
-                    revokedAt: metadata.revokedAt,
-                    revokedBy: metadata.revokedBy,
-                    fileSize: stats.size,
-                    lastModified: stats.mtime
-                });
-            }
+                if (!metadata || metadata.status !== 'active') {
+                    return res.status(metadata ? 410 : 404).json({
+                        success: false,
+                        error: metadata ? `Certificate is ${metadata.status}` : 'Certificate not found'
+                    });
+                }
 
-            // Sort by creation date (newest first)
-            certificates.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+                const options = this.parseShareLinkOptions(req.body);
+                if (options.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: options.error
+                    });
+                }
 
-            return certificates;
+                const backend = this.getBackend(metadata);
+                const format = req.body.format || backend.nativeFormat;
+                const formats = backend.getExportFormats(metadata).map(entry => entry.format);
+                if (!formats.includes(format)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unsupported format for ${backend.label} profiles`,
+                        formats
+                    });
+                }
 
-        } catch (error) {
-            this.logger.error('Failed to list certificates', { error: error.message });
-            throw new Error('Failed to retrieve certificate list');
-        }
-    }
+                const { link, token } = await this.shareLinks.create(name, {
+                    createdBy: username,
+                    expiresAt: Date.now() + options.expiresInHours * 60 * 60 * 1000,
+                    maxDownloads: options.maxDownloads,
+                    pin: options.pin,
+                    format
+                });
 
-    /**
-     * Revoke a certificate using Easy-RSA
-     */
-    async revokeCertificate(clientName) {
-        try {
-            // Wait for certificate manager initialization
-            await this.certManager.initPromise;
+                this.logCertificateEvent('SHARE_LINK_CREATED', name, username, clientIP, {
+                    linkId: link.id,
+                    format,
+                    expiresAt: link.expiresAt,
+                    maxDownloads: link.maxDownloads,
+                    pinProtected: link.pinProtected
+                });
 
-            const easyrsaPath = this.certManager.easyrsaPath;
-            const platform = require('os').platform();
+                res.status(201).json({
+                    success: true,
+                    link: this.toShareLinkEntry(req, link),
+                    url: `${this.getPublicBaseUrl(req)}/share/${token}`
+                });
 
-            let command;
-            if (platform === 'win32') {
-                command = `cd /d "${easyrsaPath}" && easyrsa revoke ${clientName}`;
-            } else {
-                command = `cd "${easyrsaPath}" && echo yes | ./easyrsa revoke ${clientName}`;
-            }
+            } catch (error) {
+                if (error.code === 'INVALID_SHARE_LINK_OPTIONS') {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
 
-            this.logger.info(`Revoking certificate: ${clientName}`);
-            const { stdout, stderr } = await exec(command);
-            
-            if (stdout) this.logger.info(`Revoke output: ${stdout}`);
-            if (stderr) this.logger.warn(`Revoke stderr: ${stderr}`);
+                this.logger.error('Share link creation failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
 
-            // Generate updated CRL
-            let crlCommand;
-            if (platform === 'win32') {
-                crlCommand = `cd /d "${easyrsaPath}" && easyrsa gen-crl`;
-            } else {
-                crlCommand = `cd "${easyrsaPath}" && ./easyrsa gen-crl`;
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to create share link'
+                });
             }
+        });
+
+        // GET /certificates/shares - Share links for the certificates the user may download
+        this.router.get('/certificates/shares', async (req, res) => {
+            try {
+                await this.ensureRegistry();
+                const user = this.getSessionUser(req);
+                const links = await this.shareLinks.list({ clientName: req.query.name });
+                const visible = [];
+
+                for (const link of links) {
+                    if (AccessControl.canDownload(user, await this.registry.get(link.clientName))) {
+                        visible.push(this.toShareLinkEntry(req, link));
+                    }
+                }
+
+                res.json({
+                    success: true,
+                    links: visible
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to list share links', {
+                    error: error.message,
+                    username: req.session.username
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to list share links'
+                });
+            }
+        });
+
+        // POST /certificates/shares/:id/revoke - Revoke a share link
+        this.router.post('/certificates/shares/:id/revoke', csrfProtection, async (req, res) => {
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                await this.ensureRegistry();
+                const existing = await this.shareLinks.get(req.params.id);
+                if (!existing) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Share link not found'
+                    });
+                }
+
+                // Whoever may share a certificate may also take the link back
+                if (!AccessControl.canDownload(this.getSessionUser(req), await this.registry.get(existing.clientName))) {
+                    return this.denyAccess(req, res, 'share', existing.clientName);
+                }
+
+                const link = await this.shareLinks.revoke(existing.id, username);
+
+                this.logCertificateEvent('SHARE_LINK_REVOKED', link.clientName, username, clientIP, {
+                    linkId: link.id
+                });
+
+                res.json({
+                    success: true,
+                    message: 'Share link revoked',
+                    link: this.toShareLinkEntry(req, link)
+                });
+
+            } catch (error) {
+                this.logger.error('Share link revocation failed', {
+                    error: error.message,
+                    id: req.params.id,
+                    username,
+                    clientIP
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to revoke share link'
+                });
+            }
+        });
+
+        // POST /certificates/revoke/:name - Revoke certificate
+        this.router.post('/certificates/revoke/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const username = req.session.username;
+            const clientIP = req.ip;
+            
+            try {
+                // Validate certificate name
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                // Check if certificate exists and is not already revoked
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                if (!AccessControl.canRevoke(this.getSessionUser(req), metadata)) {
+                    return this.denyAccess(req, res, 'revoke', name);
+                }
+
+                if (metadata.status === 'revoked') {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Certificate is already revoked'
+                    });
+                }
+
+                // Revoke with Easy-RSA for certificates; other backends remove the client themselves
+                const backend = this.getBackend(metadata);
+                if (backend.usesCertificates) {
+                    await this.revokeCertificate(name);
+                } else {
+                    await backend.revokeClient(name);
+                }
+
+                // A renewal's superseded serial must not outlive the revoked certificate
+                if (metadata.pendingRevocation) {
+                    await this.processPendingRevocations(name);
+                }
+
+                // Update metadata
+                const revoked = await this.registry.update(name, {
+                    status: 'revoked',
+                    revokedAt: new Date().toISOString(),
+                    revokedBy: username
+                });
+
+                // Outstanding QR codes and share links must not hand out the revoked profile
+                this.onboardingLinks.revokeClient(name);
+                await this.shareLinks.revokeClient(name, username);
+
+                // Frees a static address for other devices
+                const clientConfigRemoved = backend.supportsClientConfig
+                    ? await this.removeClientConfig(name)
+                    : false;
+
+                // The CRL only stops new connections, so end live sessions too
+                const disconnect = backend.supportsDisconnect
+                    ? await this.disconnectSessions(name)
+                    : { status: 'unavailable', sessions: 0 };
+
+                // Log revocation event
+                this.logCertificateEvent('REVOCATION_SUCCESS', name, username, clientIP, {
+                    serialNumber: metadata.serialNumber,
+                    disconnect,
+                    clientConfigRemoved
+                });
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordCertificateOperation('revoke', 'success', username);
+                    this.basicHealthService.recordHttpRequest('POST', `/certificates/revoke/${name}`, 200);
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Certificate revoked successfully',
+                    certificate: {
+                        name,
+                        status: 'revoked',
+                        revokedAt: revoked.revokedAt,
+                        revokedBy: username
+                    },
+                    disconnect
+                });
+
+            } catch (error) {
+                this.logCertificateEvent('REVOCATION_FAILED', name, username, clientIP, {
+                    error: error.message
+                });
+
+                this.logger.error('Certificate revocation failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordCertificateOperation('revoke', 'failed', username);
+                    this.basicHealthService.recordHttpRequest('POST', `/certificates/revoke/${name}`, 500);
+                }
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to revoke certificate'
+                });
+            }
+        });
+
+        // POST /certificates/disconnect/:name - End live VPN sessions without revoking
+        this.router.post('/certificates/disconnect/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                if (!AccessControl.canDisconnect(this.getSessionUser(req), metadata)) {
+                    return this.denyAccess(req, res, 'disconnect', name);
+                }
+
+                const backend = this.getBackend(metadata);
+                if (!backend.supportsDisconnect) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `${backend.label} sessions cannot be disconnected; revoke the device instead`
+                    });
+                }
+
+                const disconnect = await this.disconnectSessions(name);
+
+                this.logCertificateEvent(disconnect.status === 'disconnected' ? 'SESSION_DISCONNECTED' : 'SESSION_DISCONNECT_FAILED',
+                    name, username, clientIP, { disconnect });
+
+                const statusCodes = {
+                    disconnected: 200,
+                    not_connected: 409,
+                    unavailable: 503,
+                    failed: 500
+                };
+                const statusCode = statusCodes[disconnect.status];
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordHttpRequest('POST', `/certificates/disconnect/${name}`, statusCode);
+                }
+
+                if (statusCode !== 200) {
+                    const errors = {
+                        not_connected: 'Certificate has no active VPN session',
+                        unavailable: 'OpenVPN management interface is unavailable',
+                        failed: 'Failed to disconnect VPN session'
+                    };
+                    return res.status(statusCode).json({
+                        success: false,
+                        error: errors[disconnect.status],
+                        disconnect
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'VPN session disconnected',
+                    disconnect
+                });
+
+            } catch (error) {
+                this.logger.error('Session disconnect failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to disconnect VPN session'
+                });
+            }
+        });
+
+        // POST /certificates/renew/:name - Issue a fresh certificate for the same client name
+        this.router.post('/certificates/renew/:name', csrfProtection, async (req, res) => {
+            const startTime = Date.now();
+            const { name } = req.params;
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                if (!AccessControl.canRenew(this.getSessionUser(req), metadata)) {
+                    return this.denyAccess(req, res, 'renew', name);
+                }
+
+                if (metadata.status !== 'active') {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Cannot renew a ${metadata.status} certificate`
+                    });
+                }
+
+                const backend = this.getBackend(metadata);
+                if (!backend.usesCertificates) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `${backend.label} devices have no certificate to renew`
+                    });
+                }
+
+                // Easy-RSA keeps a single superseded certificate per name until it is revoked
+                if (metadata.pendingRevocation) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'A previous renewal is still in its grace period'
+                    });
+                }
+
+                // The old passphrase is not stored, so a protected key gets a new one unless told otherwise
+                const keyProtection = this.parseKeyProtection(req.body, backend, metadata.keyProtected ? 'generate' : 'none');
+                if (keyProtection.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: keyProtection.error
+                    });
+                }
+
+                this.logCertificateEvent('RENEWAL_STARTED', name, username, clientIP, {
+                    requestId: this.generateRequestId(),
+                    serialNumber: metadata.serialNumber
+                });
+
+                // Issues the new certificate and rewrites the .ovpn
+                await this.certManager.renewClientCertificate(name, {
+                    passphrase: keyProtection.passphrase,
+                    renewWithinDays: this.getRenewalWindowDays(metadata)
+                });
+
+                const renewedAt = new Date();
+                const revokeAfter = new Date(renewedAt.getTime() + this.renewalGraceHours * 60 * 60 * 1000);
+
+                const renewed = await this.registry.update(name, {
+                    serialNumber: await this.getCertificateSerial(name),
+                    expiresAt: await this.getCertificateExpiry(name),
+                    renewedAt: renewedAt.toISOString(),
+                    renewedBy: username,
+                    renewalCount: (metadata.renewalCount || 0) + 1,
+                    keyProtected: Boolean(keyProtection.passphrase),
+                    pendingRevocation: {
+                        serialNumber: metadata.serialNumber,
+                        revokeAfter: revokeAfter.toISOString()
+                    }
+                });
+
+                this.logCertificateEvent('RENEWAL_SUCCESS', name, username, clientIP, {
+                    duration: (Date.now() - startTime) / 1000,
+                    previousSerialNumber: metadata.serialNumber,
+                    serialNumber: renewed.serialNumber,
+                    revokeAfter: revokeAfter.toISOString(),
+                    keyProtected: renewed.keyProtected
+                });
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordCertificateOperation('renew', 'success', username);
+                    this.basicHealthService.recordHttpRequest('POST', `/certificates/renew/${name}`, 200);
+                }
+
+                // Without a grace period the old serial is revoked right away
+                if (this.renewalGraceHours <= 0) {
+                    await this.processPendingRevocations(name);
+                }
+
+                res.setHeader('Cache-Control', 'no-store');
+                res.json({
+                    success: true,
+                    message: 'Certificate renewed successfully',
+                    certificate: {
+                        name,
+                        status: renewed.status,
+                        serialNumber: renewed.serialNumber,
+                        expiresAt: renewed.expiresAt,
+                        renewedAt: renewed.renewedAt,
+                        previousSerialRevokedAfter: revokeAfter.toISOString(),
+                        keyProtected: renewed.keyProtected,
+                        downloadUrl: `/certificates/download/${name}`
+                    },
+                    keyPassphrase: keyProtection.generated ? keyProtection.passphrase : undefined
+                });
+
+            } catch (error) {
+                this.logCertificateEvent('RENEWAL_FAILED', name, username, clientIP, {
+                    error: error.message,
+                    duration: (Date.now() - startTime) / 1000
+                });
+
+                this.logger.error('Certificate renewal failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordCertificateOperation('renew', 'failed', username);
+                    this.basicHealthService.recordHttpRequest('POST', `/certificates/renew/${name}`, 500);
+                }
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to renew certificate'
+                });
+            }
+        });
+
+        // POST /certificates/static-ip/:name - Set or clear a client's fixed VPN address (admin only)
+        this.router.post('/certificates/static-ip/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const address = typeof req.body.address === 'string' ? req.body.address.trim() : req.body.address;
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'static-ip', name);
+                }
+
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                if (address !== null && address !== undefined && typeof address !== 'string') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'address must be a string, or empty to remove the static address'
+                    });
+                }
+
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                const backend = this.getBackend(metadata);
+                if (!backend.supportsClientConfig) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `${backend.label} devices get their address from their own configuration`
+                    });
+                }
+
+                const previousAddress = await this.clientConfigDir.getStaticAddress(name);
+                let staticAddress = null;
+
+                if (address) {
+                    if (metadata.status !== 'active') {
+                        return res.status(409).json({
+                            success: false,
+                            error: `Cannot assign an address to a ${metadata.status} certificate`
+                        });
+                    }
+
+                    // Addresses handed out to other devices right now are taken too
+                    const inUse = new Map();
+                    for (const [commonName, session] of await this.getActiveSessions()) {
+                        if (session.virtualAddress) {
+                            inUse.set(commonName, session.virtualAddress);
+                        }
+                    }
+
+                    staticAddress = await this.clientConfigDir.assignStaticAddress(name, address, inUse);
+                } else {
+                    await this.clientConfigDir.removeStaticAddress(name);
+                }
+
+                this.logCertificateEvent(staticAddress ? 'STATIC_IP_ASSIGNED' : 'STATIC_IP_REMOVED', name, username, clientIP, {
+                    address: staticAddress,
+                    previousAddress
+                });
+
+                res.json({
+                    success: true,
+                    message: staticAddress
+                        ? `${name} will get ${staticAddress} on its next connection`
+                        : 'Static address removed',
+                    certificate: {
+                        name,
+                        staticAddress
+                    }
+                });
+
+            } catch (error) {
+                const statusCode = { INVALID_STATIC_ADDRESS: 400, ADDRESS_CONFLICT: 409 }[error.code];
+                if (statusCode) {
+                    return res.status(statusCode).json({
+                        success: false,
+                        error: error.message,
+                        conflictWith: error.conflictWith
+                    });
+                }
+
+                this.logger.error('Static address update failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to update static address'
+                });
+            }
+        });
+
+        // GET /certificates/access-groups - Built-in and custom access groups (admin only)
+        this.router.get('/certificates/access-groups', async (req, res) => {
+            try {
+                if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'access-groups');
+                }
+
+                res.json({
+                    success: true,
+                    groups: await this.accessGroups.list(),
+                    defaultGroup: this.accessGroups.defaultGroup,
+                    dnsProviders: DnsProviders.list().map(({ name, label }) => ({ name, label }))
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to list access groups', {
+                    error: error.message,
+                    username: req.session.username
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to retrieve access groups'
+                });
+            }
+        });
+
+        // POST /certificates/access-groups/create - Add a custom access group (admin only)
+        this.router.post('/certificates/access-groups/create', csrfProtection, async (req, res) => {
+            const { name, label, description, allow, deny, blocklists, dnsProvider } = req.body;
+
+            await this.handleAccessGroupChange(req, res, 'ACCESS_GROUP_CREATED', name, () =>
+                this.accessGroups.create({ name, label, description, allow, deny, blocklists, dnsProvider }));
+        });
+
+        // POST /certificates/access-groups/update/:group - Change a custom access group (admin only)
+        this.router.post('/certificates/access-groups/update/:group', csrfProtection, async (req, res) => {
+            const { label, description, allow, deny, blocklists, dnsProvider } = req.body;
+
+            await this.handleAccessGroupChange(req, res, 'ACCESS_GROUP_UPDATED', req.params.group, () =>
+                this.accessGroups.update(req.params.group, { label, description, allow, deny, blocklists, dnsProvider }));
+        });
+
+        // POST /certificates/access-groups/delete/:group - Remove a custom access group nobody uses (admin only)
+        this.router.post('/certificates/access-groups/delete/:group', csrfProtection, async (req, res) => {
+            const { group } = req.params;
+
+            await this.handleAccessGroupChange(req, res, 'ACCESS_GROUP_DELETED', group, async () => {
+                await this.ensureRegistry();
+                const members = (await this.registry.list())
+                    .filter(metadata => metadata.status === 'active' && metadata.accessGroup === group)
+                    .map(metadata => metadata.name);
+                if (members.length > 0) {
+                    throw AccessGroups.createAccessGroupError(
+                        `Access group '${group}' is still used by ${members.join(', ')}`,
+                        'ACCESS_GROUP_IN_USE'
+                    );
+                }
+
+                await this.accessGroups.remove(group);
+                return null;
+            });
+        });
+
+        // POST /certificates/access-group/:name - Put a client in an access group (admin only)
+        this.router.post('/certificates/access-group/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const group = typeof req.body.group === 'string' ? req.body.group.trim() : req.body.group;
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'access-group', name);
+                }
+
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                if (group !== null && group !== undefined && typeof group !== 'string') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'group must be a string, or empty to use the default group'
+                    });
+                }
+
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                const backend = this.getBackend(metadata);
+                if (!backend.supportsClientConfig) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Access groups are not enforced for ${backend.label} devices`
+                    });
+                }
+
+                if (group && !(await this.accessGroups.get(group))) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown access group '${group}'`
+                    });
+                }
+
+                await this.registry.update(name, { accessGroup: group || null });
+                await this.syncDnsOverride({ ...metadata, accessGroup: group || null });
+                const accessGroup = group || this.accessGroups.defaultGroup;
+
+                this.logCertificateEvent('ACCESS_GROUP_CHANGED', name, username, clientIP, {
+                    accessGroup,
+                    previousAccessGroup: metadata.accessGroup || this.accessGroups.defaultGroup
+                });
+
+                res.json({
+                    success: true,
+                    message: `${name} will use '${accessGroup}' access on its next connection`,
+                    certificate: {
+                        name,
+                        accessGroup
+                    }
+                });
+
+            } catch (error) {
+                this.logger.error('Access group assignment failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to update access group'
+                });
+            }
+        });
+
+        // POST /certificates/schedule/:name - Set or clear the hours a device may connect (admin only)
+        this.router.post('/certificates/schedule/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'schedule', name);
+                }
+
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                const schedule = AccessSchedule.normalize(req.body.schedule);
+
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                const backend = this.getBackend(metadata);
+                if (!backend.supportsClientConfig) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Schedules are not enforced for ${backend.label} devices`
+                    });
+                }
+
+                await this.registry.update(name, { schedule });
+
+                this.logCertificateEvent(schedule ? 'SCHEDULE_SET' : 'SCHEDULE_REMOVED', name, username, clientIP, {
+                    schedule: AccessSchedule.format(schedule),
+                    previousSchedule: AccessSchedule.format(metadata.schedule)
+                });
+
+                res.json({
+                    success: true,
+                    message: schedule
+                        ? `${name} may connect ${AccessSchedule.format(schedule)}`
+                        : `${name} may connect at any time`,
+                    certificate: {
+                        name,
+                        ...this.getScheduleInfo({ schedule })
+                    }
+                });
+
+            } catch (error) {
+                if (error.code === 'INVALID_ACCESS_SCHEDULE') {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+
+                this.logger.error('Schedule update failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to update schedule'
+                });
+            }
+        });
+
+        // GET /certificates/dns-records - Names in the family DNS zone (admin only)
+        this.router.get('/certificates/dns-records', async (req, res) => {
+            try {
+                if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'dns-records');
+                }
+
+                res.json({
+                    success: true,
+                    domain: this.dnsZone.domain,
+                    served: this.dnsZoneServed,
+                    records: await this.getZoneRecords()
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to list DNS records', {
+                    error: error.message,
+                    username: req.session.username
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to retrieve DNS records'
+                });
+            }
+        });
+
+        // POST /certificates/dns-records/create - Add a name for a home network device (admin only)
+        this.router.post('/certificates/dns-records/create', csrfProtection, async (req, res) => {
+            const { name, address, description } = req.body;
+
+            await this.handleDnsRecordChange(req, res, 'DNS_RECORD_CREATED', name, async () => {
+                // Device names come from certificates and cannot be taken by a manual record
+                await this.ensureRegistry();
+                const recordName = this.dnsZone.normalizeName(name);
+                const certificate = (await this.registry.list()).find(metadata =>
+                    metadata.status === 'active' && recordName && DnsZone.hostnameFor(metadata.name) === recordName);
+                if (certificate) {
+                    throw DnsZone.createDnsRecordError(
+                        `'${recordName}' is the name of certificate '${certificate.name}'`,
+                        'DNS_RECORD_EXISTS'
+                    );
+                }
+
+                return this.dnsZone.create({ name, address, description });
+            });
+        });
+
+        // POST /certificates/dns-records/update/:record - Change a manual record (admin only)
+        this.router.post('/certificates/dns-records/update/:record', csrfProtection, async (req, res) => {
+            const { address, description } = req.body;
+
+            await this.handleDnsRecordChange(req, res, 'DNS_RECORD_UPDATED', req.params.record, () =>
+                this.dnsZone.update(req.params.record, { address, description }));
+        });
+
+        // POST /certificates/dns-records/delete/:record - Remove a manual record (admin only)
+        this.router.post('/certificates/dns-records/delete/:record', csrfProtection, async (req, res) => {
+            await this.handleDnsRecordChange(req, res, 'DNS_RECORD_DELETED', req.params.record, async () => {
+                await this.dnsZone.remove(req.params.record);
+                return null;
+            });
+        });
+
+        // POST /certificates/assign/:name - Assign certificate to guest users (admin only)
+        this.router.post('/certificates/assign/:name', csrfProtection, async (req, res) => {
+            const { name } = req.params;
+            const { assignedTo } = req.body;
+            const username = req.session.username;
+            const clientIP = req.ip;
+
+            try {
+                if (!AccessControl.canAssign(this.getSessionUser(req))) {
+                    return this.denyAccess(req, res, 'assign', name);
+                }
+
+                if (!this.isValidClientName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid certificate name'
+                    });
+                }
+
+                if (!Array.isArray(assignedTo) || !assignedTo.every(user => typeof user === 'string' && user.length > 0)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'assignedTo must be an array of usernames'
+                    });
+                }
+
+                await this.ensureRegistry();
+                const metadata = await this.registry.get(name);
+                if (!metadata) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Certificate not found'
+                    });
+                }
+
+                const assignees = [...new Set(assignedTo)];
+                if (this.userConfig) {
+                    for (const assignee of assignees) {
+                        if (!(await this.userConfig.getUser(assignee))) {
+                            return res.status(400).json({
+                                success: false,
+                                error: `Unknown user '${assignee}'`
+                            });
+                        }
+                    }
+                }
+
+                const updated = await this.registry.update(name, { assignedTo: assignees });
+
+                this.logCertificateEvent('ASSIGNMENT_UPDATED', name, username, clientIP, {
+                    assignedTo: assignees,
+                    previouslyAssignedTo: metadata.assignedTo || []
+                });
+
+                res.json({
+                    success: true,
+                    message: 'Certificate assignment updated',
+                    certificate: {
+                        name,
+                        assignedTo: updated.assignedTo
+                    }
+                });
+
+            } catch (error) {
+                this.logger.error('Certificate assignment failed', {
+                    error: error.message,
+                    name,
+                    username,
+                    clientIP
+                });
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to update certificate assignment'
+                });
+            }
+        });
+    }
+
+    /**
+     * Current user and role from the session
+     */
+    getSessionUser(req) {
+        return {
+            username: req.session.username,
+            role: AccessControl.normalizeRole(req.session.role)
+        };
+    }
+
+    /**
+     * Restrict a certificate list to what the user may see and annotate allowed actions
+     */
+    filterCertificates(user, certificates) {
+        return certificates
+            .filter(cert => AccessControl.canDownload(user, cert))
+            .map(cert => {
+                const backend = this.getBackend({ backend: cert.tunnelType });
+                return {
+                    ...cert,
+                    permissions: {
+                        download: true,
+                        revoke: AccessControl.canRevoke(user, cert),
+                        renew: backend.usesCertificates && AccessControl.canRenew(user, cert),
+                        disconnect: backend.supportsDisconnect && AccessControl.canDisconnect(user, cert),
+                        network: backend.supportsClientConfig && AccessControl.canManageNetwork(user)
+                    }
+                };
+            });
+    }
+
+    /**
+     * Reject a request the user's role does not allow and record it in the audit log
+     */
+    denyAccess(req, res, action, clientName) {
+        const user = this.getSessionUser(req);
+
+        this.logCertificateEvent('ACCESS_DENIED', clientName, user.username, req.ip, {
+            action,
+            role: user.role
+        });
+
+        if (this.basicHealthService) {
+            this.basicHealthService.recordCertificateOperation(action, 'denied', user.username);
+        }
+
+        return res.status(403).json({
+            success: false,
+            error: 'You do not have permission to perform this action'
+        });
+    }
+
+    /**
+     * Shared handling of access group create/update/delete requests (admin only)
+     * @param {Function} change - Returns the changed group, or null when it was removed
+     */
+    async handleAccessGroupChange(req, res, event, groupName, change) {
+        const username = req.session.username;
+        const clientIP = req.ip;
+
+        try {
+            if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                return this.denyAccess(req, res, 'access-groups');
+            }
+
+            const group = await change();
+            if (group) {
+                await this.syncDnsOverrides();
+            }
+
+            this.logCertificateEvent(event, null, username, clientIP, {
+                group: groupName,
+                allow: group ? group.allow : undefined,
+                deny: group ? group.deny : undefined,
+                blocklists: group ? group.blocklists : undefined,
+                dnsProvider: group ? group.dnsProvider : undefined
+            });
+
+            res.json({
+                success: true,
+                message: group
+                    ? `Access group '${group.name}' saved; it applies to clients on their next connection`
+                    : `Access group '${groupName}' removed`,
+                group
+            });
+
+        } catch (error) {
+            const statusCode = {
+                INVALID_ACCESS_GROUP: 400,
+                ACCESS_GROUP_EXISTS: 409,
+                ACCESS_GROUP_READ_ONLY: 409,
+                ACCESS_GROUP_IN_USE: 409,
+                ACCESS_GROUP_NOT_FOUND: 404
+            }[error.code];
+            if (statusCode) {
+                return res.status(statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            this.logger.error('Access group change failed', {
+                error: error.message,
+                group: groupName,
+                username,
+                clientIP
+            });
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update access groups'
+            });
+        }
+    }
+
+    /**
+     * Shared handling of manual DNS record create/update/delete requests (admin only)
+     * @param {Function} change - Returns the changed record, or null when it was removed
+     */
+    async handleDnsRecordChange(req, res, event, recordName, change) {
+        const username = req.session.username;
+        const clientIP = req.ip;
+
+        try {
+            if (!AccessControl.canManageNetwork(this.getSessionUser(req))) {
+                return this.denyAccess(req, res, 'dns-records');
+            }
+
+            const record = await change();
+
+            this.logCertificateEvent(event, null, username, clientIP, {
+                record: record ? record.name : recordName,
+                address: record ? record.address : undefined
+            });
+
+            res.json({
+                success: true,
+                message: record
+                    ? `${this.dnsZone.qualify(record.name)} now points to ${record.address}`
+                    : `DNS record '${recordName}' removed`,
+                record
+            });
+
+        } catch (error) {
+            const statusCode = {
+                INVALID_DNS_RECORD: 400,
+                DNS_RECORD_EXISTS: 409,
+                DNS_RECORD_NOT_FOUND: 404
+            }[error.code];
+            if (statusCode) {
+                return res.status(statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            this.logger.error('DNS record change failed', {
+                error: error.message,
+                record: recordName,
+                username,
+                clientIP
+            });
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update DNS records'
+            });
+        }
+    }
+
+    /**
+     * Write or clear the DNS servers in an OpenVPN client's CCD file from its access group
+     * @returns {Promise<boolean>} Whether the client's file changed
+     */
+    async syncDnsOverride(metadata) {
+        if (metadata.status !== 'active' || !this.getBackend(metadata).supportsClientConfig) {
+            return false;
+        }
+
+        const group = await this.accessGroups.resolve(metadata.accessGroup);
+        return this.clientConfigDir.setDnsOverride(metadata.name, getGroupDnsOverride(this.config, group));
+    }
+
+    /**
+     * Bring every client's DNS override in line with its group, e.g. after a group changed or at startup
+     * @returns {Promise<string[]>} Clients whose files changed
+     */
+    async syncDnsOverrides() {
+        await this.ensureRegistry();
+
+        const changed = [];
+        for (const metadata of await this.registry.list()) {
+            if (await this.syncDnsOverride(metadata)) {
+                changed.push(metadata.name);
+            }
+        }
+
+        if (changed.length > 0) {
+            this.logger.info('Updated per-client DNS servers', { clients: changed });
+        }
+        return changed;
+    }
+
+    /**
+     * Live sessions keyed by common name; empty when the management interface is unavailable
+     * @returns {Promise<Map>} Common name to connection summary
+     */
+    async getActiveSessions() {
+        const sessions = new Map();
+        if (!this.management || !this.management.isConnected()) {
+            return sessions;
+        }
+
+        try {
+            const status = await this.management.getStatus();
+            for (const client of status.clients) {
+                if (!sessions.has(client.commonName)) {
+                    sessions.set(client.commonName, {
+                        realIP: client.realIP,
+                        virtualAddress: client.virtualAddress,
+                        connectedSince: client.connectedSince
+                    });
+                }
+            }
+        } catch (error) {
+            this.logger.warn('Failed to read live VPN sessions', { error: error.message });
+        }
+
+        return sessions;
+    }
+
+    /**
+     * Access group of the device using a VPN address right now, for the DNS forwarder
+     * @returns {Promise<Object|null>} The group, or null when no session has that address
+     */
+    async getAccessGroupByAddress(address) {
+        if (!this.management || !this.management.isConnected()) {
+            return null;
+        }
+
+        // Not getActiveSessions(): with duplicate-cn several sessions can share a common name
+        const status = await this.management.getStatus();
+        const client = status.clients.find(entry => entry.virtualAddress === address);
+        if (!client) {
+            return null;
+        }
+
+        await this.ensureRegistry();
+        const metadata = await this.registry.get(client.commonName);
+        return this.accessGroups.resolve(metadata && metadata.accessGroup);
+    }
+
+    /**
+     * Every name in the family DNS zone: active certificates at their current, static or
+     * WireGuard address, then manual records. Devices without any address have no name.
+     * @returns {Promise<Object[]>} { name, fqdn, type, address, source, certificate }
+     */
+    async getZoneRecords() {
+        await this.ensureRegistry();
+        const [certificates, sessions, staticAddresses, manualRecords] = await Promise.all([
+            this.registry.list(),
+            this.getActiveSessions(),
+            this.clientConfigDir.getStaticAddresses(),
+            this.dnsZone.list()
+        ]);
+
+        const records = new Map();
+        for (const metadata of certificates.sort((a, b) => a.name.localeCompare(b.name))) {
+            const name = DnsZone.hostnameFor(metadata.name);
+            const session = sessions.get(metadata.name);
+            const address = (session && session.virtualAddress) || staticAddresses.get(metadata.name) || metadata.address;
+            if (metadata.status !== 'active' || !name || !address || records.has(name)) {
+                continue;
+            }
+
+            records.set(name, {
+                name,
+                type: DnsZone.recordType(address),
+                address,
+                source: session ? 'session' : 'certificate',
+                certificate: metadata.name
+            });
+        }
+
+        // Certificates win over manual records created before them
+        for (const record of manualRecords) {
+            if (!records.has(record.name)) {
+                records.set(record.name, { ...record, source: 'manual', certificate: null });
+            }
+        }
+
+        return [...records.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(record => ({ ...record, fqdn: this.dnsZone.qualify(record.name) }));
+    }
+
+    /**
+     * Kill every live session of a certificate through the management interface
+     * Never throws; the outcome is meant for audit events and API responses
+     * @returns {Promise<Object>} { status: disconnected|not_connected|unavailable|failed, sessions, error }
+     */
+    async disconnectSessions(clientName) {
+        if (!this.management || !this.management.isConnected()) {
+            return { status: 'unavailable', sessions: 0 };
+        }
+
+        try {
+            const result = await this.management.killClient(clientName);
+            return { status: 'disconnected', sessions: result.killed };
+        } catch (error) {
+            if (error.code === 'CLIENT_NOT_FOUND') {
+                return { status: 'not_connected', sessions: 0 };
+            }
+
+            this.logger.warn('Failed to disconnect VPN session', {
+                name: clientName,
+                error: error.message
+            });
+            return { status: 'failed', sessions: 0, error: error.message };
+        }
+    }
+
+    /**
+     * List all certificates with their status
+     */
+    async listCertificates() {
+        try {
+            await this.ensureRegistry();
+
+            const certificates = [];
+            const certDir = this.config.certificates.dir;
+            const sessions = await this.getActiveSessions();
+            const staticAddresses = await this.clientConfigDir.getStaticAddresses();
+
+            // Read certificate directory
+            const files = await fs.readdir(certDir);
+            const ovpnFiles = files.filter(file => file.endsWith('.ovpn'));
+
+            for (const file of ovpnFiles) {
+                const name = path.basename(file, '.ovpn');
+                
+                // Skip server certificates
+                if (name === 'server' || name === this.config.certificates.serverCertName) {
+                    continue;
+                }
+
+                const filePath = path.join(certDir, file);
+                const stats = await fs.stat(filePath);
+                
+                // Get metadata if available
+                let metadata = await this.registry.get(name);
+                
+                // If no metadata exists, register the certificate found on disk
+                if (!metadata) {
+                    metadata = await this.registry.set(name, {
+                        name,
+                        createdAt: (stats.birthtime || stats.mtime).toISOString(),
+                        createdBy: 'unknown',
+                        status: 'active',
+                        serialNumber: await this.getCertificateSerial(name).catch(() => 'unknown'),
+                        expiresAt: await this.getCertificateExpiry(name).catch(() => null),
+                        source: 'filesystem'
+                    });
+                } else if (!metadata.createdAt) {
+                    // Records rebuilt from index.txt have no creation date
+                    metadata.createdAt = stats.birthtime || stats.mtime;
+                }
 
-            this.logger.info('Generating updated CRL');
-            const crlResult = await exec(crlCommand);
-            
-            if (crlResult.stdout) this.logger.info(`CRL gen output: ${crlResult.stdout}`);
-            if (crlResult.stderr) this.logger.warn(`CRL gen stderr: ${crlResult.stderr}`);
+                certificates.push(this.toListEntry(metadata, stats, sessions, staticAddresses));
+            }
 
-            // Copy updated CRL to certificates directory
-            const crlSource = path.join(easyrsaPath, 'pki', 'crl.pem');
-            const crlDest = path.join(this.config.certificates.dir, 'crl.pem');
-            
-            try {
-                await fs.copyFile(crlSource, crlDest);
-                this.logger.info('Updated CRL copied to certificates directory');
-            } catch (copyError) {
-                this.logger.warn('Failed to copy CRL file', { error: copyError.message });
+            // Clients of other backends are only known from the registry
+            for (const metadata of await this.registry.list()) {
+                const backend = this.getBackend(metadata);
+                if (backend.usesCertificates) {
+                    continue;
+                }
+
+                // Revoked peers have no configuration file any more
+                const stats = await fs.stat(backend.getClientConfigPath(metadata.name)).catch(() => null);
+                certificates.push(this.toListEntry(metadata, stats, sessions, staticAddresses));
+            }
+
+            // Sort by creation date (newest first)
+            certificates.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            return certificates;
+
+        } catch (error) {
+            this.logger.error('Failed to list certificates', { error: error.message });
+            throw new Error('Failed to retrieve certificate list');
+        }
+    }
+
+    /**
+     * Certificate list entry: registry metadata plus file and session details
+     */
+    toListEntry(metadata, stats, sessions, staticAddresses = new Map()) {
+        const backend = this.getBackend(metadata);
+
+        return {
+            name: metadata.name,
+            tunnelType: backend.type,
+            createdAt: metadata.createdAt,
+            createdBy: metadata.createdBy || 'unknown',
+            status: metadata.status,
+            serialNumber: metadata.serialNumber,
+            expiresAt: metadata.expiresAt,
+            revokedAt: metadata.revokedAt,
+            revokedBy: metadata.revokedBy,
+            assignedTo: metadata.assignedTo || [],
+            renewedAt: metadata.renewedAt,
+            pendingRevocation: metadata.pendingRevocation
+                ? { revokeAfter: metadata.pendingRevocation.revokeAfter }
+                : undefined,
+            address: metadata.address,
+            staticAddress: staticAddresses.get(metadata.name) || null,
+            accessGroup: backend.supportsClientConfig ? (metadata.accessGroup || this.accessGroups.defaultGroup) : null,
+            keyProtected: Boolean(metadata.keyProtected),
+            ...this.getScheduleInfo(metadata),
+            exportFormats: backend.getExportFormats(metadata),
+            ...this.getExpiryInfo(metadata),
+            connected: sessions.has(metadata.name),
+            connection: sessions.has(metadata.name) ? sessions.get(metadata.name) : undefined,
+            fileSize: stats ? stats.size : 0,
+            lastModified: stats ? stats.mtime : null
+        };
+    }
+
+    /**
+     * Schedule fields of a list entry or API response
+     */
+    getScheduleInfo(metadata) {
+        return {
+            schedule: metadata.schedule || null,
+            scheduleText: AccessSchedule.format(metadata.schedule),
+            withinSchedule: AccessSchedule.isAllowed(metadata.schedule)
+        };
+    }
+
+    /**
+     * Client profile in the requested format: the native file as written at generation time,
+     * or an export built from the same material
+     * @returns {Promise<{content: string, filename: string, contentType: string}>}
+     */
+    async loadClientProfile(name, metadata, format) {
+        const backend = this.getBackend(metadata);
+        const formats = backend.getExportFormats(metadata).map(entry => entry.format);
+        if (!formats.includes(format)) {
+            const error = VPNBackend.createBackendError(`Unsupported format for ${backend.label} profiles`, 'UNSUPPORTED_FORMAT');
+            error.formats = formats;
+            throw error;
+        }
+
+        const certPath = backend.getClientConfigPath(name);
+        try {
+            await fs.access(certPath);
+        } catch (error) {
+            throw VPNBackend.createBackendError('Certificate not found', 'PROFILE_NOT_FOUND');
+        }
+
+        if (format !== backend.nativeFormat) {
+            return backend.exportClientProfile(name, format);
+        }
+
+        return {
+            content: await fs.readFile(certPath, 'utf8'),
+            filename: backend.getDownloadFilename(name),
+            contentType: backend.contentType
+        };
+    }
+
+    /**
+     * Serve a share link: render the PIN form, or count the use and send the profile
+     * Every attempt is audited, including rejected ones.
+     */
+    async handleShareLink(req, res, pin) {
+        const { token } = req.params;
+        const clientIP = req.ip;
+        res.setHeader('Cache-Control', 'no-store');
+
+        let link;
+        try {
+            link = await this.shareLinks.inspect(token);
+
+            // Browsers get a PIN form; scripts get a JSON error they can act on
+            if (link.pinProtected && pin === undefined) {
+                if (req.accepts(['html', 'json']) === 'html') {
+                    return res.render('share', { error: '' });
+                }
+                throw ShareLinkStore.createShareLinkError('A PIN is required for this link', 'SHARE_LINK_PIN_REQUIRED', link);
+            }
+
+            await this.ensureRegistry();
+            const metadata = await this.registry.get(link.clientName);
+            if (metadata && metadata.status === 'revoked') {
+                throw ShareLinkStore.createShareLinkError('Share link has been revoked', 'SHARE_LINK_REVOKED', link);
+            }
+
+            // Build the profile before using up a download, so a failure does not cost the recipient one
+            const profile = await this.loadClientProfile(link.clientName, metadata, link.format || this.getBackend(metadata).nativeFormat);
+            link = await this.shareLinks.redeem(token, { pin });
+
+            this.logCertificateEvent('SHARE_LINK_DOWNLOAD', link.clientName, link.createdBy, clientIP, {
+                linkId: link.id,
+                format: link.format,
+                downloads: link.downloads,
+                maxDownloads: link.maxDownloads
+            });
+
+            if (metadata) {
+                await this.registry.update(link.clientName, {
+                    lastDownloadedAt: new Date().toISOString(),
+                    lastDownloadedBy: link.createdBy,
+                    downloadCount: (metadata.downloadCount || 0) + 1
+                });
+            }
+
+            if (this.basicHealthService) {
+                this.basicHealthService.recordCertificateOperation('download', 'success', link.createdBy);
+            }
+
+            res.setHeader('Content-Type', profile.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${profile.filename}"`);
+            res.setHeader('Content-Length', Buffer.byteLength(profile.content, 'utf8'));
+
+            res.send(profile.content);
+
+        } catch (error) {
+            const statusCode = {
+                SHARE_LINK_INVALID: 404,
+                SHARE_LINK_REVOKED: 410,
+                SHARE_LINK_EXPIRED: 410,
+                SHARE_LINK_EXHAUSTED: 410,
+                SHARE_LINK_LOCKED: 410,
+                SHARE_LINK_PIN_REQUIRED: 401,
+                SHARE_LINK_PIN_INVALID: 401,
+                PROFILE_NOT_FOUND: 404
+            }[error.code];
+
+            if (!statusCode) {
+                this.logger.error('Share link download failed', {
+                    error: error.message,
+                    clientIP
+                });
+
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to download certificate'
+                });
+            }
+
+            this.logCertificateEvent('SHARE_LINK_REJECTED', error.clientName || 'unknown', null, clientIP, {
+                linkId: error.linkId,
+                reason: error.code
+            });
+
+            // Wrong PINs from the form go back to the form
+            if (statusCode === 401 && pin !== undefined && req.is('application/x-www-form-urlencoded')) {
+                return res.status(401).render('share', { error: error.message });
+            }
+
+            res.status(statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Validate share link options from a request body
+     * @returns {{expiresInHours: number, maxDownloads: number, pin: string|null}|{error: string}}
+     */
+    parseShareLinkOptions(body) {
+        const expiresInHours = body.expiresInHours === undefined ? 24 : Number(body.expiresInHours);
+        const maxDownloads = body.maxDownloads === undefined ? 1 : Number(body.maxDownloads);
+        const pin = body.pin ? String(body.pin) : null;
+
+        if (!Number.isFinite(expiresInHours) || expiresInHours <= 0 || expiresInHours > MAX_SHARE_LINK_HOURS) {
+            return { error: `Expiry must be more than 0 and at most ${MAX_SHARE_LINK_HOURS} hours` };
+        }
+        if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_SHARE_LINK_DOWNLOADS) {
+            return { error: `Maximum downloads must be between 1 and ${MAX_SHARE_LINK_DOWNLOADS}` };
+        }
+        if (pin && !ShareLinkStore.PIN_PATTERN.test(pin)) {
+            return { error: 'PIN must be 4 to 8 digits' };
+        }
+
+        return { expiresInHours, maxDownloads, pin };
+    }
+
+    /**
+     * Delete a revoked client's CCD file; the revocation itself has already succeeded,
+     * so a failure is only logged
+     */
+    async removeClientConfig(clientName) {
+        try {
+            return await this.clientConfigDir.removeClient(clientName);
+        } catch (error) {
+            this.logger.warn('Failed to remove client config', {
+                error: error.message,
+                clientName
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Validate the private key protection requested when a profile is generated or renewed
+     * `keyProtection` is 'none', 'generate' (a passphrase returned once) or 'passphrase' with `keyPassphrase`.
+     * @returns {{passphrase: string, generated: boolean}|{passphrase: null}|{error: string}}
+     */
+    parseKeyProtection(body, backend, defaultMode = 'none') {
+        const mode = body.keyProtection || defaultMode;
+
+        if (!['none', 'generate', 'passphrase'].includes(mode)) {
+            return { error: 'Key protection must be one of: none, generate, passphrase' };
+        }
+        if (mode === 'none') {
+            return { passphrase: null };
+        }
+        if (!backend.supportsKeyPassphrase) {
+            return { error: `${backend.label} profiles cannot be protected with a passphrase` };
+        }
+
+        if (mode === 'generate') {
+            return {
+                passphrase: PasswordUtils.generatePassword(GENERATED_KEY_PASSPHRASE_LENGTH, { includeSymbols: false }),
+                generated: true
+            };
+        }
+
+        try {
+            CertificateManager.validateKeyPassphrase(body.keyPassphrase);
+        } catch (error) {
+            return { error: error.message };
+        }
+        return { passphrase: body.keyPassphrase, generated: false };
+    }
+
+    /**
+     * Share link as listed to users; active links carry their URL so it can be copied again
+     */
+    toShareLinkEntry(req, link) {
+        const { token, ...entry } = link;
+        return {
+            ...entry,
+            url: token ? `${this.getPublicBaseUrl(req)}/share/${token}` : undefined
+        };
+    }
+
+    /**
+     * Origin put into onboarding and share links; phones need HTTPS, so the request's own scheme is not used
+     */
+    getPublicBaseUrl(req) {
+        if (this.publicUrl) {
+            return this.publicUrl.replace(/\/+$/, '');
+        }
+        return `https://${req.get('host')}`;
+    }
+
+    /**
+     * Backend a client belongs to; records without a backend field are OpenVPN
+     */
+    getBackend(metadata) {
+        const type = (metadata && metadata.backend) || 'openvpn';
+        const backend = this.backends[type];
+        if (!backend) {
+            throw new Error(`Unknown VPN backend '${type}'`);
+        }
+        return backend;
+    }
+
+    /**
+     * Tunnel types offered when adding a device
+     */
+    getTunnelTypes() {
+        return this.enabledTunnelTypes.map(type => this.backends[type].describe());
+    }
+
+    /**
+     * Revoke a certificate using Easy-RSA
+     */
+    async revokeCertificate(clientName) {
+        try {
+            // Wait for certificate manager initialization
+            await this.certManager.initPromise;
+
+            const easyrsaPath = this.certManager.easyrsaPath;
+            const platform = require('os').platform();
+
+            let command;
+            if (platform === 'win32') {
+                command = `cd /d "${easyrsaPath}" && easyrsa revoke ${clientName}`;
+            } else {
+                command = `cd "${easyrsaPath}" && echo yes | ./easyrsa revoke ${clientName}`;
             }
 
+            this.logger.info(`Revoking certificate: ${clientName}`);
+            const { stdout, stderr } = await exec(command);
+            
+            if (stdout) this.logger.info(`Revoke output: ${stdout}`);
+            if (stderr) this.logger.warn(`Revoke stderr: ${stderr}`);
+
+            await this.updateCRL(easyrsaPath, platform);
+
         } catch (error) {
             this.logger.error('Certificate revocation failed', { 
                 error: error.message,
@@ -498,6 +2371,213 @@ class CertificateRoutes {
         }
     }
 
+    /**
+     * Revoke the certificate a renewal superseded (kept by Easy-RSA in pki/renewed)
+     */
+    async revokeSupersededCertificate(clientName) {
+        try {
+            await this.certManager.initPromise;
+
+            const easyrsaPath = this.certManager.easyrsaPath;
+            const platform = require('os').platform();
+
+            let command;
+            if (platform === 'win32') {
+                command = `cd /d "${easyrsaPath}" && easyrsa --batch revoke-renewed ${clientName} superseded`;
+            } else {
+                command = `cd "${easyrsaPath}" && ./easyrsa --batch revoke-renewed ${clientName} superseded`;
+            }
+
+            this.logger.info(`Revoking superseded certificate: ${clientName}`);
+            const { stdout, stderr } = await exec(command);
+
+            if (stdout) this.logger.info(`Revoke output: ${stdout}`);
+            if (stderr) this.logger.warn(`Revoke stderr: ${stderr}`);
+
+            await this.updateCRL(easyrsaPath, platform);
+
+        } catch (error) {
+            this.logger.error('Superseded certificate revocation failed', {
+                error: error.message,
+                clientName
+            });
+            throw new Error(`Failed to revoke superseded certificate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revoke old serials of renewed certificates whose grace period has ended
+     * @param {string} onlyName - Revoke this certificate's old serial now, ignoring the grace period
+     * @returns {Promise<Object[]>} Processed certificates with their outcome
+     */
+    async processPendingRevocations(onlyName = null) {
+        await this.ensureRegistry();
+
+        const now = Date.now();
+        const records = await this.registry.list();
+        const due = records.filter(record => record.pendingRevocation &&
+            (onlyName ? record.name === onlyName : new Date(record.pendingRevocation.revokeAfter).getTime() <= now));
+
+        const results = [];
+        for (const record of due) {
+            const { serialNumber } = record.pendingRevocation;
+
+            try {
+                await this.revokeSupersededCertificate(record.name);
+
+                await this.registry.update(record.name, {
+                    pendingRevocation: undefined,
+                    supersededSerials: [
+                        ...(record.supersededSerials || []),
+                        { serialNumber, revokedAt: new Date().toISOString() }
+                    ]
+                });
+
+                this.logCertificateEvent('SUPERSEDED_REVOKED', record.name, 'system', 'localhost', {
+                    serialNumber
+                });
+
+                results.push({ name: record.name, serialNumber, revoked: true });
+            } catch (error) {
+                this.logCertificateEvent('SUPERSEDED_REVOCATION_FAILED', record.name, 'system', 'localhost', {
+                    serialNumber,
+                    error: error.message
+                });
+
+                results.push({ name: record.name, serialNumber, revoked: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * End live sessions of devices whose schedule does not allow them to be connected now
+     * The client-connect hook refuses new connections outside the schedule; this catches
+     * sessions that were already running when their window ended.
+     * @returns {Promise<Object[]>} Devices that were disconnected, with the outcome
+     */
+    async enforceAccessSchedules(now = new Date()) {
+        await this.ensureRegistry();
+
+        const results = [];
+        for (const name of (await this.getActiveSessions()).keys()) {
+            const metadata = await this.registry.get(name);
+            if (!metadata || AccessSchedule.isAllowed(metadata.schedule, now)) {
+                continue;
+            }
+
+            const disconnect = await this.disconnectSessions(name);
+            this.logCertificateEvent('SCHEDULE_DISCONNECT', name, 'system', 'localhost', {
+                schedule: AccessSchedule.format(metadata.schedule),
+                disconnect
+            });
+            results.push({ name, ...disconnect });
+        }
+
+        return results;
+    }
+
+    /**
+     * Regenerate the CRL before it reaches its next-update date
+     */
+    async refreshCRL() {
+        await this.certManager.initPromise;
+        await this.updateCRL(this.certManager.easyrsaPath, require('os').platform());
+        return { crlPath: path.join(this.config.certificates.dir, 'crl.pem') };
+    }
+
+    /**
+     * Log active certificates that have expired or fall inside the warning window
+     * @returns {Promise<Object>} Names of expiring and expired certificates
+     */
+    async scanCertificateExpiry() {
+        await this.ensureRegistry();
+
+        const expiring = [];
+        const expired = [];
+
+        for (const record of await this.registry.list()) {
+            if (record.status !== 'active') {
+                continue;
+            }
+
+            const expiry = this.getExpiryInfo(record);
+            if (expiry.expired) {
+                expired.push(record.name);
+                this.logCertificateEvent('CERTIFICATE_EXPIRED', record.name, 'system', 'localhost', {
+                    expiresAt: record.expiresAt
+                });
+            } else if (expiry.expiringSoon) {
+                expiring.push(record.name);
+                this.logCertificateEvent('EXPIRY_WARNING', record.name, 'system', 'localhost', {
+                    expiresAt: record.expiresAt,
+                    expiresInDays: expiry.expiresInDays
+                });
+            }
+        }
+
+        return { expiring, expired };
+    }
+
+    /**
+     * Regenerate the CRL and copy it next to the certificates
+     */
+    async updateCRL(easyrsaPath, platform) {
+        // Generate updated CRL
+        let crlCommand;
+        if (platform === 'win32') {
+            crlCommand = `cd /d "${easyrsaPath}" && easyrsa gen-crl`;
+        } else {
+            crlCommand = `cd "${easyrsaPath}" && ./easyrsa gen-crl`;
+        }
+
+        this.logger.info('Generating updated CRL');
+        const crlResult = await exec(crlCommand);
+        
+        if (crlResult.stdout) this.logger.info(`CRL gen output: ${crlResult.stdout}`);
+        if (crlResult.stderr) this.logger.warn(`CRL gen stderr: ${crlResult.stderr}`);
+
+        // Copy updated CRL to certificates directory
+        const crlSource = path.join(easyrsaPath, 'pki', 'crl.pem');
+        const crlDest = path.join(this.config.certificates.dir, 'crl.pem');
+        
+        try {
+            await fs.copyFile(crlSource, crlDest);
+            this.logger.info('Updated CRL copied to certificates directory');
+        } catch (copyError) {
+            this.logger.warn('Failed to copy CRL file', { error: copyError.message });
+        }
+    }
+
+    /**
+     * Days until expiry and whether the certificate falls inside the warning window
+     */
+    getExpiryInfo(metadata) {
+        if (!metadata.expiresAt) {
+            return { expiresInDays: null, expiringSoon: false, expired: false };
+        }
+
+        const msLeft = new Date(metadata.expiresAt).getTime() - Date.now();
+        const expiresInDays = Math.floor(msLeft / (24 * 60 * 60 * 1000));
+
+        return {
+            expiresInDays,
+            expired: msLeft <= 0,
+            expiringSoon: metadata.status === 'active' && msLeft > 0 && expiresInDays < this.expiryWarningDays
+        };
+    }
+
+    /**
+     * Renewal window to hand Easy-RSA (EASYRSA_CERT_RENEW)
+     * Easy-RSA 3.1 refuses to renew a certificate with more days left than the window, while
+     * certificates can be renewed here at any time, so the window covers this one's remaining life.
+     */
+    getRenewalWindowDays(metadata) {
+        const { expiresInDays } = this.getExpiryInfo(metadata);
+        return Math.max(this.expiryWarningDays, expiresInDays === null ? 0 : expiresInDays + 1);
+    }
+
     /**
      * Get certificate serial number
      */
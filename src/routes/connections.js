@@ -0,0 +1,191 @@
+const express = require('express');
+const fs = require('fs').promises;
+const OpenVPNStatusParser = require('../utils/openvpn-status-parser');
+const AccessControl = require('../utils/access-control');
+const { requireAuth } = require('../middleware/auth-middleware');
+
+// OpenVPN rewrites the status file every 10 seconds; older data means it is not running
+const STATUS_LOG_STALE_MS = 2 * 60 * 1000;
+
+/**
+ * VPN connection routes backed by the OpenVPN management interface, with the status file
+ * as a fallback and client-access.log for per-certificate history.
+ * Users see the connections of certificates they can see; administrators see all of them
+ */
+class ConnectionRoutes {
+    constructor(logger, loggingService, basicHealthService, options = {}) {
+        this.router = express.Router();
+        this.logger = logger;
+        this.loggingService = loggingService;
+        this.basicHealthService = basicHealthService;
+        this.management = options.management;
+        this.authService = options.authService;
+        this.registry = options.registry;
+        this.statusLogPath = options.statusLogPath || null;
+        this.accessLogPath = options.accessLogPath || null;
+
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use('/api/connections', requireAuth(this.authService));
+
+        // GET /api/connections - Currently connected VPN clients
+        this.router.get('/api/connections', async (req, res) => {
+            try {
+                const status = await this.getCurrentStatus();
+                if (!status) {
+                    this.recordRequest('GET', '/api/connections', 503);
+                    return res.status(503).json({
+                        success: false,
+                        error: 'OpenVPN connection status is unavailable'
+                    });
+                }
+
+                const clients = await this.filterConnections(req.user, status.clients);
+
+                this.recordRequest('GET', '/api/connections', 200);
+                res.json({
+                    success: true,
+                    source: status.source,
+                    stale: status.stale,
+                    updatedAt: status.updatedAt,
+                    connections: clients,
+                    count: clients.length
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to read OpenVPN status', {
+                    error: error.message,
+                    username: req.user.username
+                });
+
+                this.recordRequest('GET', '/api/connections', 500);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to load connections'
+                });
+            }
+        });
+
+        // GET /api/connections/history - Past sessions per certificate from client-access.log
+        this.router.get('/api/connections/history', async (req, res) => {
+            try {
+                const history = await this.readHistory();
+                const names = await this.filterNames(req.user, Object.keys(history));
+                const requested = typeof req.query.name === 'string' ? req.query.name : null;
+
+                const visible = {};
+                for (const name of names) {
+                    if (!requested || requested === name) {
+                        visible[name] = history[name];
+                    }
+                }
+
+                this.recordRequest('GET', '/api/connections/history', 200);
+                res.json({
+                    success: true,
+                    history: visible
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to read connection history', {
+                    error: error.message,
+                    username: req.user.username
+                });
+
+                this.recordRequest('GET', '/api/connections/history', 500);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to load connection history'
+                });
+            }
+        });
+    }
+
+    /**
+     * Connected clients from the management interface, or from the status file when it is unreachable
+     * @returns {Promise<Object|null>} Status with source and stale flag, or null if neither is available
+     */
+    async getCurrentStatus() {
+        if (this.management && this.management.isConnected()) {
+            try {
+                const status = await this.management.getStatus();
+                return { ...status, source: 'management', stale: false };
+            } catch (error) {
+                this.logger.warn('Management interface status failed, reading status file', {
+                    error: error.message
+                });
+            }
+        }
+
+        if (!this.statusLogPath) {
+            return null;
+        }
+
+        try {
+            const status = OpenVPNStatusParser.parseStatus(await fs.readFile(this.statusLogPath, 'utf8'));
+            const age = status.updatedAt ? Date.now() - new Date(status.updatedAt).getTime() : Infinity;
+            return { ...status, source: 'status-log', stale: age > STATUS_LOG_STALE_MS };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn('Failed to read OpenVPN status file', {
+                    path: this.statusLogPath,
+                    error: error.message
+                });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Session history grouped by common name; empty when the access log does not exist yet
+     */
+    async readHistory() {
+        if (!this.accessLogPath) {
+            return {};
+        }
+
+        try {
+            const content = await fs.readFile(this.accessLogPath, 'utf8');
+            return OpenVPNStatusParser.buildHistory(OpenVPNStatusParser.parseAccessLog(content));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keep connections whose certificate the user may see
+     */
+    async filterConnections(user, clients) {
+        const names = new Set(await this.filterNames(user, clients.map(client => client.commonName)));
+        return clients.filter(client => names.has(client.commonName));
+    }
+
+    /**
+     * Keep certificate names the user may see
+     */
+    async filterNames(user, names) {
+        if (AccessControl.normalizeRole(user.role) === AccessControl.ROLES.ADMIN) {
+            return names;
+        }
+
+        const records = new Map((await this.registry.list()).map(record => [record.name, record]));
+        return names.filter(name => AccessControl.canDownload(user, records.get(name)));
+    }
+
+    recordRequest(method, route, status) {
+        if (this.basicHealthService) {
+            this.basicHealthService.recordHttpRequest(method, route, status);
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = ConnectionRoutes;
@@ -0,0 +1,124 @@
+const express = require('express');
+const AccessControl = require('../utils/access-control');
+const { requireAuth } = require('../middleware/auth-middleware');
+const { createCSRFProtection } = require('../middleware/session-middleware');
+
+/**
+ * Scheduled job routes
+ * Any signed-in user can see job status; administrators can run a job on demand
+ */
+class JobRoutes {
+    constructor(logger, loggingService, basicHealthService, options = {}) {
+        this.router = express.Router();
+        this.logger = logger;
+        this.loggingService = loggingService;
+        this.basicHealthService = basicHealthService;
+        this.scheduler = options.scheduler;
+        this.authService = options.authService;
+
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        const csrfProtection = createCSRFProtection();
+
+        this.router.use('/api/jobs', requireAuth(this.authService));
+
+        // GET /api/jobs - Status of all scheduled jobs
+        this.router.get('/api/jobs', (req, res) => {
+            this.recordRequest('GET', '/api/jobs', 200);
+
+            res.json({
+                success: true,
+                jobs: this.scheduler.listJobs(),
+                canRun: AccessControl.normalizeRole(req.user.role) === AccessControl.ROLES.ADMIN
+            });
+        });
+
+        // POST /api/jobs/:name/run - Run a job now (administrators only)
+        this.router.post('/api/jobs/:name/run', (req, res, next) => {
+            // Browser sessions need a CSRF token; bearer-token clients do not
+            if (req.user.sessionId) {
+                return csrfProtection(req, res, next);
+            }
+            next();
+        }, async (req, res) => {
+            const { name } = req.params;
+            const role = AccessControl.normalizeRole(req.user.role);
+
+            if (role !== AccessControl.ROLES.ADMIN) {
+                this.loggingService.logSecurityEvent('JOB_ACCESS_DENIED', 'Non-administrator tried to run a scheduled job', {
+                    job: name,
+                    username: req.user.username,
+                    role,
+                    clientIP: req.ip
+                });
+                this.recordRequest('POST', '/api/jobs/run', 403);
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only administrators can run jobs'
+                });
+            }
+
+            if (!this.scheduler.getJob(name)) {
+                this.recordRequest('POST', '/api/jobs/run', 404);
+                return res.status(404).json({
+                    success: false,
+                    error: 'Job not found'
+                });
+            }
+
+            this.loggingService.logSystemEvent('JOB_TRIGGERED', `Scheduled job ${name} triggered manually`, {
+                job: name,
+                username: req.user.username,
+                clientIP: req.ip
+            });
+
+            try {
+                const lastRun = await this.scheduler.runJob(name, {
+                    trigger: 'manual',
+                    triggeredBy: req.user.username
+                });
+
+                this.recordRequest('POST', '/api/jobs/run', 200);
+                res.json({
+                    success: lastRun.status === 'success',
+                    job: this.scheduler.getJob(name),
+                    lastRun
+                });
+
+            } catch (error) {
+                if (error.code === 'JOB_RUNNING') {
+                    this.recordRequest('POST', '/api/jobs/run', 409);
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Job is already running'
+                    });
+                }
+
+                this.logger.error('Failed to run scheduled job', {
+                    job: name,
+                    error: error.message,
+                    username: req.user.username
+                });
+                this.recordRequest('POST', '/api/jobs/run', 500);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to run job'
+                });
+            }
+        });
+    }
+
+    recordRequest(method, route, status) {
+        if (this.basicHealthService) {
+            this.basicHealthService.recordHttpRequest(method, route, status);
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = JobRoutes;
@@ -0,0 +1,342 @@
+const express = require('express');
+const path = require('path');
+const AccessControl = require('../utils/access-control');
+const OpenVPNConfigLinter = require('../utils/openvpn-config-linter');
+const ProfileCompatibilityChecker = require('../utils/profile-compatibility');
+const { requireAuth } = require('../middleware/auth-middleware');
+const { requireAuthentication, createCSRFProtection } = require('../middleware/session-middleware');
+
+// Inline profiles are a few KiB; anything this large is not one
+const MAX_PROFILE_LENGTH = 256 * 1024;
+
+/**
+ * OpenVPN server configuration routes (administrators only)
+ * The linter checks the installed server config, or the generated one when none is installed,
+ * against a client profile: a certificate's .ovpn file or a freshly rendered profile.
+ * The compatibility check goes further for a stored or uploaded profile, verifying its CA,
+ * certificate, revocation status and TLS wrapping key against the certificate directory.
+ * The settings editor regenerates server.conf from port, protocol, subnet and max clients,
+ * previews the diff, applies it with a rollback copy and restarts OpenVPN.
+ */
+class ServerConfigRoutes {
+    constructor(logger, loggingService, basicHealthService, config, options = {}) {
+        this.router = express.Router();
+        this.logger = logger;
+        this.loggingService = loggingService;
+        this.basicHealthService = basicHealthService;
+        this.config = config;
+        this.authService = options.authService;
+        this.certManager = options.certManager || null;
+        this.securityConfig = options.securityConfig || null;
+        this.serverConfigPaths = options.serverConfigPaths;
+        this.profileChecker = options.profileChecker || new ProfileCompatibilityChecker(logger);
+        this.serverSettings = options.serverSettings || null;
+        // Restarts OpenVPN with the new config; takes { restartRequired } and resolves to { reloaded, restartRequired, message }
+        this.reloadOpenVPN = options.reloadOpenVPN || null;
+
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        const csrfProtection = createCSRFProtection();
+        // Browser sessions need a CSRF token; bearer-token clients do not
+        const csrfForSessions = (req, res, next) => {
+            if (req.user.sessionId) {
+                return csrfProtection(req, res, next);
+            }
+            next();
+        };
+
+        // GET /server-config - Settings editor page
+        this.router.get('/server-config', requireAuthentication(), csrfProtection, (req, res) => {
+            if (AccessControl.normalizeRole(req.session.role) !== AccessControl.ROLES.ADMIN) {
+                return res.redirect('/certificates');
+            }
+            res.render('server-config', {
+                csrfToken: res.locals.csrfToken,
+                username: req.session.username
+            });
+        });
+
+        this.router.use('/api/server-config', requireAuth(this.authService));
+
+        // GET /api/server-config/lint?client=<name> - Security and compatibility findings
+        this.router.get('/api/server-config/lint', async (req, res) => {
+            if (this.denyNonAdmin(req, res, '/api/server-config/lint', 'lint the server config', 'Only administrators can check the server config')) {
+                return;
+            }
+
+            const clientName = typeof req.query.client === 'string' && req.query.client ? req.query.client : null;
+            if (clientName && !/^[a-zA-Z0-9_-]{3,50}$/.test(clientName)) {
+                this.recordRequest('GET', '/api/server-config/lint', 400);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid certificate name'
+                });
+            }
+
+            try {
+                const sources = await OpenVPNConfigLinter.loadSources(this.config, {
+                    clientFile: clientName ? path.join(this.config.certificates.dir, `${clientName}.ovpn`) : null,
+                    serverConfigPaths: this.serverConfigPaths,
+                    securityConfig: this.securityConfig,
+                    certManager: this.certManager
+                });
+                const result = OpenVPNConfigLinter.lint({
+                    server: sources.server && sources.server.text,
+                    client: sources.client && sources.client.text
+                });
+
+                this.recordRequest('GET', '/api/server-config/lint', 200);
+                res.json({
+                    success: true,
+                    server: sources.server && { source: sources.server.source, path: sources.server.path },
+                    client: sources.client && { source: sources.client.source, name: clientName },
+                    ...result
+                });
+
+            } catch (error) {
+                if (error.code === 'CONFIG_NOT_FOUND') {
+                    this.recordRequest('GET', '/api/server-config/lint', 404);
+                    return res.status(404).json({
+                        success: false,
+                        error: `No OpenVPN profile for '${clientName}'`
+                    });
+                }
+
+                this.logger.error('Failed to lint the OpenVPN config', {
+                    error: error.message,
+                    username: req.user.username
+                });
+                this.recordRequest('GET', '/api/server-config/lint', 500);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to check the server config'
+                });
+            }
+        });
+
+        // POST /api/server-config/check-profile - Will a certificate's .ovpn (client) or an uploaded one (profile) connect?
+        this.router.post('/api/server-config/check-profile', csrfForSessions, async (req, res) => {
+            if (this.denyNonAdmin(req, res, '/api/server-config/check-profile', 'check a client profile', 'Only administrators can check client profiles')) {
+                return;
+            }
+
+            const { client, profile } = req.body || {};
+            let validationError = null;
+            if (typeof profile === 'string') {
+                if (!profile.trim()) {
+                    validationError = 'Profile is empty';
+                } else if (profile.length > MAX_PROFILE_LENGTH) {
+                    validationError = 'Profile is too large';
+                }
+            } else if (typeof client !== 'string' || !/^[a-zA-Z0-9_-]{3,50}$/.test(client)) {
+                validationError = 'Provide a certificate name (client) or the profile text (profile)';
+            }
+            if (validationError) {
+                this.recordRequest('POST', '/api/server-config/check-profile', 400);
+                return res.status(400).json({
+                    success: false,
+                    error: validationError
+                });
+            }
+
+            const uploaded = typeof profile === 'string';
+            try {
+                const sources = await OpenVPNConfigLinter.loadSources(this.config, {
+                    clientFile: uploaded ? null : path.join(this.config.certificates.dir, `${client}.ovpn`),
+                    serverConfigPaths: this.serverConfigPaths,
+                    securityConfig: this.securityConfig
+                });
+                if (!sources.server) {
+                    this.recordRequest('POST', '/api/server-config/check-profile', 404);
+                    return res.status(404).json({
+                        success: false,
+                        error: 'No OpenVPN server config found'
+                    });
+                }
+
+                const result = await this.profileChecker.check({
+                    profile: uploaded ? profile : sources.client.text,
+                    server: sources.server.text,
+                    certDir: this.config.certificates.dir
+                });
+
+                this.recordRequest('POST', '/api/server-config/check-profile', 200);
+                res.json({
+                    success: true,
+                    server: { source: sources.server.source, path: sources.server.path },
+                    client: { source: uploaded ? 'upload' : 'file', name: uploaded ? null : client },
+                    ...result
+                });
+
+            } catch (error) {
+                if (error.code === 'CONFIG_NOT_FOUND') {
+                    this.recordRequest('POST', '/api/server-config/check-profile', 404);
+                    return res.status(404).json({
+                        success: false,
+                        error: `No OpenVPN profile for '${client}'`
+                    });
+                }
+
+                this.logger.error('Failed to check the client profile', {
+                    error: error.message,
+                    username: req.user.username
+                });
+                this.recordRequest('POST', '/api/server-config/check-profile', 500);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to check the client profile'
+                });
+            }
+        });
+
+        // GET /api/server-config/settings - Editable settings and rollback state
+        this.router.get('/api/server-config/settings', async (req, res) => {
+            if (this.denyNonAdmin(req, res, '/api/server-config/settings', 'read the server settings', 'Only administrators can edit the server config')) {
+                return;
+            }
+
+            try {
+                const state = await this.serverSettings.getState();
+                this.recordRequest('GET', '/api/server-config/settings', 200);
+                res.json({ success: true, ...state });
+            } catch (error) {
+                this.handleSettingsError(req, res, error, '/api/server-config/settings', 'load the server settings');
+            }
+        });
+
+        // POST /api/server-config/preview - Diff of the regenerated server.conf, nothing is written
+        this.router.post('/api/server-config/preview', csrfForSessions, async (req, res) => {
+            if (this.denyNonAdmin(req, res, '/api/server-config/preview', 'preview server settings', 'Only administrators can edit the server config')) {
+                return;
+            }
+
+            try {
+                const preview = await this.serverSettings.preview(req.body || {});
+                this.recordRequest('POST', '/api/server-config/preview', 200);
+                res.json({ success: true, ...preview });
+            } catch (error) {
+                this.handleSettingsError(req, res, error, '/api/server-config/preview', 'preview the server config');
+            }
+        });
+
+        // POST /api/server-config/apply - Write the regenerated server.conf and restart OpenVPN
+        this.router.post('/api/server-config/apply', csrfForSessions, async (req, res) => {
+            if (this.denyNonAdmin(req, res, '/api/server-config/apply', 'change server settings', 'Only administrators can edit the server config')) {
+                return;
+            }
+
+            try {
+                const result = await this.serverSettings.apply(req.body || {}, req.user.username);
+                this.loggingService.logSecurityEvent('SERVER_CONFIG_APPLIED', 'Server config regenerated from the web interface', {
+                    username: req.user.username,
+                    changes: result.changes,
+                    clientIP: req.ip
+                });
+
+                this.recordRequest('POST', '/api/server-config/apply', 200);
+                res.json({ success: true, ...result, reload: await this.reload(result) });
+            } catch (error) {
+                this.handleSettingsError(req, res, error, '/api/server-config/apply', 'apply the server settings');
+            }
+        });
+
+        // POST /api/server-config/rollback - Restore the previous server.conf and restart OpenVPN
+        this.router.post('/api/server-config/rollback', csrfForSessions, async (req, res) => {
+            if (this.denyNonAdmin(req, res, '/api/server-config/rollback', 'roll back the server config', 'Only administrators can edit the server config')) {
+                return;
+            }
+
+            try {
+                const result = await this.serverSettings.rollback(req.user.username);
+                this.loggingService.logSecurityEvent('SERVER_CONFIG_ROLLED_BACK', 'Server config rolled back from the web interface', {
+                    username: req.user.username,
+                    changes: result.changes,
+                    clientIP: req.ip
+                });
+
+                this.recordRequest('POST', '/api/server-config/rollback', 200);
+                res.json({ success: true, ...result, reload: await this.reload(result) });
+            } catch (error) {
+                this.handleSettingsError(req, res, error, '/api/server-config/rollback', 'roll back the server config');
+            }
+        });
+    }
+
+    /**
+     * Log and reject a non-administrator
+     * @returns {boolean} true when the request was rejected
+     */
+    denyNonAdmin(req, res, route, attempt, message) {
+        if (AccessControl.canManageNetwork(req.user)) {
+            return false;
+        }
+
+        this.loggingService.logSecurityEvent('SERVER_CONFIG_ACCESS_DENIED', `Non-administrator tried to ${attempt}`, {
+            username: req.user.username,
+            role: req.user.role,
+            clientIP: req.ip
+        });
+        this.recordRequest(req.method, route, 403);
+        res.status(403).json({
+            success: false,
+            error: message
+        });
+        return true;
+    }
+
+    /**
+     * Restart OpenVPN so it reads the new config; a failed restart does not undo the change
+     */
+    async reload(result) {
+        if (!this.reloadOpenVPN) {
+            return { reloaded: false, message: 'Restart OpenVPN to use the new config' };
+        }
+
+        try {
+            return await this.reloadOpenVPN({ restartRequired: result.restartRequired });
+        } catch (error) {
+            this.logger.warn('Failed to restart OpenVPN after a config change', { error: error.message });
+            return { reloaded: false, message: `Restart OpenVPN to use the new config (${error.message})` };
+        }
+    }
+
+    handleSettingsError(req, res, error, route, action) {
+        const status = {
+            INVALID_SERVER_SETTINGS: 400,
+            NO_PREVIOUS_VERSION: 409
+        }[error.code];
+
+        if (status) {
+            this.recordRequest(req.method, route, status);
+            return res.status(status).json({
+                success: false,
+                error: error.message,
+                details: error.details
+            });
+        }
+
+        this.logger.error(`Failed to ${action}`, {
+            error: error.message,
+            username: req.user.username
+        });
+        this.recordRequest(req.method, route, 500);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action}`
+        });
+    }
+
+    recordRequest(method, route, status) {
+        if (this.basicHealthService) {
+            this.basicHealthService.recordHttpRequest(method, route, status);
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = ServerConfigRoutes;
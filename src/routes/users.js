@@ -0,0 +1,415 @@
+const express = require('express');
+const UserConfigManager = require('../utils/user-config');
+const AccessControl = require('../utils/access-control');
+const {
+    requireAuthentication,
+    createCSRFProtection,
+    destroyUserSessions
+} = require('../middleware/session-middleware');
+
+/**
+ * User management routes for web interface
+ * Lets administrators list, create, disable/enable, reset passwords and delete web users
+ */
+class UserRoutes {
+    constructor(logger, loggingService, basicHealthService, options = {}) {
+        this.router = express.Router();
+        this.logger = logger;
+        this.loggingService = loggingService;
+        this.basicHealthService = basicHealthService;
+        this.userConfig = options.userConfig || new UserConfigManager(logger);
+        // Sessions of disabled, deleted or re-roled users are ended here
+        this.sessionStore = options.sessionStore || null;
+
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        const csrfProtection = createCSRFProtection();
+
+        // Apply authentication and administrator check to all user routes
+        this.router.use('/users', requireAuthentication(), (req, res, next) => this.requireAdmin(req, res, next));
+
+        // GET /users - Display user management page
+        this.router.get('/users', csrfProtection, async (req, res) => {
+            try {
+                if (!req.xhr && !req.headers.accept?.includes('application/json')) {
+                    return res.render('users', {
+                        csrfToken: res.locals.csrfToken,
+                        username: req.session.username
+                    });
+                }
+
+                const users = await this.userConfig.listUsers();
+                res.json({
+                    success: true,
+                    users,
+                    count: users.length
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to load users page', {
+                    error: error.message,
+                    username: req.session.username
+                });
+
+                if (req.xhr || req.headers.accept?.includes('application/json')) {
+                    res.status(500).json({
+                        success: false,
+                        error: 'Failed to load users'
+                    });
+                } else {
+                    res.status(500).render('error', {
+                        message: 'Failed to load users page'
+                    });
+                }
+            }
+        });
+
+        // GET /users/list - API endpoint for user list
+        this.router.get('/users/list', async (req, res) => {
+            try {
+                const users = await this.userConfig.listUsers();
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordHttpRequest('GET', '/users/list', 200);
+                }
+
+                res.json({
+                    success: true,
+                    users,
+                    count: users.length,
+                    currentUser: req.session.username,
+                    roles: AccessControl.VALID_ROLES,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                this.logger.error('Failed to list users', {
+                    error: error.message,
+                    username: req.session.username
+                });
+
+                if (this.basicHealthService) {
+                    this.basicHealthService.recordHttpRequest('GET', '/users/list', 500);
+                }
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to retrieve user list'
+                });
+            }
+        });
+
+        // POST /users/create - Create new user
+        this.router.post('/users/create', csrfProtection, async (req, res) => {
+            const { username, password, role } = req.body;
+
+            if (!this.isValidUsername(username)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid username. Use only alphanumeric characters, hyphens, and underscores (3-50 characters)'
+                });
+            }
+
+            if (role !== undefined && !AccessControl.isValidRole(role)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid role. Expected one of: ${AccessControl.VALID_ROLES.join(', ')}`
+                });
+            }
+
+            try {
+                const result = await this.userConfig.createAdminUser(username, password, {
+                    role: role || AccessControl.ROLES.MEMBER,
+                    createdBy: req.session.username
+                });
+
+                this.logUserEvent('USER_CREATED', username, req, { role: result.role });
+
+                res.status(201).json({
+                    success: true,
+                    message: 'User created successfully',
+                    user: await this.userConfig.getUser(username)
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'create', username);
+            }
+        });
+
+        // POST /users/disable/:username - Disable user account
+        this.router.post('/users/disable/:username', csrfProtection, async (req, res) => {
+            const { username } = req.params;
+
+            try {
+                if (username === req.session.username) {
+                    return this.sendError(res, 400, 'You cannot disable your own account');
+                }
+
+                if (await this.isLastActiveAdmin(username)) {
+                    return this.sendError(res, 409, 'Cannot disable the last active administrator');
+                }
+
+                await this.userConfig.disableUser(username);
+                await this.endSessions(username);
+                this.logUserEvent('USER_DISABLED', username, req);
+
+                res.json({
+                    success: true,
+                    message: 'User account disabled successfully',
+                    user: await this.userConfig.getUser(username)
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'disable', username);
+            }
+        });
+
+        // POST /users/enable/:username - Enable user account
+        this.router.post('/users/enable/:username', csrfProtection, async (req, res) => {
+            const { username } = req.params;
+
+            try {
+                await this.userConfig.enableUser(username);
+                this.logUserEvent('USER_ENABLED', username, req);
+
+                res.json({
+                    success: true,
+                    message: 'User account enabled successfully',
+                    user: await this.userConfig.getUser(username)
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'enable', username);
+            }
+        });
+
+        // POST /users/role/:username - Change user role
+        this.router.post('/users/role/:username', csrfProtection, async (req, res) => {
+            const { username } = req.params;
+            const { role } = req.body;
+
+            try {
+                if (username === req.session.username) {
+                    return this.sendError(res, 400, 'You cannot change your own role');
+                }
+
+                if (role !== AccessControl.ROLES.ADMIN && await this.isLastActiveAdmin(username)) {
+                    return this.sendError(res, 409, 'Cannot demote the last active administrator');
+                }
+
+                const result = await this.userConfig.setUserRole(username, role);
+                await this.endSessions(username);
+                this.logUserEvent('USER_ROLE_CHANGED', username, req, { role: result.role });
+
+                res.json({
+                    success: true,
+                    message: 'User role updated successfully',
+                    user: await this.userConfig.getUser(username)
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'change role of', username);
+            }
+        });
+
+        // POST /users/reset-password/:username - Set a new password for a user
+        this.router.post('/users/reset-password/:username', csrfProtection, async (req, res) => {
+            const { username } = req.params;
+            const { password } = req.body;
+
+            try {
+                await this.userConfig.resetPassword(username, password, {
+                    resetBy: req.session.username
+                });
+                // Sessions opened with the old password end; an admin resetting their own keeps this one
+                await this.endSessions(username, req.sessionID);
+                this.logUserEvent('USER_PASSWORD_RESET', username, req);
+
+                res.json({
+                    success: true,
+                    message: 'Password reset successfully'
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'reset password of', username);
+            }
+        });
+
+        // POST /users/reset-totp/:username - Remove two-factor so a user who lost their device can re-enroll
+        this.router.post('/users/reset-totp/:username', csrfProtection, async (req, res) => {
+            const { username } = req.params;
+
+            try {
+                await this.userConfig.disableTotp(username);
+                this.logUserEvent('USER_TOTP_RESET', username, req);
+
+                res.json({
+                    success: true,
+                    message: 'Two-factor authentication reset',
+                    user: await this.userConfig.getUser(username)
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'reset two-factor authentication of', username);
+            }
+        });
+
+        // POST /users/delete/:username - Delete user account
+        this.router.post('/users/delete/:username', csrfProtection, async (req, res) => {
+            const { username } = req.params;
+
+            try {
+                if (username === req.session.username) {
+                    return this.sendError(res, 400, 'You cannot delete your own account');
+                }
+
+                if (await this.isLastActiveAdmin(username)) {
+                    return this.sendError(res, 409, 'Cannot delete the last active administrator');
+                }
+
+                await this.userConfig.deleteUser(username);
+                await this.endSessions(username);
+                this.logUserEvent('USER_DELETED', username, req);
+
+                res.json({
+                    success: true,
+                    message: 'User account deleted successfully'
+                });
+
+            } catch (error) {
+                this.handleError(req, res, error, 'delete', username);
+            }
+        });
+    }
+
+    /**
+     * Only administrators may manage users
+     */
+    requireAdmin(req, res, next) {
+        const role = AccessControl.normalizeRole(req.session.role);
+        if (role === AccessControl.ROLES.ADMIN) {
+            return next();
+        }
+
+        this.logUserEvent('ACCESS_DENIED', 'unknown', req, {
+            role,
+            path: req.originalUrl
+        });
+
+        if (req.method === 'GET' && !req.xhr && !req.headers.accept?.includes('application/json')) {
+            return res.redirect('/certificates');
+        }
+
+        return this.sendError(res, 403, 'You do not have permission to perform this action');
+    }
+
+    /**
+     * Log a user out of the web interface after their account changed
+     * The change itself has been saved, so a store failure is logged rather than reported.
+     */
+    async endSessions(username, keepSessionId = null) {
+        if (!this.sessionStore) {
+            return;
+        }
+
+        try {
+            const removed = await destroyUserSessions(this.sessionStore, username, keepSessionId);
+            if (removed > 0) {
+                this.logger.info('Ended web sessions of changed user', { username, sessions: removed });
+            }
+        } catch (error) {
+            this.logger.error('Failed to end web sessions of changed user', {
+                error: error.message,
+                username
+            });
+        }
+    }
+
+    /**
+     * Check whether an account is the only active administrator left
+     */
+    async isLastActiveAdmin(username) {
+        const users = await this.userConfig.listUsers();
+        const activeAdmins = users.filter(user => user.isActive && user.role === AccessControl.ROLES.ADMIN);
+        return activeAdmins.length === 1 && activeAdmins[0].username === username;
+    }
+
+    /**
+     * Validate username format
+     */
+    isValidUsername(username) {
+        if (!username || typeof username !== 'string') {
+            return false;
+        }
+
+        // Same rules as scripts/setup-web-admin.js
+        return /^[a-zA-Z0-9_-]{3,50}$/.test(username);
+    }
+
+    /**
+     * Map user store errors to HTTP responses
+     */
+    handleError(req, res, error, action, username) {
+        const statusByCode = {
+            USER_NOT_FOUND: 404,
+            USER_EXISTS: 409,
+            WEAK_PASSWORD: 400,
+            INVALID_ROLE: 400,
+            INVALID_INPUT: 400
+        };
+        const status = statusByCode[error.code];
+
+        if (status) {
+            return this.sendError(res, status, error.message);
+        }
+
+        this.logger.error(`Failed to ${action} user`, {
+            error: error.message,
+            target: username,
+            username: req.session.username
+        });
+
+        return this.sendError(res, 500, `Failed to ${action} user`);
+    }
+
+    /**
+     * Send JSON error response
+     */
+    sendError(res, status, message) {
+        return res.status(status).json({
+            success: false,
+            error: message
+        });
+    }
+
+    /**
+     * Log user management events to the audit log
+     */
+    logUserEvent(event, targetUser, req, details = {}) {
+        const logData = {
+            targetUser,
+            username: req.session.username,
+            clientIP: req.ip,
+            userEventType: event,
+            ...details
+        };
+
+        if (this.loggingService && this.loggingService.logSecurityEvent) {
+            this.loggingService.logSecurityEvent('USER_MANAGEMENT', `User ${event}`, logData);
+        } else {
+            // Fallback to regular logger
+            this.logger.info(`User ${event}`, logData);
+        }
+    }
+
+    /**
+     * Get router instance
+     */
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = UserRoutes;
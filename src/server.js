@@ -7,10 +7,14 @@ const fs = require('fs').promises;
 const cookieParser = require('cookie-parser');
 const config = require('./config');
 const CertificateManager = require('./utils/certificate-manager');
+const CertificateRegistry = require('./utils/certificate-registry');
 const NetworkSecurityManager = require('./utils/network-security');
 const AuthenticationService = require('./services/auth-service');
 const LoggingService = require('./services/logging-service');
 const BasicHealthService = require('./services/metrics-service');
+const MetricsRegistry = require('./utils/metrics-registry');
+const UserConfigManager = require('./utils/user-config');
+const AccessControl = require('./utils/access-control');
 
 const {
   authRateLimit,
@@ -31,13 +35,25 @@ const {
 
 const WebAuthRoutes = require('./routes/auth');
 const CertificateRoutes = require('./routes/certificates');
+const UserRoutes = require('./routes/users');
+const AccountRoutes = require('./routes/account');
+const JobRoutes = require('./routes/jobs');
+const ConnectionRoutes = require('./routes/connections');
+const ServerConfigRoutes = require('./routes/server-config');
+const OpenVPNSecurityConfig = require('./utils/openvpn-security-config');
+const ServerSettings = require('./utils/server-settings');
+const OpenVPNManagementClient = require('./services/openvpn-management');
+const JobScheduler = require('./services/job-scheduler');
+const DnsFilterServer = require('./services/dns-filter');
+const { getDnsFilterAddress, getDnsZoneDomain, getDnsUpstreams, validateDnsConfig } = require('./utils/dns-settings');
+const { registerScheduledJobs } = require('./services/scheduled-jobs');
+const CertificateBackupManager = require('../scripts/backup-certificates');
 
 const app = express();
 
 // Initialize simplified services
 const loggingService = new LoggingService();
 const basicHealthService = new BasicHealthService(loggingService);
-const authService = new AuthenticationService(loggingService, basicHealthService);
 
 // Setup log rotation handlers
 loggingService.setupLogRotationHandlers();
@@ -45,6 +61,25 @@ loggingService.setupLogRotationHandlers();
 // Get logger for backward compatibility
 const logger = loggingService.getLogger();
 
+// Every DNS setting pushed or written out derives from config.dns; refuse to start with a bad provider
+const dnsProvider = validateDnsConfig(config);
+logger.info(`DNS provider: ${dnsProvider.label} (${dnsProvider.ipv4.join(', ')})`);
+
+// Port, protocol, subnet and max clients applied from the server settings page replace config.vpn
+const serverSettingsFile = path.join(config.certificates.dir, 'server-settings.json');
+if (ServerSettings.applyStoredSettings(config, serverSettingsFile)) {
+  logger.info(`Server settings from ${serverSettingsFile}: ${config.vpn.protocol} port ${config.vpn.port}, ${config.vpn.subnet}/${config.vpn.netmask}`);
+}
+
+// Web and API users share one store (seeded from environment variables)
+const userConfigManager = new UserConfigManager(logger);
+const authService = new AuthenticationService(loggingService, basicHealthService, userConfigManager);
+
+// Persistent certificate metadata shared by the API and web routes
+const certificateRegistry = new CertificateRegistry(logger, {
+  registryFile: path.join(config.certificates.dir, 'certificate-registry.json')
+});
+
 // Web interface middleware setup
 const sessionMiddleware = createSessionMiddleware({
   sessionSecret: process.env.WEB_SESSION_SECRET
@@ -157,38 +192,50 @@ async function initializeVPNServer() {
   }
 }
 
+// OpenVPN server config path for this platform; also what the config linter checks
+function getOpenVPNConfigPath() {
+  if (os.platform() === 'win32') {
+    // On Windows, OpenVPN is usually installed in Program Files
+    return path.join('C:\\Program Files\\OpenVPN\\config\\openvpn.conf');
+  }
+
+  if (os.platform() === 'darwin') {
+    // On macOS, try multiple possible locations
+    const macOSPaths = [
+      path.join(config.config.path, 'openvpn.conf'),
+      '/usr/local/etc/openvpn/openvpn.conf',
+      '/opt/homebrew/etc/openvpn/openvpn.conf',
+      '/etc/openvpn/openvpn.conf'
+    ];
+    
+    return macOSPaths.find(p => {
+      try {
+        const fsSync = require('fs');
+        return fsSync.existsSync(p);
+      } catch (error) {
+        return false;
+      }
+    }) || macOSPaths[0]; // Default to first path if none found
+  }
+
+  // Linux and other Unix-like systems
+  return process.env.OPENVPN_CONFIG || '/etc/openvpn/openvpn.conf';
+}
+
+// The OpenVPN process started by startOpenVPNServer, while it runs
+let openvpnProcess = null;
+
 function startOpenVPNServer() {
   try {
     logger.info('Starting OpenVPN server...');
     
     // Determine the openvpn executable name and config path based on the platform
     let openvpnCommand = 'openvpn';
-    let configPath;
+    const configPath = getOpenVPNConfigPath();
     
     if (os.platform() === 'win32') {
       // On Windows, OpenVPN is usually installed in Program Files
       openvpnCommand = path.join('C:\\Program Files\\OpenVPN\\bin\\openvpn.exe');
-      configPath = path.join('C:\\Program Files\\OpenVPN\\config\\openvpn.conf');
-    } else if (os.platform() === 'darwin') {
-      // On macOS, try multiple possible locations
-      const macOSPaths = [
-        path.join(config.config.path, 'openvpn.conf'),
-        '/usr/local/etc/openvpn/openvpn.conf',
-        '/opt/homebrew/etc/openvpn/openvpn.conf',
-        '/etc/openvpn/openvpn.conf'
-      ];
-      
-      configPath = macOSPaths.find(p => {
-        try {
-          const fsSync = require('fs');
-          return fsSync.existsSync(p);
-        } catch (error) {
-          return false;
-        }
-      }) || macOSPaths[0]; // Default to first path if none found
-    } else {
-      // Linux and other Unix-like systems
-      configPath = process.env.OPENVPN_CONFIG || '/etc/openvpn/openvpn.conf';
     }
     
     logger.info(`Using OpenVPN command: ${openvpnCommand}`);
@@ -207,6 +254,7 @@ function startOpenVPNServer() {
     }
     
     const openvpn = spawn(openvpnCommand, ['--config', configPath]);
+    openvpnProcess = openvpn;
 
     openvpn.stdout.on('data', (data) => {
       logger.info(`OpenVPN: ${data}`);
@@ -218,6 +266,7 @@ function startOpenVPNServer() {
 
     openvpn.on('close', (code) => {
       logger.info(`OpenVPN process exited with code ${code}`);
+      openvpnProcess = null;
       // Restart OpenVPN after a delay if it crashes
       setTimeout(startOpenVPNServer, 5000);
     });
@@ -244,12 +293,17 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Metrics endpoint for monitoring
+// Metrics endpoint for monitoring: Prometheus text format by default, JSON summary on request
 app.get('/metrics', async (req, res) => {
   try {
-    const metrics = basicHealthService.getBasicMetrics();
+    if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+      basicHealthService.recordHttpRequest('GET', '/metrics', 200);
+      return res.json(basicHealthService.getBasicMetrics());
+    }
+
+    const metrics = await basicHealthService.getPrometheusMetrics();
     basicHealthService.recordHttpRequest('GET', '/metrics', 200);
-    res.json(metrics);
+    res.set('Content-Type', MetricsRegistry.CONTENT_TYPE).send(metrics);
   } catch (error) {
     basicHealthService.recordHttpRequest('GET', '/metrics', 500);
     loggingService.error('Metrics retrieval failed', { error: error.message });
@@ -285,7 +339,7 @@ app.get('/api/network-security/status', authenticateToken(authService), async (r
 // Authentication endpoint
 app.post('/auth/login', authRateLimit, authSlowDown, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, totpCode } = req.body;
     
     if (!username || !password) {
       return res.status(400).json({ 
@@ -293,7 +347,7 @@ app.post('/auth/login', authRateLimit, authSlowDown, async (req, res) => {
       });
     }
 
-    const result = await authService.authenticate(username, password, req.ip);
+    const result = await authService.authenticate(username, password, req.ip, totpCode);
     
     // Set secure HTTP-only cookies for tokens
     res.cookie('accessToken', result.tokens.accessToken, {
@@ -319,7 +373,8 @@ app.post('/auth/login', authRateLimit, authSlowDown, async (req, res) => {
   } catch (error) {
     res.status(401).json({ 
       error: 'Authentication failed',
-      message: error.message 
+      message: error.message,
+      totpRequired: error.code === 'TOTP_REQUIRED' || undefined
     });
   }
 });
@@ -463,6 +518,16 @@ app.get('/get-cert', (req, res) => {
 app.post('/api/generate-cert', authenticateToken(authService), async (req, res) => {
   const startTime = Date.now();
   
+  // Guests may only download certificates assigned to them
+  if (!AccessControl.canCreate(req.user)) {
+    loggingService.logCertificateEvent('ACCESS_DENIED', 'unknown', req.user.username, req.ip, {
+      action: 'generate',
+      role: AccessControl.normalizeRole(req.user.role)
+    });
+    basicHealthService.recordHttpRequest('POST', '/api/generate-cert', 403);
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+
   try {
     // Create a unique client name based on authenticated user and timestamp
     const clientName = `${req.user.username}_${Date.now()}`;
@@ -516,6 +581,21 @@ app.post('/api/generate-cert', authenticateToken(authService), async (req, res)
           duration,
           certSize: certData.length
         });
+
+        await certificateRegistry.set(clientName, {
+          name: clientName,
+          createdAt: new Date().toISOString(),
+          createdBy: req.user.username,
+          status: 'active',
+          clientIP: req.ip,
+          assignedTo: [],
+          source: 'api'
+        }).catch(registryError => {
+          loggingService.warn('Failed to record certificate in registry', {
+            clientName,
+            error: registryError.message
+          });
+        });
         
         basicHealthService.recordCertificateOperation('generate', 'success', req.user.username);
         
@@ -553,13 +633,128 @@ app.post('/api/generate-cert', authenticateToken(authService), async (req, res)
   }
 });
 
+// Live connection status through the OpenVPN management interface
+const managementClient = new OpenVPNManagementClient(loggingService, config.vpn.management);
+
 // Web interface routes
-const webAuthRoutes = new WebAuthRoutes(logger, loggingService, basicHealthService);
-const certificateRoutes = new CertificateRoutes(logger, loggingService, basicHealthService, config);
+const webAuthRoutes = new WebAuthRoutes(logger, loggingService, basicHealthService, {
+  userConfig: userConfigManager
+});
+const certificateRoutes = new CertificateRoutes(logger, loggingService, basicHealthService, config, {
+  registry: certificateRegistry,
+  userConfig: userConfigManager,
+  management: managementClient
+});
+const userRoutes = new UserRoutes(logger, loggingService, basicHealthService, {
+  userConfig: userConfigManager,
+  sessionStore: sessionMiddleware.store
+});
+const accountRoutes = new AccountRoutes(logger, loggingService, basicHealthService, {
+  userConfig: userConfigManager
+});
+
+// Filtering DNS forwarder for VPN clients; blocklists and DNS provider follow each client's access group,
+// and it answers for the family zone (laptop-anna.family.lan) itself
+const dnsFilter = config.dns.filter.enabled
+  ? new DnsFilterServer(loggingService, {
+    ...config.dns.filter,
+    upstream: getDnsUpstreams(config),
+    resolveUpstreams: providerName => getDnsUpstreams(config, providerName),
+    listenAddress: getDnsFilterAddress(config),
+    blocklistDir: config.dns.filter.blocklistDir || path.join(config.certificates.dir, 'blocklists'),
+    resolveClient: address => certificateRoutes.getAccessGroupByAddress(address),
+    zoneDomain: getDnsZoneDomain(config),
+    resolveZone: async () => (await certificateRoutes.getZoneRecords())
+      .map(record => ({ name: record.fqdn, address: record.address }))
+  })
+  : null;
+
+// Device names follow connects and disconnects
+if (dnsFilter) {
+  managementClient.on('client', () => dnsFilter.clearZoneCache());
+}
+
+// Housekeeping jobs (CRL refresh, expiry scan, pending revocations, cleanups, backups)
+const jobScheduler = new JobScheduler(loggingService);
+registerScheduledJobs(jobScheduler, config.jobs, {
+  certificateRoutes,
+  authService,
+  webAuthRoutes,
+  sessionStore: sessionMiddleware.store,
+  dnsFilter,
+  backupManager: new CertificateBackupManager({ certDir: config.certificates.dir })
+});
+const jobRoutes = new JobRoutes(logger, loggingService, basicHealthService, {
+  scheduler: jobScheduler,
+  authService
+});
+
+const connectionRoutes = new ConnectionRoutes(logger, loggingService, basicHealthService, {
+  management: managementClient,
+  authService,
+  registry: certificateRegistry,
+  statusLogPath: config.vpn.statusLog,
+  accessLogPath: config.vpn.accessLog || path.join(config.certificates.dir, 'client-access.log')
+});
+
+/**
+ * Make OpenVPN use a regenerated config
+ * Our own process is stopped and comes back through its exit handler. One run by a service
+ * manager re-reads the config on SIGHUP through the management interface, which cannot change
+ * the port, protocol or subnet; those need the service restarted.
+ */
+async function restartOpenVPNServer({ restartRequired = false } = {}) {
+  if (openvpnProcess) {
+    openvpnProcess.kill('SIGTERM');
+    return { reloaded: true, message: 'OpenVPN is restarting with the new config' };
+  }
+  if (managementClient.isConnected()) {
+    if (restartRequired) {
+      return {
+        reloaded: false,
+        restartRequired: true,
+        message: 'Restart the OpenVPN service to use the new port, protocol or subnet; a config reload cannot change them'
+      };
+    }
+    await managementClient.reloadConfig();
+    return { reloaded: true, message: 'OpenVPN is re-reading its config' };
+  }
+  return { reloaded: false, message: 'OpenVPN is not running; it will use the new config when it starts' };
+}
+
+// Config linter, profile checker and settings editor for the installed server config
+const openvpnSecurityConfig = new OpenVPNSecurityConfig(config, logger);
+const serverConfigRoutes = new ServerConfigRoutes(logger, loggingService, basicHealthService, config, {
+  authService,
+  certManager: certificateRoutes.certManager,
+  securityConfig: openvpnSecurityConfig,
+  serverConfigPaths: [getOpenVPNConfigPath()],
+  serverSettings: new ServerSettings(logger, {
+    config,
+    storeFile: serverSettingsFile,
+    configPath: getOpenVPNConfigPath(),
+    securityConfig: openvpnSecurityConfig,
+    clientConfigDir: certificateRoutes.clientConfigDir,
+    dnsFilter,
+    logDir: os.platform() === 'win32' ? 'C:\\ProgramData\\OpenVPN\\log' : '/var/log/openvpn'
+  }),
+  reloadOpenVPN: restartOpenVPNServer
+});
+
+// Connected clients gauge for /metrics; a stale status file means the count is unknown
+basicHealthService.setConnectedClientsProvider(async () => {
+  const status = await connectionRoutes.getCurrentStatus();
+  return status && !status.stale ? status.clients.length : null;
+});
 
 // Mount web routes
 app.use('/', webAuthRoutes.getRouter());
 app.use('/', certificateRoutes.getRouter());
+app.use('/', userRoutes.getRouter());
+app.use('/', accountRoutes.getRouter());
+app.use('/', jobRoutes.getRouter());
+app.use('/', connectionRoutes.getRouter());
+app.use('/', serverConfigRoutes.getRouter());
 
 // Root route - redirect to appropriate page based on authentication
 app.get('/', (req, res) => {
@@ -659,5 +854,40 @@ app.listen(port, '0.0.0.0', () => {
   logger.info(`Management server listening on port ${port}`);
   logger.info(`Web interface available at http://localhost:${port}`);
   logger.info(`API endpoints available at http://localhost:${port}/api/*`);
+  userConfigManager.initialize().catch(err => {
+    logger.error(`User store initialization error: ${err.message}`);
+  });
   initializeVPNServer();
+  if (config.jobs.enabled) {
+    jobScheduler.start();
+  }
+  if (config.vpn.management.enabled) {
+    managementClient.start();
+  }
+  if (dnsFilter) {
+    dnsFilter.start().catch(err => {
+      logger.error('Failed to start DNS forwarder', { error: err.message });
+    });
+  }
+  // Static addresses assigned before the range was reserved can collide with the dynamic pool
+  certificateRoutes.clientConfigDir.getStaticAddresses().then(addresses => {
+    const range = certificateRoutes.clientConfigDir.getStaticRange();
+    for (const [name, address] of addresses) {
+      if (!certificateRoutes.clientConfigDir.inStaticRange(address)) {
+        logger.warn(`Static address ${address} of ${name} is outside the static range ${range ? `${range.first}-${range.last}` : '(none)'}; assign it a new one`);
+      }
+    }
+  }).catch(err => {
+    logger.error('Failed to check static addresses', { error: err.message });
+  });
+  // Per-group DNS providers in client-config-dir follow the current DNS settings
+  certificateRoutes.syncDnsOverrides().catch(err => {
+    logger.error('Failed to sync per-group DNS settings', { error: err.message });
+  });
+  // Make sure wg0.conf matches the registry (e.g. after restoring a backup)
+  if (config.wireguard.enabled) {
+    certificateRoutes.backends.wireguard.syncServerConfig().catch(err => {
+      logger.error('Failed to write WireGuard server config', { error: err.message });
+    });
+  }
 });
\ No newline at end of file
@@ -2,9 +2,11 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 
 class AuthenticationService {
-  constructor(loggingService, basicHealthService) {
+  constructor(loggingService, basicHealthService, userConfig = null) {
     this.loggingService = loggingService;
     this.basicHealthService = basicHealthService;
+    // Optional UserConfigManager; without it only the environment admin can log in
+    this.userConfig = userConfig;
     this.saltRounds = 12;
     this.jwtSecret = process.env.JWT_SECRET || this.generateSecretKey();
     this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET || this.generateSecretKey();
@@ -39,7 +41,7 @@ class AuthenticationService {
     }
   }
 
-  async authenticate(username, password, clientIP) {
+  async authenticate(username, password, clientIP, totpCode = null) {
     const startTime = Date.now();
     
     try {
@@ -53,34 +55,25 @@ class AuthenticationService {
         throw new Error('Account temporarily locked due to too many failed attempts');
       }
 
-      // Get user credentials from environment variables
-      const validUsername = process.env.VPN_USERNAME;
-      const validPasswordHash = process.env.VPN_PASSWORD_HASH;
+      let role = 'admin';
+      if (this.userConfig) {
+        const authResult = await this.verifyStoredUser(username, password, clientIP);
+        role = authResult.user.role;
 
-      if (!validUsername || !validPasswordHash) {
-        this.loggingService.error('Authentication credentials not configured');
-        throw new Error('Authentication system not properly configured');
-      }
-
-      // Verify username and password
-      if (username !== validUsername) {
-        this.recordFailedAttempt(username, clientIP);
-        this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
-        throw new Error('Invalid credentials');
-      }
-
-      const isValidPassword = await this.verifyPassword(password, validPasswordHash);
-      if (!isValidPassword) {
-        this.recordFailedAttempt(username, clientIP);
-        this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
-        throw new Error('Invalid credentials');
+        if (authResult.user.totpEnabled) {
+          await this.verifyStoredSecondFactor(username, totpCode, clientIP);
+        }
+        // Counted once every factor passed
+        await this.userConfig.recordLogin(username);
+      } else {
+        await this.verifyEnvironmentUser(username, password, clientIP);
       }
 
       // Clear failed attempts on successful authentication
       this.clearFailedAttempts(username);
 
       // Generate tokens
-      const tokens = await this.generateTokens(username, clientIP);
+      const tokens = await this.generateTokens(username, clientIP, role);
       
       this.loggingService.logAuthenticationEvent('SUCCESS', username, clientIP, true, {
         tokenExpiry: this.tokenExpiry
@@ -103,9 +96,65 @@ class AuthenticationService {
     }
   }
 
-  async generateTokens(username, clientIP) {
+  async verifyStoredUser(username, password, clientIP) {
+    try {
+      return await this.userConfig.authenticateUser(username, password);
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS' || error.code === 'USER_DISABLED') {
+        this.recordFailedAttempt(username, clientIP);
+        this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
+      }
+      throw error;
+    }
+  }
+
+  async verifyStoredSecondFactor(username, totpCode, clientIP) {
+    if (!totpCode) {
+      const error = new Error('Two-factor authentication code required');
+      error.code = 'TOTP_REQUIRED';
+      throw error;
+    }
+
+    try {
+      return await this.userConfig.verifySecondFactor(username, totpCode);
+    } catch (error) {
+      if (error.code === 'INVALID_TOTP') {
+        this.recordFailedAttempt(username, clientIP);
+        this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
+      }
+      throw error;
+    }
+  }
+
+  async verifyEnvironmentUser(username, password, clientIP) {
+    // Get user credentials from environment variables
+    const validUsername = process.env.VPN_USERNAME;
+    const validPasswordHash = process.env.VPN_PASSWORD_HASH;
+
+    if (!validUsername || !validPasswordHash) {
+      this.loggingService.error('Authentication credentials not configured');
+      throw new Error('Authentication system not properly configured');
+    }
+
+    // Verify username and password
+    if (username !== validUsername) {
+      this.recordFailedAttempt(username, clientIP);
+      this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
+      throw new Error('Invalid credentials');
+    }
+
+    const isValidPassword = await this.verifyPassword(password, validPasswordHash);
+    if (!isValidPassword) {
+      this.recordFailedAttempt(username, clientIP);
+      this.basicHealthService.recordAuthAttempt('failed', username, clientIP);
+      throw new Error('Invalid credentials');
+    }
+  }
+
+  async generateTokens(username, clientIP, role = 'admin') {
     const payload = {
       username,
+      role,
       clientIP,
       iat: Math.floor(Date.now() / 1000)
     };
@@ -177,8 +226,19 @@ class AuthenticationService {
         throw new Error('Refresh token IP mismatch');
       }
 
+      // Users disabled or removed since login must not keep refreshing tokens
+      let role = decoded.role;
+      if (this.userConfig) {
+        const user = await this.userConfig.getUser(decoded.username);
+        if (!user || !user.isActive) {
+          throw new Error('User account is disabled');
+        }
+        // Pick up role changes made since the previous token was issued
+        role = user.role;
+      }
+
       // Generate new tokens
-      const tokens = await this.generateTokens(decoded.username, clientIP);
+      const tokens = await this.generateTokens(decoded.username, clientIP, role);
       
       this.loggingService.logAuthenticationEvent('TOKEN_REFRESH_SUCCESS', decoded.username, clientIP, true, {
         newTokenExpiry: this.tokenExpiry
@@ -239,11 +299,14 @@ class AuthenticationService {
 
   cleanupFailedAttempts() {
     const now = Date.now();
+    let removed = 0;
     for (const [key, attempts] of this.failedAttempts.entries()) {
       if (now - attempts.lastAttempt > this.lockoutDuration) {
         this.failedAttempts.delete(key);
+        removed++;
       }
     }
+    return removed;
   }
 
 
@@ -0,0 +1,675 @@
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+const https = require('https');
+const crypto = require('crypto');
+const DnsMessage = require('../utils/dns-message');
+const Blocklists = require('../utils/blocklists');
+
+const DEFAULT_OPTIONS = {
+  listenAddress: '10.8.0.1',
+  port: 53,
+  // ip[:port] (plain DNS), tls://ip[:port]#name (DNS over TLS) or https:// URLs (DNS over HTTPS)
+  upstream: ['1.1.1.1', '1.0.0.1'],
+  // Extra options for encrypted upstreams, e.g. { ca } for a private resolver
+  tlsOptions: {},
+  timeoutMs: 3000,
+  blocklistDir: null,
+  // Lists for clients whose access group names none; null means every loaded list
+  defaultBlocklists: null,
+  clientCacheMs: 60000,
+  // Family zone answered locally (e.g. family.lan) with names from resolveZone; null forwards every name
+  zoneDomain: null,
+  zoneTtl: 30,
+  zoneCacheMs: 5000,
+  bindRetryMs: 30000,
+  topDomains: 10
+};
+
+// DNS messages are at most 64 KiB, over any transport
+const MAX_MESSAGE_LENGTH = 65535;
+// Distinct blocked names counted between stats flushes
+const MAX_TRACKED_DOMAINS = 1000;
+const TCP_IDLE_TIMEOUT = 10000;
+
+/**
+ * Filtering DNS forwarder for VPN clients
+ * Listens on the VPN gateway address (UDP and TCP), answers names on the client's blocklists
+ * locally and forwards everything else to the upstream resolvers in order, in plain DNS, DNS
+ * over TLS or DNS over HTTPS. The lists that apply come from the client's access group, looked
+ * up by VPN address through resolveClient; a group's DNS provider replaces the upstreams.
+ * Names in the family zone are answered authoritatively from resolveZone and never forwarded.
+ * Only aggregate counts are kept; individual queries are not logged.
+ */
+class DnsFilterServer {
+  /**
+   * @param {Object} options - DEFAULT_OPTIONS plus resolveClient(address) -> access group or null
+   *   resolveZone() -> [{ name, address }] with fully qualified names inside zoneDomain, and
+   *   resolveUpstreams(providerName) -> upstreams for access groups with their own DNS provider
+   */
+  constructor(loggingService, options = {}) {
+    this.loggingService = loggingService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.resolveClient = options.resolveClient || null;
+    this.resolveZone = options.resolveZone || null;
+    this.resolveUpstreams = options.resolveUpstreams || null;
+    this.providerUpstreams = new Map();
+    this.blocklists = options.blocklists || new Blocklists(loggingService, { dir: this.options.blocklistDir });
+    this.upstreams = this.options.upstream.map(server => DnsFilterServer.parseServer(server));
+
+    this.udpServer = null;
+    this.tcpServer = null;
+    this.upstreamSocket = null;
+    this.pending = new Map();
+    this.clientCache = new Map();
+    this.zoneCache = null;
+    this.retryTimer = null;
+    this.stopped = true;
+    this.stats = DnsFilterServer.emptyStats();
+  }
+
+  /**
+   * Load blocklists and start listening; waits for the VPN interface if its address is not up yet
+   */
+  async start() {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    try {
+      await this.blocklists.load();
+      await this.openUpstreamSocket();
+      await this.listen();
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.closeListeners();
+
+    for (const [id, request] of this.pending) {
+      clearTimeout(request.timer);
+      request.reject(DnsFilterServer.createDnsError('DNS forwarder stopped', 'DNS_STOPPED'));
+      this.pending.delete(id);
+    }
+
+    if (this.upstreamSocket) {
+      this.upstreamSocket.close();
+      this.upstreamSocket = null;
+    }
+  }
+
+  isListening() {
+    return Boolean(this.udpServer && this.tcpServer);
+  }
+
+  /**
+   * Listen on another address (a new VPN gateway); waits for it like start() if it is not up yet
+   */
+  async rebind(listenAddress) {
+    if (listenAddress === this.options.listenAddress) {
+      return;
+    }
+
+    this.options.listenAddress = listenAddress;
+    if (this.stopped) {
+      return;
+    }
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.closeListeners();
+    await this.listen();
+  }
+
+  async listen() {
+    try {
+      await this.bindUdp();
+      await this.bindTcp();
+      this.loggingService.info('DNS forwarder listening', {
+        address: this.options.listenAddress,
+        port: this.options.port,
+        upstream: this.options.upstream
+      });
+    } catch (error) {
+      this.closeListeners();
+      if (this.stopped) {
+        return;
+      }
+
+      // The gateway address only exists once OpenVPN has brought up its interface
+      if (error.code === 'EADDRNOTAVAIL') {
+        this.loggingService.warn('DNS forwarder address not available yet, retrying', {
+          address: this.options.listenAddress,
+          retryMs: this.options.bindRetryMs
+        });
+        this.retryTimer = setTimeout(() => {
+          this.retryTimer = null;
+          // Nothing awaits a retry; any other bind error (port 53 in use, no permission) ends it here
+          this.listen().catch(retryError => {
+            this.loggingService.error('DNS forwarder stopped retrying', {
+              address: this.options.listenAddress,
+              error: retryError.message
+            });
+          });
+        }, this.options.bindRetryMs);
+        return;
+      }
+
+      this.loggingService.error('DNS forwarder failed to start', {
+        address: this.options.listenAddress,
+        port: this.options.port,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  bindUdp() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.bind(this.options.port, this.options.listenAddress, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => {
+          this.loggingService.warn('DNS forwarder socket error', { error: error.message });
+        });
+        socket.on('message', (message, rinfo) => {
+          this.handleQuery(message, rinfo.address).then(response => {
+            if (response && this.udpServer === socket) {
+              socket.send(response, rinfo.port, rinfo.address);
+            }
+          });
+        });
+        this.udpServer = socket;
+        resolve();
+      });
+    });
+  }
+
+  bindTcp() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this.handleTcpConnection(socket));
+      server.once('error', reject);
+      server.listen(this.options.port, this.options.listenAddress, () => {
+        server.removeListener('error', reject);
+        this.tcpServer = server;
+        resolve();
+      });
+    });
+  }
+
+  closeListeners() {
+    if (this.udpServer) {
+      this.udpServer.close();
+      this.udpServer = null;
+    }
+    if (this.tcpServer) {
+      this.tcpServer.close();
+      this.tcpServer = null;
+    }
+  }
+
+  /**
+   * DNS over TCP: each message is prefixed with its length
+   */
+  handleTcpConnection(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.setTimeout(TCP_IDLE_TIMEOUT, () => socket.destroy());
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        const message = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.subarray(2 + message.length);
+
+        this.handleQuery(message, socket.remoteAddress, 'tcp').then(response => {
+          if (response && !socket.destroyed) {
+            socket.write(DnsFilterServer.frame(response));
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Answer one query from a client; never throws
+   * @param {Buffer} message - Query as received
+   * @param {string} clientAddress - Client's VPN address
+   * @param {string} [transport] - 'udp' or 'tcp'; TCP queries are forwarded over TCP
+   * @returns {Promise<Buffer|null>} Response, or null when the message is not a usable query
+   */
+  async handleQuery(message, clientAddress, transport = 'udp') {
+    let query;
+    try {
+      query = DnsMessage.parseQuery(message);
+    } catch (error) {
+      this.stats.invalid++;
+      return null;
+    }
+
+    this.stats.queries++;
+    this.stats.clients.add(clientAddress);
+    const typeName = DnsMessage.typeName(query.type);
+    this.stats.types[typeName] = (this.stats.types[typeName] || 0) + 1;
+
+    if (this.isZoneName(query.name)) {
+      this.stats.local++;
+      return this.answerFromZone(message, query);
+    }
+
+    const policy = await this.getClientPolicy(clientAddress);
+    const listName = this.blocklists.match(query.name, policy.lists);
+    if (listName) {
+      this.recordBlocked(query.name, listName);
+      return DnsMessage.buildBlockedResponse(message, query);
+    }
+
+    try {
+      const response = await this.forward(message, query.id, transport, policy.upstreams);
+      this.stats.forwarded++;
+      return response;
+    } catch (error) {
+      this.stats.failed++;
+      this.loggingService.debug('DNS query failed upstream', { type: typeName, error: error.message });
+      return DnsMessage.buildErrorResponse(message, query, DnsMessage.RCODES.SERVFAIL);
+    }
+  }
+
+  isZoneName(name) {
+    const domain = this.options.zoneDomain;
+    return Boolean(domain) && (name === domain || name.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Authoritative answer for a name in the family zone: its addresses of the queried type,
+   * an empty answer for other types, or NXDOMAIN for names the zone does not have
+   */
+  async answerFromZone(message, query) {
+    let zone;
+    try {
+      zone = await this.getZone();
+    } catch (error) {
+      this.stats.failed++;
+      this.loggingService.warn('Failed to build the DNS zone', { error: error.message });
+      return DnsMessage.buildErrorResponse(message, query, DnsMessage.RCODES.SERVFAIL);
+    }
+
+    const addresses = zone.get(query.name);
+    if (!addresses && query.name !== this.options.zoneDomain) {
+      return DnsMessage.buildResponse(message, query, DnsMessage.RCODES.NXDOMAIN, [], { authoritative: true });
+    }
+
+    const length = { [DnsMessage.TYPES.A]: 4, [DnsMessage.TYPES.AAAA]: 16 }[query.type];
+    const answers = (addresses || [])
+      .map(address => DnsMessage.addressData(address))
+      .filter(data => data && data.length === length);
+
+    return DnsMessage.buildResponse(message, query, DnsMessage.RCODES.NOERROR, answers, {
+      ttl: this.options.zoneTtl,
+      authoritative: true
+    });
+  }
+
+  /**
+   * Zone names and their addresses, cached briefly since they follow connects and disconnects
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  async getZone() {
+    if (this.zoneCache && this.zoneCache.expiresAt > Date.now()) {
+      return this.zoneCache.names;
+    }
+
+    const names = new Map();
+    for (const record of this.resolveZone ? await this.resolveZone() : []) {
+      const name = record.name.toLowerCase();
+      if (!names.has(name)) {
+        names.set(name, []);
+      }
+      if (!names.get(name).includes(record.address)) {
+        names.get(name).push(record.address);
+      }
+    }
+
+    this.zoneCache = { names, expiresAt: Date.now() + this.options.zoneCacheMs };
+    return names;
+  }
+
+  /**
+   * Rebuild the zone on the next query, e.g. after a client connected or a record changed
+   */
+  clearZoneCache() {
+    this.zoneCache = null;
+  }
+
+  /**
+   * Blocklists and upstreams for a client, cached per VPN address
+   * @returns {Promise<{lists: string[], upstreams: Object[]}>}
+   */
+  async getClientPolicy(clientAddress) {
+    const cached = this.clientCache.get(clientAddress);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    let group = null;
+    if (this.resolveClient) {
+      try {
+        group = await this.resolveClient(clientAddress);
+      } catch (error) {
+        this.loggingService.warn('Failed to look up DNS client group', { address: clientAddress, error: error.message });
+      }
+    }
+
+    const policy = {
+      lists: group && Array.isArray(group.blocklists)
+        ? group.blocklists
+        : (this.options.defaultBlocklists || this.blocklists.getNames()),
+      upstreams: this.upstreams
+    };
+
+    if (group && group.dnsProvider && this.resolveUpstreams) {
+      try {
+        policy.upstreams = this.getProviderUpstreams(group.dnsProvider);
+      } catch (error) {
+        this.loggingService.warn('Invalid DNS provider for access group, using the default upstreams', {
+          group: group.name,
+          provider: group.dnsProvider,
+          error: error.message
+        });
+      }
+    }
+
+    this.clientCache.set(clientAddress, { policy, expiresAt: Date.now() + this.options.clientCacheMs });
+    return policy;
+  }
+
+  getProviderUpstreams(providerName) {
+    if (!this.providerUpstreams.has(providerName)) {
+      this.providerUpstreams.set(providerName,
+        this.resolveUpstreams(providerName).map(server => DnsFilterServer.parseServer(server)));
+    }
+    return this.providerUpstreams.get(providerName);
+  }
+
+  /**
+   * Forget cached client groups, e.g. after a group or assignment change
+   */
+  clearClientCache() {
+    this.clientCache.clear();
+  }
+
+  /**
+   * Ask each upstream in turn until one answers
+   * Plain upstreams are asked over the client's transport; TLS and HTTPS upstreams always use their own
+   */
+  async forward(message, id, transport, upstreams = this.upstreams) {
+    let lastError = null;
+
+    for (const server of upstreams) {
+      try {
+        let response;
+        if (server.protocol === 'https') {
+          response = await this.forwardHttps(message, server);
+        } else if (server.protocol === 'tls' || transport === 'tcp') {
+          response = await this.forwardStream(message, server);
+        } else {
+          response = await this.forwardUdp(message, server);
+        }
+        return DnsMessage.withId(response, id);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError || DnsFilterServer.createDnsError('No upstream DNS servers configured', 'DNS_NO_UPSTREAM');
+  }
+
+  openUpstreamSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.bind(0, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => {
+          this.loggingService.warn('DNS upstream socket error', { error: error.message });
+        });
+        socket.on('message', (message, rinfo) => this.handleUpstreamMessage(message, rinfo));
+        this.upstreamSocket = socket;
+        resolve();
+      });
+    });
+  }
+
+  forwardUdp(message, server) {
+    return new Promise((resolve, reject) => {
+      if (!this.upstreamSocket) {
+        reject(DnsFilterServer.createDnsError('DNS forwarder is not running', 'DNS_STOPPED'));
+        return;
+      }
+
+      // Fresh random IDs keep clients' IDs apart and make spoofed answers harder to match
+      let upstreamId;
+      do {
+        upstreamId = crypto.randomInt(0, 65536);
+      } while (this.pending.has(upstreamId));
+
+      const timer = setTimeout(() => {
+        this.pending.delete(upstreamId);
+        reject(DnsFilterServer.createDnsError(`No answer from ${server.host}`, 'DNS_TIMEOUT'));
+      }, this.options.timeoutMs);
+
+      this.pending.set(upstreamId, { server, resolve, reject, timer });
+      this.upstreamSocket.send(DnsMessage.withId(message, upstreamId), server.port, server.host);
+    });
+  }
+
+  handleUpstreamMessage(message, rinfo) {
+    if (message.length < 12) {
+      return;
+    }
+
+    const request = this.pending.get(message.readUInt16BE(0));
+    // Only the server the query went to may answer it
+    if (!request || request.server.host !== rinfo.address || request.server.port !== rinfo.port) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.pending.delete(message.readUInt16BE(0));
+    request.resolve(message);
+  }
+
+  /**
+   * One query over TCP, or over TLS for DNS-over-TLS upstreams (RFC 7858); both are length-framed
+   */
+  forwardStream(message, server) {
+    return new Promise((resolve, reject) => {
+      const secure = server.protocol === 'tls';
+      const socket = secure
+        ? tls.connect({ ...this.options.tlsOptions, host: server.host, port: server.port, servername: server.tlsName })
+        : net.createConnection({ host: server.host, port: server.port });
+      let buffer = Buffer.alloc(0);
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(this.options.timeoutMs, () => {
+        fail(DnsFilterServer.createDnsError(`No answer from ${server.host}`, 'DNS_TIMEOUT'));
+      });
+      socket.on('error', fail);
+      socket.on(secure ? 'secureConnect' : 'connect', () => socket.write(DnsFilterServer.frame(message)));
+      socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+          socket.end();
+          resolve(buffer.subarray(2, 2 + buffer.readUInt16BE(0)));
+        }
+      });
+      socket.on('close', () => reject(DnsFilterServer.createDnsError(`Connection to ${server.host} closed`, 'DNS_UPSTREAM_CLOSED')));
+    });
+  }
+
+  /**
+   * One query as a DNS-over-HTTPS POST (RFC 8484)
+   */
+  forwardHttps(message, server) {
+    return new Promise((resolve, reject) => {
+      // ID 0 keeps responses cacheable, as RFC 8484 recommends; forward() restores the client's ID
+      const body = DnsMessage.withId(message, 0);
+      const request = https.request(server.url, {
+        ...this.options.tlsOptions,
+        method: 'POST',
+        headers: {
+          'content-type': 'application/dns-message',
+          accept: 'application/dns-message',
+          'content-length': body.length
+        },
+        timeout: this.options.timeoutMs
+      }, (response) => {
+        const chunks = [];
+        let length = 0;
+
+        response.on('data', (chunk) => {
+          length += chunk.length;
+          if (length > MAX_MESSAGE_LENGTH) {
+            request.destroy(DnsFilterServer.createDnsError(`Oversized answer from ${server.host}`, 'DNS_UPSTREAM_FAILED'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            reject(DnsFilterServer.createDnsError(`${server.host} answered HTTP ${response.statusCode}`, 'DNS_UPSTREAM_FAILED'));
+            return;
+          }
+          resolve(Buffer.concat(chunks));
+        });
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => {
+        request.destroy(DnsFilterServer.createDnsError(`No answer from ${server.host}`, 'DNS_TIMEOUT'));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  recordBlocked(name, listName) {
+    this.stats.blocked++;
+    this.stats.lists[listName] = (this.stats.lists[listName] || 0) + 1;
+
+    if (this.stats.domains.has(name) || this.stats.domains.size < MAX_TRACKED_DOMAINS) {
+      this.stats.domains.set(name, (this.stats.domains.get(name) || 0) + 1);
+    }
+  }
+
+  /**
+   * Counters since the last flush
+   */
+  getStats() {
+    const { stats } = this;
+
+    return {
+      since: stats.since.toISOString(),
+      queries: stats.queries,
+      blocked: stats.blocked,
+      forwarded: stats.forwarded,
+      local: stats.local,
+      failed: stats.failed,
+      invalid: stats.invalid,
+      clients: stats.clients.size,
+      types: { ...stats.types },
+      lists: { ...stats.lists },
+      topBlocked: [...stats.domains]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, this.options.topDomains)
+        .map(([domain, count]) => ({ domain, count }))
+    };
+  }
+
+  /**
+   * Log the counters and start a new period
+   */
+  flushStats() {
+    const stats = this.getStats();
+    this.loggingService.info('DNS query stats', stats);
+    this.stats = DnsFilterServer.emptyStats();
+    return stats;
+  }
+
+  /**
+   * Re-read blocklist files, e.g. after they were updated
+   */
+  async reloadBlocklists() {
+    return this.blocklists.load();
+  }
+
+  static emptyStats() {
+    return {
+      since: new Date(),
+      queries: 0,
+      blocked: 0,
+      forwarded: 0,
+      local: 0,
+      failed: 0,
+      invalid: 0,
+      clients: new Set(),
+      types: {},
+      lists: {},
+      domains: new Map()
+    };
+  }
+
+  /**
+   * "1.1.1.1", "127.0.0.1:5353", "tls://1.1.1.1#cloudflare-dns.com" or "https://cloudflare-dns.com/dns-query"
+   * @returns {{protocol: string, host: string, port: number, tlsName: string|undefined, url: string|undefined}}
+   */
+  static parseServer(value) {
+    const text = String(value).trim();
+
+    if (text.startsWith('https://')) {
+      try {
+        const url = new URL(text);
+        return { protocol: 'https', host: url.hostname, port: Number(url.port) || 443, url: url.href };
+      } catch (error) {
+        throw DnsFilterServer.createDnsError(`Invalid upstream DNS server '${value}'`, 'INVALID_DNS_UPSTREAM');
+      }
+    }
+
+    const secure = text.startsWith('tls://');
+    const [address, tlsName] = (secure ? text.slice('tls://'.length) : text).split('#');
+    const [host, port] = address.split(':');
+    if (net.isIPv4(host) && (port === undefined || /^\d{1,5}$/.test(port)) && (secure ? Boolean(tlsName) : tlsName === undefined)) {
+      return secure
+        ? { protocol: 'tls', host, port: port === undefined ? 853 : Number(port), tlsName }
+        : { protocol: 'udp', host, port: port === undefined ? 53 : Number(port) };
+    }
+    throw DnsFilterServer.createDnsError(`Invalid upstream DNS server '${value}'`, 'INVALID_DNS_UPSTREAM');
+  }
+
+  static frame(message) {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(message.length, 0);
+    return Buffer.concat([length, message]);
+  }
+
+  static createDnsError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = DnsFilterServer;
@@ -0,0 +1,231 @@
+const CronSchedule = require('../utils/cron-schedule');
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * In-process scheduler for housekeeping jobs
+ * Each job has a cron schedule, runs at most once at a time and keeps its last-run status.
+ */
+class JobScheduler {
+  constructor(loggingService, options = {}) {
+    this.loggingService = loggingService;
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.started = false;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {Object} definition - { schedule, handler, description, enabled }
+   */
+  register(name, definition) {
+    if (this.jobs.has(name)) {
+      throw JobScheduler.createJobError(`Job '${name}' is already registered`, 'JOB_EXISTS');
+    }
+
+    if (typeof definition.handler !== 'function') {
+      throw JobScheduler.createJobError(`Job '${name}' needs a handler`, 'INVALID_JOB');
+    }
+
+    const job = {
+      name,
+      description: definition.description || '',
+      schedule: new CronSchedule(definition.schedule),
+      enabled: definition.enabled !== false,
+      handler: definition.handler,
+      running: null,
+      nextRunAt: null,
+      lastRun: null,
+      runCount: 0,
+      failureCount: 0
+    };
+
+    this.jobs.set(name, job);
+
+    if (this.started) {
+      this.scheduleNext(job);
+    }
+
+    return this.getJob(name);
+  }
+
+  /**
+   * Arm timers for all enabled jobs
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.scheduleNext(job);
+    }
+
+    this.loggingService.info('Job scheduler started', {
+      jobs: Array.from(this.jobs.values()).filter(job => job.enabled).map(job => job.name)
+    });
+  }
+
+  /**
+   * Cancel all timers (running jobs finish on their own)
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+
+    this.timers.clear();
+    this.started = false;
+
+    for (const job of this.jobs.values()) {
+      job.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Set the timer for a job's next scheduled run
+   */
+  scheduleNext(job) {
+    clearTimeout(this.timers.get(job.name));
+    this.timers.delete(job.name);
+
+    if (!this.started || !job.enabled) {
+      job.nextRunAt = null;
+      return;
+    }
+
+    job.nextRunAt = job.schedule.next(this.now());
+    if (!job.nextRunAt) {
+      this.loggingService.warn('Job schedule never fires', { job: job.name, schedule: job.schedule.toString() });
+      return;
+    }
+
+    this.armTimer(job);
+  }
+
+  /**
+   * Wait until the next run time, re-arming for waits beyond the timer limit
+   */
+  armTimer(job) {
+    const delay = Math.max(0, job.nextRunAt.getTime() - this.now().getTime());
+
+    const timer = setTimeout(() => {
+      if (this.now() < job.nextRunAt) {
+        return this.armTimer(job);
+      }
+
+      this.runJob(job.name)
+        .catch(() => {})
+        .finally(() => this.scheduleNext(job));
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    // Scheduled jobs must never keep the process alive on their own
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    this.timers.set(job.name, timer);
+  }
+
+  /**
+   * Run a job now and record the outcome
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger: 'schedule'|'manual', triggeredBy }
+   * @returns {Promise<Object>} Last-run record
+   */
+  async runJob(name, options = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw JobScheduler.createJobError(`Job '${name}' not found`, 'JOB_NOT_FOUND');
+    }
+
+    if (job.running) {
+      throw JobScheduler.createJobError(`Job '${name}' is already running`, 'JOB_RUNNING');
+    }
+
+    const trigger = options.trigger || 'schedule';
+    const triggeredBy = options.triggeredBy || 'system';
+    const startedAt = this.now();
+
+    job.running = { startedAt, trigger, triggeredBy };
+
+    const lastRun = {
+      trigger,
+      triggeredBy,
+      startedAt: startedAt.toISOString()
+    };
+
+    try {
+      const result = await job.handler();
+
+      lastRun.status = 'success';
+      if (result !== undefined) {
+        lastRun.result = result;
+      }
+    } catch (error) {
+      lastRun.status = 'failed';
+      lastRun.error = error.message;
+      job.failureCount++;
+    } finally {
+      const finishedAt = this.now();
+      lastRun.finishedAt = finishedAt.toISOString();
+      lastRun.durationMs = finishedAt.getTime() - startedAt.getTime();
+
+      job.running = null;
+      job.lastRun = lastRun;
+      job.runCount++;
+    }
+
+    this.loggingService.logSystemEvent(lastRun.status === 'success' ? 'JOB_COMPLETED' : 'JOB_FAILED',
+      `Scheduled job ${name} ${lastRun.status === 'success' ? 'completed' : 'failed'}`, {
+        job: name,
+        ...lastRun
+      });
+
+    return { ...lastRun };
+  }
+
+  /**
+   * Status snapshot of one job
+   */
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule.toString(),
+      enabled: job.enabled,
+      running: Boolean(job.running),
+      nextRunAt: job.nextRunAt ? job.nextRunAt.toISOString() : null,
+      lastRun: job.lastRun ? { ...job.lastRun } : null,
+      runCount: job.runCount,
+      failureCount: job.failureCount
+    };
+  }
+
+  /**
+   * Status snapshot of all jobs
+   */
+  listJobs() {
+    return Array.from(this.jobs.keys()).map(name => this.getJob(name));
+  }
+
+  /**
+   * Create an error with a machine readable code
+   */
+  static createJobError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = JobScheduler;
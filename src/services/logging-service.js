@@ -172,6 +172,7 @@ class LoggingService {
     const severityMap = {
       'AUTHENTICATION': 'medium',
       'CERTIFICATE': 'medium',
+      'USER_MANAGEMENT': 'medium',
       'SYSTEM': 'low',
       'INTRUSION': 'high',
       'FAILURE': 'high',
@@ -1,3 +1,8 @@
+const MetricsRegistry = require('../utils/metrics-registry');
+
+// Custom metrics from recordMetric() get this prefix unless they already carry it
+const METRIC_PREFIX = 'familyvpn_';
+
 class BasicHealthService {
   constructor(loggingService) {
     this.loggingService = loggingService;
@@ -7,6 +12,46 @@ class BasicHealthService {
       system: { startTime: Date.now(), errors: 0 },
       http: { requests: 0, errors: 0 }
     };
+
+    this.connectedClientsProvider = null;
+    this.registry = new MetricsRegistry();
+    this.metrics = {
+      authAttempts: this.registry.counter({
+        name: 'familyvpn_auth_attempts_total',
+        help: 'Authentication attempts by outcome (success, failed, locked)',
+        labelNames: ['outcome']
+      }),
+      certificateOperations: this.registry.counter({
+        name: 'familyvpn_certificate_operations_total',
+        help: 'Certificate operations by type and status',
+        labelNames: ['operation', 'status']
+      }),
+      httpRequests: this.registry.counter({
+        name: 'familyvpn_http_requests_total',
+        help: 'HTTP requests by method, route and status code',
+        labelNames: ['method', 'route', 'status']
+      }),
+      httpDuration: this.registry.histogram({
+        name: 'familyvpn_http_request_duration_seconds',
+        help: 'HTTP request latency in seconds by method and route',
+        labelNames: ['method', 'route']
+      }),
+      systemErrors: this.registry.counter({
+        name: 'familyvpn_system_errors_total',
+        help: 'System errors by type',
+        labelNames: ['type']
+      }),
+      connectedClients: this.registry.gauge({
+        name: 'familyvpn_vpn_connected_clients',
+        help: 'VPN clients currently connected to OpenVPN',
+        collect: (gauge) => this.collectConnectedClients(gauge)
+      }),
+      uptime: this.registry.gauge({
+        name: 'familyvpn_uptime_seconds',
+        help: 'Seconds since the server process started',
+        collect: (gauge) => gauge.set({}, process.uptime())
+      })
+    };
   }
 
   // Get basic health status for /health endpoint
@@ -28,6 +73,7 @@ class BasicHealthService {
     } else {
       this.basicStats.auth.failures++;
     }
+    this.metrics.authAttempts.inc({ outcome: status || 'unknown' });
 
     this.loggingService.debug('Auth attempt recorded', {
       status,
@@ -45,6 +91,7 @@ class BasicHealthService {
         this.basicStats.certificates.failures++;
       }
     }
+    this.metrics.certificateOperations.inc({ operation, status });
 
     this.loggingService.debug('Certificate operation recorded', {
       operation,
@@ -62,8 +109,45 @@ class BasicHealthService {
     }
   }
 
+  // Latency and per-route counts; called once per request by the request logger middleware
+  observeHttpRequest(method, route, statusCode, durationSeconds) {
+    this.recordHttpRequest(method, route, statusCode);
+    this.metrics.httpRequests.inc({ method, route, status: statusCode });
+    this.metrics.httpDuration.observe({ method, route }, durationSeconds);
+  }
+
   recordSystemError(errorType) {
     this.basicStats.system.errors++;
+    this.metrics.systemErrors.inc({ type: errorType || 'unknown' });
+  }
+
+  // Source for the connected clients gauge, read at scrape time; returns a count or null when unknown
+  setConnectedClientsProvider(provider) {
+    this.connectedClientsProvider = provider;
+  }
+
+  async collectConnectedClients(gauge) {
+    gauge.reset();
+    if (!this.connectedClientsProvider) {
+      return;
+    }
+
+    const count = await this.connectedClientsProvider();
+    if (typeof count === 'number') {
+      gauge.set({}, count);
+    }
+  }
+
+  // Prometheus text exposition of all metrics
+  async getPrometheusMetrics() {
+    const failures = await this.registry.collect();
+    for (const failure of failures) {
+      this.loggingService.warn('Metric collection failed', {
+        metric: failure.name,
+        error: failure.error.message
+      });
+    }
+    return this.registry.render();
   }
 
   // Get basic metrics summary
@@ -96,17 +180,30 @@ class BasicHealthService {
     return this.getBasicMetrics();
   }
 
-  // Record metric method for test compatibility
+  // Record a custom metric: counters are incremented, histograms observe the value and
+  // anything else is a gauge set to it. Unknown names are registered as gauges.
   recordMetric(name, value, labels = {}) {
+    const metricName = name.startsWith(METRIC_PREFIX) ? name : METRIC_PREFIX + name;
+    const metric = this.registry.getMetric(metricName) || this.registry.gauge({
+      name: metricName,
+      help: `Custom metric ${name}`,
+      labelNames: Object.keys(labels)
+    });
+
+    if (metric instanceof MetricsRegistry.Counter) {
+      metric.inc(labels, value);
+    } else if (metric instanceof MetricsRegistry.Histogram) {
+      metric.observe(labels, value);
+    } else {
+      metric.set(labels, value);
+    }
+
     this.loggingService.debug('Metric recorded', {
-      name,
+      name: metricName,
       value,
-      labels,
-      timestamp: new Date().toISOString()
+      labels
     });
   }
-
-
 }
 
 module.exports = BasicHealthService;
\ No newline at end of file
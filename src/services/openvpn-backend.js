@@ -0,0 +1,88 @@
+const VPNBackend = require('./vpn-backend');
+const ProfileExporter = require('../utils/profile-exporters');
+
+/**
+ * OpenVPN backend: Easy-RSA certificates packaged as .ovpn profiles by CertificateManager
+ * The same certificate material can also be exported in platform-native formats.
+ */
+class OpenVPNBackend extends VPNBackend {
+  /**
+   * @param {Object} options - { certManager, certDir, exporter }
+   */
+  constructor(logger, options = {}) {
+    super(logger, options);
+    this.certManager = options.certManager;
+    this.certDir = options.certDir;
+    this.exporter = options.exporter || new ProfileExporter(logger);
+  }
+
+  get type() {
+    return 'openvpn';
+  }
+
+  get label() {
+    return 'OpenVPN';
+  }
+
+  get fileExtension() {
+    return '.ovpn';
+  }
+
+  // Lets phones hand the download straight to OpenVPN Connect
+  get contentType() {
+    return 'application/x-openvpn-profile';
+  }
+
+  get usesCertificates() {
+    return true;
+  }
+
+  get supportsDisconnect() {
+    return true;
+  }
+
+  get supportsClientConfig() {
+    return true;
+  }
+
+  get supportsKeyPassphrase() {
+    return true;
+  }
+
+  getClientDir() {
+    return this.certDir;
+  }
+
+  async createClient(clientName, options = {}) {
+    await this.certManager.generateClientCertificate(clientName, { passphrase: options.keyPassphrase });
+    // Serial and expiry are read from the issued certificate by the caller
+    return options.keyPassphrase ? { keyProtected: true } : {};
+  }
+
+  // Formats that bundle the key into PKCS#12 need the key in the clear
+  getExportFormats(metadata = {}) {
+    const exports = Object.entries(ProfileExporter.FORMATS)
+      .filter(([, { bundlesKey }]) => !(bundlesKey && metadata && metadata.keyProtected))
+      .map(([format, { label, extension }]) => ({
+        format,
+        label,
+        extension
+      }));
+    return [...super.getExportFormats(metadata), ...exports];
+  }
+
+  async exportClientProfile(clientName, format) {
+    if (!ProfileExporter.isSupportedFormat(format)) {
+      return super.exportClientProfile(clientName, format);
+    }
+
+    const material = await this.certManager.loadClientMaterial(clientName);
+    return this.exporter.export(format, {
+      name: clientName,
+      ...this.certManager.getClientProfileSettings(),
+      ...material
+    });
+  }
+}
+
+module.exports = OpenVPNBackend;
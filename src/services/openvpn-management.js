@@ -0,0 +1,395 @@
+const net = require('net');
+const EventEmitter = require('events');
+const OpenVPNStatusParser = require('../utils/openvpn-status-parser');
+
+const DEFAULT_OPTIONS = {
+  host: '127.0.0.1',
+  port: 7505,
+  password: null,
+  commandTimeout: 5000,
+  reconnectDelay: 1000,
+  maxReconnectDelay: 30000
+};
+
+// Common names are passed to "kill" verbatim, so only allow what Easy-RSA accepts
+const COMMON_NAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+/**
+ * Client for the OpenVPN management interface (management 127.0.0.1 7505)
+ * Runs one command at a time, parses "status 3" output, kills clients by common name
+ * and emits ">CLIENT:" notifications. Reconnects with backoff until stop() is called.
+ *
+ * Events: 'connected', 'disconnected', 'client' ({ event, clientId, keyId, address, env }),
+ * 'notification' ({ type, message })
+ */
+class OpenVPNManagementClient extends EventEmitter {
+  constructor(loggingService, options = {}) {
+    super();
+    this.loggingService = loggingService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.socket = null;
+    this.connected = false;
+    this.stopped = true;
+    this.buffer = '';
+    this.queue = [];
+    this.current = null;
+    this.pendingClient = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Connect and keep reconnecting until stop() is called
+   */
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    this.connect();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.socket) {
+      const socket = this.socket;
+      socket.destroy();
+      // Fail pending commands now rather than on the asynchronous 'close' event
+      this.handleClose(socket);
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  connect() {
+    const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+    this.socket = socket;
+    this.buffer = '';
+
+    socket.setEncoding('utf8');
+
+    socket.on('connect', () => {
+      // With a password, commands are held back until OpenVPN accepts it
+      if (!this.options.password) {
+        this.handleReady();
+      }
+    });
+
+    socket.on('data', (data) => this.handleData(data));
+
+    // 'close' always follows 'error', so cleanup happens there
+    socket.on('error', (error) => {
+      this.loggingService.debug('OpenVPN management connection error', { error: error.message });
+    });
+
+    socket.on('close', () => this.handleClose(socket));
+  }
+
+  handleReady() {
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    this.loggingService.info('Connected to OpenVPN management interface', {
+      host: this.options.host,
+      port: this.options.port
+    });
+    this.emit('connected');
+    this.processQueue();
+  }
+
+  handleClose(socket) {
+    if (this.socket !== socket) {
+      return;
+    }
+
+    const wasConnected = this.connected;
+    this.socket = null;
+    this.connected = false;
+    this.pendingClient = null;
+
+    this.failPending(OpenVPNManagementClient.createManagementError(
+      'Management interface connection closed', 'MANAGEMENT_DISCONNECTED'));
+
+    if (wasConnected) {
+      this.loggingService.warn('Disconnected from OpenVPN management interface');
+      this.emit('disconnected');
+    }
+
+    if (!this.stopped) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(
+      this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.options.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) {
+        this.connect();
+      }
+    }, delay);
+
+    // Reconnecting must never keep the process alive on its own
+    if (this.reconnectTimer.unref) {
+      this.reconnectTimer.unref();
+    }
+  }
+
+  handleData(data) {
+    this.buffer += data;
+
+    // The password prompt is not newline terminated
+    if (this.buffer.startsWith('ENTER PASSWORD:')) {
+      this.buffer = this.buffer.slice('ENTER PASSWORD:'.length);
+      this.socket.write(`${this.options.password || ''}\n`);
+    }
+
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newline + 1);
+      this.handleLine(line);
+    }
+  }
+
+  handleLine(line) {
+    if (line.startsWith('>')) {
+      return this.handleNotification(line.slice(1));
+    }
+
+    if (!this.connected) {
+      if (line.startsWith('SUCCESS: password is correct')) {
+        this.handleReady();
+      } else if (line.startsWith('ERROR:')) {
+        this.loggingService.error('OpenVPN management interface rejected the password');
+      }
+      return;
+    }
+
+    const command = this.current;
+    if (!command) {
+      return;
+    }
+
+    if (command.multiline) {
+      if (line === 'END') {
+        return this.finishCommand(null, command.lines);
+      }
+      if (line.startsWith('ERROR:') && command.lines.length === 0) {
+        return this.finishCommand(OpenVPNManagementClient.createManagementError(
+          line.slice(6).trim(), 'MANAGEMENT_COMMAND_FAILED'));
+      }
+      command.lines.push(line);
+      return;
+    }
+
+    if (line.startsWith('SUCCESS:')) {
+      return this.finishCommand(null, [line.slice(8).trim()]);
+    }
+    if (line.startsWith('ERROR:')) {
+      return this.finishCommand(OpenVPNManagementClient.createManagementError(
+        line.slice(6).trim(), 'MANAGEMENT_COMMAND_FAILED'));
+    }
+  }
+
+  /**
+   * Real-time messages; >CLIENT:ENV lines are collected until >CLIENT:ENV,END
+   */
+  handleNotification(message) {
+    const separator = message.indexOf(':');
+    const type = separator === -1 ? message : message.slice(0, separator);
+    const body = separator === -1 ? '' : message.slice(separator + 1);
+
+    if (type !== 'CLIENT') {
+      this.emit('notification', { type, message: body });
+      return;
+    }
+
+    const [event, ...args] = body.split(',');
+
+    if (event === 'ENV') {
+      if (!this.pendingClient) {
+        return;
+      }
+
+      const pair = args.join(',');
+      if (pair === 'END') {
+        const notification = this.pendingClient;
+        this.pendingClient = null;
+        this.emit('client', notification);
+        return;
+      }
+
+      const equals = pair.indexOf('=');
+      if (equals > 0) {
+        this.pendingClient.env[pair.slice(0, equals)] = pair.slice(equals + 1);
+      }
+      return;
+    }
+
+    const notification = {
+      event,
+      clientId: args[0] !== undefined ? parseInt(args[0], 10) : null,
+      env: {}
+    };
+
+    if (event === 'ADDRESS') {
+      // >CLIENT:ADDRESS,{CID},{ADDR},{PRI} has no ENV block
+      notification.address = args[1];
+      this.emit('client', notification);
+      return;
+    }
+
+    if (args[1] !== undefined) {
+      notification.keyId = parseInt(args[1], 10);
+    }
+    this.pendingClient = notification;
+  }
+
+  /**
+   * Send a raw management command
+   * @param {string} command - Command line without the trailing newline
+   * @param {Object} options - { multiline } when the reply ends with END
+   * @returns {Promise<string[]>} Reply lines
+   */
+  sendCommand(command, options = {}) {
+    if (/[\r\n]/.test(command)) {
+      return Promise.reject(OpenVPNManagementClient.createManagementError(
+        'Commands must be a single line', 'INVALID_COMMAND'));
+    }
+
+    if (!this.connected) {
+      return Promise.reject(OpenVPNManagementClient.createManagementError(
+        'OpenVPN management interface is not connected', 'MANAGEMENT_UNAVAILABLE'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        command,
+        multiline: Boolean(options.multiline),
+        lines: [],
+        resolve,
+        reject
+      });
+      this.processQueue();
+    });
+  }
+
+  processQueue() {
+    if (this.current || !this.connected || this.queue.length === 0) {
+      return;
+    }
+
+    const command = this.queue.shift();
+    this.current = command;
+
+    command.timer = setTimeout(() => {
+      this.finishCommand(OpenVPNManagementClient.createManagementError(
+        `Management command '${command.command}' timed out`, 'MANAGEMENT_TIMEOUT'));
+    }, this.options.commandTimeout);
+
+    this.socket.write(`${command.command}\n`);
+  }
+
+  finishCommand(error, lines) {
+    const command = this.current;
+    if (!command) {
+      return;
+    }
+
+    clearTimeout(command.timer);
+    this.current = null;
+
+    if (error) {
+      command.reject(error);
+    } else {
+      command.resolve(lines);
+    }
+
+    this.processQueue();
+  }
+
+  failPending(error) {
+    const pending = this.current ? [this.current, ...this.queue] : this.queue;
+    this.current = null;
+    this.queue = [];
+
+    for (const command of pending) {
+      clearTimeout(command.timer);
+      command.reject(error);
+    }
+  }
+
+  /**
+   * Currently connected clients ("status 3")
+   * @returns {Promise<Object>} { updatedAt, clients, routes, globalStats }
+   */
+  async getStatus() {
+    const lines = await this.sendCommand('status 3', { multiline: true });
+    return OpenVPNManagementClient.parseStatus(lines);
+  }
+
+  /**
+   * Make OpenVPN restart and re-read its config file (SIGHUP)
+   */
+  async reloadConfig() {
+    await this.sendCommand('signal SIGHUP');
+  }
+
+  /**
+   * Disconnect every session of a common name
+   * @returns {Promise<Object>} { commonName, killed }
+   */
+  async killClient(commonName) {
+    if (!COMMON_NAME_PATTERN.test(commonName || '')) {
+      throw OpenVPNManagementClient.createManagementError('Invalid common name', 'INVALID_COMMAND');
+    }
+
+    try {
+      const [message] = await this.sendCommand(`kill ${commonName}`);
+      const match = /(\d+) client\(s\) killed/.exec(message);
+
+      return {
+        commonName,
+        killed: match ? parseInt(match[1], 10) : 1
+      };
+    } catch (error) {
+      if (error.code === 'MANAGEMENT_COMMAND_FAILED' && /not found/i.test(error.message)) {
+        throw OpenVPNManagementClient.createManagementError(
+          `No connected client with common name '${commonName}'`, 'CLIENT_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse tab separated "status 3" output
+   */
+  static parseStatus(lines) {
+    return OpenVPNStatusParser.parseRows(lines.map(line => line.split('\t')));
+  }
+
+  /**
+   * Create an error with a machine readable code
+   */
+  static createManagementError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = OpenVPNManagementClient;
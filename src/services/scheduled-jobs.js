@@ -0,0 +1,125 @@
+const path = require('path');
+const { cleanupExpiredSessions } = require('../middleware/session-middleware');
+
+/**
+ * Built-in housekeeping jobs
+ * Each entry lists the services it needs; jobs whose services are missing are not registered.
+ */
+const JOB_DEFINITIONS = {
+  'crl-refresh': {
+    description: 'Regenerate the certificate revocation list',
+    requires: ['certificateRoutes'],
+    run: ({ certificateRoutes }) => certificateRoutes.refreshCRL()
+  },
+
+  'certificate-expiry-scan': {
+    description: 'Log certificates that have expired or expire soon',
+    requires: ['certificateRoutes'],
+    run: async ({ certificateRoutes }) => {
+      const { expiring, expired } = await certificateRoutes.scanCertificateExpiry();
+      return { expiring: expiring.length, expired: expired.length };
+    }
+  },
+
+  'pending-revocations': {
+    description: 'Revoke old serials of renewed certificates after their grace period',
+    requires: ['certificateRoutes'],
+    run: async ({ certificateRoutes }) => {
+      const results = await certificateRoutes.processPendingRevocations();
+      const failed = results.filter(result => !result.revoked);
+
+      if (failed.length > 0) {
+        throw new Error(`Failed to revoke superseded certificates: ${failed.map(result => result.name).join(', ')}`);
+      }
+
+      return { revoked: results.length };
+    }
+  },
+
+  'access-schedule-enforcement': {
+    description: 'Disconnect devices whose access schedule has ended',
+    requires: ['certificateRoutes'],
+    run: async ({ certificateRoutes }) => {
+      const results = await certificateRoutes.enforceAccessSchedules();
+      const failed = results.filter(result => result.status === 'failed');
+
+      if (failed.length > 0) {
+        throw new Error(`Failed to disconnect devices outside their schedule: ${failed.map(result => result.name).join(', ')}`);
+      }
+
+      return { disconnected: results.length };
+    }
+  },
+
+  'dns-stats': {
+    description: 'Log DNS forwarder query and block counts',
+    requires: ['dnsFilter'],
+    run: async ({ dnsFilter }) => {
+      const { queries, blocked, failed } = dnsFilter.flushStats();
+      return { queries, blocked, failed };
+    }
+  },
+
+  'dns-blocklist-reload': {
+    description: 'Re-read DNS blocklist files',
+    requires: ['dnsFilter'],
+    run: async ({ dnsFilter }) => ({ lists: await dnsFilter.reloadBlocklists() })
+  },
+
+  'failed-attempt-cleanup': {
+    description: 'Forget failed login attempts older than the lockout window',
+    requires: ['authService', 'webAuthRoutes'],
+    run: async ({ authService, webAuthRoutes }) => ({
+      removed: authService.cleanupFailedAttempts() + webAuthRoutes.cleanupFailedAttempts()
+    })
+  },
+
+  'session-cleanup': {
+    description: 'Remove idle web sessions from the session store',
+    requires: ['sessionStore'],
+    run: ({ sessionStore }) => cleanupExpiredSessions(sessionStore)
+  },
+
+  'certificate-backup': {
+    description: 'Back up the PKI and client certificates',
+    requires: ['backupManager'],
+    run: async ({ backupManager }) => {
+      const backupPath = await backupManager.createBackup();
+      return { backup: path.basename(backupPath) };
+    }
+  }
+};
+
+/**
+ * Register the built-in jobs with their configured schedules
+ * @param {JobScheduler} scheduler - Scheduler instance
+ * @param {Object} jobsConfig - config.jobs
+ * @param {Object} services - Services the jobs operate on
+ * @returns {string[]} Names of registered jobs
+ */
+function registerScheduledJobs(scheduler, jobsConfig, services) {
+  const schedules = (jobsConfig && jobsConfig.schedules) || {};
+  const registered = [];
+
+  for (const [name, definition] of Object.entries(JOB_DEFINITIONS)) {
+    const settings = schedules[name];
+    if (!settings || !definition.requires.every(service => services[service])) {
+      continue;
+    }
+
+    scheduler.register(name, {
+      description: definition.description,
+      schedule: settings.schedule,
+      enabled: settings.enabled !== false,
+      handler: () => definition.run(services)
+    });
+    registered.push(name);
+  }
+
+  return registered;
+}
+
+module.exports = {
+  JOB_DEFINITIONS,
+  registerScheduledJobs
+};
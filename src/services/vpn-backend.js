@@ -0,0 +1,120 @@
+const path = require('path');
+
+/**
+ * Base class for VPN backends (tunnel types)
+ * A backend provisions clients and produces the file a device imports. Client records
+ * live in the shared certificate registry with a `backend` field naming their backend;
+ * records without one are OpenVPN.
+ */
+class VPNBackend {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = options;
+  }
+
+  // Registry value and UI identifier, e.g. 'openvpn'
+  get type() {
+    throw VPNBackend.createBackendError(`${this.constructor.name} must define a type`, 'NOT_IMPLEMENTED');
+  }
+
+  get label() {
+    return this.type;
+  }
+
+  // Client files are `<name><fileExtension>` in getClientDir()
+  get fileExtension() {
+    return '.conf';
+  }
+
+  get contentType() {
+    return 'application/octet-stream';
+  }
+
+  // Certificate backends are revoked through Easy-RSA and can be renewed
+  get usesCertificates() {
+    return false;
+  }
+
+  // Whether live sessions can be listed and ended through the OpenVPN management interface
+  get supportsDisconnect() {
+    return false;
+  }
+
+  // Whether the server applies per-client directives from client-config-dir
+  get supportsClientConfig() {
+    return false;
+  }
+
+  // Whether the client's private key can be encrypted with a passphrase at creation time
+  get supportsKeyPassphrase() {
+    return false;
+  }
+
+  getClientDir() {
+    throw VPNBackend.createBackendError(`${this.type} backend has no client directory`, 'NOT_IMPLEMENTED');
+  }
+
+  getClientConfigPath(clientName) {
+    return path.join(this.getClientDir(), `${clientName}${this.fileExtension}`);
+  }
+
+  getDownloadFilename(clientName) {
+    return `${clientName}${this.fileExtension}`;
+  }
+
+  // Download format of the client file itself, e.g. 'ovpn'
+  get nativeFormat() {
+    return this.fileExtension.replace(/^\./, '');
+  }
+
+  /**
+   * Download formats for a client: the native file first, then any exports
+   * @param {Object} [metadata] - Registry record, for formats that depend on the client
+   * @returns {Array<{format: string, label: string, extension: string}>}
+   */
+  getExportFormats(metadata) {
+    return [{ format: this.nativeFormat, label: this.label, extension: this.fileExtension }];
+  }
+
+  /**
+   * Build the client profile in a non-native format
+   * @returns {Promise<{content: string, filename: string, contentType: string}>}
+   */
+  async exportClientProfile(clientName, format) {
+    throw VPNBackend.createBackendError(`${this.label} profiles cannot be exported as '${format}'`, 'UNSUPPORTED_FORMAT');
+  }
+
+  /**
+   * Provision a client and write its configuration file
+   * @param {Object} [options] - { keyPassphrase } when supportsKeyPassphrase
+   * @returns {Promise<Object>} Fields to store in the client's registry record
+   */
+  async createClient(clientName, options = {}) {
+    throw VPNBackend.createBackendError(`${this.type} backend cannot create clients`, 'NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Remove a client's access; certificate backends are revoked by the certificate routes instead
+   */
+  async revokeClient(clientName) {
+    throw VPNBackend.createBackendError(`${this.type} backend cannot revoke clients`, 'NOT_IMPLEMENTED');
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      label: this.label,
+      fileExtension: this.fileExtension,
+      supportsKeyPassphrase: this.supportsKeyPassphrase,
+      exportFormats: this.getExportFormats()
+    };
+  }
+
+  static createBackendError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = VPNBackend;
@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const VPNBackend = require('./vpn-backend');
+const WireGuardConfig = require('../utils/wireguard-config');
+const Subnet = require('../utils/subnet');
+
+/**
+ * WireGuard backend: X25519 peers with addresses allocated from the WireGuard subnet
+ * Peers are registry records with backend 'wireguard'; the server config (wg0.conf) is
+ * regenerated from the active ones whenever a peer is added or revoked.
+ */
+class WireGuardBackend extends VPNBackend {
+  /**
+   * @param {Object} options - config.wireguard plus { registry, dir }
+   */
+  constructor(logger, options = {}) {
+    super(logger, options);
+    this.registry = options.registry;
+    this.dir = options.dir;
+    this.interfaceName = options.interface || 'wg0';
+    this.port = options.port || 51820;
+    this.subnet = new Subnet(options.subnet || '10.9.0.0', options.netmask || '255.255.255.0');
+    this.endpoint = options.endpoint || null;
+    this.dns = options.dns || [];
+    this.allowedIPs = options.allowedIPs || '0.0.0.0/0, ::/0';
+    this.persistentKeepalive = options.persistentKeepalive ?? 25;
+    this.externalInterface = options.externalInterface || null;
+    this.serverConfigPath = options.configPath || path.join(this.dir, `${this.interfaceName}.conf`);
+    this.syncInterface = options.syncInterface === true;
+
+    this.serverKeys = null;
+
+    // Serialize peer changes so two new devices never get the same address
+    this.changeQueue = Promise.resolve();
+  }
+
+  get type() {
+    return 'wireguard';
+  }
+
+  get label() {
+    return 'WireGuard';
+  }
+
+  getClientDir() {
+    return path.join(this.dir, 'clients');
+  }
+
+  /**
+   * Load the server key pair, generating it on first use
+   */
+  async getServerKeys() {
+    if (this.serverKeys) {
+      return this.serverKeys;
+    }
+
+    const keyFile = path.join(this.dir, 'server.key');
+    let privateKey;
+
+    try {
+      privateKey = (await fs.readFile(keyFile, 'utf8')).trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      privateKey = WireGuardConfig.generateKeyPair().privateKey;
+      await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+      await fs.writeFile(keyFile, `${privateKey}\n`, { mode: 0o600, flag: 'wx' });
+      this.logger.info('Generated WireGuard server key', { path: keyFile });
+    }
+
+    this.serverKeys = {
+      privateKey,
+      publicKey: WireGuardConfig.getPublicKey(privateKey)
+    };
+    return this.serverKeys;
+  }
+
+  /**
+   * Public host clients connect to, with the listen port unless one is given
+   */
+  getEndpoint() {
+    if (/^\[.+\]:\d+$|^[^:]+:\d+$/.test(this.endpoint)) {
+      return this.endpoint;
+    }
+
+    // Bare IPv6 addresses need brackets before the port
+    const host = this.endpoint.includes(':') ? `[${this.endpoint}]` : this.endpoint;
+    return `${host}:${this.port}`;
+  }
+
+  /**
+   * Active peers from the registry
+   */
+  async listPeers() {
+    const records = await this.registry.list();
+    return records.filter(record => record.backend === this.type && record.status === 'active');
+  }
+
+  /**
+   * Allocate an address, generate keys, write the client .conf and add the peer to wg0.conf
+   * The peer is registered before the lock is released so the address cannot be handed out twice
+   */
+  createClient(clientName) {
+    return this.withChangeLock(async () => {
+      if (!this.endpoint) {
+        throw VPNBackend.createBackendError('WireGuard endpoint is not configured (set WG_ENDPOINT)', 'WIREGUARD_NOT_CONFIGURED');
+      }
+
+      const server = await this.getServerKeys();
+      const peers = await this.listPeers();
+
+      // Addresses of revoked peers are free again
+      const address = this.subnet.nextFreeHost(peers.map(peer => peer.address));
+      if (!address) {
+        throw VPNBackend.createBackendError(`No free addresses left in ${this.subnet.toCIDR()}`, 'SUBNET_EXHAUSTED');
+      }
+
+      const keys = WireGuardConfig.generateKeyPair();
+      const presharedKey = WireGuardConfig.generatePresharedKey();
+
+      const clientConfig = WireGuardConfig.renderClientConfig({
+        name: clientName,
+        privateKey: keys.privateKey,
+        address,
+        dns: this.dns,
+        serverPublicKey: server.publicKey,
+        presharedKey,
+        endpoint: this.getEndpoint(),
+        allowedIPs: this.allowedIPs,
+        persistentKeepalive: this.persistentKeepalive
+      });
+
+      await fs.mkdir(this.getClientDir(), { recursive: true, mode: 0o700 });
+      await fs.writeFile(this.getClientConfigPath(clientName), clientConfig, { mode: 0o600 });
+
+      const peer = {
+        backend: this.type,
+        publicKey: keys.publicKey,
+        presharedKey,
+        address
+      };
+
+      try {
+        await this.registry.set(clientName, { name: clientName, status: 'active', ...peer });
+        await this.writeServerConfig([...peers, { name: clientName, ...peer }]);
+      } catch (error) {
+        await this.registry.remove(clientName).catch(() => {});
+        await fs.unlink(this.getClientConfigPath(clientName)).catch(() => {});
+        throw error;
+      }
+
+      this.logger.info('WireGuard peer created', { name: clientName, address });
+      return peer;
+    });
+  }
+
+  /**
+   * Remove the peer from wg0.conf and delete its client configuration (the private key is useless now)
+   */
+  revokeClient(clientName) {
+    return this.withChangeLock(async () => {
+      const peers = (await this.listPeers()).filter(peer => peer.name !== clientName);
+      await this.writeServerConfig(peers);
+
+      await fs.unlink(this.getClientConfigPath(clientName)).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+
+      this.logger.info('WireGuard peer removed', { name: clientName });
+    });
+  }
+
+  /**
+   * Rewrite wg0.conf from the registry, e.g. at startup or after restoring a backup
+   */
+  syncServerConfig() {
+    return this.withChangeLock(async () => this.writeServerConfig(await this.listPeers()));
+  }
+
+  /**
+   * Render and atomically replace wg0.conf, then load it into the running interface if enabled
+   */
+  async writeServerConfig(peers) {
+    const server = await this.getServerKeys();
+    const sourceRange = this.subnet.toCIDR();
+
+    const postUp = [];
+    const postDown = [];
+    if (this.externalInterface) {
+      postUp.push(`iptables -A FORWARD -i %i -j ACCEPT; iptables -A FORWARD -o %i -j ACCEPT; iptables -t nat -A POSTROUTING -s ${sourceRange} -o ${this.externalInterface} -j MASQUERADE`);
+      postDown.push(`iptables -D FORWARD -i %i -j ACCEPT; iptables -D FORWARD -o %i -j ACCEPT; iptables -t nat -D POSTROUTING -s ${sourceRange} -o ${this.externalInterface} -j MASQUERADE`);
+    }
+
+    const content = WireGuardConfig.renderServerConfig({
+      privateKey: server.privateKey,
+      address: `${this.subnet.firstHost}/${this.subnet.prefixLength}`,
+      listenPort: this.port,
+      postUp,
+      postDown,
+      peers: [...peers].sort((a, b) => Subnet.ipToInt(a.address) - Subnet.ipToInt(b.address))
+    });
+
+    const tempFile = `${this.serverConfigPath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.serverConfigPath), { recursive: true, mode: 0o700 });
+    await fs.writeFile(tempFile, content, { mode: 0o600 });
+    await fs.rename(tempFile, this.serverConfigPath);
+
+    if (this.syncInterface) {
+      await this.syncInterfaceConfig(content);
+    }
+
+    return { path: this.serverConfigPath, peers: peers.length };
+  }
+
+  /**
+   * Apply peer changes to the live interface without dropping existing sessions
+   * Failures are logged; the config file on disk is already up to date
+   */
+  async syncInterfaceConfig(content) {
+    const syncFile = `${this.serverConfigPath}.sync`;
+
+    try {
+      await fs.writeFile(syncFile, WireGuardConfig.stripConfig(content), { mode: 0o600 });
+      await execFile('wg', ['syncconf', this.interfaceName, syncFile]);
+    } catch (error) {
+      this.logger.warn('Failed to sync WireGuard interface', {
+        interface: this.interfaceName,
+        error: error.message
+      });
+    } finally {
+      await fs.unlink(syncFile).catch(() => {});
+    }
+  }
+
+  withChangeLock(change) {
+    const result = this.changeQueue.then(change);
+    // Keep the queue alive even if this change failed
+    this.changeQueue = result.catch(() => {});
+    return result;
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      subnet: this.subnet.toCIDR(),
+      port: this.port,
+      configured: Boolean(this.endpoint)
+    };
+  }
+}
+
+module.exports = WireGuardBackend;
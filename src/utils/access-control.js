@@ -0,0 +1,130 @@
+/**
+ * Role-based access control for certificate operations
+ * - admin: manages every certificate
+ * - member: creates, downloads and revokes certificates they own
+ * - guest: downloads certificates assigned to them
+ */
+
+const ROLES = Object.freeze({
+    ADMIN: 'admin',
+    MEMBER: 'member',
+    GUEST: 'guest'
+});
+
+const VALID_ROLES = Object.values(ROLES);
+
+class AccessControl {
+    /**
+     * Check whether a role name is known
+     */
+    static isValidRole(role) {
+        return VALID_ROLES.includes(role);
+    }
+
+    /**
+     * Resolve the effective role of a user
+     * Accounts created before roles existed have no role and were all administrators;
+     * anything unrecognised falls back to the least privileged role
+     */
+    static normalizeRole(role) {
+        if (role === undefined || role === null) {
+            return ROLES.ADMIN;
+        }
+        return AccessControl.isValidRole(role) ? role : ROLES.GUEST;
+    }
+
+    /**
+     * Owner of a certificate record (the user who created it)
+     */
+    static getOwner(record) {
+        if (!record) {
+            return null;
+        }
+        const owner = record.owner || record.createdBy;
+        return owner && owner !== 'unknown' ? owner : null;
+    }
+
+    /**
+     * Check whether a certificate is assigned to a user
+     */
+    static isAssigned(record, username) {
+        return Boolean(record && Array.isArray(record.assignedTo) && record.assignedTo.includes(username));
+    }
+
+    /**
+     * Users allowed to create certificates
+     */
+    static canCreate(user) {
+        const role = AccessControl.normalizeRole(user && user.role);
+        return role === ROLES.ADMIN || role === ROLES.MEMBER;
+    }
+
+    /**
+     * Users allowed to download (and see) a certificate
+     */
+    static canDownload(user, record) {
+        if (!user) {
+            return false;
+        }
+
+        switch (AccessControl.normalizeRole(user.role)) {
+            case ROLES.ADMIN:
+                return true;
+            case ROLES.MEMBER:
+                return AccessControl.getOwner(record) === user.username;
+            default:
+                return AccessControl.isAssigned(record, user.username);
+        }
+    }
+
+    /**
+     * Users allowed to revoke a certificate
+     */
+    static canRevoke(user, record) {
+        if (!user) {
+            return false;
+        }
+
+        switch (AccessControl.normalizeRole(user.role)) {
+            case ROLES.ADMIN:
+                return true;
+            case ROLES.MEMBER:
+                return AccessControl.getOwner(record) === user.username;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Users allowed to renew a certificate (same rules as revocation)
+     */
+    static canRenew(user, record) {
+        return AccessControl.canRevoke(user, record);
+    }
+
+    /**
+     * Users allowed to end a certificate's live VPN sessions (same rules as revocation)
+     */
+    static canDisconnect(user, record) {
+        return AccessControl.canRevoke(user, record);
+    }
+
+    /**
+     * Users allowed to change certificate assignments
+     */
+    static canAssign(user) {
+        return Boolean(user) && AccessControl.normalizeRole(user.role) === ROLES.ADMIN;
+    }
+
+    /**
+     * Users allowed to change a client's network settings, such as its static VPN address
+     */
+    static canManageNetwork(user) {
+        return Boolean(user) && AccessControl.normalizeRole(user.role) === ROLES.ADMIN;
+    }
+}
+
+AccessControl.ROLES = ROLES;
+AccessControl.VALID_ROLES = VALID_ROLES;
+
+module.exports = AccessControl;
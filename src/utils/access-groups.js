@@ -0,0 +1,330 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Subnet = require('./subnet');
+const DnsProviders = require('./dns-providers');
+
+const GROUP_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const MAX_GROUP_CIDRS = 64;
+const MAX_GROUP_BLOCKLISTS = 32;
+const BLOCKLIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Private, carrier-grade NAT and link-local ranges that make up "the LAN side" of the server
+const PRIVATE_RANGES = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', '169.254.0.0/16'];
+
+/**
+ * Named access groups that decide where a VPN client's traffic may go
+ * Built-in groups cover the usual family cases; custom groups are allow/deny CIDR lists
+ * stored in a JSON file next to the certificate registry. A group can also name the DNS
+ * blocklists its clients get (without that they get the DNS forwarder's default lists) and a
+ * DNS provider preset that replaces DNS_PROVIDER for its clients. Certificates name their group
+ * in the registry (`accessGroup`), and the client-connect hook turns it into iptables rules.
+ */
+class AccessGroups {
+    /**
+     * @param {Object} options - { storeFile, lanSubnets, defaultGroup }
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.storeFile = options.storeFile || path.join(process.cwd(), 'certificates', 'access-groups.json');
+        this.lanSubnets = (options.lanSubnets && options.lanSubnets.length > 0)
+            ? options.lanSubnets
+            : ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'];
+        this.defaultGroup = options.defaultGroup || 'full';
+        this.data = null;
+        this.initPromise = null;
+
+        this.changeQueue = Promise.resolve();
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Groups that always exist and cannot be changed
+     */
+    get builtInGroups() {
+        return {
+            full: {
+                label: 'Full access',
+                description: 'Internet and home network',
+                allow: [],
+                deny: []
+            },
+            'internet-only': {
+                label: 'Internet only',
+                description: 'Internet, but no devices on the home network',
+                allow: [],
+                deny: PRIVATE_RANGES
+            },
+            'lan-only': {
+                label: 'Home network only',
+                description: 'Devices on the home network, but not the internet',
+                allow: this.lanSubnets,
+                deny: []
+            }
+        };
+    }
+
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.load().catch(error => {
+                // Allow a later call to retry after a failed load
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async load() {
+        try {
+            this.data = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+            this.data.groups = this.data.groups || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load access groups', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                throw error;
+            }
+
+            this.data = {
+                version: '1.0.0',
+                created: new Date().toISOString(),
+                groups: {}
+            };
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Built-in groups first, then custom groups by name
+     */
+    async list() {
+        await this.initialize();
+
+        const builtIn = Object.entries(this.builtInGroups)
+            .map(([name, group]) => AccessGroups.toGroup(name, group, true));
+        const custom = Object.entries(this.data.groups)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, group]) => AccessGroups.toGroup(name, group, false));
+
+        return [...builtIn, ...custom];
+    }
+
+    async get(name) {
+        await this.initialize();
+
+        if (Object.prototype.hasOwnProperty.call(this.builtInGroups, name)) {
+            return AccessGroups.toGroup(name, this.builtInGroups[name], true);
+        }
+        if (Object.prototype.hasOwnProperty.call(this.data.groups, name)) {
+            return AccessGroups.toGroup(name, this.data.groups[name], false);
+        }
+        return null;
+    }
+
+    /**
+     * Group that applies to a certificate; unknown names fall back to the default group
+     */
+    async resolve(name) {
+        const group = await this.get(name || this.defaultGroup);
+        if (group) {
+            return group;
+        }
+
+        this.logger.warn('Unknown access group, using the default group', { group: name, defaultGroup: this.defaultGroup });
+        return (await this.get(this.defaultGroup)) || this.get('full');
+    }
+
+    /**
+     * Add a custom group
+     * @param {Object} definition - { name, label, description, allow, deny, blocklists, dnsProvider }
+     */
+    create(definition) {
+        return this.withChangeLock(async () => {
+            const { name } = definition;
+            if (typeof name !== 'string' || !GROUP_NAME_PATTERN.test(name)) {
+                throw AccessGroups.createAccessGroupError(
+                    'Group name must be 2-32 lowercase letters, digits or hyphens',
+                    'INVALID_ACCESS_GROUP'
+                );
+            }
+            if (await this.get(name)) {
+                throw AccessGroups.createAccessGroupError(`Access group '${name}' already exists`, 'ACCESS_GROUP_EXISTS');
+            }
+
+            this.data.groups[name] = {
+                ...AccessGroups.validateDefinition(definition),
+                createdAt: new Date().toISOString()
+            };
+            await this.save();
+            return AccessGroups.toGroup(name, this.data.groups[name], false);
+        });
+    }
+
+    update(name, definition) {
+        return this.withChangeLock(async () => {
+            const existing = this.getCustom(name);
+            // Fields left out of the request keep their current value
+            const changes = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+
+            this.data.groups[name] = {
+                ...existing,
+                ...AccessGroups.validateDefinition({ ...existing, ...changes, name }),
+                updatedAt: new Date().toISOString()
+            };
+            await this.save();
+            return AccessGroups.toGroup(name, this.data.groups[name], false);
+        });
+    }
+
+    remove(name) {
+        return this.withChangeLock(async () => {
+            this.getCustom(name);
+            delete this.data.groups[name];
+            await this.save();
+        });
+    }
+
+    // Custom group for a change; built-in groups are read-only
+    getCustom(name) {
+        if (Object.prototype.hasOwnProperty.call(this.builtInGroups, name)) {
+            throw AccessGroups.createAccessGroupError(`Access group '${name}' is built in and cannot be changed`, 'ACCESS_GROUP_READ_ONLY');
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.data.groups, name)) {
+            throw AccessGroups.createAccessGroupError(`Access group '${name}' not found`, 'ACCESS_GROUP_NOT_FOUND');
+        }
+        return this.data.groups[name];
+    }
+
+    /**
+     * Persist custom groups to disk atomically (temp file + rename)
+     */
+    save() {
+        const write = async () => {
+            this.data.lastModified = new Date().toISOString();
+            const content = JSON.stringify(this.data, null, 2);
+            const tempFile = `${this.storeFile}.${process.pid}.tmp`;
+
+            try {
+                await fs.mkdir(path.dirname(this.storeFile), { recursive: true });
+                await fs.writeFile(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+                await fs.rename(tempFile, this.storeFile);
+            } catch (error) {
+                this.logger.error('Failed to save access groups', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                await fs.unlink(tempFile).catch(() => {});
+                throw error;
+            }
+        };
+
+        const result = this.writeQueue.then(write);
+        // Keep the queue alive even if this write failed
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    withChangeLock(change) {
+        const result = this.changeQueue.then(() => this.initialize()).then(change);
+        // Keep the queue alive even if this change failed
+        this.changeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Check a custom group's label, CIDR lists, DNS blocklists and DNS provider
+     * @returns {{label: string, description: string, allow: string[], deny: string[], blocklists: string[]|null, dnsProvider: string|null}}
+     */
+    static validateDefinition({ name, label, description, allow = [], deny = [], blocklists = null, dnsProvider = null }) {
+        const lists = { allow, deny };
+
+        for (const [key, list] of Object.entries(lists)) {
+            if (!Array.isArray(list) || list.length > MAX_GROUP_CIDRS) {
+                throw AccessGroups.createAccessGroupError(`${key} must be a list of at most ${MAX_GROUP_CIDRS} networks`, 'INVALID_ACCESS_GROUP');
+            }
+
+            lists[key] = list.map(entry => {
+                const cidr = AccessGroups.normalizeCIDR(entry);
+                if (!cidr) {
+                    throw AccessGroups.createAccessGroupError(`'${entry}' is not an IPv4 address or CIDR network`, 'INVALID_ACCESS_GROUP');
+                }
+                return cidr;
+            });
+        }
+
+        // null means "the DNS forwarder's default lists"; [] turns filtering off for the group
+        if (blocklists !== null && (!Array.isArray(blocklists) || blocklists.length > MAX_GROUP_BLOCKLISTS ||
+            !blocklists.every(entry => typeof entry === 'string' && BLOCKLIST_NAME_PATTERN.test(entry)))) {
+            throw AccessGroups.createAccessGroupError(
+                `blocklists must be null or a list of at most ${MAX_GROUP_BLOCKLISTS} blocklist names`,
+                'INVALID_ACCESS_GROUP'
+            );
+        }
+
+        if (dnsProvider !== null && !DnsProviders.isPreset(dnsProvider)) {
+            throw AccessGroups.createAccessGroupError(
+                `dnsProvider must be null or one of ${Object.keys(DnsProviders.PRESETS).join(', ')}`,
+                'INVALID_ACCESS_GROUP'
+            );
+        }
+
+        return {
+            label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 64) : name,
+            description: typeof description === 'string' ? description.trim().slice(0, 200) : '',
+            allow: [...new Set(lists.allow)],
+            deny: [...new Set(lists.deny)],
+            blocklists: blocklists === null ? null : [...new Set(blocklists)],
+            dnsProvider
+        };
+    }
+
+    /**
+     * Canonical network form of an address or CIDR, e.g. 192.168.1.7/24 -> 192.168.1.0/24
+     * @returns {string|null}
+     */
+    static normalizeCIDR(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const [address, prefix, extra] = value.trim().split('/');
+        const addressInt = Subnet.ipToInt(address);
+        if (addressInt === null || extra !== undefined || (prefix !== undefined && !/^\d{1,2}$/.test(prefix))) {
+            return null;
+        }
+
+        const prefixLength = prefix === undefined ? 32 : Number(prefix);
+        if (prefixLength > 32) {
+            return null;
+        }
+
+        const mask = prefixLength === 0 ? 0 : (~0 << (32 - prefixLength)) >>> 0;
+        return `${Subnet.intToIp((addressInt & mask) >>> 0)}/${prefixLength}`;
+    }
+
+    static toGroup(name, group, builtIn) {
+        return {
+            name,
+            label: group.label || name,
+            description: group.description || '',
+            allow: [...group.allow],
+            deny: [...group.deny],
+            blocklists: Array.isArray(group.blocklists) ? [...group.blocklists] : null,
+            dnsProvider: group.dnsProvider || null,
+            builtIn
+        };
+    }
+
+    static createAccessGroupError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+AccessGroups.PRIVATE_RANGES = PRIVATE_RANGES;
+
+module.exports = AccessGroups;
@@ -0,0 +1,87 @@
+const Subnet = require('./subnet');
+
+// Per-client packet rate kept from the original client-connect.sh
+const DEFAULT_RATE_LIMIT = { limit: '100/sec', burst: 200 };
+
+/**
+ * iptables rules that enforce an access group for one connected VPN client
+ * Each client gets its own chain, jumped to from FORWARD for its VPN address. Removing the
+ * chain on disconnect therefore needs only the address, not the group that was applied.
+ * Commands are argument arrays for `iptables`, so nothing here runs a shell.
+ */
+class AccessRules {
+    /**
+     * Chain name for a client address, e.g. FVPN-10-8-0-20 (iptables allows 28 characters)
+     */
+    static chainName(address) {
+        if (Subnet.ipToInt(address) === null) {
+            throw AccessRules.createAccessRuleError(`Invalid client address '${address}'`);
+        }
+        return `FVPN-${Subnet.intToIp(Subnet.ipToInt(address)).replace(/\./g, '-')}`;
+    }
+
+    /**
+     * Rules applied when the client connects
+     * Denied networks are dropped first; with an allow list only those networks pass;
+     * everything that passes is rate limited.
+     * @param {Object} group - { allow: string[], deny: string[] } in CIDR form
+     * @param {string} address - Client's VPN address
+     * @param {Object} [options] - { rateLimit: { limit, burst } }
+     * @returns {string[][]} iptables argument lists, in order
+     */
+    static connectCommands(group, address, options = {}) {
+        const chain = AccessRules.chainName(address);
+        const rateLimit = options.rateLimit || DEFAULT_RATE_LIMIT;
+        const accept = ['-m', 'limit', '--limit', rateLimit.limit, '--limit-burst', String(rateLimit.burst), '-j', 'ACCEPT'];
+
+        const commands = [['-N', chain]];
+
+        for (const cidr of group.deny || []) {
+            commands.push(['-A', chain, '-d', cidr, '-j', 'DROP']);
+        }
+
+        const allow = group.allow || [];
+        if (allow.length > 0) {
+            for (const cidr of allow) {
+                commands.push(['-A', chain, '-d', cidr, ...accept]);
+            }
+        } else {
+            commands.push(['-A', chain, ...accept]);
+        }
+
+        commands.push(['-A', chain, '-j', 'DROP']);
+        commands.push(['-I', 'FORWARD', '-s', address, '-j', chain]);
+
+        return commands;
+    }
+
+    /**
+     * Rules removed when the client disconnects (or before reconnecting, to clear leftovers)
+     * @returns {string[][]} iptables argument lists, in order
+     */
+    static disconnectCommands(address) {
+        const chain = AccessRules.chainName(address);
+        return [
+            ['-D', 'FORWARD', '-s', address, '-j', chain],
+            ['-F', chain],
+            ['-X', chain]
+        ];
+    }
+
+    /**
+     * Shell form of the commands, for logs and documentation
+     */
+    static toShell(commands) {
+        return commands.map(args => ['iptables', ...args].join(' ')).join('\n');
+    }
+
+    static createAccessRuleError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_ACCESS_RULE';
+        return error;
+    }
+}
+
+AccessRules.DEFAULT_RATE_LIMIT = DEFAULT_RATE_LIMIT;
+
+module.exports = AccessRules;
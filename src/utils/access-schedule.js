@@ -0,0 +1,189 @@
+/**
+ * Weekly time windows in which a device may use the VPN
+ * A schedule is a list of windows, each with days of the week (0 = Sunday, as in cron) and a
+ * start and end time. A window whose end is not after its start runs past midnight into the
+ * next day. Times are server local time, like the job scheduler. No schedule means no limits.
+ *
+ * Text form, as edited in the web interface: "Mon-Fri 07:00-20:00; Sat,Sun 09:00-22:30"
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const MAX_WINDOWS = 28;
+
+class AccessSchedule {
+    /**
+     * Canonical schedule from its text or object form
+     * @param {string|Object|null} input - Text, { windows: [...] }, or empty for no schedule
+     * @returns {{windows: Object[]}|null}
+     */
+    static normalize(input) {
+        if (input === null || input === undefined || (typeof input === 'string' && input.trim() === '')) {
+            return null;
+        }
+
+        const windows = typeof input === 'string'
+            ? AccessSchedule.parse(input)
+            : input.windows;
+
+        if (!Array.isArray(windows) || windows.length === 0 || windows.length > MAX_WINDOWS) {
+            throw AccessSchedule.createScheduleError(`A schedule needs 1 to ${MAX_WINDOWS} time windows`);
+        }
+
+        return { windows: windows.map(window => AccessSchedule.normalizeWindow(window)) };
+    }
+
+    static normalizeWindow(window) {
+        const days = Array.isArray(window && window.days) ? window.days : [];
+        if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 7)) {
+            throw AccessSchedule.createScheduleError('Each window needs days of the week from 0 (Sunday) to 6');
+        }
+
+        const start = AccessSchedule.toMinutes(window.start);
+        const end = AccessSchedule.toMinutes(window.end);
+        if (start === null || end === null || start === MINUTES_PER_DAY) {
+            throw AccessSchedule.createScheduleError(`Invalid time window '${window.start}-${window.end}'; use HH:MM`);
+        }
+
+        return {
+            // Sunday may be written as 0 or 7
+            days: [...new Set(days.map(day => day % 7))].sort((a, b) => a - b),
+            start: AccessSchedule.formatMinutes(start),
+            end: AccessSchedule.formatMinutes(end)
+        };
+    }
+
+    /**
+     * Windows from text such as "Mon-Fri 07:00-20:00; Sat,Sun 09:00-22:30"
+     */
+    static parse(text) {
+        return text.split(/[;\n]/).map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const match = entry.match(/^(\S+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+            if (!match) {
+                throw AccessSchedule.createScheduleError(`Cannot read '${entry}'; expected e.g. "Mon-Fri 07:00-20:00"`);
+            }
+
+            return { days: AccessSchedule.parseDays(match[1]), start: match[2], end: match[3] };
+        });
+    }
+
+    // "Mon-Fri", "Sat,Sun", "Fri-Mon" or "Daily"
+    static parseDays(text) {
+        if (/^(daily|every-?day)$/i.test(text)) {
+            return [0, 1, 2, 3, 4, 5, 6];
+        }
+
+        const dayIndex = name => {
+            const index = DAY_NAMES.findIndex(day => day.toLowerCase() === name.slice(0, 3).toLowerCase());
+            if (name.length < 3 || index === -1) {
+                throw AccessSchedule.createScheduleError(`Unknown day '${name}'`);
+            }
+            return index;
+        };
+
+        const days = [];
+        for (const part of text.split(',').filter(Boolean)) {
+            const [from, to] = part.split('-');
+            const first = dayIndex(from);
+            const last = to === undefined ? first : dayIndex(to);
+            // Ranges may wrap around the weekend, e.g. Fri-Mon
+            for (let day = first; ; day = (day + 1) % 7) {
+                days.push(day);
+                if (day === last) {
+                    break;
+                }
+            }
+        }
+        return days;
+    }
+
+    /**
+     * Text form of a schedule, or '' when there is none
+     */
+    static format(schedule) {
+        if (!schedule || !Array.isArray(schedule.windows)) {
+            return '';
+        }
+
+        return schedule.windows
+            .map(window => `${AccessSchedule.formatDays(window.days)} ${window.start}-${window.end}`)
+            .join('; ');
+    }
+
+    // Consecutive days are written as ranges in a Monday-first week: [0, 1, 2, 6] -> "Mon-Tue,Sat-Sun"
+    static formatDays(days) {
+        if (days.length === 7) {
+            return 'Daily';
+        }
+
+        const ranges = [];
+        for (const day of days.map(entry => (entry + 6) % 7).sort((a, b) => a - b)) {
+            const last = ranges[ranges.length - 1];
+            if (last && day === last[1] + 1) {
+                last[1] = day;
+            } else {
+                ranges.push([day, day]);
+            }
+        }
+
+        const name = index => DAY_NAMES[(index + 1) % 7];
+        return ranges
+            .map(([first, last]) => (first === last ? name(first) : `${name(first)}-${name(last)}`))
+            .join(',');
+    }
+
+    /**
+     * Whether a device with this schedule may be connected at the given time
+     */
+    static isAllowed(schedule, date = new Date()) {
+        if (!schedule || !Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+            return true;
+        }
+
+        const now = date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+
+        return schedule.windows.some(window => {
+            const start = AccessSchedule.toMinutes(window.start);
+            let end = AccessSchedule.toMinutes(window.end);
+            if (end <= start) {
+                end += MINUTES_PER_DAY;
+            }
+
+            return window.days.some(day => {
+                const windowStart = day * MINUTES_PER_DAY + start;
+                const windowEnd = day * MINUTES_PER_DAY + end;
+                // A Saturday night window continues into Sunday at the start of the week
+                return (now >= windowStart && now < windowEnd) ||
+                    (now + MINUTES_PER_WEEK >= windowStart && now + MINUTES_PER_WEEK < windowEnd);
+            });
+        });
+    }
+
+    /**
+     * Minutes since midnight for "HH:MM" (24:00 is the end of the day), or null
+     */
+    static toMinutes(value) {
+        const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) {
+            return null;
+        }
+
+        const minutes = Number(match[1]) * 60 + Number(match[2]);
+        return Number(match[2]) < 60 && minutes <= MINUTES_PER_DAY ? minutes : null;
+    }
+
+    static formatMinutes(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    static createScheduleError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_ACCESS_SCHEDULE';
+        return error;
+    }
+}
+
+AccessSchedule.DAY_NAMES = DAY_NAMES;
+
+module.exports = AccessSchedule;
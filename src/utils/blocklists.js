@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?\.)*[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?$/;
+
+// Addresses hosts files use to send a name nowhere
+const SINKHOLE_ADDRESSES = new Set(['0.0.0.0', '127.0.0.1', '::', '::1']);
+// Names hosts files list for the machine itself, which must keep resolving
+const LOCAL_NAMES = new Set(['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback']);
+
+/**
+ * Named domain blocklists for the filtering DNS forwarder
+ * Each file in the blocklist directory is one list, named after the file without its
+ * extension (ads.txt -> "ads"). Lines are in hosts format ("0.0.0.0 ads.example.com",
+ * blocks that name) or adblock format ("||ads.example.com^", blocks it and its subdomains;
+ * "@@||cdn.example.com^" exempts a name from the same list). "#" and "!" start comments.
+ */
+class Blocklists {
+    /**
+     * @param {Object} options - { dir }
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.dir = options.dir;
+        this.lists = new Map();
+    }
+
+    /**
+     * (Re)read every list in the directory; a missing directory means no lists
+     * @returns {Promise<Object>} Number of rules per list
+     */
+    async load() {
+        const lists = new Map();
+
+        let files = [];
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        for (const file of files.sort()) {
+            const name = path.basename(file, path.extname(file)).toLowerCase();
+            if (!LIST_NAME_PATTERN.test(name) || lists.has(name)) {
+                continue;
+            }
+
+            const stats = await fs.stat(path.join(this.dir, file));
+            if (!stats.isFile()) {
+                continue;
+            }
+
+            lists.set(name, Blocklists.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+        }
+
+        this.lists = lists;
+
+        const summary = this.getSummary();
+        this.logger.info('DNS blocklists loaded', { dir: this.dir, lists: summary });
+        return summary;
+    }
+
+    getNames() {
+        return [...this.lists.keys()];
+    }
+
+    getSummary() {
+        const summary = {};
+        for (const [name, list] of this.lists) {
+            summary[name] = list.exact.size + list.withSubdomains.size;
+        }
+        return summary;
+    }
+
+    /**
+     * First of the given lists that blocks a name
+     * @param {string} name - Query name, lower case without the trailing dot
+     * @param {string[]} listNames - Lists that apply to the client
+     * @returns {string|null} Name of the matching list
+     */
+    match(name, listNames) {
+        const suffixes = Blocklists.suffixes(name);
+
+        for (const listName of listNames) {
+            const list = this.lists.get(listName);
+            if (!list || suffixes.some(suffix => list.allowed.has(suffix))) {
+                continue;
+            }
+
+            if (list.exact.has(name) || suffixes.some(suffix => list.withSubdomains.has(suffix))) {
+                return listName;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Rules of one list file
+     * @returns {{exact: Set<string>, withSubdomains: Set<string>, allowed: Set<string>}}
+     */
+    static parse(text) {
+        const list = { exact: new Set(), withSubdomains: new Set(), allowed: new Set() };
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/\s#.*$/, '').trim();
+            if (!line || line.startsWith('#') || line.startsWith('!') || line.startsWith('[')) {
+                continue;
+            }
+
+            // Adblock network rules; rules with options ($third-party etc.) do not apply to DNS
+            const adblock = line.match(/^(@@)?\|\|([^/^$|]+)\^?$/);
+            if (adblock) {
+                const domain = Blocklists.normalizeDomain(adblock[2]);
+                if (domain) {
+                    list[adblock[1] ? 'allowed' : 'withSubdomains'].add(domain);
+                }
+                continue;
+            }
+
+            // Hosts file entries: address followed by one or more names
+            const fields = line.split(/\s+/);
+            if (fields.length > 1 && SINKHOLE_ADDRESSES.has(fields[0])) {
+                for (const field of fields.slice(1)) {
+                    const domain = Blocklists.normalizeDomain(field);
+                    if (domain && !LOCAL_NAMES.has(domain)) {
+                        list.exact.add(domain);
+                    }
+                }
+                continue;
+            }
+
+            // Plain domain lists
+            if (fields.length === 1) {
+                const domain = Blocklists.normalizeDomain(fields[0]);
+                if (domain && domain.includes('.')) {
+                    list.exact.add(domain);
+                }
+            }
+        }
+
+        return list;
+    }
+
+    static normalizeDomain(value) {
+        const domain = String(value).trim().toLowerCase().replace(/\.$/, '');
+        return DOMAIN_PATTERN.test(domain) ? domain : null;
+    }
+
+    // "a.b.example.com" -> ["a.b.example.com", "b.example.com", "example.com", "com"]
+    static suffixes(name) {
+        const labels = name.split('.');
+        return labels.map((label, index) => labels.slice(index).join('.'));
+    }
+
+    static isValidListName(name) {
+        return typeof name === 'string' && LIST_NAME_PATTERN.test(name);
+    }
+}
+
+module.exports = Blocklists;
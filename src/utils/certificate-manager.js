@@ -1,11 +1,14 @@
 const { promisify } = require('util');
 const exec = promisify(require('child_process').exec);
+const execFile = promisify(require('child_process').execFile);
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const mkdirp = require('mkdirp');
 const config = require('../config');
 const FilesystemHelper = require('./filesystem-helper');
+const OpenVPNSecurityConfig = require('./openvpn-security-config');
+const ProfileCompatibilityChecker = require('./profile-compatibility');
 
 class CertificateManager {
     constructor(logger) {
@@ -447,7 +450,14 @@ class CertificateManager {
       }
     }
     
-    async generateClientCertificate(clientName) {
+    /**
+     * @param {Object} options - { passphrase } encrypts the key embedded in the profile
+     */
+    async generateClientCertificate(clientName, options = {}) {
+      if (options.passphrase) {
+        CertificateManager.validateKeyPassphrase(options.passphrase);
+      }
+
       try {
         // Wait for directory initialization to complete
         await this.initPromise;
@@ -479,6 +489,10 @@ class CertificateManager {
         
         // Copy the client certificates
         await this.copyCertificates(clientName);
+
+        if (options.passphrase) {
+          await this.protectClientKey(clientName, options.passphrase);
+        }
         
         // Generate client configuration
         await this.generateClientConfig(clientName);
@@ -492,10 +506,98 @@ class CertificateManager {
         throw new Error(`Failed to generate client certificate: ${error.message}`);
       }
     }
-      
-    async generateClientConfig(clientName) {
-      const newLine = this.platform === 'win32' ? '\r\n' : '\n';
 
+    // Issue a fresh certificate for an existing client; Easy-RSA keeps the old one in pki/renewed
+    // until it is revoked with revoke-renewed. options.renewWithinDays sets EASYRSA_CERT_RENEW.
+    async renewClientCertificate(clientName, options = {}) {
+      if (options.passphrase) {
+        CertificateManager.validateKeyPassphrase(options.passphrase);
+      }
+
+      try {
+        await this.initPromise;
+
+        if (!this.easyrsaPath) {
+          this.easyrsaPath = await this.findEasyRsaPath();
+        }
+
+        let command;
+        if (this.platform === 'win32') {  // Windows
+          command = `
+            cd /d "${this.easyrsaPath}" &&
+            easyrsa --batch renew ${clientName} nopass
+          `;
+        } else {  // macOS and Linux
+          command = `
+            cd "${this.easyrsaPath}" &&
+            ./easyrsa --batch renew ${clientName} nopass
+          `;
+        }
+
+        // Easy-RSA 3.1 refuses renewals earlier than EASYRSA_CERT_RENEW days before expiry
+        const renewWithinDays = options.renewWithinDays || config.certificates.expiryWarningDays || 30;
+
+        this.logger.info(`Renewing client certificate for: ${clientName}`);
+        const { stdout, stderr } = await exec(command, {
+          env: { ...process.env, EASYRSA_CERT_RENEW: String(renewWithinDays) }
+        });
+        if (stdout) this.logger.info(`Client renew output: ${stdout}`);
+        if (stderr) this.logger.warn(`Client renew stderr: ${stderr}`);
+
+        // Replace the copied certificate and inline config with the new ones
+        await this.copyCertificates(clientName);
+        if (options.passphrase) {
+          await this.protectClientKey(clientName, options.passphrase);
+        }
+        await this.generateClientConfig(clientName);
+
+        this.logger.info(`Client certificate for ${clientName} renewed successfully`);
+        return true;
+      } catch (error) {
+        this.logger.error(`Error renewing client certificate: ${error.message}`);
+        if (error.stderr) this.logger.error(`Command stderr: ${error.stderr}`);
+        throw new Error(`Failed to renew client certificate: ${error.message}`);
+      }
+    }
+
+    /**
+     * Encrypt the client's key copy that goes into its profiles
+     * Easy-RSA still issues the key without a passphrase, so pki/private keeps the server's
+     * copy usable for renewals; only the file handed out to devices is encrypted.
+     */
+    async protectClientKey(clientName, passphrase) {
+      const keyPath = path.join(config.certificates.dir, `${clientName}.key`);
+      await this.encryptPrivateKey(keyPath, passphrase);
+      this.logger.info(`Encrypted private key for client: ${clientName}`);
+    }
+
+    async encryptPrivateKey(keyPath, passphrase) {
+      const tempPath = `${keyPath}.${process.pid}.tmp`;
+
+      try {
+        // Passphrase goes through the environment so it never shows up in the process list
+        await execFile('openssl', [
+          'pkey',
+          '-in', keyPath,
+          '-aes-256-cbc',
+          '-passout', 'env:FAMILYVPN_KEY_PASSPHRASE',
+          '-out', tempPath
+        ], {
+          env: { ...process.env, FAMILYVPN_KEY_PASSPHRASE: passphrase }
+        });
+        await fs.chmod(tempPath, 0o600);
+        await fs.rename(tempPath, keyPath);
+      } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        if (error.stderr) this.logger.error(`Key encryption stderr: ${error.stderr}`);
+        throw new Error(`Failed to encrypt private key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Client certificate material shared by the .ovpn profile and the platform exporters
+     */
+    async loadClientMaterial(clientName) {
       // read & trim to pure PEM (strip any bag attributes or comments)
       const readPem = async (file) => {
         const raw = await fs.readFile(file, 'utf8');
@@ -507,16 +609,53 @@ class CertificateManager {
       const cert = await readPem(path.join(config.certificates.dir, `${clientName}.crt`));
       const key = await fs.readFile(path.join(config.certificates.dir, `${clientName}.key`), 'utf8');
 
-      const clientConfig =
-`client
+      return { ca, cert, key: key.trim() };
+    }
+
+    /**
+     * Connection settings written into every client profile
+     */
+    getClientProfileSettings() {
+      return {
+        host: config.vpn.host,
+        port: config.vpn.port,
+        protocol: config.vpn.protocol,
+        compress: 'lz4'
+      };
+    }
+
+    /**
+     * Write the inline .ovpn and check it against the server config
+     * @returns {Promise<Object|null>} Compatibility result; problems are logged, not thrown
+     */
+    async generateClientConfig(clientName) {
+      const clientConfig = this.renderClientConfig(await this.loadClientMaterial(clientName));
+
+      const outputPath = path.join(config.certificates.dir, `${clientName}.ovpn`);
+      await fs.writeFile(outputPath, clientConfig);
+      this.logger.info(`Generated inline client config at: ${outputPath}`);
+
+      return new ProfileCompatibilityChecker(this.logger).checkGeneratedProfile(clientName, clientConfig, config, {
+        securityConfig: new OpenVPNSecurityConfig(config, this.logger)
+      });
+    }
+
+    /**
+     * Inline .ovpn profile text; also rendered without certificates for the config linter
+     */
+    renderClientConfig({ ca, cert, key }) {
+      const newLine = this.platform === 'win32' ? '\r\n' : '\n';
+      const settings = this.getClientProfileSettings();
+
+      return `client
 dev tun
-proto ${config.vpn.protocol}
-remote ${config.vpn.host} ${config.vpn.port}
+proto ${settings.protocol}
+remote ${settings.host} ${settings.port}
 resolv-retry infinite
 nobind
 persist-key
 persist-tun
-compress lz4
+compress ${settings.compress}
 verb 3
 <ca>
 ${ca}
@@ -525,13 +664,34 @@ ${ca}
 ${cert}
 </cert>
 <key>
-${key.trim()}
+${key}
 </key>`.replace(/\n/g, newLine);
+    }
 
-      const outputPath = path.join(config.certificates.dir, `${clientName}.ovpn`);
-      await fs.writeFile(outputPath, clientConfig);
-      this.logger.info(`Generated inline client config at: ${outputPath}`);
+    /**
+     * Passphrases are typed on phones and laptops at connect time, so they must be printable
+     * and long enough that a leaked profile cannot simply be guessed open
+     */
+    static validateKeyPassphrase(passphrase) {
+      const { minLength, maxLength } = CertificateManager.KEY_PASSPHRASE_LIMITS;
+      let message = null;
+
+      if (typeof passphrase !== 'string') {
+        message = 'Key passphrase must be a string';
+      } else if (passphrase.length < minLength || passphrase.length > maxLength) {
+        message = `Key passphrase must be ${minLength} to ${maxLength} characters`;
+      } else if (/[\x00-\x1f\x7f]/.test(passphrase)) {
+        message = 'Key passphrase must not contain control characters';
+      }
+
+      if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_KEY_PASSPHRASE';
+        throw error;
+      }
     }
 }
 
+CertificateManager.KEY_PASSPHRASE_LIMITS = { minLength: 8, maxLength: 128 };
+
 module.exports = CertificateManager;
\ No newline at end of file
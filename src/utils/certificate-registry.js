@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Durable certificate registry backed by a JSON file
+ * Keeps who created a certificate, when it was revoked and by whom across restarts
+ */
+class CertificateRegistry {
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.registryFile = options.registryFile || path.join(process.cwd(), 'certificates', 'certificate-registry.json');
+        this.indexFile = options.indexFile || path.join(process.cwd(), 'easy-rsa', 'pki', 'index.txt');
+        this.data = null;
+        this.initPromise = null;
+
+        // Serialize writes so concurrent requests never interleave partial files
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the registry, rebuilding it from the Easy-RSA index on first start
+     * @param {string} indexFile - Optional path to pki/index.txt
+     */
+    initialize(indexFile) {
+        if (!this.initPromise) {
+            this.initPromise = this.load(indexFile || this.indexFile).catch(error => {
+                // Allow a later call to retry after a failed load
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    /**
+     * Read registry file or create it from the index
+     */
+    async load(indexFile) {
+        try {
+            const content = await fs.readFile(this.registryFile, 'utf8');
+            this.data = JSON.parse(content);
+            this.data.certificates = this.data.certificates || {};
+
+            this.logger.info('Certificate registry loaded', {
+                path: this.registryFile,
+                count: Object.keys(this.data.certificates).length
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load certificate registry', {
+                    error: error.message,
+                    path: this.registryFile
+                });
+                throw error;
+            }
+
+            this.data = {
+                version: '1.0.0',
+                created: new Date().toISOString(),
+                certificates: {}
+            };
+
+            await this.rebuildFromIndex(indexFile);
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Populate registry from Easy-RSA pki/index.txt
+     * @param {string} indexFile - Path to index.txt
+     * @returns {Promise<number>} Number of imported certificates
+     */
+    async rebuildFromIndex(indexFile) {
+        let content = '';
+
+        try {
+            content = await fs.readFile(indexFile, 'utf8');
+        } catch (error) {
+            this.logger.info('Easy-RSA index not found, starting with empty certificate registry', {
+                indexFile
+            });
+        }
+
+        const entries = content
+            .split(/\r?\n/)
+            .map(line => CertificateRegistry.parseIndexLine(line))
+            .filter(Boolean);
+
+        let imported = 0;
+        for (const entry of entries) {
+            // Prefer the active entry when a name was revoked and reissued
+            const existing = this.data.certificates[entry.name];
+            if (existing && existing.status === 'active' && entry.status !== 'active') {
+                continue;
+            }
+
+            this.data.certificates[entry.name] = {
+                name: entry.name,
+                createdAt: null,
+                createdBy: 'unknown',
+                status: entry.status,
+                serialNumber: entry.serialNumber,
+                expiresAt: entry.expiresAt,
+                revokedAt: entry.revokedAt,
+                revokedBy: entry.revokedAt ? 'unknown' : undefined,
+                source: 'easy-rsa-index'
+            };
+            imported++;
+        }
+
+        await this.save();
+
+        this.logger.info('Certificate registry rebuilt from Easy-RSA index', {
+            indexFile,
+            imported
+        });
+
+        return imported;
+    }
+
+    /**
+     * Get a single certificate record
+     * @param {string} name - Certificate common name
+     * @returns {Promise<Object|null>} Certificate record
+     */
+    async get(name) {
+        await this.initialize();
+        const record = this.data.certificates[name];
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * List all certificate records
+     * @returns {Promise<Object[]>} Certificate records
+     */
+    async list() {
+        await this.initialize();
+        return Object.values(this.data.certificates).map(record => ({ ...record }));
+    }
+
+    /**
+     * Create or replace a certificate record
+     * @param {string} name - Certificate common name
+     * @param {Object} record - Certificate metadata
+     */
+    async set(name, record) {
+        await this.initialize();
+        this.data.certificates[name] = { ...record, name };
+        await this.save();
+        return { ...this.data.certificates[name] };
+    }
+
+    /**
+     * Merge changes into an existing certificate record
+     * @param {string} name - Certificate common name
+     * @param {Object} changes - Fields to update
+     */
+    async update(name, changes) {
+        await this.initialize();
+        const record = this.data.certificates[name];
+
+        if (!record) {
+            throw new Error(`Certificate '${name}' not found in registry`);
+        }
+
+        Object.assign(record, changes, { name });
+        await this.save();
+        return { ...record };
+    }
+
+    /**
+     * Remove a certificate record
+     * @param {string} name - Certificate common name
+     */
+    async remove(name) {
+        await this.initialize();
+        const existed = Boolean(this.data.certificates[name]);
+        delete this.data.certificates[name];
+
+        if (existed) {
+            await this.save();
+        }
+        return existed;
+    }
+
+    /**
+     * Persist registry to disk atomically (temp file + rename)
+     */
+    save() {
+        const write = async () => {
+            this.data.lastModified = new Date().toISOString();
+            const content = JSON.stringify(this.data, null, 2);
+            const tempFile = `${this.registryFile}.${process.pid}.tmp`;
+
+            try {
+                await fs.mkdir(path.dirname(this.registryFile), { recursive: true });
+                await fs.writeFile(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+                await fs.rename(tempFile, this.registryFile);
+            } catch (error) {
+                this.logger.error('Failed to save certificate registry', {
+                    error: error.message,
+                    path: this.registryFile
+                });
+                await fs.unlink(tempFile).catch(() => {});
+                throw error;
+            }
+        };
+
+        const result = this.writeQueue.then(write);
+        // Keep the queue alive even if this write failed
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Parse a single line of Easy-RSA pki/index.txt
+     * Format: status, expiry, revocation[,reason], serial, filename, subject
+     * @param {string} line - Index line
+     * @returns {Object|null} Parsed entry
+     */
+    static parseIndexLine(line) {
+        if (!line || !line.trim()) {
+            return null;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 6) {
+            return null;
+        }
+
+        const [flag, expiry, revocation, serial, , subject] = fields;
+        const cnMatch = subject.match(/\/CN=([^/]+)/);
+        if (!cnMatch) {
+            return null;
+        }
+
+        const statusMap = { V: 'active', R: 'revoked', E: 'expired' };
+        const revokedDate = revocation ? revocation.split(',')[0] : '';
+
+        return {
+            name: cnMatch[1],
+            status: statusMap[flag] || 'unknown',
+            serialNumber: serial,
+            expiresAt: CertificateRegistry.parseIndexDate(expiry),
+            revokedAt: revokedDate ? CertificateRegistry.parseIndexDate(revokedDate) : undefined
+        };
+    }
+
+    /**
+     * Convert OpenSSL UTCTime/GeneralizedTime (YYMMDDHHMMSSZ) to ISO string
+     * @param {string} value - Date from index.txt
+     * @returns {string|null} ISO date
+     */
+    static parseIndexDate(value) {
+        const match = /^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+
+        let year = parseInt(match[1], 10);
+        if (match[1].length === 2) {
+            // RFC 5280: two-digit years 50-99 are 19xx, 00-49 are 20xx
+            year += year >= 50 ? 1900 : 2000;
+        }
+
+        const date = new Date(Date.UTC(year, parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+            parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6], 10)));
+
+        return date.toISOString();
+    }
+}
+
+module.exports = CertificateRegistry;
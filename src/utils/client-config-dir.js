@@ -0,0 +1,289 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Subnet = require('./subnet');
+
+const CLIENT_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Drops the server-wide DNS and DNS6 pushes for one client before its own are added
+const DNS_PUSH_REMOVE = 'push-remove "dhcp-option DNS"';
+
+/**
+ * Per-client OpenVPN directives in client-config-dir
+ * OpenVPN reads `<ccd>/<common name>` when a client connects. Each directive is one line;
+ * lines the app does not manage are kept as written, and a file left empty is removed.
+ */
+class ClientConfigDir {
+    /**
+     * @param {Object} options - { dir, subnet, netmask, staticAddresses } of the OpenVPN server
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.dir = options.dir;
+        this.subnet = new Subnet(options.subnet || '10.8.0.0', options.netmask || '255.255.255.0');
+        // Size of the range reserved for static addresses, outside OpenVPN's dynamic pool
+        this.staticAddresses = options.staticAddresses || 50;
+
+        // Serialize changes so two clients cannot be given the same address at once
+        this.changeQueue = Promise.resolve();
+    }
+
+    getPath(clientName) {
+        if (!CLIENT_NAME_PATTERN.test(clientName || '')) {
+            throw ClientConfigDir.createClientConfigError(`Invalid client name '${clientName}'`, 'INVALID_CLIENT_NAME');
+        }
+        return path.join(this.dir, clientName);
+    }
+
+    async readLines(clientName) {
+        try {
+            const content = await fs.readFile(this.getPath(clientName), 'utf8');
+            return content.split(/\r?\n/).filter(line => line.trim() !== '');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write a client's file atomically (temp file + rename)
+     * OpenVPN reads these files after dropping privileges, so they stay world-readable.
+     */
+    async writeLines(clientName, lines) {
+        const filePath = this.getPath(clientName);
+
+        if (lines.length === 0) {
+            await fs.unlink(filePath).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+            return;
+        }
+
+        const tempFile = `${filePath}.${process.pid}.tmp`;
+        try {
+            await fs.mkdir(this.dir, { recursive: true });
+            await fs.writeFile(tempFile, `${lines.join('\n')}\n`, { encoding: 'utf8', mode: 0o644 });
+            await fs.rename(tempFile, filePath);
+        } catch (error) {
+            this.logger.error('Failed to write client config', {
+                error: error.message,
+                path: filePath
+            });
+            await fs.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Arguments of a directive, e.g. '10.8.0.20 255.255.255.0' for 'ifconfig-push'
+     * @returns {Promise<string|null>}
+     */
+    async getDirective(clientName, keyword) {
+        const line = (await this.readLines(clientName)).find(entry => ClientConfigDir.isDirective(entry, keyword));
+        return line ? line.trim().slice(keyword.length).trim() : null;
+    }
+
+    /**
+     * Replace a directive, or remove it when the value is null, keeping the client's other lines
+     */
+    setDirective(clientName, keyword, value) {
+        return this.withChangeLock(() => this.replaceDirective(clientName, keyword, value));
+    }
+
+    async replaceDirective(clientName, keyword, value) {
+        const lines = (await this.readLines(clientName)).filter(line => !ClientConfigDir.isDirective(line, keyword));
+        if (value !== null && value !== undefined) {
+            lines.push(`${keyword} ${value}`);
+        }
+        await this.writeLines(clientName, lines);
+    }
+
+    /**
+     * Static addresses of every client that has one
+     * @returns {Promise<Map<string, string>>} Client name to VPN address
+     */
+    async getStaticAddresses() {
+        const addresses = new Map();
+
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return addresses;
+            }
+            throw error;
+        }
+
+        for (const clientName of files.filter(file => CLIENT_NAME_PATTERN.test(file))) {
+            const address = await this.getStaticAddress(clientName);
+            if (address) {
+                addresses.set(clientName, address);
+            }
+        }
+        return addresses;
+    }
+
+    async getStaticAddress(clientName) {
+        const value = await this.getDirective(clientName, 'ifconfig-push');
+        return value ? value.split(/\s+/)[0] : null;
+    }
+
+    /**
+     * Addresses that can be assigned statically
+     * @returns {Object|null} { first, last }, or null when the subnet is too small to reserve any
+     */
+    getStaticRange() {
+        return this.subnet.clientRanges(this.staticAddresses).static;
+    }
+
+    inStaticRange(address) {
+        const range = this.getStaticRange();
+        const value = Subnet.ipToInt(address);
+        return range !== null && value !== null &&
+            value >= Subnet.ipToInt(range.first) && value <= Subnet.ipToInt(range.last);
+    }
+
+    /**
+     * Give a client a fixed VPN address with `ifconfig-push` (topology subnet form)
+     * @param {Map<string, string>} [inUse] - Addresses of live sessions, keyed by client name
+     * @returns {Promise<string>} The normalized address
+     */
+    assignStaticAddress(clientName, address, inUse = new Map()) {
+        return this.withChangeLock(async () => {
+            const value = Subnet.ipToInt(address);
+            if (value === null) {
+                throw ClientConfigDir.createClientConfigError(`'${address}' is not an IPv4 address`, 'INVALID_STATIC_ADDRESS');
+            }
+
+            const normalized = Subnet.intToIp(value);
+            if (!this.subnet.containsHost(normalized)) {
+                throw ClientConfigDir.createClientConfigError(
+                    `${normalized} is not a host address in the VPN subnet ${this.subnet.toCIDR()}`,
+                    'INVALID_STATIC_ADDRESS'
+                );
+            }
+            if (normalized === this.subnet.firstHost) {
+                throw ClientConfigDir.createClientConfigError(`${normalized} is the VPN server's own address`, 'INVALID_STATIC_ADDRESS');
+            }
+
+            // OpenVPN hands out the rest of the subnet dynamically, even while this client is offline
+            const range = this.getStaticRange();
+            if (!range) {
+                throw ClientConfigDir.createClientConfigError(
+                    `The VPN subnet ${this.subnet.toCIDR()} is too small to reserve static addresses`,
+                    'INVALID_STATIC_ADDRESS'
+                );
+            }
+            if (!this.inStaticRange(normalized)) {
+                throw ClientConfigDir.createClientConfigError(
+                    `${normalized} is outside the static address range ${range.first}-${range.last}`,
+                    'INVALID_STATIC_ADDRESS'
+                );
+            }
+
+            const taken = [...(await this.getStaticAddresses()), ...inUse]
+                .find(([name, ip]) => name !== clientName && ip === normalized);
+            if (taken) {
+                const error = ClientConfigDir.createClientConfigError(`${normalized} is already used by '${taken[0]}'`, 'ADDRESS_CONFLICT');
+                error.conflictWith = taken[0];
+                throw error;
+            }
+
+            await this.replaceDirective(clientName, 'ifconfig-push', `${normalized} ${this.subnet.netmask}`);
+            this.logger.info('Assigned static VPN address', { clientName, address: normalized });
+            return normalized;
+        });
+    }
+
+    removeStaticAddress(clientName) {
+        return this.setDirective(clientName, 'ifconfig-push', null);
+    }
+
+    /**
+     * DNS servers pushed to this client instead of the server's, or null when it has none
+     * @returns {Promise<string[]|null>}
+     */
+    async getDnsOverride(clientName) {
+        const lines = await this.readLines(clientName);
+        if (!lines.some(line => line.trim() === DNS_PUSH_REMOVE)) {
+            return null;
+        }
+        return lines
+            .map(line => line.trim().match(/^push\s+"dhcp-option DNS6? ([^"]+)"$/))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    /**
+     * Push other DNS servers to one client, e.g. from its access group, or go back to the server's
+     * @param {Object|null} override - { servers, servers6 }
+     * @returns {Promise<boolean>} Whether the client's file changed
+     */
+    setDnsOverride(clientName, override) {
+        return this.withChangeLock(async () => {
+            const current = await this.readLines(clientName);
+            const lines = current.filter(line => !ClientConfigDir.isDnsOverrideLine(line));
+            if (override) {
+                lines.push(
+                    DNS_PUSH_REMOVE,
+                    ...override.servers.map(server => `push "dhcp-option DNS ${server}"`),
+                    ...(override.servers6 || []).map(server => `push "dhcp-option DNS6 ${server}"`)
+                );
+            }
+
+            if (lines.join('\n') === current.join('\n')) {
+                return false;
+            }
+            await this.writeLines(clientName, lines);
+            return true;
+        });
+    }
+
+    /**
+     * Delete a client's file, e.g. when its certificate is revoked
+     * @returns {Promise<boolean>} Whether a file was removed
+     */
+    removeClient(clientName) {
+        return this.withChangeLock(async () => {
+            try {
+                await fs.unlink(this.getPath(clientName));
+                this.logger.info('Removed client config', { clientName });
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return false;
+                }
+                throw error;
+            }
+        });
+    }
+
+    withChangeLock(change) {
+        const result = this.changeQueue.then(change);
+        // Keep the queue alive even if this change failed
+        this.changeQueue = result.catch(() => {});
+        return result;
+    }
+
+    static isDirective(line, keyword) {
+        const trimmed = line.trim();
+        return trimmed === keyword || trimmed.startsWith(`${keyword} `) || trimmed.startsWith(`${keyword}\t`);
+    }
+
+    static isDnsOverrideLine(line) {
+        const trimmed = line.trim();
+        return trimmed === DNS_PUSH_REMOVE || /^push\s+"dhcp-option DNS6? /.test(trimmed);
+    }
+
+    static createClientConfigError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = ClientConfigDir;
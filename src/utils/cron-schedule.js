@@ -0,0 +1,184 @@
+/**
+ * Minimal cron expression support for scheduled jobs
+ * Five fields (minute hour day-of-month month day-of-week) with *, lists, ranges and steps,
+ * plus the @hourly, @daily, @weekly, @monthly and @yearly shortcuts. Times are local.
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Upper bound for next() so an impossible schedule (e.g. 31 February) cannot loop forever
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+class CronSchedule {
+    /**
+     * @param {string} expression - Cron expression or macro
+     */
+    constructor(expression) {
+        if (!expression || typeof expression !== 'string') {
+            throw CronSchedule.createScheduleError('Schedule expression is required');
+        }
+
+        this.expression = expression.trim();
+        const source = MACROS[this.expression.toLowerCase()] || this.expression;
+        const parts = source.split(/\s+/);
+
+        if (parts.length !== FIELDS.length) {
+            throw CronSchedule.createScheduleError(`Invalid schedule '${expression}': expected 5 fields`);
+        }
+
+        FIELDS.forEach((field, index) => {
+            this[field.name] = CronSchedule.parseField(parts[index], field, expression);
+        });
+
+        // Sunday may be written as 0 or 7
+        if (this.dayOfWeek.has(7)) {
+            this.dayOfWeek.delete(7);
+            this.dayOfWeek.add(0);
+        }
+
+        // Standard cron: when both day fields are restricted either one may match
+        this.dayOfMonthRestricted = parts[2] !== '*';
+        this.dayOfWeekRestricted = parts[4] !== '*';
+    }
+
+    /**
+     * Parse one field into the set of allowed values
+     */
+    static parseField(value, field, expression) {
+        const allowed = new Set();
+
+        for (const part of value.split(',')) {
+            const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+            if (!match) {
+                throw CronSchedule.createScheduleError(`Invalid ${field.name} '${part}' in schedule '${expression}'`);
+            }
+
+            let start = field.min;
+            let end = field.max;
+            if (match[1] !== '*') {
+                const bounds = match[1].split('-').map(Number);
+                start = bounds[0];
+                // A single value with a step (5/15) runs from that value to the end of the range
+                end = bounds.length > 1 ? bounds[1] : (match[2] ? field.max : bounds[0]);
+            }
+
+            const step = match[2] ? parseInt(match[2], 10) : 1;
+            if (start < field.min || end > field.max || start > end || step < 1) {
+                throw CronSchedule.createScheduleError(`Invalid ${field.name} '${part}' in schedule '${expression}'`);
+            }
+
+            for (let i = start; i <= end; i += step) {
+                allowed.add(i);
+            }
+        }
+
+        return allowed;
+    }
+
+    /**
+     * Check whether the schedule fires at the given minute
+     * @param {Date} date - Time to check
+     */
+    matches(date) {
+        return this.minute.has(date.getMinutes()) &&
+            this.hour.has(date.getHours()) &&
+            this.month.has(date.getMonth() + 1) &&
+            this.matchesDay(date);
+    }
+
+    /**
+     * Day-of-month / day-of-week check
+     */
+    matchesDay(date) {
+        const dayOfMonth = this.dayOfMonth.has(date.getDate());
+        const dayOfWeek = this.dayOfWeek.has(date.getDay());
+
+        if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+            return dayOfMonth || dayOfWeek;
+        }
+        return dayOfMonth && dayOfWeek;
+    }
+
+    /**
+     * Next time the schedule fires strictly after the given time
+     * @param {Date} after - Starting point (defaults to now)
+     * @returns {Date|null} Next run time, or null if none within five years
+     */
+    next(after = new Date()) {
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+            if (!this.month.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            return date;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate an expression without keeping the schedule
+     * @returns {boolean} True when the expression parses
+     */
+    static isValid(expression) {
+        try {
+            new CronSchedule(expression);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create an error with a machine readable code
+     */
+    static createScheduleError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_SCHEDULE';
+        return error;
+    }
+
+    toString() {
+        return this.expression;
+    }
+}
+
+module.exports = CronSchedule;
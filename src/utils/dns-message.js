@@ -0,0 +1,175 @@
+const net = require('net');
+
+/**
+ * Just enough of the DNS wire format (RFC 1035) for a filtering forwarder
+ * Queries are read for their ID and first question; answers from upstream are passed
+ * through untouched, and blocked or failed queries and names in the family zone get a
+ * locally built response.
+ */
+
+const HEADER_LENGTH = 12;
+const MAX_NAME_LENGTH = 255;
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33, HTTPS: 65, ANY: 255 };
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+
+// Answers for blocked names are cached by clients for this long
+const BLOCKED_TTL = 60;
+
+class DnsMessage {
+    /**
+     * Header and first question of a query
+     * @returns {{id: number, flags: number, name: string, type: number, qclass: number, questionEnd: number}}
+     */
+    static parseQuery(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_LENGTH) {
+            throw DnsMessage.createMessageError('DNS message is shorter than its header');
+        }
+
+        const flags = buffer.readUInt16BE(2);
+        if (flags & 0x8000) {
+            throw DnsMessage.createMessageError('DNS message is a response, not a query');
+        }
+        if (buffer.readUInt16BE(4) < 1) {
+            throw DnsMessage.createMessageError('DNS query has no question');
+        }
+
+        const labels = [];
+        let offset = HEADER_LENGTH;
+        let nameLength = 0;
+        for (;;) {
+            if (offset >= buffer.length) {
+                throw DnsMessage.createMessageError('DNS question name is truncated');
+            }
+
+            const length = buffer[offset];
+            offset++;
+            if (length === 0) {
+                break;
+            }
+            // Compression pointers never appear in the first question of a query
+            if (length > 63 || offset + length > buffer.length) {
+                throw DnsMessage.createMessageError('DNS question name is invalid');
+            }
+
+            nameLength += length + 1;
+            if (nameLength > MAX_NAME_LENGTH) {
+                throw DnsMessage.createMessageError('DNS question name is too long');
+            }
+
+            labels.push(buffer.toString('latin1', offset, offset + length));
+            offset += length;
+        }
+
+        if (offset + 4 > buffer.length) {
+            throw DnsMessage.createMessageError('DNS question is truncated');
+        }
+
+        return {
+            id: buffer.readUInt16BE(0),
+            flags,
+            name: labels.join('.').toLowerCase(),
+            type: buffer.readUInt16BE(offset),
+            qclass: buffer.readUInt16BE(offset + 2),
+            questionEnd: offset + 4
+        };
+    }
+
+    /**
+     * Response to a query with only a return code, e.g. SERVFAIL when no upstream answered
+     */
+    static buildErrorResponse(buffer, query, rcode) {
+        return DnsMessage.buildResponse(buffer, query, rcode, []);
+    }
+
+    /**
+     * Response for a blocked name: 0.0.0.0 / :: for address queries, so apps fail fast instead
+     * of retrying, and NXDOMAIN for everything else
+     */
+    static buildBlockedResponse(buffer, query) {
+        if (query.type === TYPES.A) {
+            return DnsMessage.buildResponse(buffer, query, RCODES.NOERROR, [Buffer.alloc(4)]);
+        }
+        if (query.type === TYPES.AAAA) {
+            return DnsMessage.buildResponse(buffer, query, RCODES.NOERROR, [Buffer.alloc(16)]);
+        }
+        return DnsMessage.buildResponse(buffer, query, RCODES.NXDOMAIN, []);
+    }
+
+    /**
+     * Header + the original question, plus answers of the queried type pointing back at the question name
+     * @param {Buffer[]} answers - Record data of each answer, e.g. the 4 bytes of an IPv4 address
+     * @param {Object} [options] - { ttl, authoritative } for answers from the family zone
+     */
+    static buildResponse(buffer, query, rcode, answers, options = {}) {
+        const header = Buffer.alloc(HEADER_LENGTH);
+        header.writeUInt16BE(query.id, 0);
+        // QR, the query's opcode, AA when answering for our own zone, RD, RA, and the return code
+        header.writeUInt16BE(0x8000 | (query.flags & 0x7900) | (options.authoritative ? 0x0400 : 0) | 0x0080 | rcode, 2);
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(answers.length, 6);
+
+        const records = answers.map(data => {
+            const answer = Buffer.alloc(12);
+            answer.writeUInt16BE(0xc000 | HEADER_LENGTH, 0);
+            answer.writeUInt16BE(query.type, 2);
+            answer.writeUInt16BE(query.qclass, 4);
+            answer.writeUInt32BE(options.ttl === undefined ? BLOCKED_TTL : options.ttl, 6);
+            answer.writeUInt16BE(data.length, 10);
+            return Buffer.concat([answer, data]);
+        });
+
+        return Buffer.concat([header, buffer.subarray(HEADER_LENGTH, query.questionEnd), ...records]);
+    }
+
+    /**
+     * Record data for an A or AAAA answer
+     * @returns {Buffer|null} 4 or 16 bytes, or null for anything that is not an IP address
+     */
+    static addressData(address) {
+        if (net.isIPv4(address)) {
+            return Buffer.from(address.split('.').map(Number));
+        }
+        if (!net.isIPv6(address)) {
+            return null;
+        }
+
+        // A trailing IPv4 part (::ffff:192.0.2.1) becomes the last two groups
+        const hex = address.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+            `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`);
+        const [head, tail] = hex.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = tail === undefined
+            ? headGroups
+            : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+        const data = Buffer.alloc(16);
+        groups.forEach((group, index) => data.writeUInt16BE(parseInt(group, 16), index * 2));
+        return data;
+    }
+
+    /**
+     * Copy of a message with another transaction ID
+     */
+    static withId(buffer, id) {
+        const copy = Buffer.from(buffer);
+        copy.writeUInt16BE(id, 0);
+        return copy;
+    }
+
+    static typeName(type) {
+        return Object.keys(TYPES).find(name => TYPES[name] === type) || String(type);
+    }
+
+    static createMessageError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_DNS_MESSAGE';
+        return error;
+    }
+}
+
+DnsMessage.TYPES = TYPES;
+DnsMessage.RCODES = RCODES;
+
+module.exports = DnsMessage;
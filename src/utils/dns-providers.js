@@ -0,0 +1,170 @@
+const net = require('net');
+
+/**
+ * Public resolvers offered as presets for DNS_PROVIDER and for access groups
+ * ipv4/ipv6 are pushed to clients (or used by the filtering forwarder); tlsName and dohUrl are
+ * the provider's DNS-over-TLS name and DNS-over-HTTPS endpoint for encrypted upstreams.
+ */
+const PRESETS = {
+    cloudflare: {
+        label: 'Cloudflare',
+        ipv4: ['1.1.1.1', '1.0.0.1'],
+        ipv6: ['2606:4700:4700::1111', '2606:4700:4700::1001'],
+        tlsName: 'cloudflare-dns.com',
+        dohUrl: 'https://cloudflare-dns.com/dns-query'
+    },
+    quad9: {
+        label: 'Quad9 (malware blocking)',
+        ipv4: ['9.9.9.9', '149.112.112.112'],
+        ipv6: ['2620:fe::fe', '2620:fe::9'],
+        tlsName: 'dns.quad9.net',
+        dohUrl: 'https://dns.quad9.net/dns-query'
+    },
+    'cloudflare-family': {
+        label: 'Cloudflare for Families (malware and adult content)',
+        ipv4: ['1.1.1.3', '1.0.0.3'],
+        ipv6: ['2606:4700:4700::1113', '2606:4700:4700::1003'],
+        tlsName: 'family.cloudflare-dns.com',
+        dohUrl: 'https://family.cloudflare-dns.com/dns-query'
+    },
+    'adguard-family': {
+        label: 'AdGuard Family (ads, trackers and adult content)',
+        ipv4: ['94.140.14.15', '94.140.15.16'],
+        ipv6: ['2a10:50c0::bad1:ff', '2a10:50c0::bad2:ff'],
+        tlsName: 'family.adguard-dns.com',
+        dohUrl: 'https://family.adguard-dns.com/dns-query'
+    },
+    'cleanbrowsing-family': {
+        label: 'CleanBrowsing Family Filter',
+        ipv4: ['185.228.168.168', '185.228.169.168'],
+        ipv6: ['2a0d:2a00:1::', '2a0d:2a00:2::'],
+        tlsName: 'family-filter-dns.cleanbrowsing.org',
+        dohUrl: 'https://doh.cleanbrowsing.org/doh/family-filter/'
+    },
+    'opendns-familyshield': {
+        label: 'OpenDNS FamilyShield',
+        ipv4: ['208.67.222.123', '208.67.220.123'],
+        ipv6: [],
+        tlsName: null,
+        dohUrl: 'https://doh.familyshield.opendns.com/dns-query'
+    }
+};
+
+const UPSTREAM_PROTOCOLS = ['udp', 'tls', 'https'];
+const TLS_NAME_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const MAX_CUSTOM_SERVERS = 8;
+
+/**
+ * The DNS model behind every generated artifact: pushed resolvers, the forwarder's upstreams
+ * and the leak monitor's allow list all come from one resolved provider.
+ */
+class DnsProviders {
+    /**
+     * Resolvers for a preset, or for "custom" with explicit servers
+     * @param {Object} settings - { provider, servers, tlsName, dohUrl } as in config.dns
+     * @returns {{name: string, label: string, ipv4: string[], ipv6: string[], tlsName: string|null, dohUrl: string|null}}
+     */
+    static resolve(settings = {}) {
+        const name = settings.provider || 'cloudflare';
+
+        if (name !== 'custom') {
+            if (!DnsProviders.isPreset(name)) {
+                throw DnsProviders.createDnsConfigError(
+                    `Unknown DNS provider '${name}'; use one of ${[...Object.keys(PRESETS), 'custom'].join(', ')}`
+                );
+            }
+            return { name, ...DnsProviders.copy(PRESETS[name]) };
+        }
+
+        const servers = settings.servers || [];
+        if (!Array.isArray(servers) || servers.length === 0 || servers.length > MAX_CUSTOM_SERVERS) {
+            throw DnsProviders.createDnsConfigError(`The custom DNS provider needs 1-${MAX_CUSTOM_SERVERS} servers in DNS_SERVERS`);
+        }
+        const invalid = servers.find(server => !net.isIP(server));
+        if (invalid !== undefined) {
+            throw DnsProviders.createDnsConfigError(`DNS server '${invalid}' is not an IPv4 or IPv6 address`);
+        }
+
+        const ipv4 = servers.filter(server => net.isIPv4(server));
+        if (ipv4.length === 0) {
+            throw DnsProviders.createDnsConfigError('The custom DNS provider needs at least one IPv4 server');
+        }
+
+        const tlsName = settings.tlsName ? String(settings.tlsName).toLowerCase() : null;
+        if (tlsName && !TLS_NAME_PATTERN.test(tlsName)) {
+            throw DnsProviders.createDnsConfigError(`'${settings.tlsName}' is not a valid DNS-over-TLS server name`);
+        }
+        const dohUrl = settings.dohUrl || null;
+        if (dohUrl && !DnsProviders.isHttpsUrl(dohUrl)) {
+            throw DnsProviders.createDnsConfigError(`'${dohUrl}' is not an https:// DNS-over-HTTPS URL`);
+        }
+
+        return {
+            name,
+            label: 'Custom',
+            ipv4: [...new Set(ipv4)],
+            ipv6: [...new Set(servers.filter(server => net.isIPv6(server)).map(server => server.toLowerCase()))],
+            tlsName,
+            dohUrl
+        };
+    }
+
+    /**
+     * Upstreams for the filtering forwarder in DnsFilterServer.parseServer() form
+     * @param {string} protocol - udp, tls (DNS over TLS) or https (DNS over HTTPS)
+     * @returns {string[]}
+     */
+    static getUpstreams(provider, protocol = 'udp') {
+        if (!UPSTREAM_PROTOCOLS.includes(protocol)) {
+            throw DnsProviders.createDnsConfigError(`DNS upstream protocol must be one of ${UPSTREAM_PROTOCOLS.join(', ')}`);
+        }
+
+        if (protocol === 'tls') {
+            if (!provider.tlsName) {
+                throw DnsProviders.createDnsConfigError(`DNS provider '${provider.name}' has no DNS-over-TLS name`);
+            }
+            return provider.ipv4.map(address => `tls://${address}#${provider.tlsName}`);
+        }
+        if (protocol === 'https') {
+            if (!provider.dohUrl) {
+                throw DnsProviders.createDnsConfigError(`DNS provider '${provider.name}' has no DNS-over-HTTPS URL`);
+            }
+            return [provider.dohUrl];
+        }
+        return [...provider.ipv4];
+    }
+
+    /**
+     * Presets for pickers, e.g. an access group's DNS provider
+     */
+    static list() {
+        return Object.entries(PRESETS).map(([name, preset]) => ({ name, ...DnsProviders.copy(preset) }));
+    }
+
+    static isPreset(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(PRESETS, name);
+    }
+
+    static isHttpsUrl(value) {
+        try {
+            return new URL(value).protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static copy(preset) {
+        return { ...preset, ipv4: [...preset.ipv4], ipv6: [...preset.ipv6] };
+    }
+
+    static createDnsConfigError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_DNS_CONFIG';
+        return error;
+    }
+}
+
+DnsProviders.PRESETS = PRESETS;
+DnsProviders.UPSTREAM_PROTOCOLS = UPSTREAM_PROTOCOLS;
+
+module.exports = DnsProviders;
@@ -0,0 +1,121 @@
+const Subnet = require('./subnet');
+const DnsProviders = require('./dns-providers');
+
+/**
+ * Provider from config.dns, or a preset by name (e.g. an access group's override)
+ */
+function getDnsProvider(config, providerName = null) {
+    return providerName
+        ? DnsProviders.resolve({ provider: providerName })
+        : DnsProviders.resolve(config.dns || {});
+}
+
+/**
+ * Address the filtering DNS forwarder listens on: DNS_FILTER_ADDRESS or the VPN gateway
+ */
+function getDnsFilterAddress(config) {
+    const filter = (config.dns && config.dns.filter) || {};
+    if (filter.listenAddress) {
+        return filter.listenAddress;
+    }
+
+    const vpn = config.vpn || {};
+    return new Subnet(vpn.subnet || '10.8.0.0', vpn.netmask || '255.255.255.0').firstHost;
+}
+
+function isDnsFilterEnabled(config) {
+    return Boolean(config.dns && config.dns.filter && config.dns.filter.enabled);
+}
+
+/**
+ * Domain of the family zone (e.g. family.lan), or null when the forwarder does not serve one
+ */
+function getDnsZoneDomain(config) {
+    const zone = (config.dns && config.dns.zone) || {};
+    return isDnsFilterEnabled(config) && zone.enabled !== false && zone.domain ? zone.domain : null;
+}
+
+/**
+ * DNS servers pushed to OpenVPN clients
+ */
+function getClientDnsServers(config, providerName = null) {
+    return isDnsFilterEnabled(config) ? [getDnsFilterAddress(config)] : getDnsProvider(config, providerName).ipv4;
+}
+
+/**
+ * IPv6 DNS servers pushed to OpenVPN clients; none with the forwarder, which would be bypassed
+ */
+function getClientDns6Servers(config, providerName = null) {
+    if (isDnsFilterEnabled(config) || (config.dns && config.dns.ipv6 === false)) {
+        return [];
+    }
+    return getDnsProvider(config, providerName).ipv6;
+}
+
+/**
+ * Where the filtering forwarder sends queries: DNS_UPSTREAM, or the provider over DNS_UPSTREAM_PROTOCOL
+ */
+function getDnsUpstreams(config, providerName = null) {
+    const filter = (config.dns && config.dns.filter) || {};
+    if (!providerName && filter.upstream && filter.upstream.length > 0) {
+        return [...filter.upstream];
+    }
+    return DnsProviders.getUpstreams(getDnsProvider(config, providerName), filter.upstreamProtocol || 'udp');
+}
+
+function getWireGuardDnsServers(config) {
+    const wireguard = config.wireguard || {};
+    return wireguard.dns && wireguard.dns.length > 0 ? [...wireguard.dns] : getDnsProvider(config).ipv4;
+}
+
+/**
+ * Per-client DNS for an access group with its own provider, written to the client's CCD file
+ * With the filtering forwarder the group's provider is used upstream instead, so clients keep the gateway
+ * @returns {{servers: string[], servers6: string[]}|null}
+ */
+function getGroupDnsOverride(config, group) {
+    if (!group || !group.dnsProvider || isDnsFilterEnabled(config)) {
+        return null;
+    }
+    return {
+        servers: getClientDnsServers(config, group.dnsProvider),
+        servers6: getClientDns6Servers(config, group.dnsProvider)
+    };
+}
+
+/**
+ * Every resolver clients may legitimately use, for the DNS leak monitor
+ * @param {string[]} [providerNames] - Providers chosen by access groups
+ */
+function getAllowedDnsServers(config, providerNames = []) {
+    const servers = [...getClientDnsServers(config), ...getClientDns6Servers(config)];
+    for (const provider of [getDnsProvider(config), ...providerNames.map(name => getDnsProvider(config, name))]) {
+        servers.push(...provider.ipv4, ...provider.ipv6);
+    }
+    return [...new Set(servers)];
+}
+
+/**
+ * Resolve everything derived from config.dns once, so a bad setting fails at startup
+ */
+function validateDnsConfig(config) {
+    const provider = getDnsProvider(config);
+    if (isDnsFilterEnabled(config)) {
+        getDnsUpstreams(config);
+    }
+    return provider;
+}
+
+module.exports = {
+    getDnsProvider,
+    getDnsFilterAddress,
+    isDnsFilterEnabled,
+    getDnsZoneDomain,
+    getClientDnsServers,
+    getClientDns6Servers,
+    getDnsUpstreams,
+    getWireGuardDnsServers,
+    getGroupDnsOverride,
+    getAllowedDnsServers,
+    validateDnsConfig
+};
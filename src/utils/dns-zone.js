@@ -0,0 +1,257 @@
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+
+const LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const MAX_RECORD_NAME_LENGTH = 200;
+const MAX_RECORDS = 500;
+
+/**
+ * The family DNS zone (e.g. family.lan) answered by the filtering DNS forwarder
+ * Device names come from certificates: "laptop-anna" is laptop-anna.family.lan, pointing at its
+ * static or current VPN address. Manual records for home LAN devices (printer, NAS) are stored
+ * here, in a JSON file next to the certificate registry.
+ */
+class DnsZone {
+    /**
+     * @param {Object} options - { storeFile, domain }
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.storeFile = options.storeFile || path.join(process.cwd(), 'certificates', 'dns-zone.json');
+        this.domain = options.domain || 'family.lan';
+        this.data = null;
+        this.initPromise = null;
+
+        this.changeQueue = Promise.resolve();
+        this.writeQueue = Promise.resolve();
+    }
+
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.load().catch(error => {
+                // Allow a later call to retry after a failed load
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async load() {
+        try {
+            this.data = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+            this.data.records = this.data.records || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load DNS records', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                throw error;
+            }
+
+            this.data = {
+                version: '1.0.0',
+                created: new Date().toISOString(),
+                records: {}
+            };
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Manual records by name
+     */
+    async list() {
+        await this.initialize();
+
+        return Object.entries(this.data.records)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, record]) => DnsZone.toRecord(name, record));
+    }
+
+    async get(name) {
+        await this.initialize();
+
+        const key = this.normalizeName(name);
+        return key && Object.prototype.hasOwnProperty.call(this.data.records, key)
+            ? DnsZone.toRecord(key, this.data.records[key])
+            : null;
+    }
+
+    /**
+     * Add a manual record
+     * @param {Object} definition - { name, address, description }
+     */
+    create(definition) {
+        return this.withChangeLock(async () => {
+            const name = this.normalizeName(definition.name);
+            if (!name) {
+                throw DnsZone.createDnsRecordError(
+                    `Record name must be one or more labels of letters, digits and hyphens inside ${this.domain}`,
+                    'INVALID_DNS_RECORD'
+                );
+            }
+            if (Object.prototype.hasOwnProperty.call(this.data.records, name)) {
+                throw DnsZone.createDnsRecordError(`DNS record '${name}' already exists`, 'DNS_RECORD_EXISTS');
+            }
+            if (Object.keys(this.data.records).length >= MAX_RECORDS) {
+                throw DnsZone.createDnsRecordError(`The zone is limited to ${MAX_RECORDS} manual records`, 'INVALID_DNS_RECORD');
+            }
+
+            this.data.records[name] = {
+                ...DnsZone.validateRecord(definition),
+                createdAt: new Date().toISOString()
+            };
+            await this.save();
+            return DnsZone.toRecord(name, this.data.records[name]);
+        });
+    }
+
+    update(name, definition) {
+        return this.withChangeLock(async () => {
+            const key = this.getExistingName(name);
+            const existing = this.data.records[key];
+            // Fields left out of the request keep their current value
+            const changes = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+
+            this.data.records[key] = {
+                ...existing,
+                ...DnsZone.validateRecord({ ...existing, ...changes }),
+                updatedAt: new Date().toISOString()
+            };
+            await this.save();
+            return DnsZone.toRecord(key, this.data.records[key]);
+        });
+    }
+
+    remove(name) {
+        return this.withChangeLock(async () => {
+            delete this.data.records[this.getExistingName(name)];
+            await this.save();
+        });
+    }
+
+    getExistingName(name) {
+        const key = this.normalizeName(name);
+        if (!key || !Object.prototype.hasOwnProperty.call(this.data.records, key)) {
+            throw DnsZone.createDnsRecordError(`DNS record '${name}' not found`, 'DNS_RECORD_NOT_FOUND');
+        }
+        return key;
+    }
+
+    /**
+     * Name relative to the zone, lower case; "nas.family.lan" and "nas" are the same record
+     * @returns {string|null} null when the name is not a valid name inside the zone
+     */
+    normalizeName(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        let name = value.trim().toLowerCase().replace(/\.$/, '');
+        if (name.endsWith(`.${this.domain}`)) {
+            name = name.slice(0, -this.domain.length - 1);
+        }
+
+        if (!name || name.length > MAX_RECORD_NAME_LENGTH || !name.split('.').every(label => LABEL_PATTERN.test(label))) {
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Fully qualified name of a record inside the zone
+     */
+    qualify(name) {
+        return `${name}.${this.domain}`;
+    }
+
+    /**
+     * Persist manual records to disk atomically (temp file + rename)
+     */
+    save() {
+        const write = async () => {
+            this.data.lastModified = new Date().toISOString();
+            const content = JSON.stringify(this.data, null, 2);
+            const tempFile = `${this.storeFile}.${process.pid}.tmp`;
+
+            try {
+                await fs.mkdir(path.dirname(this.storeFile), { recursive: true });
+                await fs.writeFile(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+                await fs.rename(tempFile, this.storeFile);
+            } catch (error) {
+                this.logger.error('Failed to save DNS records', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                await fs.unlink(tempFile).catch(() => {});
+                throw error;
+            }
+        };
+
+        const result = this.writeQueue.then(write);
+        // Keep the queue alive even if this write failed
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    withChangeLock(change) {
+        const result = this.changeQueue.then(() => this.initialize()).then(change);
+        // Keep the queue alive even if this change failed
+        this.changeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Check a manual record's address and description
+     * @returns {{address: string, description: string}}
+     */
+    static validateRecord({ address, description }) {
+        const value = typeof address === 'string' ? address.trim().toLowerCase() : address;
+        if (!net.isIP(value)) {
+            throw DnsZone.createDnsRecordError(`'${address}' is not an IPv4 or IPv6 address`, 'INVALID_DNS_RECORD');
+        }
+
+        return {
+            address: value,
+            description: typeof description === 'string' ? description.trim().slice(0, 200) : ''
+        };
+    }
+
+    /**
+     * Zone name for a certificate, e.g. "Laptop_Anna" -> "laptop-anna"
+     * @returns {string|null} null when nothing usable is left
+     */
+    static hostnameFor(certificateName) {
+        const label = String(certificateName).toLowerCase()
+            .replace(/[^a-z0-9-]/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 63)
+            .replace(/-+$/, '');
+        return LABEL_PATTERN.test(label) ? label : null;
+    }
+
+    static recordType(address) {
+        return net.isIPv6(address) ? 'AAAA' : 'A';
+    }
+
+    static toRecord(name, record) {
+        return {
+            name,
+            type: DnsZone.recordType(record.address),
+            address: record.address,
+            description: record.description || ''
+        };
+    }
+
+    static createDnsRecordError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = DnsZone;
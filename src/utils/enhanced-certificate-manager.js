@@ -5,6 +5,8 @@ const path = require('path');
 const os = require('os');
 const mkdirp = require('mkdirp');
 const config = require('../config');
+const OpenVPNSecurityConfig = require('./openvpn-security-config');
+const ProfileCompatibilityChecker = require('./profile-compatibility');
 
 class SimplifiedCertificateManager {
     constructor(logger, loggingService) {
@@ -743,6 +745,10 @@ ${key.trim()}
             }
             
             this.logger.info(`Generated inline client config at: ${outputPath}`);
+
+            return new ProfileCompatibilityChecker(this.logger).checkGeneratedProfile(clientName, clientConfig, config, {
+                securityConfig: new OpenVPNSecurityConfig(config, this.logger)
+            });
         } catch (error) {
             this.logger.error(`Error generating client config: ${error.message}`);
             throw new Error(`Failed to generate client config: ${error.message}`);
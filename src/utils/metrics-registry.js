@@ -0,0 +1,330 @@
+/**
+ * In-process metrics registry with counters, gauges and histograms,
+ * rendered in the Prometheus text exposition format (version 0.0.4)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, the same defaults Prometheus client libraries use
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+class Metric {
+    /**
+     * @param {Object} options - { name, help, labelNames }
+     */
+    constructor(type, options) {
+        if (!options || !METRIC_NAME_PATTERN.test(options.name || '')) {
+            throw MetricsRegistry.createMetricError(`Invalid metric name '${options && options.name}'`, 'INVALID_METRIC_NAME');
+        }
+
+        const labelNames = options.labelNames || [];
+        for (const label of labelNames) {
+            if (!LABEL_NAME_PATTERN.test(label) || label.startsWith('__') || label === 'le') {
+                throw MetricsRegistry.createMetricError(`Invalid label name '${label}' for metric '${options.name}'`, 'INVALID_METRIC_LABELS');
+            }
+        }
+
+        this.type = type;
+        this.name = options.name;
+        this.help = options.help || options.name;
+        this.labelNames = labelNames;
+        this.collector = options.collect || null;
+        this.series = new Map();
+    }
+
+    /**
+     * Key a label set by its values in labelNames order; every declared label must be given
+     */
+    keyFor(labels = {}) {
+        for (const label of Object.keys(labels)) {
+            if (!this.labelNames.includes(label)) {
+                throw MetricsRegistry.createMetricError(`Unknown label '${label}' for metric '${this.name}'`, 'INVALID_METRIC_LABELS');
+            }
+        }
+
+        return JSON.stringify(this.labelNames.map(label => {
+            if (labels[label] === undefined || labels[label] === null) {
+                throw MetricsRegistry.createMetricError(`Missing label '${label}' for metric '${this.name}'`, 'INVALID_METRIC_LABELS');
+            }
+            return String(labels[label]);
+        }));
+    }
+
+    seriesFor(labels, create) {
+        const key = this.keyFor(labels);
+        if (!this.series.has(key)) {
+            const values = JSON.parse(key);
+            const series = create();
+            series.labels = {};
+            this.labelNames.forEach((label, index) => {
+                series.labels[label] = values[index];
+            });
+            this.series.set(key, series);
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Current value for a label set, or undefined if it was never recorded
+     */
+    get(labels = {}) {
+        const series = this.series.get(this.keyFor(labels));
+        return series ? series.value : undefined;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Run the collect callback, if any, so values read at scrape time are current
+     */
+    async collect() {
+        if (this.collector) {
+            await this.collector(this);
+        }
+    }
+
+    render() {
+        const lines = [
+            `# HELP ${this.name} ${escapeHelp(this.help)}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            help: this.help,
+            values: Array.from(this.series.values()).map(series => ({
+                labels: series.labels,
+                value: series.value
+            }))
+        };
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw MetricsRegistry.createMetricError(`Counter '${this.name}' can only increase`, 'INVALID_METRIC_VALUE');
+        }
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels = {}, value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw MetricsRegistry.createMetricError(`Gauge '${this.name}' needs a numeric value`, 'INVALID_METRIC_VALUE');
+        }
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - { name, help, labelNames, buckets } with bucket upper bounds in ascending order
+     */
+    constructor(options) {
+        super('histogram', options);
+
+        const buckets = options.buckets || DEFAULT_BUCKETS;
+        if (buckets.length === 0 || buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+            throw MetricsRegistry.createMetricError(`Buckets for '${this.name}' must be in ascending order`, 'INVALID_METRIC_BUCKETS');
+        }
+        this.buckets = buckets;
+    }
+
+    observe(labels = {}, value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw MetricsRegistry.createMetricError(`Histogram '${this.name}' needs a numeric value`, 'INVALID_METRIC_VALUE');
+        }
+
+        const series = this.seriesFor(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        // Only the first matching bucket is counted; render() makes them cumulative
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            series.counts[index]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * { sum, count } for a label set, or undefined if it was never observed
+     */
+    get(labels = {}) {
+        const series = this.series.get(this.keyFor(labels));
+        return series ? { sum: series.sum, count: series.count } : undefined;
+    }
+
+    renderSeries(series) {
+        const lines = [];
+        let cumulative = 0;
+
+        this.buckets.forEach((bound, index) => {
+            cumulative += series.counts[index];
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+        });
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+
+        return lines;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            help: this.help,
+            buckets: this.buckets,
+            values: Array.from(this.series.values()).map(series => ({
+                labels: series.labels,
+                sum: series.sum,
+                count: series.count
+            }))
+        };
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    counter(options) {
+        return this.register(Counter, options);
+    }
+
+    gauge(options) {
+        return this.register(Gauge, options);
+    }
+
+    histogram(options) {
+        return this.register(Histogram, options);
+    }
+
+    /**
+     * Register a metric, or return the existing one when the name is already registered with the same type
+     */
+    register(MetricClass, options) {
+        const existing = this.metrics.get(options && options.name);
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw MetricsRegistry.createMetricError(`Metric '${options.name}' is already registered as a ${existing.type}`, 'METRIC_EXISTS');
+            }
+            return existing;
+        }
+
+        const metric = new MetricClass(options);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    getMetric(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    /**
+     * Run collect callbacks; a failing callback does not stop the others
+     * @returns {Promise<Object[]>} { name, error } for each callback that failed
+     */
+    async collect() {
+        const failures = [];
+        for (const metric of this.metrics.values()) {
+            try {
+                await metric.collect();
+            } catch (error) {
+                failures.push({ name: metric.name, error });
+            }
+        }
+        return failures;
+    }
+
+    /**
+     * Text exposition of every registered metric (call collect() first for scrape-time values)
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    toJSON() {
+        return Array.from(this.metrics.values()).map(metric => metric.toJSON());
+    }
+
+    static createMetricError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+MetricsRegistry.Counter = Counter;
+MetricsRegistry.Gauge = Gauge;
+MetricsRegistry.Histogram = Histogram;
+
+module.exports = MetricsRegistry;
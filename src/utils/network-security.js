@@ -1,6 +1,15 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { spawn } = require('cross-spawn');
+const AccessGroups = require('./access-groups');
+const {
+  getDnsProvider,
+  getClientDnsServers,
+  getClientDns6Servers,
+  getAllowedDnsServers,
+  isDnsFilterEnabled,
+  getDnsZoneDomain
+} = require('./dns-settings');
 
 /**
  * Network Security Manager
@@ -306,6 +315,7 @@ ping-exit 180
 
     const connectScript = path.join(this.scriptsDir, 'client-connect.sh');
     const disconnectScript = path.join(this.scriptsDir, 'client-disconnect.sh');
+    const { accessHook, accessHookArgs } = this.getAccessHookCommand();
 
     const connectScriptContent = `#!/bin/bash
 # Client Connect Script
@@ -320,31 +330,10 @@ ping-exit 180
 logger "VPN-ACCESS: Client '$common_name' connected from $trusted_ip (VPN IP: $ifconfig_pool_remote_ip)"
 
 # Security logging
-echo "$(date): CONNECT - CN: $common_name, Real IP: $trusted_ip, VPN IP: $ifconfig_pool_remote_ip" >> ${path.join(this.config.certificates.dir, 'client-access.log')}
-
-# Apply client-specific firewall rules based on common name
-case "$common_name" in
-    "admin_"*)
-        # Admin clients get full access
-        logger "VPN-ACCESS: Admin access granted to $common_name"
-        ;;
-    "guest_"*)
-        # Guest clients get restricted access
-        logger "VPN-ACCESS: Guest access granted to $common_name"
-        # Block access to local networks
-        iptables -I FORWARD -s $ifconfig_pool_remote_ip -d 192.168.0.0/16 -j DROP
-        iptables -I FORWARD -s $ifconfig_pool_remote_ip -d 10.0.0.0/8 -j DROP
-        iptables -I FORWARD -s $ifconfig_pool_remote_ip -d 172.16.0.0/12 -j DROP
-        ;;
-    *)
-        # Default access for regular clients
-        logger "VPN-ACCESS: Standard access granted to $common_name"
-        ;;
-esac
-
-# Rate limiting per client
-iptables -I FORWARD -s $ifconfig_pool_remote_ip -m limit --limit 100/sec --limit-burst 200 -j ACCEPT
-iptables -I FORWARD -s $ifconfig_pool_remote_ip -j DROP
+echo "$(date -u +%Y-%m-%dT%H:%M:%SZ): CONNECT - CN: $common_name, Real IP: $trusted_ip, VPN IP: $ifconfig_pool_remote_ip" >> ${path.join(this.config.certificates.dir, 'client-access.log')}
+
+# Apply the firewall rules of the certificate's access group; refuse the client if that fails
+${accessHook} connect ${accessHookArgs} || exit 1
 
 exit 0
 `;
@@ -357,20 +346,10 @@ exit 0
 logger "VPN-ACCESS: Client '$common_name' disconnected from $trusted_ip"
 
 # Security logging
-echo "$(date): DISCONNECT - CN: $common_name, Real IP: $trusted_ip, VPN IP: $ifconfig_pool_remote_ip" >> ${path.join(this.config.certificates.dir, 'client-access.log')}
-
-# Clean up client-specific firewall rules
-iptables -D FORWARD -s $ifconfig_pool_remote_ip -m limit --limit 100/sec --limit-burst 200 -j ACCEPT 2>/dev/null
-iptables -D FORWARD -s $ifconfig_pool_remote_ip -j DROP 2>/dev/null
+echo "$(date -u +%Y-%m-%dT%H:%M:%SZ): DISCONNECT - CN: $common_name, Real IP: $trusted_ip, VPN IP: $ifconfig_pool_remote_ip, Duration: $time_duration, Bytes Received: $bytes_received, Bytes Sent: $bytes_sent" >> ${path.join(this.config.certificates.dir, 'client-access.log')}
 
-# Clean up guest restrictions if applicable
-case "$common_name" in
-    "guest_"*)
-        iptables -D FORWARD -s $ifconfig_pool_remote_ip -d 192.168.0.0/16 -j DROP 2>/dev/null
-        iptables -D FORWARD -s $ifconfig_pool_remote_ip -d 10.0.0.0/8 -j DROP 2>/dev/null
-        iptables -D FORWARD -s $ifconfig_pool_remote_ip -d 172.16.0.0/12 -j DROP 2>/dev/null
-        ;;
-esac
+# Clean up the client's access group rules
+${accessHook} disconnect ${accessHookArgs} || true
 
 exit 0
 `;
@@ -391,6 +370,30 @@ exit 0
     }
   }
 
+  /**
+   * Command line of the access group hook called from the client scripts
+   * OpenVPN runs the scripts without the web server's environment, so the Node binary,
+   * file locations and group settings are written into the scripts here.
+   */
+  getAccessHookCommand() {
+    const accessGroups = this.config.vpn.accessGroups || {};
+    const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+    const args = [
+      '--registry', path.join(this.config.certificates.dir, 'certificate-registry.json'),
+      '--groups', path.join(this.config.certificates.dir, 'access-groups.json'),
+      '--default-group', accessGroups.default || 'full',
+      ...(accessGroups.lanSubnets && accessGroups.lanSubnets.length > 0
+        ? ['--lan-subnets', accessGroups.lanSubnets.join(',')]
+        : [])
+    ];
+
+    return {
+      accessHook: [process.execPath, path.join(__dirname, '..', '..', 'scripts', 'client-access.js')].map(quote).join(' '),
+      accessHookArgs: args.map(quote).join(' ')
+    };
+  }
+
   /**
    * Configure DNS settings to prevent leaks
    * Requirement 6.3: DNS leak protection
@@ -398,18 +401,20 @@ exit 0
   async configureDNSLeakProtection() {
     try {
       this.logger.info('Configuring DNS leak protection...');
+
+      // Resolvers come from the DNS model in config.dns (DNS_PROVIDER); with the filtering
+      // forwarder, clients get only the gateway so nothing bypasses it (including IPv6)
+      const provider = getDnsProvider(this.config);
+      const dns6Servers = getClientDns6Servers(this.config);
+      // Search domain, so "laptop-anna" resolves to laptop-anna.family.lan
+      const searchDomain = getDnsZoneDomain(this.config) || 'local';
       
       const dnsConfig = `# DNS Leak Protection Configuration
 # Generated by Network Security Manager
 # Requirement 6.3: Prevent DNS leaks
 
-# Secure DNS servers (Cloudflare)
-push "dhcp-option DNS 1.1.1.1"
-push "dhcp-option DNS 1.0.0.1"
-
-# Alternative secure DNS servers (Quad9)
-# push "dhcp-option DNS 9.9.9.9"
-# push "dhcp-option DNS 149.112.112.112"
+# ${isDnsFilterEnabled(this.config) ? `Filtering DNS forwarder on the VPN gateway (upstream: ${provider.label})` : `DNS provider: ${provider.label}`}
+${getClientDnsServers(this.config).map(server => `push "dhcp-option DNS ${server}"`).join('\n')}
 
 # Block outside DNS to prevent leaks
 push "block-outside-dns"
@@ -422,13 +427,12 @@ push "register-dns"
 push "redirect-gateway def1 bypass-dhcp"
 
 # Additional DNS security measures
-push "dhcp-option DOMAIN local"
-push "dhcp-option ADAPTER_DOMAIN_SUFFIX local"
+push "dhcp-option DOMAIN ${searchDomain}"
+push "dhcp-option ADAPTER_DOMAIN_SUFFIX ${searchDomain}"
 
-# IPv6 DNS leak protection
-push "dhcp-option DNS6 2606:4700:4700::1111"
-push "dhcp-option DNS6 2606:4700:4700::1001"
-`;
+${dns6Servers.length > 0 ? `# IPv6 DNS leak protection
+${dns6Servers.map(server => `push "dhcp-option DNS6 ${server}"`).join('\n')}
+` : ''}`;
 
       const dnsConfigFile = path.join(this.config.certificates.dir, 'dns-protection.conf');
       await fs.writeFile(dnsConfigFile, dnsConfig);
@@ -453,6 +457,11 @@ push "dhcp-option DNS6 2606:4700:4700::1001"
       return;
     }
 
+    // Access groups may send their clients to other providers
+    const groupProviders = (await new AccessGroups(this.logger, {
+      storeFile: path.join(this.config.certificates.dir, 'access-groups.json')
+    }).list()).map(group => group.dnsProvider).filter(Boolean);
+
     const monitorScript = path.join(this.scriptsDir, 'dns-monitor.sh');
     const monitorScriptContent = `#!/bin/bash
 # DNS Leak Monitoring Script
@@ -461,7 +470,7 @@ push "dhcp-option DNS6 2606:4700:4700::1001"
 # Configuration
 LOG_FILE="/var/log/openvpn/dns-monitor.log"
 VPN_INTERFACE="tun0"
-ALLOWED_DNS_SERVERS="1.1.1.1 1.0.0.1 9.9.9.9 149.112.112.112"
+ALLOWED_DNS_SERVERS="${getAllowedDnsServers(this.config, [...new Set(groupProviders)]).join(' ')}"
 
 # Function to log DNS events
 log_dns_event() {
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Short-lived, single-use links that let a phone fetch its profile without logging in
+ * Links only live in memory: a restart invalidates every outstanding QR code, which is
+ * acceptable for codes meant to be scanned within minutes. Only a hash of each token is kept.
+ */
+class OnboardingLinks {
+    /**
+     * @param {Object} options - { ttlMinutes, now }
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.ttlMs = (options.ttlMinutes || 10) * 60 * 1000;
+        this.now = options.now || (() => Date.now());
+        this.links = new Map();
+    }
+
+    /**
+     * Issue a link token for a client profile
+     * @returns {{token: string, expiresAt: string}}
+     */
+    create(clientName, { createdBy, format } = {}) {
+        this.removeExpired();
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = this.now() + this.ttlMs;
+
+        this.links.set(OnboardingLinks.hashToken(token), {
+            clientName,
+            format: format || null,
+            createdBy: createdBy || null,
+            expiresAt
+        });
+
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Look up a token without using it up
+     * @returns {Object|null} The link, or null when unknown, used or expired
+     */
+    peek(token) {
+        const link = this.links.get(OnboardingLinks.hashToken(String(token)));
+        if (!link || link.expiresAt <= this.now()) {
+            return null;
+        }
+        return { ...link };
+    }
+
+    /**
+     * Use up a token; a second call with the same token returns null
+     * @returns {Object|null} The link, or null when unknown, used or expired
+     */
+    consume(token) {
+        const key = OnboardingLinks.hashToken(String(token));
+        const link = this.peek(token);
+        this.links.delete(key);
+        return link;
+    }
+
+    /**
+     * Invalidate every outstanding link for a client, e.g. when it is revoked
+     * @returns {number} Number of links removed
+     */
+    revokeClient(clientName) {
+        let removed = 0;
+        for (const [key, link] of this.links) {
+            if (link.clientName === clientName) {
+                this.links.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    removeExpired() {
+        const now = this.now();
+        for (const [key, link] of this.links) {
+            if (link.expiresAt <= now) {
+                this.links.delete(key);
+            }
+        }
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+}
+
+module.exports = OnboardingLinks;
@@ -0,0 +1,655 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Directives OpenVPN reads once; a second occurrence silently replaces the first
+const SINGLE_VALUE_DIRECTIVES = [
+    'port', 'proto', 'dev', 'topology', 'server', 'ca', 'cert', 'key', 'dh', 'tls-auth', 'tls-crypt',
+    'tls-crypt-v2', 'cipher', 'auth', 'compress', 'comp-lzo', 'max-clients', 'chroot', 'user', 'group',
+    'crl-verify', 'client-config-dir', 'management', 'key-direction', 'tls-version-min', 'script-security',
+    'ifconfig-pool'
+];
+
+// Files OpenVPN opens again after dropping privileges, so they resolve inside the chroot
+const CHROOT_READ_DIRECTIVES = ['crl-verify', 'client-config-dir'];
+
+const WEAK_CIPHER_PATTERN = /^(none|bf-|des-|des$|des-ede|rc2-|rc4|cast5-|seed-|idea-)/i;
+const WEAK_AUTH_DIGESTS = ['none', 'md4', 'md5', 'sha1', 'rsa-sha1'];
+const LOCAL_MANAGEMENT_ADDRESSES = ['127.0.0.1', 'localhost', '::1'];
+
+// Replacements for directives OpenVPN 2.5/2.6 deprecated or removed
+const DEPRECATED_DIRECTIVES = {
+    'ncp-ciphers': 'data-ciphers',
+    'comp-lzo': 'compress (or no compression at all)',
+    'ns-cert-type': 'remote-cert-tls',
+    'tls-remote': 'verify-x509-name',
+    keysize: 'a cipher with a fixed key size',
+    'no-iv': 'nothing; it was removed in OpenVPN 2.5',
+    'client-cert-not-required': 'verify-client-cert none'
+};
+
+/**
+ * An OpenVPN config split into directives
+ * Pushed options ("push \"compress lz4-v2\"") are parsed too, so rules can look at what
+ * clients receive from the server as well as what they set themselves.
+ */
+class ParsedConfig {
+    constructor(directives, blocks) {
+        this.directives = directives;
+        this.blocks = blocks;
+        this.pushed = directives
+            .filter(directive => directive.name === 'push' && directive.args.length > 0)
+            .map(directive => ({ ...OpenVPNConfigLinter.parseLine(directive.args[0]), line: directive.line, pushed: true }))
+            .filter(directive => directive.name);
+    }
+
+    all(name) {
+        return this.directives.filter(directive => directive.name === name);
+    }
+
+    /**
+     * Effective value: the last occurrence, as OpenVPN applies it
+     */
+    get(name) {
+        const matches = this.all(name);
+        return matches.length > 0 ? matches[matches.length - 1] : null;
+    }
+
+    has(name) {
+        return this.get(name) !== null || Object.prototype.hasOwnProperty.call(this.blocks, name);
+    }
+
+    getPushed(name) {
+        const matches = this.pushed.filter(directive => directive.name === name);
+        return matches.length > 0 ? matches[matches.length - 1] : null;
+    }
+
+    /**
+     * tls-auth, tls-crypt or tls-crypt-v2, whether given as a file or an inline block
+     * @returns {{name: string, line: number, direction: string|null}|null}
+     */
+    getTlsWrap() {
+        for (const name of ['tls-crypt-v2', 'tls-crypt', 'tls-auth']) {
+            if (this.has(name)) {
+                const directive = this.get(name);
+                const keyDirection = this.get('key-direction');
+                const direction = (directive && directive.args[1]) || (keyDirection && keyDirection.args[0]) || null;
+                return { name, line: directive ? directive.line : this.blocks[name].line, direction };
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Security and compatibility rules, checked against a server config, a client profile, or both together
+ * target: server, client, each (both configs on their own) or pair (needs both configs)
+ */
+const RULES = [
+    {
+        id: 'compression-enabled',
+        severity: 'error',
+        category: 'security',
+        target: 'each',
+        description: 'Compression inside the tunnel leaks plaintext through VORACLE-style attacks',
+        check(config) {
+            const findings = [];
+            for (const directive of [...config.all('compress'), ...config.pushed.filter(pushed => pushed.name === 'compress')]) {
+                const algorithm = directive.args[0];
+                if (algorithm && !['stub', 'stub-v2'].includes(algorithm)) {
+                    findings.push({
+                        line: directive.line,
+                        message: directive.pushed
+                            ? `push "compress ${algorithm}" turns on compression in clients`
+                            : `compress ${algorithm} enables compression`
+                    });
+                }
+            }
+            for (const directive of [...config.all('comp-lzo'), ...config.pushed.filter(pushed => pushed.name === 'comp-lzo')]) {
+                if (directive.args[0] !== 'no') {
+                    findings.push({
+                        line: directive.line,
+                        message: directive.pushed ? 'push "comp-lzo" turns on LZO compression in clients' : 'comp-lzo enables LZO compression'
+                    });
+                }
+            }
+            return findings;
+        }
+    },
+    {
+        id: 'tls-wrap-missing',
+        severity: 'warning',
+        category: 'security',
+        target: 'server',
+        description: 'Without tls-crypt or tls-auth, anyone can start TLS handshakes with the server',
+        check(config) {
+            return config.getTlsWrap() ? [] : [{ line: null, message: 'No tls-crypt, tls-crypt-v2 or tls-auth key is configured' }];
+        }
+    },
+    {
+        id: 'tls-wrap-mismatch',
+        severity: 'error',
+        category: 'compatibility',
+        target: 'pair',
+        description: 'Server and client must wrap the control channel the same way',
+        check(server, client) {
+            const serverWrap = server.getTlsWrap();
+            const clientWrap = client.getTlsWrap();
+            if (!serverWrap && !clientWrap) {
+                return [];
+            }
+            if (!clientWrap) {
+                return [{ target: 'client', line: null, message: `The server requires ${serverWrap.name} but the client has no ${serverWrap.name} key` }];
+            }
+            if (!serverWrap) {
+                return [{ target: 'client', line: clientWrap.line, message: `The client uses ${clientWrap.name} but the server does not` }];
+            }
+            if (serverWrap.name !== clientWrap.name) {
+                return [{
+                    target: 'client',
+                    line: clientWrap.line,
+                    message: `The server uses ${serverWrap.name} but the client uses ${clientWrap.name}; the handshake will fail`
+                }];
+            }
+            if (serverWrap.name === 'tls-auth' && serverWrap.direction && clientWrap.direction && serverWrap.direction === clientWrap.direction) {
+                return [{
+                    target: 'client',
+                    line: clientWrap.line,
+                    message: `Both sides use tls-auth key direction ${clientWrap.direction}; the client needs the opposite of the server`
+                }];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'chroot-file-paths',
+        severity: 'error',
+        category: 'compatibility',
+        target: 'server',
+        description: 'Files re-read after chroot are looked up inside the chroot directory',
+        check(config) {
+            const chroot = config.get('chroot');
+            if (!chroot || !chroot.args[0] || !chroot.args[0].startsWith('/')) {
+                return [];
+            }
+
+            const root = chroot.args[0];
+            return CHROOT_READ_DIRECTIVES
+                .map(name => config.get(name))
+                .filter(directive => directive && directive.args[0] && path.posix.isAbsolute(directive.args[0]))
+                .map(directive => ({
+                    line: directive.line,
+                    message: `${directive.name} ${directive.args[0]} is read after chroot ${root}, so OpenVPN opens ` +
+                        `${path.posix.join(root, directive.args[0])} instead`
+                }));
+        }
+    },
+    {
+        id: 'weak-cipher',
+        severity: 'error',
+        category: 'security',
+        target: 'each',
+        description: 'Data channel ciphers must not be broken or 64-bit block ciphers',
+        check(config) {
+            const findings = [];
+            for (const name of ['cipher', 'data-ciphers', 'ncp-ciphers', 'data-ciphers-fallback']) {
+                for (const directive of config.all(name)) {
+                    for (const cipher of (directive.args[0] || '').split(':').filter(Boolean)) {
+                        if (WEAK_CIPHER_PATTERN.test(cipher)) {
+                            findings.push({ line: directive.line, message: `${name} allows the weak cipher ${cipher}` });
+                        }
+                    }
+                }
+            }
+            return findings;
+        }
+    },
+    {
+        id: 'weak-auth-digest',
+        severity: 'warning',
+        category: 'security',
+        target: 'each',
+        description: 'HMAC digests should be SHA-256 or stronger',
+        check(config) {
+            const auth = config.get('auth');
+            return auth && auth.args[0] && WEAK_AUTH_DIGESTS.includes(auth.args[0].toLowerCase())
+                ? [{ line: auth.line, message: `auth ${auth.args[0]} is a weak digest` }]
+                : [];
+        }
+    },
+    {
+        id: 'tls-version-min',
+        severity: 'warning',
+        category: 'security',
+        target: 'server',
+        description: 'The server should refuse TLS versions older than 1.2',
+        check(config) {
+            const directive = config.get('tls-version-min');
+            if (!directive) {
+                return [{ line: null, message: 'tls-version-min is not set; old clients may negotiate TLS 1.0' }];
+            }
+            return parseFloat(directive.args[0]) < 1.2
+                ? [{ line: directive.line, message: `tls-version-min ${directive.args[0]} allows TLS versions older than 1.2` }]
+                : [];
+        }
+    },
+    {
+        id: 'remote-cert-tls',
+        severity: 'warning',
+        category: 'security',
+        target: 'client',
+        description: 'Clients should check that the server certificate is a server certificate',
+        check(config) {
+            const directive = config.get('remote-cert-tls');
+            if (directive && directive.args[0] === 'server') {
+                return [];
+            }
+            return config.has('verify-x509-name')
+                ? []
+                : [{ line: directive ? directive.line : null, message: 'Without remote-cert-tls server, another client certificate can impersonate the server' }];
+        }
+    },
+    {
+        id: 'management-exposed',
+        severity: 'error',
+        category: 'security',
+        target: 'server',
+        description: 'The management interface must only listen on localhost or a unix socket',
+        check(config) {
+            const directive = config.get('management');
+            if (!directive || !directive.args[0]) {
+                return [];
+            }
+            const [address, port] = directive.args;
+            // "management /run/openvpn.sock unix" is a socket file
+            if (port === 'unix' || LOCAL_MANAGEMENT_ADDRESSES.includes(address)) {
+                return [];
+            }
+            return [{ line: directive.line, message: `management listens on ${address}, reachable from outside the server` }];
+        }
+    },
+    {
+        id: 'script-security',
+        severity: 'warning',
+        category: 'security',
+        target: 'server',
+        description: 'script-security 3 passes passwords to scripts in environment variables',
+        check(config) {
+            const directive = config.get('script-security');
+            return directive && Number(directive.args[0]) >= 3
+                ? [{ line: directive.line, message: `script-security ${directive.args[0]} exposes passwords to scripts` }]
+                : [];
+        }
+    },
+    {
+        id: 'duplicate-cn',
+        severity: 'warning',
+        category: 'security',
+        target: 'server',
+        description: 'Shared certificates cannot be told apart or revoked per device',
+        check(config) {
+            const directive = config.get('duplicate-cn');
+            return directive
+                ? [{ line: directive.line, message: 'duplicate-cn lets several devices connect with the same certificate' }]
+                : [];
+        }
+    },
+    {
+        id: 'privileges-not-dropped',
+        severity: 'warning',
+        category: 'security',
+        target: 'server',
+        description: 'The server should drop root privileges after start-up',
+        check(config) {
+            return config.has('user')
+                ? []
+                : [{ line: null, message: 'No user directive; OpenVPN keeps running as root' }];
+        }
+    },
+    {
+        id: 'duplicate-directive',
+        severity: 'warning',
+        category: 'compatibility',
+        target: 'each',
+        description: 'A repeated directive silently overrides the earlier one',
+        check(config) {
+            return SINGLE_VALUE_DIRECTIVES
+                .map(name => config.all(name))
+                .filter(matches => matches.length > 1)
+                .map(matches => ({
+                    line: matches[matches.length - 1].line,
+                    message: `${matches[0].name} is set ${matches.length} times; only line ${matches[matches.length - 1].line} applies`
+                }));
+        }
+    },
+    {
+        id: 'deprecated-directive',
+        severity: 'info',
+        category: 'compatibility',
+        target: 'each',
+        description: 'Directives deprecated or removed in current OpenVPN releases',
+        check(config) {
+            return config.directives
+                .filter(directive => Object.prototype.hasOwnProperty.call(DEPRECATED_DIRECTIVES, directive.name))
+                .map(directive => ({
+                    line: directive.line,
+                    message: `${directive.name} is deprecated; use ${DEPRECATED_DIRECTIVES[directive.name]}`
+                }));
+        }
+    },
+    {
+        id: 'proto-mismatch',
+        severity: 'error',
+        category: 'compatibility',
+        target: 'pair',
+        description: 'Client and server must use the same transport protocol',
+        check(server, client) {
+            const serverProto = OpenVPNConfigLinter.transport(server.get('proto'), 'udp');
+            const remote = client.get('remote');
+            const clientProto = OpenVPNConfigLinter.transport(remote && remote.args[2] ? { args: [remote.args[2]] } : client.get('proto'), 'udp');
+            return serverProto !== clientProto
+                ? [{ target: 'client', line: (client.get('proto') || remote || {}).line || null, message: `The server uses ${serverProto} but the client uses ${clientProto}` }]
+                : [];
+        }
+    },
+    {
+        id: 'port-mismatch',
+        severity: 'warning',
+        category: 'compatibility',
+        target: 'pair',
+        description: 'Clients should connect to the port the server listens on (unless a port forward maps it)',
+        check(server, client) {
+            const serverPort = (server.get('port') || { args: ['1194'] }).args[0];
+            const remote = client.get('remote');
+            const clientPort = remote && remote.args[1] ? remote.args[1] : (client.get('port') || { args: ['1194'] }).args[0];
+            return remote && serverPort !== clientPort
+                ? [{ target: 'client', line: remote.line, message: `The server listens on port ${serverPort} but the client connects to ${clientPort}` }]
+                : [];
+        }
+    },
+    {
+        id: 'dev-mismatch',
+        severity: 'error',
+        category: 'compatibility',
+        target: 'pair',
+        description: 'Client and server must both use tun or both use tap',
+        check(server, client) {
+            const type = config => {
+                const devType = config.get('dev-type');
+                const dev = config.get('dev');
+                return devType ? devType.args[0] : (dev && dev.args[0] && dev.args[0].startsWith('tap') ? 'tap' : 'tun');
+            };
+            return type(server) !== type(client)
+                ? [{ target: 'client', line: (client.get('dev') || {}).line || null, message: `The server uses ${type(server)} but the client uses ${type(client)}` }]
+                : [];
+        }
+    },
+    {
+        id: 'compression-mismatch',
+        severity: 'warning',
+        category: 'compatibility',
+        target: 'pair',
+        description: 'Without a pushed setting, client and server compression must match',
+        check(server, client) {
+            if (server.getPushed('compress') || server.getPushed('comp-lzo')) {
+                return [];
+            }
+            const algorithm = config => {
+                const compress = config.get('compress');
+                const compLzo = config.get('comp-lzo');
+                if (compress) {
+                    return compress.args[0] || 'stub';
+                }
+                if (compLzo) {
+                    return compLzo.args[0] === 'no' ? 'lzo (off)' : 'lzo';
+                }
+                return 'none';
+            };
+            return algorithm(server) !== algorithm(client)
+                ? [{
+                    target: 'client',
+                    line: (client.get('compress') || {}).line || null,
+                    message: `The server uses compression '${algorithm(server)}' but the client uses '${algorithm(client)}'`
+                }]
+                : [];
+        }
+    },
+    {
+        id: 'cipher-mismatch',
+        severity: 'warning',
+        category: 'compatibility',
+        target: 'pair',
+        description: 'A cipher fixed on the client must be one the server offers',
+        check(server, client) {
+            const clientCipher = client.get('cipher');
+            if (!clientCipher || !clientCipher.args[0]) {
+                return [];
+            }
+            const offered = ['data-ciphers', 'ncp-ciphers', 'cipher']
+                .map(name => server.get(name))
+                .filter(Boolean)
+                .flatMap(directive => (directive.args[0] || '').split(':'))
+                .map(cipher => cipher.toUpperCase());
+            return offered.length > 0 && !offered.includes(clientCipher.args[0].toUpperCase())
+                ? [{ target: 'client', line: clientCipher.line, message: `The client cipher ${clientCipher.args[0]} is not offered by the server` }]
+                : [];
+        }
+    }
+];
+
+/**
+ * Lints OpenVPN server configs and client profiles
+ * Configs are parsed into directives and run through RULES; each finding carries the rule,
+ * its severity and category, which config it is about and the line number when there is one.
+ */
+class OpenVPNConfigLinter {
+    /**
+     * @param {Object} configs - { server, client } config texts; either may be left out
+     * @param {Object} [options] - { disabledRules: [rule ids] }
+     * @returns {{findings: Object[], summary: {error: number, warning: number, info: number}, passed: boolean}}
+     */
+    static lint(configs, options = {}) {
+        const disabled = new Set(options.disabledRules || []);
+        const parsed = {
+            server: typeof configs.server === 'string' ? OpenVPNConfigLinter.parse(configs.server) : null,
+            client: typeof configs.client === 'string' ? OpenVPNConfigLinter.parse(configs.client) : null
+        };
+
+        const findings = [];
+        for (const rule of RULES.filter(candidate => !disabled.has(candidate.id))) {
+            const report = (target, results) => {
+                for (const result of results) {
+                    findings.push({
+                        rule: rule.id,
+                        severity: rule.severity,
+                        category: rule.category,
+                        target: result.target || target,
+                        line: result.line || null,
+                        message: result.message
+                    });
+                }
+            };
+
+            if (rule.target === 'pair') {
+                if (parsed.server && parsed.client) {
+                    report('server', rule.check(parsed.server, parsed.client));
+                }
+                continue;
+            }
+            for (const target of ['server', 'client']) {
+                if (parsed[target] && (rule.target === 'each' || rule.target === target)) {
+                    report(target, rule.check(parsed[target]));
+                }
+            }
+        }
+
+        findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+            a.target.localeCompare(b.target) ||
+            (a.line || 0) - (b.line || 0));
+
+        const summary = Object.fromEntries(SEVERITIES.map(severity => [
+            severity,
+            findings.filter(finding => finding.severity === severity).length
+        ]));
+        return { findings, summary, passed: summary.error === 0 };
+    }
+
+    /**
+     * Split a config into directives and inline blocks (<ca>...</ca>)
+     * @returns {ParsedConfig}
+     */
+    static parse(text) {
+        const directives = [];
+        const blocks = {};
+        let block = null;
+
+        String(text).split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            const lineNumber = index + 1;
+
+            if (block) {
+                if (line.toLowerCase() === `</${block.name}>`) {
+                    blocks[block.name] = { line: block.line, content: block.content.join('\n') };
+                    block = null;
+                } else {
+                    block.content.push(raw);
+                }
+                return;
+            }
+
+            const opening = line.match(/^<([a-z0-9-]+)>$/i);
+            if (opening) {
+                block = { name: opening[1].toLowerCase(), line: lineNumber, content: [] };
+                return;
+            }
+
+            const directive = OpenVPNConfigLinter.parseLine(line);
+            if (directive.name) {
+                directives.push({ ...directive, line: lineNumber });
+            }
+        });
+
+        return new ParsedConfig(directives, blocks);
+    }
+
+    /**
+     * One directive line: name and arguments, with quotes and comments handled as OpenVPN does
+     * @returns {{name: string|null, args: string[]}}
+     */
+    static parseLine(line) {
+        const tokens = [];
+        let current = null;
+        let quote = null;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === '\\' && i + 1 < line.length) {
+                    current += line[++i];
+                } else if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+                current = current || '';
+            } else if (/\s/.test(char)) {
+                if (current !== null) {
+                    tokens.push(current);
+                    current = null;
+                }
+            } else if ((char === '#' || char === ';') && current === null) {
+                break;
+            } else {
+                current = (current || '') + char;
+            }
+        }
+        if (current !== null) {
+            tokens.push(current);
+        }
+
+        // "--port 1194" on the command line is "port 1194" in a file
+        const name = tokens.length > 0 ? tokens[0].replace(/^--/, '').toLowerCase() : null;
+        return { name, args: tokens.slice(1) };
+    }
+
+    /**
+     * udp or tcp from a proto value such as udp6, tcp-server or tcp4-client
+     */
+    static transport(directive, fallback) {
+        const value = directive && directive.args[0] ? directive.args[0].toLowerCase() : fallback;
+        return value.startsWith('tcp') ? 'tcp' : 'udp';
+    }
+
+    /**
+     * Configs to lint: given files, or the installed server config and a freshly rendered client profile
+     * @param {Object} config - Application config
+     * @param {Object} options - { serverFile, clientFile, serverConfigPaths, securityConfig, certManager }
+     * @returns {Promise<{server: Object, client: Object|null}>} Each { source, path, text }
+     */
+    static async loadSources(config, options = {}) {
+        const read = async (file) => {
+            try {
+                return await fs.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw OpenVPNConfigLinter.createLintError(`Config file ${file} not found`, 'CONFIG_NOT_FOUND');
+                }
+                throw error;
+            }
+        };
+
+        let server = null;
+        if (options.serverFile) {
+            server = { source: 'file', path: options.serverFile, text: await read(options.serverFile) };
+        } else {
+            const candidates = options.serverConfigPaths || [
+                process.env.OPENVPN_CONFIG,
+                path.join(config.config.path, 'openvpn.conf'),
+                '/etc/openvpn/openvpn.conf'
+            ];
+            for (const candidate of candidates.filter(Boolean)) {
+                try {
+                    server = { source: 'file', path: candidate, text: await fs.readFile(candidate, 'utf8') };
+                    break;
+                } catch (error) {
+                    // Try the next location
+                }
+            }
+            if (!server && options.securityConfig) {
+                server = {
+                    source: 'generated',
+                    path: null,
+                    text: options.securityConfig.generateHardenedConfig(config.certificates.dir)
+                };
+            }
+        }
+
+        let client = null;
+        if (options.clientFile) {
+            client = { source: 'file', path: options.clientFile, text: await read(options.clientFile) };
+        } else if (options.certManager) {
+            // Certificate material does not matter to any rule
+            client = {
+                source: 'generated',
+                path: null,
+                text: options.certManager.renderClientConfig({ ca: '', cert: '', key: '' })
+            };
+        }
+
+        return { server, client };
+    }
+
+    static createLintError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+OpenVPNConfigLinter.RULES = RULES;
+OpenVPNConfigLinter.SEVERITIES = SEVERITIES;
+
+module.exports = OpenVPNConfigLinter;
@@ -2,6 +2,8 @@ const path = require('path');
 const fs = require('fs-extra');
 const crypto = require('crypto');
 const { spawn } = require('cross-spawn');
+const { getClientDnsServers, getClientDns6Servers, getDnsZoneDomain } = require('./dns-settings');
+const Subnet = require('./subnet');
 
 /**
  * OpenVPN Security Configuration Manager
@@ -24,7 +26,13 @@ class OpenVPNSecurityConfig {
       protocol = 'udp',
       subnet = '10.8.0.0',
       netmask = '255.255.255.0',
-      dnsServers = ['1.1.1.1', '1.0.0.1'], // Cloudflare DNS for security
+      maxClients = 100,
+      staticAddresses = ((this.config || {}).vpn || {}).staticAddresses || 50,
+      // Resolvers from the DNS model (config.dns); the forwarder's address when it is enabled
+      dnsServers = getClientDnsServers(this.config || {}),
+      // Explicit IPv4 servers come without the provider's IPv6 ones
+      dns6Servers = options.dnsServers ? [] : getClientDns6Servers(this.config || {}),
+      searchDomain = getDnsZoneDomain(this.config || {}), // Family zone served by the DNS forwarder, e.g. family.lan
       logDir = '/var/log/openvpn'
     } = options;
 
@@ -33,6 +41,12 @@ class OpenVPNSecurityConfig {
       return this.platform === 'win32' ? filePath.replace(/\\/g, '\\\\') : filePath;
     };
 
+    // Static addresses (ccd ifconfig-push) come from a range the dynamic pool never uses
+    const ranges = new Subnet(subnet, netmask).clientRanges(staticAddresses);
+    const serverLines = ranges.static
+      ? `server ${subnet} ${netmask} nopool\n# ${ranges.static.first}-${ranges.static.last} reserved for static addresses\nifconfig-pool ${ranges.pool.first} ${ranges.pool.last} ${netmask}`
+      : `server ${subnet} ${netmask}`;
+
     const config = `# OpenVPN Hardened Server Configuration
 # Generated by VPN Security Hardening System
 # Implements security requirements 3.1-3.5
@@ -68,12 +82,12 @@ verify-client-cert require
 crl-verify ${normalizePath(path.join(certDir, 'crl.pem'))}
 
 # Network Configuration
-server ${subnet} ${netmask}
+${serverLines}
 push "redirect-gateway def1 bypass-dhcp"
 
 # DNS Configuration and Leak Protection (Requirement 3.4)
 ${dnsServers.map(dns => `push "dhcp-option DNS ${dns}"`).join('\n')}
-push "block-outside-dns"
+${dns6Servers.map(dns => `push "dhcp-option DNS6 ${dns}"\n`).join('')}${searchDomain ? `push "dhcp-option DOMAIN ${searchDomain}"\n` : ''}push "block-outside-dns"
 
 # Connection Security and Timeouts (Requirement 3.5)
 keepalive 10 60
@@ -92,7 +106,7 @@ compress lz4-v2
 push "compress lz4-v2"
 
 # Client connection limits
-max-clients 100
+max-clients ${maxClients}
 duplicate-cn
 
 # Logging and Monitoring (Enhanced)
@@ -116,10 +130,7 @@ client-config-dir ${normalizePath(path.join(certDir, 'ccd'))}
 
 # Management interface (localhost only for security)
 management 127.0.0.1 7505
-
-# Explicit exit notify
-explicit-exit-notify 1
-`;
+${protocol === 'udp' ? '\n# Explicit exit notify (UDP only)\nexplicit-exit-notify 1\n' : ''}`;
 
     return config;
   }
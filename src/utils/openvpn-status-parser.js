@@ -0,0 +1,295 @@
+/**
+ * Parsers for OpenVPN's status file (status-version 1, 2 and 3) and the
+ * client-access.log written by the generated client-connect/disconnect scripts
+ */
+
+// "2026-01-15T10:30:00Z: CONNECT - CN: alice-laptop, Real IP: 203.0.113.10, VPN IP: 10.8.0.2[, key: value...]"
+const ACCESS_LOG_PATTERN = /^(.+?): (CONNECT|DISCONNECT) - CN: ([^,]*), Real IP: ([^,]*), VPN IP: ([^,]*)(.*)$/;
+
+class OpenVPNStatusParser {
+    /**
+     * Parse a status file of any version
+     * @param {string} content - File contents
+     * @returns {Object} { version, updatedAt, clients, routes, globalStats }
+     */
+    static parseStatus(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.length > 0);
+        const first = lines[0] || '';
+
+        if (first.startsWith('OpenVPN CLIENT LIST')) {
+            return { version: 1, ...OpenVPNStatusParser.parseVersion1(lines) };
+        }
+
+        // Versions 2 and 3 share one layout; version 3 separates fields with tabs
+        const version = first.includes('\t') ? 3 : 2;
+        const rows = lines.map(line => line.split(version === 3 ? '\t' : ','));
+        return { version, ...OpenVPNStatusParser.parseRows(rows) };
+    }
+
+    /**
+     * Version 1: headed CSV sections; virtual addresses come from the routing table
+     */
+    static parseVersion1(lines) {
+        const status = {
+            updatedAt: null,
+            clients: [],
+            routes: [],
+            globalStats: {}
+        };
+
+        let section = null;
+        let header = null;
+
+        for (const line of lines) {
+            if (line === 'OpenVPN CLIENT LIST') {
+                section = 'CLIENT_LIST';
+                header = null;
+                continue;
+            }
+            if (line === 'ROUTING TABLE') {
+                section = 'ROUTING_TABLE';
+                header = null;
+                continue;
+            }
+            if (line === 'GLOBAL STATS') {
+                section = 'GLOBAL_STATS';
+                continue;
+            }
+            if (line === 'END') {
+                break;
+            }
+
+            const fields = line.split(',');
+
+            if (fields[0] === 'Updated') {
+                status.updatedAt = OpenVPNStatusParser.parseDate(fields[1]);
+                continue;
+            }
+
+            if (section === 'GLOBAL_STATS') {
+                status.globalStats[fields[0]] = fields[1];
+                continue;
+            }
+
+            if (!header) {
+                header = fields;
+                continue;
+            }
+
+            const row = OpenVPNStatusParser.toRow(header, fields);
+            if (section === 'CLIENT_LIST') {
+                status.clients.push(OpenVPNStatusParser.toClient(row));
+            } else if (section === 'ROUTING_TABLE') {
+                status.routes.push(OpenVPNStatusParser.toRoute(row));
+            }
+        }
+
+        for (const client of status.clients) {
+            const route = status.routes.find(r => r.commonName === client.commonName &&
+                r.realAddress === client.realAddress && !r.virtualAddress.includes(':'));
+            client.virtualAddress = route ? route.virtualAddress : null;
+        }
+
+        return status;
+    }
+
+    /**
+     * Versions 2 and 3 (and "status 3" on the management interface): typed rows,
+     * with columns named by HEADER rows so older and newer OpenVPN releases both work
+     * @param {string[][]} rows - Rows already split into fields
+     */
+    static parseRows(rows) {
+        const headers = {};
+        const status = {
+            updatedAt: null,
+            clients: [],
+            routes: [],
+            globalStats: {}
+        };
+
+        for (const [type, ...values] of rows) {
+            if (type === 'HEADER') {
+                headers[values[0]] = values.slice(1);
+            } else if (type === 'TIME') {
+                status.updatedAt = OpenVPNStatusParser.fromEpoch(values[1]) || OpenVPNStatusParser.parseDate(values[0]);
+            } else if (type === 'GLOBAL_STATS') {
+                status.globalStats[values[0]] = values[1];
+            } else if (type === 'CLIENT_LIST') {
+                status.clients.push(OpenVPNStatusParser.toClient(OpenVPNStatusParser.toRow(headers[type], values)));
+            } else if (type === 'ROUTING_TABLE') {
+                status.routes.push(OpenVPNStatusParser.toRoute(OpenVPNStatusParser.toRow(headers[type], values)));
+            }
+        }
+
+        return status;
+    }
+
+    static toRow(header, values) {
+        const row = {};
+        (header || []).forEach((column, index) => {
+            row[column] = values[index];
+        });
+        return row;
+    }
+
+    static toClient(row) {
+        const realAddress = row['Real Address'] || '';
+        const portSeparator = realAddress.lastIndexOf(':');
+
+        return {
+            commonName: row['Common Name'],
+            realAddress,
+            realIP: portSeparator === -1 ? realAddress : realAddress.slice(0, portSeparator),
+            virtualAddress: row['Virtual Address'] || null,
+            virtualIPv6Address: row['Virtual IPv6 Address'] || null,
+            bytesReceived: parseInt(row['Bytes Received'], 10) || 0,
+            bytesSent: parseInt(row['Bytes Sent'], 10) || 0,
+            connectedSince: OpenVPNStatusParser.fromEpoch(row['Connected Since (time_t)']) ||
+                OpenVPNStatusParser.parseDate(row['Connected Since']),
+            username: row['Username'] && row['Username'] !== 'UNDEF' ? row['Username'] : null,
+            clientId: row['Client ID'] !== undefined ? parseInt(row['Client ID'], 10) : null,
+            cipher: row['Data Channel Cipher'] || null
+        };
+    }
+
+    static toRoute(row) {
+        return {
+            virtualAddress: row['Virtual Address'] || '',
+            commonName: row['Common Name'],
+            realAddress: row['Real Address'],
+            lastRef: OpenVPNStatusParser.fromEpoch(row['Last Ref (time_t)']) ||
+                OpenVPNStatusParser.parseDate(row['Last Ref'])
+        };
+    }
+
+    /**
+     * Parse client-access.log into entries, oldest first; unrecognised lines are skipped
+     * @param {string} content - File contents
+     * @returns {Object[]} { timestamp, event, commonName, realIP, virtualAddress, ...details }
+     */
+    static parseAccessLog(content) {
+        const entries = [];
+
+        for (const line of content.split(/\r?\n/)) {
+            const match = ACCESS_LOG_PATTERN.exec(line.trim());
+            if (!match) {
+                continue;
+            }
+
+            const entry = {
+                timestamp: OpenVPNStatusParser.parseDate(match[1]),
+                event: match[2],
+                commonName: match[3],
+                realIP: match[4] || null,
+                virtualAddress: match[5] || null
+            };
+
+            // Disconnect lines carry ", Duration: 60, Bytes Received: 1, Bytes Sent: 2"
+            for (const detail of match[6].split(',').slice(1)) {
+                const [key, value] = detail.split(':').map(part => part.trim());
+                const field = { 'Duration': 'duration', 'Bytes Received': 'bytesReceived', 'Bytes Sent': 'bytesSent' }[key];
+                if (field && /^\d+$/.test(value)) {
+                    entry[field] = parseInt(value, 10);
+                }
+            }
+
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Pair CONNECT/DISCONNECT entries into sessions per common name
+     * @param {Object[]} entries - Output of parseAccessLog()
+     * @param {Object} options - { limit } sessions kept per certificate (newest first)
+     * @returns {Object} Common name to { sessions, totalSessions, lastConnectedAt, lastDisconnectedAt }
+     */
+    static buildHistory(entries, options = {}) {
+        const limit = options.limit || 20;
+        const open = new Map();
+        const history = {};
+
+        const historyFor = (commonName) => {
+            if (!history[commonName]) {
+                history[commonName] = {
+                    sessions: [],
+                    totalSessions: 0,
+                    lastConnectedAt: null,
+                    lastDisconnectedAt: null
+                };
+            }
+            return history[commonName];
+        };
+
+        for (const entry of entries) {
+            const record = historyFor(entry.commonName);
+            // duplicate-cn allows several sessions per name; the VPN IP tells them apart
+            const key = `${entry.commonName}|${entry.virtualAddress}`;
+
+            if (entry.event === 'CONNECT') {
+                const session = {
+                    connectedAt: entry.timestamp,
+                    disconnectedAt: null,
+                    realIP: entry.realIP,
+                    virtualAddress: entry.virtualAddress
+                };
+                record.sessions.push(session);
+                record.totalSessions++;
+                record.lastConnectedAt = entry.timestamp;
+                open.set(key, session);
+                continue;
+            }
+
+            let session = open.get(key);
+            open.delete(key);
+
+            // Disconnect without a logged connect (log rotated or truncated)
+            if (!session) {
+                session = {
+                    connectedAt: null,
+                    realIP: entry.realIP,
+                    virtualAddress: entry.virtualAddress
+                };
+                record.sessions.push(session);
+                record.totalSessions++;
+            }
+
+            session.disconnectedAt = entry.timestamp;
+            for (const field of ['duration', 'bytesReceived', 'bytesSent']) {
+                if (entry[field] !== undefined) {
+                    session[field] = entry[field];
+                }
+            }
+            record.lastDisconnectedAt = entry.timestamp;
+        }
+
+        for (const record of Object.values(history)) {
+            record.sessions = record.sessions.reverse().slice(0, limit);
+        }
+
+        return history;
+    }
+
+    static fromEpoch(value) {
+        const epoch = parseInt(value, 10);
+        return Number.isNaN(epoch) ? null : new Date(epoch * 1000).toISOString();
+    }
+
+    /**
+     * Parse the date formats OpenVPN and date(1) produce; unknown zone names are read as local time
+     */
+    static parseDate(value) {
+        if (!value) {
+            return null;
+        }
+
+        let date = new Date(value.trim());
+        if (Number.isNaN(date.getTime())) {
+            date = new Date(value.trim().replace(/\s[A-Z]{2,5}(?=\s\d{4}$)/, ''));
+        }
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+module.exports = OpenVPNStatusParser;
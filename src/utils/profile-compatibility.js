@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const OpenVPNConfigLinter = require('./openvpn-config-linter');
+
+// OpenVPN 2.6 negotiates these when data-ciphers is not set
+const DEFAULT_DATA_CIPHERS = ['AES-256-GCM', 'AES-128-GCM', 'CHACHA20-POLY1305'];
+const AEAD_CIPHER_PATTERN = /(-GCM|CHACHA20-POLY1305)$/i;
+
+// Linter pair rules that decide whether a profile can connect at all, with how to fix them
+const TRANSPORT_RULES = {
+    'proto-mismatch': {
+        check: 'proto',
+        status: 'fail',
+        passed: 'The profile uses the server\'s protocol',
+        fix: ({ server }) => `Set "proto ${OpenVPNConfigLinter.transport(server.get('proto'), 'udp')}" in the profile, or regenerate it after changing the VPN protocol setting`
+    },
+    'dev-mismatch': {
+        check: 'dev',
+        status: 'fail',
+        passed: 'The profile uses the server\'s device type',
+        fix: ({ server }) => `Set "dev ${(server.get('dev') || { args: ['tun'] }).args[0].startsWith('tap') ? 'tap' : 'tun'}" in the profile`
+    },
+    'compression-mismatch': {
+        check: 'compression',
+        status: 'fail',
+        passed: 'Compression settings are compatible',
+        fix: () => 'Use the same compress setting on both sides, or push it from the server ("push \\"compress ...\\"") so clients follow it'
+    },
+    'port-mismatch': {
+        check: 'port',
+        status: 'warning',
+        passed: 'The profile connects to the server\'s port',
+        fix: ({ server }) => `Point "remote" at port ${(server.get('port') || { args: ['1194'] }).args[0]} unless a port forward maps the profile's port to it`
+    },
+    'tls-wrap-mismatch': {
+        check: 'tls-wrap',
+        status: 'fail',
+        fix: ({ serverWrap }) => serverWrap
+            ? `Embed the server's key in a <${serverWrap.name}> block${serverWrap.name === 'tls-auth' ? ' with "key-direction 1"' : ''} and drop any other tls-auth/tls-crypt lines`
+            : 'Remove the tls-auth/tls-crypt key from the profile, or add the same key to the server config'
+    }
+};
+
+/**
+ * Checks that a client profile can actually connect to the running server
+ * Beyond the linter's config comparison, this looks at the embedded material: the CA must be
+ * the server's, it must have signed the client certificate, the certificate must not be in
+ * crl.pem, and the TLS wrapping key and data ciphers must match what the server expects.
+ * Every problem comes with a fix the administrator can act on.
+ */
+class ProfileCompatibilityChecker {
+    constructor(logger) {
+        this.logger = logger || console;
+    }
+
+    /**
+     * @param {Object} input - { profile, server } config texts and certDir (ca.crt, crl.pem, ta.key)
+     * @returns {Promise<{compatible: boolean, checks: Object[], summary: {fail: number, warning: number}}>}
+     *   Each check is { check, status: pass|fail|warning|skipped, message, fix }
+     */
+    async check({ profile, server, certDir }) {
+        if (typeof profile !== 'string' || !profile.trim()) {
+            throw ProfileCompatibilityChecker.createCompatibilityError('Client profile is empty', 'INVALID_PROFILE');
+        }
+        if (typeof server !== 'string') {
+            throw ProfileCompatibilityChecker.createCompatibilityError('Server config is required', 'SERVER_CONFIG_REQUIRED');
+        }
+
+        const parsed = {
+            server: OpenVPNConfigLinter.parse(server),
+            client: OpenVPNConfigLinter.parse(profile)
+        };
+        const checks = [];
+        const report = (check, status, message, fix = null) => checks.push({ check, status, message, fix });
+
+        this.checkTransport(parsed, report);
+        const wrap = await this.checkTlsWrap(parsed, certDir, report);
+        const cipher = this.checkDataCiphers(parsed, report);
+
+        // tls-auth signs control packets with the auth digest, and non-AEAD ciphers data packets
+        if ((wrap && wrap.name === 'tls-auth') || (cipher && !AEAD_CIPHER_PATTERN.test(cipher))) {
+            this.checkAuthDigest(parsed, wrap && wrap.name === 'tls-auth' ? 'tls-auth' : cipher, report);
+        }
+
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'familyvpn-profile-check-'));
+        try {
+            const ca = await this.checkCa(parsed, certDir, report);
+            const cert = await this.checkClientCertificate(parsed, workDir, report);
+            if (cert) {
+                await this.checkRevocation(parsed, certDir, ca, cert, workDir, report);
+            }
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+
+        const summary = {
+            fail: checks.filter(entry => entry.status === 'fail').length,
+            warning: checks.filter(entry => entry.status === 'warning').length
+        };
+        return { compatible: summary.fail === 0, checks, summary };
+    }
+
+    /**
+     * Protocol, port, device type and compression, through the linter's pair rules
+     */
+    checkTransport(parsed, report) {
+        const ruleIds = Object.keys(TRANSPORT_RULES).filter(id => id !== 'tls-wrap-mismatch');
+        const findings = this.lintPair(parsed, ruleIds);
+
+        for (const id of ruleIds) {
+            const rule = TRANSPORT_RULES[id];
+            const finding = findings.find(candidate => candidate.rule === id);
+            if (finding) {
+                report(rule.check, rule.status, finding.message, rule.fix(parsed));
+            } else {
+                report(rule.check, 'pass', rule.passed);
+            }
+        }
+    }
+
+    lintPair(parsed, ruleIds) {
+        return OpenVPNConfigLinter.RULES
+            .filter(rule => ruleIds.includes(rule.id))
+            .flatMap(rule => rule.check(parsed.server, parsed.client).map(finding => ({ rule: rule.id, ...finding })));
+    }
+
+    /**
+     * tls-auth/tls-crypt mode and direction, then the key itself
+     * @returns {Promise<Object|null>} The wrapping both sides agree on
+     */
+    async checkTlsWrap(parsed, certDir, report) {
+        const serverWrap = parsed.server.getTlsWrap();
+        const clientWrap = parsed.client.getTlsWrap();
+        const [finding] = this.lintPair(parsed, ['tls-wrap-mismatch']);
+
+        if (finding) {
+            report('tls-wrap', 'fail', finding.message, TRANSPORT_RULES['tls-wrap-mismatch'].fix({ serverWrap }));
+            return null;
+        }
+        if (!serverWrap) {
+            report('tls-wrap', 'pass', 'Neither side uses a TLS wrapping key');
+            return null;
+        }
+        if (serverWrap.name === 'tls-crypt-v2') {
+            // Every client has its own key, derived from the server's
+            report('tls-wrap', 'pass', 'Both sides use tls-crypt-v2');
+            return serverWrap;
+        }
+
+        const clientKey = parsed.client.blocks[clientWrap.name];
+        const serverKey = await this.readServerWrapKey(parsed.server, serverWrap, certDir);
+        if (!clientKey) {
+            report('tls-wrap', 'warning', `The profile reads its ${clientWrap.name} key from a file, so the key was not compared`,
+                `Embed the key in a <${clientWrap.name}> block so the profile works on its own`);
+        } else if (!serverKey) {
+            report('tls-wrap', 'warning', `The server's ${serverWrap.name} key could not be read, so the key was not compared`,
+                `Make sure ${path.join(certDir, 'ta.key')} exists and is readable`);
+        } else if (ProfileCompatibilityChecker.normalizeStaticKey(clientKey.content) !== ProfileCompatibilityChecker.normalizeStaticKey(serverKey)) {
+            report('tls-wrap', 'fail', `The profile's ${clientWrap.name} key is not the server's key; the server will drop its packets`,
+                'Regenerate the profile so it embeds the current ta.key');
+        } else {
+            report('tls-wrap', 'pass', `Both sides use ${serverWrap.name} with the same key`);
+        }
+        return serverWrap;
+    }
+
+    /**
+     * The client and server data-cipher lists need at least one cipher in common
+     * @returns {string|null} The cipher they will negotiate
+     */
+    checkDataCiphers(parsed, report) {
+        const offered = (config, includeCipher) => {
+            const list = config.get('data-ciphers') || config.get('ncp-ciphers');
+            const ciphers = list && list.args[0]
+                ? list.args[0].split(':').map(cipher => cipher.trim().toUpperCase()).filter(Boolean)
+                : [...DEFAULT_DATA_CIPHERS];
+            // Clients add their --cipher to the list for compatibility with older servers
+            const cipher = config.get('cipher');
+            if (includeCipher && cipher && cipher.args[0] && !ciphers.includes(cipher.args[0].toUpperCase())) {
+                ciphers.push(cipher.args[0].toUpperCase());
+            }
+            return ciphers;
+        };
+
+        const serverCiphers = offered(parsed.server, false);
+        const clientCiphers = offered(parsed.client, true);
+        const common = clientCiphers.filter(cipher => serverCiphers.includes(cipher));
+
+        if (common.length === 0) {
+            report('data-ciphers', 'fail',
+                `No data cipher in common: the server offers ${serverCiphers.join(':')}, the client ${clientCiphers.join(':')}`,
+                `Add "data-ciphers ${serverCiphers.join(':')}" to the profile`);
+            return null;
+        }
+        report('data-ciphers', 'pass', `The client and server will negotiate ${common[0]}`);
+        return common[0];
+    }
+
+    checkAuthDigest(parsed, reason, report) {
+        const digest = config => ((config.get('auth') || { args: ['SHA1'] }).args[0] || 'SHA1').toUpperCase();
+        const serverDigest = digest(parsed.server);
+        const clientDigest = digest(parsed.client);
+
+        if (serverDigest !== clientDigest) {
+            report('auth-digest', 'fail', `${reason} needs the same auth digest, but the server uses ${serverDigest} and the client ${clientDigest}`,
+                `Set "auth ${serverDigest}" in the profile`);
+        } else {
+            report('auth-digest', 'pass', `Both sides use auth ${serverDigest}`);
+        }
+    }
+
+    /**
+     * The profile's <ca> has to contain the server's CA certificate
+     * @returns {Promise<string|null>} The profile's CA bundle, when there is one
+     */
+    async checkCa(parsed, certDir, report) {
+        const block = parsed.client.blocks.ca;
+        if (!block) {
+            if (parsed.client.get('ca')) {
+                report('ca', 'warning', 'The profile reads its CA from a file, so it was not compared with the server\'s',
+                    'Embed the CA in a <ca> block so the profile works on its own');
+            } else {
+                report('ca', 'fail', 'The profile has no CA certificate',
+                    `Embed ${path.join(certDir, 'ca.crt')} in a <ca> block`);
+            }
+            return null;
+        }
+
+        const profileCerts = ProfileCompatibilityChecker.pemBlocks(block.content, 'CERTIFICATE');
+        if (profileCerts.length === 0) {
+            report('ca', 'fail', 'The profile\'s <ca> block holds no certificate',
+                `Embed ${path.join(certDir, 'ca.crt')} in the <ca> block`);
+            return null;
+        }
+
+        const serverCa = await this.readServerCa(parsed.server, certDir);
+        if (!serverCa) {
+            report('ca', 'skipped', 'The server\'s CA certificate could not be read, so the profile\'s CA was not compared',
+                `Make sure ${path.join(certDir, 'ca.crt')} exists and is readable`);
+            return profileCerts.join('\n');
+        }
+
+        const serverFingerprints = ProfileCompatibilityChecker.pemBlocks(serverCa, 'CERTIFICATE').map(ProfileCompatibilityChecker.fingerprint);
+        if (!profileCerts.map(ProfileCompatibilityChecker.fingerprint).some(fingerprint => serverFingerprints.includes(fingerprint))) {
+            report('ca', 'fail', 'The profile\'s CA is not the server\'s CA; the client will reject the server certificate',
+                'Regenerate the profile; it was probably made before the PKI was rebuilt or for another server');
+        } else {
+            report('ca', 'pass', 'The profile embeds the server\'s CA');
+        }
+        return profileCerts.join('\n');
+    }
+
+    /**
+     * The embedded CA must have signed the embedded client certificate, and it must be in date
+     * @returns {Promise<Object|null>} { serial } when the certificate could be read
+     */
+    async checkClientCertificate(parsed, workDir, report) {
+        const certBlock = parsed.client.blocks.cert;
+        const caBlock = parsed.client.blocks.ca;
+        const cert = certBlock && ProfileCompatibilityChecker.pemBlocks(certBlock.content, 'CERTIFICATE')[0];
+        const caCerts = caBlock ? ProfileCompatibilityChecker.pemBlocks(caBlock.content, 'CERTIFICATE') : [];
+
+        if (!cert) {
+            if (parsed.client.get('cert')) {
+                report('client-cert', 'warning', 'The profile reads its certificate from a file, so it was not verified',
+                    'Embed the certificate in a <cert> block so the profile works on its own');
+            } else {
+                report('client-cert', 'fail', 'The profile has no client certificate', 'Embed the device\'s certificate in a <cert> block');
+            }
+            return null;
+        }
+        if (caCerts.length === 0) {
+            report('client-cert', 'skipped', 'Without an embedded CA the client certificate could not be verified');
+            return null;
+        }
+
+        const caFile = path.join(workDir, 'ca.crt');
+        const certFile = path.join(workDir, 'client.crt');
+        await fs.writeFile(caFile, `${caCerts.join('\n')}\n`, { mode: 0o600 });
+        await fs.writeFile(certFile, `${cert}\n`, { mode: 0o600 });
+
+        let serial;
+        try {
+            const { stdout } = await execFile('openssl', ['x509', '-in', certFile, '-noout', '-serial']);
+            serial = ProfileCompatibilityChecker.normalizeSerial(stdout.trim().replace('serial=', ''));
+            // -partial_chain lets an intermediate CA in <ca> count as the trust anchor
+            await execFile('openssl', ['verify', '-partial_chain', '-CAfile', caFile, certFile]);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                report('client-cert', 'skipped', 'openssl is not installed, so the client certificate was not verified');
+                return null;
+            }
+            const output = `${error.stdout || ''}\n${error.stderr || ''}`;
+            const problem = output.match(/error (\d+) at \d+ depth lookup: ?(.+)/);
+            report('client-cert', 'fail', `The client certificate does not verify against the embedded CA: ${problem ? problem[2].trim() : 'invalid certificate'}`,
+                ProfileCompatibilityChecker.certificateFix(problem ? Number(problem[1]) : null));
+            return serial ? { serial } : null;
+        }
+
+        report('client-cert', 'pass', 'The embedded CA signed the client certificate and it is in date');
+        return { serial };
+    }
+
+    /**
+     * crl.pem must be signed by the CA, be current, and not list the client certificate
+     */
+    async checkRevocation(parsed, certDir, profileCa, cert, workDir, report) {
+        const crlPath = path.join(certDir, 'crl.pem');
+        const crlVerify = parsed.server.get('crl-verify');
+
+        try {
+            await fs.access(crlPath);
+        } catch (error) {
+            if (crlVerify) {
+                report('crl', 'fail', `The server has crl-verify but ${crlPath} is missing; OpenVPN will refuse every client`,
+                    'Run the crl-refresh job to regenerate crl.pem');
+            } else {
+                report('crl', 'skipped', 'There is no crl.pem, so revocation was not checked');
+            }
+            return;
+        }
+
+        let text;
+        try {
+            const serverCa = (await this.readServerCa(parsed.server, certDir)) || profileCa;
+            const caFile = path.join(workDir, 'crl-ca.crt');
+            await fs.writeFile(caFile, `${serverCa}\n`, { mode: 0o600 });
+            ({ stdout: text } = await execFile('openssl', ['crl', '-in', crlPath, '-CAfile', caFile, '-noout', '-text']));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                report('crl', 'skipped', 'openssl is not installed, so revocation was not checked');
+            } else {
+                report('crl', 'fail', `${crlPath} could not be verified against the CA: ${(error.stderr || error.message).trim().split('\n')[0]}`,
+                    'Run the crl-refresh job so crl.pem is signed by the current CA');
+            }
+            return;
+        }
+
+        const revoked = [...text.matchAll(/Serial Number:\s*([0-9A-Fa-f]+)/g)].map(match => ProfileCompatibilityChecker.normalizeSerial(match[1]));
+        const nextUpdate = text.match(/Next Update:\s*(.+)/);
+        const expiresAt = nextUpdate ? new Date(nextUpdate[1].trim()) : null;
+
+        if (revoked.includes(cert.serial)) {
+            report('crl', 'fail', `The client certificate (serial ${cert.serial}) is revoked in crl.pem`,
+                'Issue a new certificate for this device; a revoked certificate cannot be reinstated');
+        } else if (crlVerify && expiresAt && !isNaN(expiresAt.getTime()) && expiresAt < new Date()) {
+            report('crl', 'fail', `crl.pem expired on ${expiresAt.toISOString()}; OpenVPN will refuse every client`,
+                'Run the crl-refresh job to regenerate crl.pem');
+        } else {
+            report('crl', 'pass', 'The client certificate is not revoked');
+        }
+    }
+
+    /**
+     * Check a freshly generated profile against the installed server config, or the generated
+     * one when none is installed. Problems are logged with their fixes; generating the profile
+     * never fails because of them.
+     * @returns {Promise<Object|null>} The check result, or null when it could not run
+     */
+    async checkGeneratedProfile(clientName, profile, config, options = {}) {
+        try {
+            const sources = await OpenVPNConfigLinter.loadSources(config, {
+                serverConfigPaths: options.serverConfigPaths,
+                securityConfig: options.securityConfig
+            });
+            if (!sources.server) {
+                return null;
+            }
+
+            const result = await this.check({ profile, server: sources.server.text, certDir: config.certificates.dir });
+            for (const entry of result.checks.filter(candidate => ['fail', 'warning'].includes(candidate.status))) {
+                this.logger.warn(`Profile ${clientName} ${entry.status === 'fail' ? 'will not connect' : 'may not connect'}: ${entry.message}`, {
+                    check: entry.check,
+                    fix: entry.fix
+                });
+            }
+            return result;
+        } catch (error) {
+            this.logger.warn(`Could not check profile ${clientName} against the server config: ${error.message}`);
+            return null;
+        }
+    }
+
+    async readServerCa(server, certDir) {
+        if (server.blocks.ca) {
+            return server.blocks.ca.content;
+        }
+        try {
+            return await fs.readFile(path.join(certDir, 'ca.crt'), 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The server's static key: inline, from the directive's file, or certDir/ta.key
+     */
+    async readServerWrapKey(server, wrap, certDir) {
+        if (server.blocks[wrap.name]) {
+            return server.blocks[wrap.name].content;
+        }
+        const directive = server.get(wrap.name);
+        const file = directive && directive.args[0] && directive.args[0] !== '[inline]' ? directive.args[0] : null;
+        const candidates = [file && path.resolve(certDir, file), path.join(certDir, 'ta.key')].filter(Boolean);
+
+        for (const candidate of candidates) {
+            try {
+                return await fs.readFile(candidate, 'utf8');
+            } catch (error) {
+                // Try the next location
+            }
+        }
+        return null;
+    }
+
+    static certificateFix(opensslError) {
+        switch (opensslError) {
+            case 9:
+                return 'The certificate is not valid yet; check the server clock';
+            case 10:
+                return 'The certificate has expired; renew it and hand out the new profile';
+            case 2:
+            case 20:
+            case 21:
+                return 'The certificate was issued by a different CA; issue a new certificate for this device';
+            default:
+                return 'Issue a new certificate for this device';
+        }
+    }
+
+    static pemBlocks(text, label) {
+        const pattern = new RegExp(`-----BEGIN ${label}-----[\\s\\S]+?-----END ${label}-----`, 'g');
+        return String(text).match(pattern) || [];
+    }
+
+    /**
+     * SHA-256 over the DER bytes, so formatting differences in the PEM do not matter
+     */
+    static fingerprint(pem) {
+        const body = pem.replace(/-----(BEGIN|END) [^-]+-----/g, '').replace(/\s+/g, '');
+        return crypto.createHash('sha256').update(Buffer.from(body, 'base64')).digest('hex');
+    }
+
+    static normalizeStaticKey(text) {
+        const match = String(text).match(/-----BEGIN OpenVPN Static key V1-----([\s\S]+?)-----END OpenVPN Static key V1-----/);
+        return (match ? match[1] : String(text)).replace(/#.*$/gm, '').replace(/\s+/g, '').toLowerCase();
+    }
+
+    static normalizeSerial(serial) {
+        return serial.replace(/:/g, '').toUpperCase().replace(/^0+(?=.)/, '');
+    }
+
+    static createCompatibilityError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+ProfileCompatibilityChecker.DEFAULT_DATA_CIPHERS = DEFAULT_DATA_CIPHERS;
+
+module.exports = ProfileCompatibilityChecker;
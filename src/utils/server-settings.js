@@ -0,0 +1,503 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const Subnet = require('./subnet');
+const { getClientDnsServers, getClientDns6Servers, getDnsZoneDomain, getDnsFilterAddress } = require('./dns-settings');
+
+// Settings the web editor can change; everything else in server.conf comes from the generator
+const FIELDS = ['port', 'protocol', 'subnet', 'netmask', 'maxClients'];
+const PROTOCOLS = ['udp', 'tcp'];
+// OpenVPN picks these up only on a full restart: after start-up it runs as nobody in a chroot and
+// keeps its socket and tun device (persist-tun), so a SIGHUP reload cannot rebind or re-address them
+const RESTART_FIELDS = ['port', 'protocol', 'subnet', 'netmask'];
+
+// RFC 1918 and carrier-grade NAT ranges, as [network, prefix length]
+const PRIVATE_RANGES = [['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['100.64.0.0', 10]];
+
+/**
+ * OpenVPN server settings edited from the web interface: port, protocol, subnet and max clients
+ * Applying them regenerates server.conf with OpenVPNSecurityConfig and writes it atomically,
+ * keeping the file it replaced as `<config>.previous` so one rollback restores it. The values
+ * are stored next to the certificate registry and override config.vpn at start-up.
+ */
+class ServerSettings {
+    /**
+     * @param {Object} options - { config, storeFile, configPath, securityConfig, clientConfigDir, dnsFilter, logDir }
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.config = options.config;
+        this.storeFile = options.storeFile || path.join(process.cwd(), 'certificates', 'server-settings.json');
+        this.configPath = options.configPath;
+        this.previousPath = `${options.configPath}.previous`;
+        this.securityConfig = options.securityConfig;
+        // Static addresses must stay inside the subnet
+        this.clientConfigDir = options.clientConfigDir || null;
+        // The filtering forwarder listens on the gateway, which moves with the subnet
+        this.dnsFilter = options.dnsFilter || null;
+        this.logDir = options.logDir;
+        this.data = null;
+        this.initPromise = null;
+
+        this.changeQueue = Promise.resolve();
+        this.writeQueue = Promise.resolve();
+    }
+
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.load().catch(error => {
+                // Allow a later call to retry after a failed load
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async load() {
+        try {
+            this.data = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load server settings', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                throw error;
+            }
+
+            this.data = {
+                version: '1.0.0',
+                created: new Date().toISOString(),
+                settings: null,
+                appliedAt: null,
+                appliedBy: null,
+                previous: null
+            };
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Settings in effect: the last applied ones, or config.vpn when none were applied
+     */
+    async getSettings() {
+        await this.initialize();
+        return { ...(this.data.settings || ServerSettings.fromVpnConfig(this.config.vpn)) };
+    }
+
+    /**
+     * Current settings, where server.conf lives, and what a rollback would restore
+     */
+    async getState() {
+        await this.initialize();
+
+        return {
+            settings: await this.getSettings(),
+            configPath: this.configPath,
+            appliedAt: this.data.appliedAt,
+            appliedBy: this.data.appliedBy,
+            previous: this.data.previous,
+            canRollback: Boolean(this.data.previous) && await this.readFile(this.previousPath) !== null
+        };
+    }
+
+    /**
+     * Check requested values; fields left out keep their current value
+     * @returns {Promise<Object>} Normalized settings
+     */
+    async validate(input = {}) {
+        const current = await this.getSettings();
+        const requested = { ...current };
+        for (const field of FIELDS) {
+            if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+                requested[field] = input[field];
+            }
+        }
+
+        const errors = [];
+        const port = Number(requested.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            errors.push('Port must be a whole number from 1 to 65535');
+        }
+
+        const protocol = String(requested.protocol).toLowerCase();
+        if (!PROTOCOLS.includes(protocol)) {
+            errors.push(`Protocol must be ${PROTOCOLS.join(' or ')}`);
+        }
+
+        let subnet = null;
+        try {
+            subnet = new Subnet(String(requested.subnet), String(requested.netmask));
+        } catch (error) {
+            errors.push('Subnet and netmask must be an IPv4 network such as 10.8.0.0 and 255.255.255.0, no smaller than /30');
+        }
+        if (subnet) {
+            errors.push(...await this.checkSubnet(subnet, String(requested.subnet).trim()));
+        }
+
+        const maxClients = Number(requested.maxClients);
+        // The network, broadcast and server addresses are not available to clients
+        const available = subnet ? subnet.broadcastInt - subnet.networkInt - 2 : null;
+        if (!Number.isInteger(maxClients) || maxClients < 1) {
+            errors.push('Max clients must be a whole number of at least 1');
+        } else if (available !== null && maxClients > available) {
+            errors.push(`Max clients must be at most ${available} for a /${subnet.prefixLength} subnet`);
+        }
+
+        if (errors.length > 0) {
+            const error = ServerSettings.createSettingsError(errors.join('; '), 'INVALID_SERVER_SETTINGS');
+            error.details = errors;
+            throw error;
+        }
+
+        return { port, protocol, subnet: subnet.network, netmask: Subnet.intToIp(subnet.maskInt), maxClients };
+    }
+
+    async checkSubnet(subnet, requestedNetwork) {
+        const errors = [];
+        if (subnet.network !== requestedNetwork) {
+            errors.push(`Subnet must be the network address: ${subnet.network} for netmask ${subnet.netmask}`);
+        }
+        const inside = ([network, prefix]) => {
+            const range = new Subnet(network, ServerSettings.prefixToNetmask(prefix));
+            return subnet.networkInt >= range.networkInt && subnet.broadcastInt <= range.broadcastInt;
+        };
+        if (!PRIVATE_RANGES.some(inside)) {
+            errors.push(`${subnet.toCIDR()} is not a private network (10.0.0.0/8, 172.16.0.0/12, 192.168.0.0/16 or 100.64.0.0/10)`);
+        }
+
+        const wireguard = this.config.wireguard;
+        if (wireguard && wireguard.enabled && ServerSettings.rangesOverlap(subnet, new Subnet(wireguard.subnet, wireguard.netmask))) {
+            errors.push(`${subnet.toCIDR()} overlaps the WireGuard subnet ${wireguard.subnet}/${Subnet.netmaskToPrefix(wireguard.netmask)}`);
+        }
+
+        if (this.clientConfigDir) {
+            // Static addresses must stay in the reserved range, which moves with the subnet
+            const range = subnet.clientRanges(this.clientConfigDir.staticAddresses).static;
+            const inRange = address => range !== null &&
+                Subnet.ipToInt(address) >= Subnet.ipToInt(range.first) && Subnet.ipToInt(address) <= Subnet.ipToInt(range.last);
+            for (const [name, address] of await this.clientConfigDir.getStaticAddresses()) {
+                if (!inRange(address)) {
+                    const where = range ? `${range.first}-${range.last}` : `${subnet.toCIDR()}, which is too small to reserve any`;
+                    errors.push(`'${name}' has the static address ${address}, outside the static range ${where}; change or clear it first`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * server.conf as OpenVPNSecurityConfig generates it for these settings
+     */
+    render(settings) {
+        // Pushed DNS follows the new subnet's gateway, not the one in config.vpn
+        const target = { ...this.config, vpn: { ...this.config.vpn, ...settings } };
+        return this.securityConfig.generateHardenedConfig(this.config.certificates.dir, {
+            ...settings,
+            dnsServers: getClientDnsServers(target),
+            dns6Servers: getClientDns6Servers(target),
+            searchDomain: getDnsZoneDomain(target),
+            ...(this.logDir ? { logDir: this.logDir } : {})
+        });
+    }
+
+    /**
+     * What applying the requested values would change, without writing anything
+     * @returns {Promise<Object>} { settings, changes, diff, changed, affectsProfiles, restartRequired }
+     */
+    async preview(input) {
+        const settings = await this.validate(input);
+        const current = await this.getSettings();
+        const installed = await this.readFile(this.configPath);
+        const proposed = this.render(settings);
+
+        return {
+            settings,
+            ...ServerSettings.describeChanges(current, settings),
+            diff: ServerSettings.unifiedDiff(installed || '', proposed, {
+                oldLabel: installed === null ? '/dev/null' : this.configPath,
+                newLabel: this.configPath
+            }),
+            changed: installed !== proposed
+        };
+    }
+
+    /**
+     * Regenerate and write server.conf, keeping the replaced file for rollback
+     * @returns {Promise<Object>} { settings, changes, diff, affectsProfiles, restartRequired }
+     */
+    apply(input, username) {
+        return this.withChangeLock(async () => {
+            const current = await this.getSettings();
+            const settings = await this.validate(input);
+            const installed = await this.readFile(this.configPath);
+            const proposed = this.render(settings);
+
+            if (installed !== null) {
+                await this.writeAtomic(this.previousPath, installed);
+            }
+            await this.writeAtomic(this.configPath, proposed);
+
+            this.data.previous = installed !== null
+                ? { settings: current, appliedAt: this.data.appliedAt, appliedBy: this.data.appliedBy }
+                : null;
+            this.data.settings = settings;
+            this.data.appliedAt = new Date().toISOString();
+            this.data.appliedBy = username || null;
+            await this.save();
+            this.applyToConfig(settings);
+            await this.rebindDnsFilter();
+
+            this.logger.info('Server config regenerated', { path: this.configPath, settings, username });
+            return {
+                settings,
+                ...ServerSettings.describeChanges(current, settings),
+                diff: ServerSettings.unifiedDiff(installed || '', proposed, { oldLabel: this.previousPath, newLabel: this.configPath })
+            };
+        });
+    }
+
+    /**
+     * Put the previous server.conf back; the replaced one becomes the previous version
+     */
+    rollback(username) {
+        return this.withChangeLock(async () => {
+            const restoredText = this.data.previous ? await this.readFile(this.previousPath) : null;
+            if (restoredText === null) {
+                throw ServerSettings.createSettingsError('There is no previous server config to roll back to', 'NO_PREVIOUS_VERSION');
+            }
+
+            const current = await this.getSettings();
+            const installed = await this.readFile(this.configPath);
+            const restored = this.data.previous;
+
+            await this.writeAtomic(this.configPath, restoredText);
+            if (installed !== null) {
+                await this.writeAtomic(this.previousPath, installed);
+            }
+
+            this.data.previous = { settings: current, appliedAt: this.data.appliedAt, appliedBy: this.data.appliedBy };
+            this.data.settings = restored.settings;
+            this.data.appliedAt = new Date().toISOString();
+            this.data.appliedBy = username || null;
+            await this.save();
+            this.applyToConfig(restored.settings);
+            await this.rebindDnsFilter();
+
+            this.logger.info('Server config rolled back', { path: this.configPath, settings: restored.settings, username });
+            return {
+                settings: restored.settings,
+                ...ServerSettings.describeChanges(current, restored.settings),
+                diff: ServerSettings.unifiedDiff(installed || '', restoredText, { oldLabel: this.previousPath, newLabel: this.configPath })
+            };
+        });
+    }
+
+    /**
+     * Make new profiles, static addresses and firewall scripts follow the applied settings
+     */
+    applyToConfig(settings) {
+        Object.assign(this.config.vpn, settings);
+        if (this.clientConfigDir) {
+            this.clientConfigDir.subnet = new Subnet(settings.subnet, settings.netmask);
+        }
+    }
+
+    /**
+     * Move the DNS forwarder to the applied gateway; a failed bind is logged and keeps the change
+     */
+    async rebindDnsFilter() {
+        if (!this.dnsFilter) {
+            return;
+        }
+
+        try {
+            await this.dnsFilter.rebind(getDnsFilterAddress(this.config));
+        } catch (error) {
+            this.logger.error('Failed to move the DNS forwarder to the new gateway', { error: error.message });
+        }
+    }
+
+    async readFile(file) {
+        try {
+            return await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write through a temp file and rename, so OpenVPN never reads a half-written config
+     */
+    async writeAtomic(file, content) {
+        const tempFile = `${file}.${process.pid}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            await fs.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Persist settings to disk atomically (temp file + rename)
+     */
+    save() {
+        const write = async () => {
+            this.data.lastModified = new Date().toISOString();
+            try {
+                await this.writeAtomic(this.storeFile, JSON.stringify(this.data, null, 2));
+            } catch (error) {
+                this.logger.error('Failed to save server settings', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                throw error;
+            }
+        };
+
+        const result = this.writeQueue.then(write);
+        // Keep the queue alive even if this write failed
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    withChangeLock(change) {
+        const result = this.changeQueue.then(() => this.initialize()).then(change);
+        // Keep the queue alive even if this change failed
+        this.changeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Start-up: override config.vpn with the settings applied from the web interface
+     * Synchronous so everything constructed afterwards sees the applied values.
+     */
+    static applyStoredSettings(config, storeFile) {
+        try {
+            const data = JSON.parse(fsSync.readFileSync(storeFile, 'utf8'));
+            if (data.settings) {
+                Object.assign(config.vpn, data.settings);
+            }
+            return data.settings || null;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    static fromVpnConfig(vpn) {
+        return {
+            port: vpn.port,
+            protocol: vpn.protocol,
+            subnet: vpn.subnet,
+            netmask: vpn.netmask,
+            maxClients: vpn.maxClients || 100
+        };
+    }
+
+    /**
+     * Changed fields; profiles embed the port and protocol, so those need new downloads
+     */
+    static describeChanges(from, to) {
+        const changes = FIELDS
+            .filter(field => from[field] !== to[field])
+            .map(field => ({ field, from: from[field], to: to[field] }));
+        return {
+            changes,
+            affectsProfiles: changes.some(change => ['port', 'protocol'].includes(change.field)),
+            restartRequired: changes.some(change => RESTART_FIELDS.includes(change.field))
+        };
+    }
+
+    static rangesOverlap(a, b) {
+        return a.networkInt <= b.broadcastInt && b.networkInt <= a.broadcastInt;
+    }
+
+    static prefixToNetmask(prefix) {
+        return Subnet.intToIp(prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0);
+    }
+
+    /**
+     * Line diff in unified format (diff -u), empty when the texts are equal
+     * @param {Object} [options] - { context, oldLabel, newLabel }
+     */
+    static unifiedDiff(oldText, newText, options = {}) {
+        const context = options.context === undefined ? 3 : options.context;
+        const toLines = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+        const a = toLines(oldText);
+        const b = toLines(newText);
+
+        // Longest common subsequence, filled from the end so the walk below runs forwards
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        // Each operation records how many old and new lines come before it
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                ops.push({ type: ' ', text: a[i], oldIndex: i++, newIndex: j++ });
+            } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+                ops.push({ type: '-', text: a[i], oldIndex: i++, newIndex: j });
+            } else {
+                ops.push({ type: '+', text: b[j], oldIndex: i, newIndex: j++ });
+            }
+        }
+
+        const hunks = [];
+        ops.forEach((op, index) => {
+            if (op.type === ' ') {
+                return;
+            }
+            const start = Math.max(0, index - context);
+            const end = Math.min(ops.length - 1, index + context);
+            const last = hunks[hunks.length - 1];
+            if (last && start <= last.end + 1) {
+                last.end = end;
+            } else {
+                hunks.push({ start, end });
+            }
+        });
+        if (hunks.length === 0) {
+            return '';
+        }
+
+        const lines = [`--- ${options.oldLabel || 'a'}`, `+++ ${options.newLabel || 'b'}`];
+        for (const { start, end } of hunks) {
+            const hunk = ops.slice(start, end + 1);
+            const oldCount = hunk.filter(op => op.type !== '+').length;
+            const newCount = hunk.filter(op => op.type !== '-').length;
+            // An empty side is numbered by the line before it, as diff -u does
+            const oldStart = hunk[0].oldIndex + (oldCount > 0 ? 1 : 0);
+            const newStart = hunk[0].newIndex + (newCount > 0 ? 1 : 0);
+            lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+            lines.push(...hunk.map(op => `${op.type}${op.text}`));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    static createSettingsError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+ServerSettings.FIELDS = FIELDS;
+
+module.exports = ServerSettings;
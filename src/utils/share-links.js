@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * Signed share links that let a family member download a profile without an account
+ * Links are stored in a JSON file next to the certificate registry so they can be listed
+ * and revoked; the token is `<id>.<HMAC signature>` with a key kept in a separate file.
+ * PINs are stored as bcrypt hashes and a link locks after too many wrong PINs.
+ */
+class ShareLinkStore {
+    /**
+     * @param {Object} options - { storeFile, keyFile, maxPinAttempts, now }
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.storeFile = options.storeFile || path.join(process.cwd(), 'certificates', 'share-links.json');
+        this.keyFile = options.keyFile || path.join(path.dirname(this.storeFile), 'share-links.key');
+        this.maxPinAttempts = options.maxPinAttempts || 5;
+        this.now = options.now || (() => Date.now());
+        this.data = null;
+        this.key = null;
+        this.initPromise = null;
+
+        // Serialize changes so a link cannot be used more often than allowed by parallel requests
+        this.changeQueue = Promise.resolve();
+        this.writeQueue = Promise.resolve();
+    }
+
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.load().catch(error => {
+                // Allow a later call to retry after a failed load
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async load() {
+        this.key = await this.loadKey();
+
+        try {
+            this.data = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+            this.data.links = this.data.links || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load share links', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                throw error;
+            }
+
+            this.data = {
+                version: '1.0.0',
+                created: new Date(this.now()).toISOString(),
+                links: {}
+            };
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Load the signing key, generating it on first use
+     */
+    async loadKey() {
+        try {
+            return Buffer.from((await fs.readFile(this.keyFile, 'utf8')).trim(), 'hex');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+
+            const key = crypto.randomBytes(32);
+            await fs.mkdir(path.dirname(this.keyFile), { recursive: true });
+            await fs.writeFile(this.keyFile, `${key.toString('hex')}\n`, { mode: 0o600, flag: 'wx' });
+            this.logger.info('Generated share link signing key', { path: this.keyFile });
+            return key;
+        }
+    }
+
+    /**
+     * Create a share link
+     * @param {string} clientName - Certificate the link downloads
+     * @param {Object} options - { createdBy, expiresAt (ms), maxDownloads, pin, format }
+     * @returns {Promise<{link: Object, token: string}>}
+     */
+    create(clientName, options = {}) {
+        return this.withChangeLock(async () => {
+            const { createdBy, expiresAt, maxDownloads, pin, format } = options;
+
+            if (!Number.isFinite(expiresAt) || expiresAt <= this.now()) {
+                throw ShareLinkStore.createShareLinkError('Expiry must be in the future', 'INVALID_SHARE_LINK_OPTIONS');
+            }
+            if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+                throw ShareLinkStore.createShareLinkError('Maximum downloads must be a positive whole number', 'INVALID_SHARE_LINK_OPTIONS');
+            }
+            if (pin !== undefined && pin !== null && pin !== '' && !PIN_PATTERN.test(pin)) {
+                throw ShareLinkStore.createShareLinkError('PIN must be 4 to 8 digits', 'INVALID_SHARE_LINK_OPTIONS');
+            }
+
+            const id = crypto.randomBytes(9).toString('base64url');
+            const record = {
+                id,
+                clientName,
+                format: format || null,
+                createdBy: createdBy || null,
+                createdAt: new Date(this.now()).toISOString(),
+                expiresAt: new Date(expiresAt).toISOString(),
+                maxDownloads,
+                downloads: 0,
+                pinHash: pin ? await bcrypt.hash(pin, 10) : null,
+                failedPinAttempts: 0
+            };
+
+            this.data.links[id] = record;
+            await this.save();
+
+            return { link: this.toPublic(record), token: this.getToken(record) };
+        });
+    }
+
+    /**
+     * Links, newest first, optionally for one certificate
+     */
+    async list({ clientName } = {}) {
+        await this.initialize();
+        return Object.values(this.data.links)
+            .filter(record => !clientName || record.clientName === clientName)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(record => this.toPublic(record));
+    }
+
+    async get(id) {
+        await this.initialize();
+        const record = this.data.links[id];
+        return record ? this.toPublic(record) : null;
+    }
+
+    /**
+     * Check a token without using it up
+     * @returns {Promise<Object>} The link; throws SHARE_LINK_* errors when it cannot be used
+     */
+    async inspect(token) {
+        await this.initialize();
+        return this.toPublic(this.findUsable(token));
+    }
+
+    /**
+     * Use a link once, checking the PIN when the link has one
+     * @returns {Promise<Object>} The link after counting the download
+     */
+    redeem(token, { pin } = {}) {
+        return this.withChangeLock(async () => {
+            const record = this.findUsable(token);
+
+            if (record.pinHash) {
+                if (!pin) {
+                    throw ShareLinkStore.createShareLinkError('A PIN is required for this link', 'SHARE_LINK_PIN_REQUIRED', record);
+                }
+
+                if (!PIN_PATTERN.test(String(pin)) || !(await bcrypt.compare(String(pin), record.pinHash))) {
+                    record.failedPinAttempts = (record.failedPinAttempts || 0) + 1;
+
+                    if (record.failedPinAttempts >= this.maxPinAttempts) {
+                        record.revokedAt = new Date(this.now()).toISOString();
+                        record.revokedReason = 'too_many_pin_attempts';
+                        await this.save();
+                        throw ShareLinkStore.createShareLinkError('Too many wrong PINs; the link has been disabled', 'SHARE_LINK_LOCKED', record);
+                    }
+
+                    await this.save();
+                    throw ShareLinkStore.createShareLinkError('Incorrect PIN', 'SHARE_LINK_PIN_INVALID', record);
+                }
+            }
+
+            record.downloads += 1;
+            record.failedPinAttempts = 0;
+            record.lastUsedAt = new Date(this.now()).toISOString();
+            await this.save();
+
+            return this.toPublic(record);
+        });
+    }
+
+    /**
+     * Revoke a single link
+     * @returns {Promise<Object|null>} The revoked link, or null if it does not exist
+     */
+    revoke(id, revokedBy) {
+        return this.withChangeLock(async () => {
+            const record = this.data.links[id];
+            if (!record) {
+                return null;
+            }
+
+            if (!record.revokedAt) {
+                record.revokedAt = new Date(this.now()).toISOString();
+                record.revokedBy = revokedBy || null;
+                await this.save();
+            }
+            return this.toPublic(record);
+        });
+    }
+
+    /**
+     * Revoke every active link for a certificate, e.g. when the certificate itself is revoked
+     * @returns {Promise<number>} Number of links revoked
+     */
+    revokeClient(clientName, revokedBy) {
+        return this.withChangeLock(async () => {
+            const revokedAt = new Date(this.now()).toISOString();
+            let revoked = 0;
+
+            for (const record of Object.values(this.data.links)) {
+                if (record.clientName === clientName && !record.revokedAt) {
+                    record.revokedAt = revokedAt;
+                    record.revokedBy = revokedBy || null;
+                    revoked++;
+                }
+            }
+
+            if (revoked > 0) {
+                await this.save();
+            }
+            return revoked;
+        });
+    }
+
+    /**
+     * Resolve a token to its stored record, rejecting forged, revoked, expired and used-up links
+     */
+    findUsable(token) {
+        const [id, signature] = String(token).split('.');
+        const record = id && Object.prototype.hasOwnProperty.call(this.data.links, id) ? this.data.links[id] : null;
+
+        if (!record || !signature || !this.hasValidSignature(record, signature)) {
+            throw ShareLinkStore.createShareLinkError('Share link is not valid', 'SHARE_LINK_INVALID');
+        }
+
+        const status = this.getStatus(record);
+        if (status !== 'active') {
+            const messages = {
+                revoked: 'Share link has been revoked',
+                expired: 'Share link has expired',
+                exhausted: 'Share link has already been used'
+            };
+            throw ShareLinkStore.createShareLinkError(messages[status], `SHARE_LINK_${status.toUpperCase()}`, record);
+        }
+
+        return record;
+    }
+
+    getToken(record) {
+        return `${record.id}.${this.sign(record)}`;
+    }
+
+    // The signature covers the fields that decide what the link hands out and until when
+    sign(record) {
+        return crypto.createHmac('sha256', this.key)
+            .update(`${record.id}:${record.clientName}:${record.format || ''}:${record.expiresAt}`)
+            .digest('base64url');
+    }
+
+    hasValidSignature(record, signature) {
+        const expected = Buffer.from(this.sign(record));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    getStatus(record) {
+        if (record.revokedAt) {
+            return 'revoked';
+        }
+        if (Date.parse(record.expiresAt) <= this.now()) {
+            return 'expired';
+        }
+        if (record.downloads >= record.maxDownloads) {
+            return 'exhausted';
+        }
+        return 'active';
+    }
+
+    /**
+     * Link without its PIN hash; active links include the token so the URL can be shown again
+     */
+    toPublic(record) {
+        const { pinHash, failedPinAttempts, ...link } = record;
+        const status = this.getStatus(record);
+
+        return {
+            ...link,
+            pinProtected: Boolean(pinHash),
+            remainingDownloads: Math.max(record.maxDownloads - record.downloads, 0),
+            status,
+            token: status === 'active' ? this.getToken(record) : undefined
+        };
+    }
+
+    /**
+     * Persist links to disk atomically (temp file + rename)
+     */
+    save() {
+        const write = async () => {
+            this.data.lastModified = new Date(this.now()).toISOString();
+            const content = JSON.stringify(this.data, null, 2);
+            const tempFile = `${this.storeFile}.${process.pid}.tmp`;
+
+            try {
+                await fs.mkdir(path.dirname(this.storeFile), { recursive: true });
+                await fs.writeFile(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+                await fs.rename(tempFile, this.storeFile);
+            } catch (error) {
+                this.logger.error('Failed to save share links', {
+                    error: error.message,
+                    path: this.storeFile
+                });
+                await fs.unlink(tempFile).catch(() => {});
+                throw error;
+            }
+        };
+
+        const result = this.writeQueue.then(write);
+        // Keep the queue alive even if this write failed
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    withChangeLock(change) {
+        const result = this.changeQueue.then(() => this.initialize()).then(change);
+        // Keep the queue alive even if this change failed
+        this.changeQueue = result.catch(() => {});
+        return result;
+    }
+
+    static createShareLinkError(message, code, record) {
+        const error = new Error(message);
+        error.code = code;
+        if (record) {
+            error.clientName = record.clientName;
+            error.linkId = record.id;
+        }
+        return error;
+    }
+}
+
+ShareLinkStore.PIN_PATTERN = PIN_PATTERN;
+
+module.exports = ShareLinkStore;
@@ -0,0 +1,133 @@
+/**
+ * IPv4 subnet arithmetic for address allocation inside the VPN networks
+ */
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+class Subnet {
+    /**
+     * @param {string} network - Network address (e.g. 10.8.0.0)
+     * @param {string} netmask - Dotted netmask (e.g. 255.255.255.0)
+     */
+    constructor(network, netmask) {
+        const networkInt = Subnet.ipToInt(network);
+        const maskInt = Subnet.ipToInt(netmask);
+
+        if (networkInt === null || maskInt === null) {
+            throw Subnet.createSubnetError(`Invalid subnet ${network}/${netmask}`);
+        }
+
+        this.prefixLength = Subnet.netmaskToPrefix(netmask);
+        if (this.prefixLength === null || this.prefixLength > 30) {
+            throw Subnet.createSubnetError(`Invalid netmask ${netmask}`);
+        }
+
+        this.maskInt = maskInt;
+        this.networkInt = (networkInt & maskInt) >>> 0;
+        this.broadcastInt = (this.networkInt | (~maskInt >>> 0)) >>> 0;
+        this.network = Subnet.intToIp(this.networkInt);
+        this.netmask = netmask;
+    }
+
+    /**
+     * First usable host address, conventionally the server's own address
+     */
+    get firstHost() {
+        return Subnet.intToIp(this.networkInt + 1);
+    }
+
+    get lastHost() {
+        return Subnet.intToIp(this.broadcastInt - 1);
+    }
+
+    /**
+     * Whether the address is a usable host (not the network or broadcast address)
+     */
+    containsHost(ip) {
+        const value = Subnet.ipToInt(ip);
+        return value !== null && value > this.networkInt && value < this.broadcastInt;
+    }
+
+    /**
+     * Lowest free host address, skipping the server address and anything in use
+     * @param {Iterable<string>} used - Addresses already taken
+     * @returns {string|null} Free address, or null when the subnet is full
+     */
+    nextFreeHost(used = []) {
+        const taken = new Set(Array.from(used, ip => Subnet.ipToInt(ip)));
+        taken.add(this.networkInt + 1);
+
+        for (let value = this.networkInt + 2; value < this.broadcastInt; value++) {
+            if (!taken.has(value)) {
+                return Subnet.intToIp(value);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Split the client addresses into a reserved static range and OpenVPN's dynamic pool
+     * Static addresses follow the server's own address; the pool takes the rest, so a static
+     * client's address is never handed to another device while it is offline.
+     * @param {number} staticCount - Addresses to reserve, at most half of the client addresses
+     * @returns {Object} { static: { first, last } or null, pool: { first, last } }
+     */
+    clientRanges(staticCount) {
+        const clientHosts = this.broadcastInt - this.networkInt - 2;
+        const reserved = Math.min(Math.max(staticCount || 0, 0), Math.floor(clientHosts / 2));
+        const staticFirst = this.networkInt + 2;
+        const poolFirst = staticFirst + reserved;
+
+        return {
+            static: reserved > 0
+                ? { first: Subnet.intToIp(staticFirst), last: Subnet.intToIp(poolFirst - 1) }
+                : null,
+            pool: { first: Subnet.intToIp(poolFirst), last: this.lastHost }
+        };
+    }
+
+    toCIDR() {
+        return `${this.network}/${this.prefixLength}`;
+    }
+
+    static ipToInt(ip) {
+        const match = IPV4_PATTERN.exec(typeof ip === 'string' ? ip.trim() : '');
+        if (!match) {
+            return null;
+        }
+
+        const octets = match.slice(1).map(Number);
+        if (octets.some(octet => octet > 255)) {
+            return null;
+        }
+        return octets.reduce((value, octet) => (value * 256) + octet, 0);
+    }
+
+    static intToIp(value) {
+        return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+    }
+
+    /**
+     * Prefix length of a contiguous netmask, or null if the mask has gaps
+     */
+    static netmaskToPrefix(netmask) {
+        const value = Subnet.ipToInt(netmask);
+        if (value === null) {
+            return null;
+        }
+
+        const bits = value.toString(2).padStart(32, '0');
+        if (!/^1*0*$/.test(bits)) {
+            return null;
+        }
+        return bits.includes('0') ? bits.indexOf('0') : 32;
+    }
+
+    static createSubnetError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_SUBNET';
+        return error;
+    }
+}
+
+module.exports = Subnet;
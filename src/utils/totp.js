@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor web login
+ */
+class TotpUtils {
+    constructor(options = {}) {
+        this.issuer = options.issuer || process.env.TOTP_ISSUER || 'Family VPN';
+        this.step = options.step || 30;
+        this.digits = options.digits || 6;
+        // Accept codes from one step before/after to tolerate clock drift
+        this.window = options.window !== undefined ? options.window : 1;
+    }
+
+    /**
+     * Generate a new random shared secret
+     * @param {number} bytes - Secret length in bytes (RFC 4226 recommends 160 bits)
+     * @returns {string} Base32 encoded secret
+     */
+    generateSecret(bytes = 20) {
+        return TotpUtils.base32Encode(crypto.randomBytes(bytes));
+    }
+
+    /**
+     * Calculate the code for a secret at a given time
+     * @param {string} secret - Base32 encoded secret
+     * @param {number} time - Unix time in milliseconds
+     * @returns {string} Zero-padded code
+     */
+    generateCode(secret, time = Date.now()) {
+        return this.generateCodeForCounter(secret, this.getCounter(time));
+    }
+
+    /**
+     * HOTP (RFC 4226) for a specific counter value
+     */
+    generateCodeForCounter(secret, counter) {
+        const key = TotpUtils.base32Decode(secret);
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % (10 ** this.digits)).padStart(this.digits, '0');
+    }
+
+    /**
+     * Time step counter for a timestamp
+     */
+    getCounter(time = Date.now()) {
+        return Math.floor(time / 1000 / this.step);
+    }
+
+    /**
+     * Verify a code against a secret
+     * @param {string} secret - Base32 encoded secret
+     * @param {string} code - Code entered by the user
+     * @param {Object} options - { time, lastUsedCounter }
+     * @returns {number|null} Matching counter, or null when the code is invalid or was already used
+     */
+    verify(secret, code, options = {}) {
+        const normalized = String(code || '').replace(/\s+/g, '');
+        if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+            return null;
+        }
+
+        const current = this.getCounter(options.time || Date.now());
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const counter = current + offset;
+
+            // Reject replays of a code that was already accepted
+            if (options.lastUsedCounter !== undefined && options.lastUsedCounter !== null &&
+                counter <= options.lastUsedCounter) {
+                continue;
+            }
+
+            const expected = this.generateCodeForCounter(secret, counter);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return counter;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the otpauth:// URI used by authenticator apps (and encoded in the QR code)
+     * @param {string} secret - Base32 encoded secret
+     * @param {string} accountName - Username shown in the authenticator app
+     * @returns {string} Provisioning URI
+     */
+    buildProvisioningUri(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.step)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Generate one-time recovery codes (formatted as xxxxx-xxxxx)
+     * @param {number} count - Number of codes
+     * @returns {string[]} Plain recovery codes
+     */
+    generateRecoveryCodes(count = 10) {
+        return Array.from({ length: count }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    /**
+     * Hash a recovery code for storage
+     */
+    hashRecoveryCode(code) {
+        const normalized = String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * RFC 4648 base32 encoding without padding
+     */
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * RFC 4648 base32 decoding (case-insensitive, ignores padding and spaces)
+     */
+    static base32Decode(input) {
+        const cleaned = String(input || '').toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character '${char}'`);
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = TotpUtils;
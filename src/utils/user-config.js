@@ -2,6 +2,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const PasswordUtils = require('./password-utils');
+const AccessControl = require('./access-control');
+const TotpUtils = require('./totp');
 
 /**
  * User configuration management for web interface admin credentials
@@ -12,6 +14,7 @@ class UserConfigManager {
         this.configDir = configDir || process.env.VPN_CONFIG_DIR || path.join(process.env.HOME || process.env.USERPROFILE, '.privatevpn', 'config');
         this.userConfigFile = path.join(this.configDir, 'web-users.json');
         this.passwordUtils = new PasswordUtils();
+        this.totpUtils = new TotpUtils();
     }
 
     /**
@@ -26,7 +29,11 @@ class UserConfigManager {
             try {
                 await fs.access(this.userConfigFile);
                 this.logger.info('User configuration file found', { path: this.userConfigFile });
+                await this.ensureEnvironmentAdmin();
             } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
                 // File doesn't exist, create default configuration
                 await this.createDefaultUserConfig();
             }
@@ -57,22 +64,12 @@ class UserConfigManager {
         };
 
         // Check if admin user is configured via environment variables
-        const envUsername = process.env.WEB_ADMIN_USERNAME || process.env.VPN_USERNAME;
-        const envPasswordHash = process.env.WEB_ADMIN_PASSWORD_HASH || process.env.VPN_PASSWORD_HASH;
+        const envAdmin = this.getEnvironmentAdmin();
 
-        if (envUsername && envPasswordHash) {
-            defaultConfig.users[envUsername] = {
-                username: envUsername,
-                passwordHash: envPasswordHash,
-                role: 'admin',
-                created: new Date().toISOString(),
-                lastLogin: null,
-                loginCount: 0,
-                isActive: true,
-                source: 'environment'
-            };
+        if (envAdmin) {
+            defaultConfig.users[envAdmin.username] = envAdmin;
             
-            this.logger.info('Admin user configured from environment variables', { username: envUsername });
+            this.logger.info('Admin user configured from environment variables', { username: envAdmin.username });
         } else {
             this.logger.warn('No admin user configured. Use createAdminUser() to set up initial admin.');
         }
@@ -81,6 +78,52 @@ class UserConfigManager {
         this.logger.info('Default user configuration created', { path: this.userConfigFile });
     }
 
+    /**
+     * Build admin user record from environment variables, if configured
+     */
+    getEnvironmentAdmin() {
+        const envUsername = process.env.WEB_ADMIN_USERNAME || process.env.VPN_USERNAME;
+        const envPasswordHash = process.env.WEB_ADMIN_PASSWORD_HASH || process.env.VPN_PASSWORD_HASH;
+
+        if (!envUsername || !envPasswordHash) {
+            return null;
+        }
+
+        return {
+            username: envUsername,
+            passwordHash: envPasswordHash,
+            role: 'admin',
+            created: new Date().toISOString(),
+            lastLogin: null,
+            loginCount: 0,
+            isActive: true,
+            source: 'environment'
+        };
+    }
+
+    /**
+     * Seed an empty user store with the environment admin so existing
+     * deployments keep working after switching to the user store
+     */
+    async ensureEnvironmentAdmin() {
+        const config = await this.loadUserConfig();
+
+        if (Object.keys(config.users || {}).length > 0) {
+            return false;
+        }
+
+        const envAdmin = this.getEnvironmentAdmin();
+        if (!envAdmin) {
+            return false;
+        }
+
+        config.users = { [envAdmin.username]: envAdmin };
+        await this.saveUserConfig(config);
+
+        this.logger.info('Admin user imported from environment variables', { username: envAdmin.username });
+        return true;
+    }
+
     /**
      * Load user configuration from file
      */
@@ -127,17 +170,22 @@ class UserConfigManager {
         try {
             // Validate inputs
             if (!username || typeof username !== 'string' || username.trim().length === 0) {
-                throw new Error('Username is required and must be a non-empty string');
+                throw this.createUserError('Username is required and must be a non-empty string', 'INVALID_INPUT');
             }
 
             if (!password || typeof password !== 'string') {
-                throw new Error('Password is required and must be a string');
+                throw this.createUserError('Password is required and must be a string', 'INVALID_INPUT');
             }
 
             // Validate password strength
             const passwordValidation = this.passwordUtils.validatePasswordStrength(password);
             if (!passwordValidation.isValid) {
-                throw new Error(`Password validation failed: ${passwordValidation.feedback.join(', ')}`);
+                throw this.createUserError(`Password validation failed: ${passwordValidation.feedback.join(', ')}`, 'WEAK_PASSWORD');
+            }
+
+            const role = options.role || AccessControl.ROLES.ADMIN;
+            if (!AccessControl.isValidRole(role)) {
+                throw this.createUserError(`Invalid role '${role}'. Expected one of: ${AccessControl.VALID_ROLES.join(', ')}`, 'INVALID_ROLE');
             }
 
             // Load current configuration
@@ -146,7 +194,7 @@ class UserConfigManager {
             // Check if user already exists
             if (config.users[username]) {
                 if (!options.overwrite) {
-                    throw new Error(`User '${username}' already exists. Use overwrite option to replace.`);
+                    throw this.createUserError(`User '${username}' already exists. Use overwrite option to replace.`, 'USER_EXISTS');
                 }
                 this.logger.warn('Overwriting existing user', { username });
             }
@@ -158,7 +206,7 @@ class UserConfigManager {
             config.users[username] = {
                 username: username.trim(),
                 passwordHash,
-                role: options.role || 'admin',
+                role,
                 created: new Date().toISOString(),
                 lastLogin: null,
                 loginCount: 0,
@@ -195,45 +243,38 @@ class UserConfigManager {
     }
 
     /**
-     * Authenticate user
+     * Authenticate user by password; the login is counted by recordLogin once every factor passed
      */
     async authenticateUser(username, password) {
         try {
             const config = await this.loadUserConfig();
-            const user = config.users[username];
+            const user = this.findUser(config, username);
 
             if (!user) {
-                throw new Error('Invalid credentials');
+                throw this.createUserError('Invalid credentials', 'INVALID_CREDENTIALS');
             }
 
-            if (!user.isActive) {
-                throw new Error('User account is disabled');
-            }
-
-            // Verify password
+            // Verify password before revealing account state
             const isValidPassword = await this.passwordUtils.verifyPassword(password, user.passwordHash);
             if (!isValidPassword) {
-                throw new Error('Invalid credentials');
+                throw this.createUserError('Invalid credentials', 'INVALID_CREDENTIALS');
             }
 
-            // Update login information
-            user.lastLogin = new Date().toISOString();
-            user.loginCount = (user.loginCount || 0) + 1;
-
-            await this.saveUserConfig(config);
+            if (!user.isActive) {
+                throw this.createUserError('User account is disabled', 'USER_DISABLED');
+            }
 
-            this.logger.info('User authenticated successfully', { 
-                username,
-                loginCount: user.loginCount 
-            });
+            // Login bookkeeping waits for the second factor (recordLogin)
+            this.logger.info('User password verified', { username });
 
             return {
                 success: true,
                 user: {
                     username: user.username,
-                    role: user.role,
+                    role: AccessControl.normalizeRole(user.role),
                     lastLogin: user.lastLogin,
-                    loginCount: user.loginCount
+                    loginCount: user.loginCount,
+                    totpEnabled: this.isTotpEnabled(user)
                 }
             };
 
@@ -246,6 +287,81 @@ class UserConfigManager {
         }
     }
 
+    /**
+     * Count a completed login, after the password and any second factor were accepted
+     */
+    async recordLogin(username) {
+        try {
+            const config = await this.loadUserConfig();
+            const user = this.findUser(config, username);
+
+            if (!user) {
+                throw this.createUserError('User not found', 'USER_NOT_FOUND');
+            }
+
+            user.lastLogin = new Date().toISOString();
+            user.loginCount = (user.loginCount || 0) + 1;
+
+            await this.saveUserConfig(config);
+
+            this.logger.info('User authenticated successfully', {
+                username,
+                loginCount: user.loginCount
+            });
+
+            return { lastLogin: user.lastLogin, loginCount: user.loginCount };
+
+        } catch (error) {
+            this.logger.error('Failed to record login', {
+                error: error.message,
+                username
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Look up a user record by name (ignores inherited object properties)
+     */
+    findUser(config, username) {
+        if (typeof username !== 'string' || !Object.prototype.hasOwnProperty.call(config.users, username)) {
+            return null;
+        }
+        return config.users[username];
+    }
+
+    /**
+     * Create user store error with a machine-readable code
+     */
+    createUserError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Get a single user (without sensitive data)
+     */
+    async getUser(username) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user) {
+            return null;
+        }
+
+        return {
+            username: user.username,
+            role: AccessControl.normalizeRole(user.role),
+            created: user.created,
+            lastLogin: user.lastLogin,
+            loginCount: user.loginCount || 0,
+            isActive: user.isActive,
+            source: user.source || 'config-file',
+            totpEnabled: this.isTotpEnabled(user)
+        };
+    }
+
     /**
      * Change user password
      */
@@ -305,12 +421,13 @@ class UserConfigManager {
             
             const users = Object.values(config.users).map(user => ({
                 username: user.username,
-                role: user.role,
+                role: AccessControl.normalizeRole(user.role),
                 created: user.created,
                 lastLogin: user.lastLogin,
                 loginCount: user.loginCount || 0,
                 isActive: user.isActive,
-                source: user.source || 'config-file'
+                source: user.source || 'config-file',
+                totpEnabled: this.isTotpEnabled(user)
             }));
 
             return users;
@@ -320,16 +437,54 @@ class UserConfigManager {
         }
     }
 
+    /**
+     * Change user role
+     */
+    async setUserRole(username, role) {
+        try {
+            if (!AccessControl.isValidRole(role)) {
+                throw this.createUserError(`Invalid role '${role}'. Expected one of: ${AccessControl.VALID_ROLES.join(', ')}`, 'INVALID_ROLE');
+            }
+
+            const config = await this.loadUserConfig();
+            const user = this.findUser(config, username);
+
+            if (!user) {
+                throw this.createUserError('User not found', 'USER_NOT_FOUND');
+            }
+
+            const previousRole = AccessControl.normalizeRole(user.role);
+            user.role = role;
+
+            await this.saveUserConfig(config);
+
+            this.logger.info('User role changed', { username, previousRole, role });
+
+            return {
+                success: true,
+                username,
+                role
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to change user role', { 
+                error: error.message,
+                username 
+            });
+            throw error;
+        }
+    }
+
     /**
      * Disable user account
      */
     async disableUser(username) {
         try {
             const config = await this.loadUserConfig();
-            const user = config.users[username];
+            const user = this.findUser(config, username);
 
             if (!user) {
-                throw new Error('User not found');
+                throw this.createUserError('User not found', 'USER_NOT_FOUND');
             }
 
             user.isActive = false;
@@ -359,10 +514,10 @@ class UserConfigManager {
     async enableUser(username) {
         try {
             const config = await this.loadUserConfig();
-            const user = config.users[username];
+            const user = this.findUser(config, username);
 
             if (!user) {
-                throw new Error('User not found');
+                throw this.createUserError('User not found', 'USER_NOT_FOUND');
             }
 
             user.isActive = true;
@@ -386,6 +541,276 @@ class UserConfigManager {
         }
     }
 
+    /**
+     * Reset user password without the current password (administrator action)
+     */
+    async resetPassword(username, newPassword, options = {}) {
+        try {
+            if (!newPassword || typeof newPassword !== 'string') {
+                throw this.createUserError('Password is required and must be a string', 'WEAK_PASSWORD');
+            }
+
+            const passwordValidation = this.passwordUtils.validatePasswordStrength(newPassword);
+            if (!passwordValidation.isValid) {
+                throw this.createUserError(`Password validation failed: ${passwordValidation.feedback.join(', ')}`, 'WEAK_PASSWORD');
+            }
+
+            const config = await this.loadUserConfig();
+            const user = this.findUser(config, username);
+
+            if (!user) {
+                throw this.createUserError('User not found', 'USER_NOT_FOUND');
+            }
+
+            user.passwordHash = await this.passwordUtils.hashPassword(newPassword);
+            user.passwordChanged = new Date().toISOString();
+            user.metadata = {
+                ...user.metadata,
+                passwordStrength: passwordValidation.strength,
+                passwordResetBy: options.resetBy || 'system'
+            };
+
+            await this.saveUserConfig(config);
+
+            this.logger.info('User password reset', { username, resetBy: options.resetBy || 'system' });
+
+            return {
+                success: true,
+                message: 'Password reset successfully'
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to reset user password', { 
+                error: error.message,
+                username 
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete user account
+     */
+    async deleteUser(username) {
+        try {
+            const config = await this.loadUserConfig();
+            const user = this.findUser(config, username);
+
+            if (!user) {
+                throw this.createUserError('User not found', 'USER_NOT_FOUND');
+            }
+
+            delete config.users[username];
+
+            await this.saveUserConfig(config);
+
+            this.logger.info('User account deleted', { username });
+
+            return {
+                success: true,
+                message: 'User account deleted successfully'
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to delete user', { 
+                error: error.message,
+                username 
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether two-factor authentication is active for a user record
+     */
+    isTotpEnabled(user) {
+        return Boolean(user && user.totp && user.totp.enabled);
+    }
+
+    /**
+     * Start TOTP enrollment: store a pending secret until the user confirms a code
+     */
+    async beginTotpEnrollment(username) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user) {
+            throw this.createUserError('User not found', 'USER_NOT_FOUND');
+        }
+
+        if (this.isTotpEnabled(user)) {
+            throw this.createUserError('Two-factor authentication is already enabled', 'TOTP_ALREADY_ENABLED');
+        }
+
+        const secret = this.totpUtils.generateSecret();
+        user.totp = {
+            enabled: false,
+            pendingSecret: secret,
+            pendingSince: new Date().toISOString()
+        };
+
+        await this.saveUserConfig(config);
+
+        this.logger.info('TOTP enrollment started', { username });
+
+        return {
+            secret,
+            provisioningUri: this.totpUtils.buildProvisioningUri(secret, username)
+        };
+    }
+
+    /**
+     * Finish TOTP enrollment with a code from the authenticator app
+     * @returns {Promise<Object>} Plain recovery codes (shown to the user once)
+     */
+    async confirmTotpEnrollment(username, code) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user) {
+            throw this.createUserError('User not found', 'USER_NOT_FOUND');
+        }
+
+        if (!user.totp || !user.totp.pendingSecret) {
+            throw this.createUserError('No pending two-factor enrollment', 'TOTP_NOT_PENDING');
+        }
+
+        const counter = this.totpUtils.verify(user.totp.pendingSecret, code);
+        if (counter === null) {
+            throw this.createUserError('Invalid verification code', 'INVALID_TOTP');
+        }
+
+        const recoveryCodes = this.totpUtils.generateRecoveryCodes();
+        user.totp = {
+            enabled: true,
+            secret: user.totp.pendingSecret,
+            enabledAt: new Date().toISOString(),
+            lastUsedCounter: counter,
+            recoveryCodes: recoveryCodes.map(recoveryCode => this.totpUtils.hashRecoveryCode(recoveryCode))
+        };
+
+        await this.saveUserConfig(config);
+
+        this.logger.info('TOTP enabled', { username });
+
+        return {
+            success: true,
+            recoveryCodes
+        };
+    }
+
+    /**
+     * Verify the second login factor (TOTP code or one-time recovery code)
+     */
+    async verifySecondFactor(username, code) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user || !this.isTotpEnabled(user)) {
+            throw this.createUserError('Two-factor authentication is not enabled', 'TOTP_NOT_ENABLED');
+        }
+
+        const counter = this.totpUtils.verify(user.totp.secret, code, {
+            lastUsedCounter: user.totp.lastUsedCounter
+        });
+
+        if (counter !== null) {
+            user.totp.lastUsedCounter = counter;
+            await this.saveUserConfig(config);
+            return { success: true, method: 'totp' };
+        }
+
+        const codeHash = this.totpUtils.hashRecoveryCode(code);
+        const recoveryCodes = user.totp.recoveryCodes || [];
+        const index = recoveryCodes.findIndex(stored =>
+            this.passwordUtils.timingSafeEqual(stored, codeHash));
+
+        if (index === -1) {
+            throw this.createUserError('Invalid verification code', 'INVALID_TOTP');
+        }
+
+        // Recovery codes are single use
+        recoveryCodes.splice(index, 1);
+        user.totp.recoveryCodes = recoveryCodes;
+        await this.saveUserConfig(config);
+
+        this.logger.warn('Recovery code used for login', {
+            username,
+            remainingRecoveryCodes: recoveryCodes.length
+        });
+
+        return {
+            success: true,
+            method: 'recovery-code',
+            remainingRecoveryCodes: recoveryCodes.length
+        };
+    }
+
+    /**
+     * Replace all recovery codes
+     */
+    async regenerateRecoveryCodes(username) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user || !this.isTotpEnabled(user)) {
+            throw this.createUserError('Two-factor authentication is not enabled', 'TOTP_NOT_ENABLED');
+        }
+
+        const recoveryCodes = this.totpUtils.generateRecoveryCodes();
+        user.totp.recoveryCodes = recoveryCodes.map(recoveryCode => this.totpUtils.hashRecoveryCode(recoveryCode));
+
+        await this.saveUserConfig(config);
+
+        this.logger.info('TOTP recovery codes regenerated', { username });
+
+        return {
+            success: true,
+            recoveryCodes
+        };
+    }
+
+    /**
+     * Turn off two-factor authentication for a user
+     */
+    async disableTotp(username) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user) {
+            throw this.createUserError('User not found', 'USER_NOT_FOUND');
+        }
+
+        delete user.totp;
+        await this.saveUserConfig(config);
+
+        this.logger.info('TOTP disabled', { username });
+
+        return {
+            success: true,
+            message: 'Two-factor authentication disabled'
+        };
+    }
+
+    /**
+     * Get two-factor authentication status for a user
+     */
+    async getTotpStatus(username) {
+        const config = await this.loadUserConfig();
+        const user = this.findUser(config, username);
+
+        if (!user) {
+            throw this.createUserError('User not found', 'USER_NOT_FOUND');
+        }
+
+        return {
+            enabled: this.isTotpEnabled(user),
+            pending: Boolean(user.totp && user.totp.pendingSecret),
+            enabledAt: user.totp ? user.totp.enabledAt : undefined,
+            remainingRecoveryCodes: this.isTotpEnabled(user) ? (user.totp.recoveryCodes || []).length : 0
+        };
+    }
+
     /**
      * Get user configuration settings
      */
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+/**
+ * WireGuard key generation and configuration file rendering
+ * Keys are Curve25519 (X25519) and use WireGuard's base64 encoding, so no `wg` binary is needed
+ */
+
+// PKCS#8 / SPKI prefixes for raw 32-byte X25519 keys
+const PRIVATE_KEY_DER_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const PUBLIC_KEY_DER_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const KEY_PATTERN = /^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw048]=$/;
+
+class WireGuardConfig {
+    /**
+     * Generate an X25519 key pair
+     * @returns {Object} { privateKey, publicKey } as base64
+     */
+    static generateKeyPair() {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
+
+        return {
+            privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).subarray(PRIVATE_KEY_DER_PREFIX.length).toString('base64'),
+            publicKey: publicKey.export({ type: 'spki', format: 'der' }).subarray(PUBLIC_KEY_DER_PREFIX.length).toString('base64')
+        };
+    }
+
+    /**
+     * Derive the public key from a base64 private key (same result as `wg pubkey`)
+     */
+    static getPublicKey(privateKey) {
+        if (!WireGuardConfig.isValidKey(privateKey)) {
+            throw WireGuardConfig.createKeyError('Invalid WireGuard private key');
+        }
+
+        const key = crypto.createPrivateKey({
+            key: Buffer.concat([PRIVATE_KEY_DER_PREFIX, Buffer.from(privateKey, 'base64')]),
+            format: 'der',
+            type: 'pkcs8'
+        });
+
+        return crypto.createPublicKey(key)
+            .export({ type: 'spki', format: 'der' })
+            .subarray(PUBLIC_KEY_DER_PREFIX.length)
+            .toString('base64');
+    }
+
+    /**
+     * Random 256-bit preshared key (same format as `wg genpsk`)
+     */
+    static generatePresharedKey() {
+        return crypto.randomBytes(32).toString('base64');
+    }
+
+    static isValidKey(key) {
+        return typeof key === 'string' && KEY_PATTERN.test(key);
+    }
+
+    /**
+     * Server interface configuration for wg-quick
+     * @param {Object} options - { privateKey, address, listenPort, postUp, postDown, peers }
+     *   where each peer is { name, publicKey, presharedKey, address }
+     */
+    static renderServerConfig(options) {
+        const lines = [
+            '# WireGuard server configuration',
+            '# Generated by Family VPN Server - changes are overwritten when peers are added or revoked',
+            '',
+            '[Interface]',
+            `Address = ${options.address}`,
+            `ListenPort = ${options.listenPort}`,
+            `PrivateKey = ${options.privateKey}`
+        ];
+
+        for (const command of options.postUp || []) {
+            lines.push(`PostUp = ${command}`);
+        }
+        for (const command of options.postDown || []) {
+            lines.push(`PostDown = ${command}`);
+        }
+
+        for (const peer of options.peers || []) {
+            lines.push(
+                '',
+                `# ${peer.name}`,
+                '[Peer]',
+                `PublicKey = ${peer.publicKey}`
+            );
+            if (peer.presharedKey) {
+                lines.push(`PresharedKey = ${peer.presharedKey}`);
+            }
+            lines.push(`AllowedIPs = ${peer.address}/32`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Client (peer) configuration, importable by the WireGuard apps
+     * @param {Object} options - { name, privateKey, address, dns, serverPublicKey, presharedKey,
+     *   endpoint, allowedIPs, persistentKeepalive }
+     */
+    static renderClientConfig(options) {
+        const lines = [
+            `# WireGuard configuration for ${options.name}`,
+            `# Generated by Family VPN Server on ${new Date().toISOString()}`,
+            '',
+            '[Interface]',
+            `PrivateKey = ${options.privateKey}`,
+            `Address = ${options.address}/32`
+        ];
+
+        if (options.dns && options.dns.length > 0) {
+            lines.push(`DNS = ${options.dns.join(', ')}`);
+        }
+
+        lines.push(
+            '',
+            '[Peer]',
+            `PublicKey = ${options.serverPublicKey}`
+        );
+        if (options.presharedKey) {
+            lines.push(`PresharedKey = ${options.presharedKey}`);
+        }
+        lines.push(
+            `Endpoint = ${options.endpoint}`,
+            `AllowedIPs = ${options.allowedIPs}`
+        );
+        if (options.persistentKeepalive) {
+            lines.push(`PersistentKeepalive = ${options.persistentKeepalive}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Drop wg-quick-only settings so the result can be loaded with `wg syncconf`
+     */
+    static stripConfig(content) {
+        const wgQuickOnly = /^\s*(Address|DNS|MTU|Table|PreUp|PostUp|PreDown|PostDown|SaveConfig)\s*=/i;
+        return content.split('\n').filter(line => !wgQuickOnly.test(line)).join('\n');
+    }
+
+    static createKeyError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_WIREGUARD_KEY';
+        return error;
+    }
+}
+
+module.exports = WireGuardConfig;
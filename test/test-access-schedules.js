@@ -0,0 +1,248 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const AccessSchedule = require('../src/utils/access-schedule');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const { main: runClientAccessHook } = require('../scripts/client-access');
+
+/**
+ * Test weekly access schedules for devices
+ */
+async function testAccessSchedules() {
+    console.log('🧪 Testing Access Schedules...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-access-schedules');
+    const registryFile = path.join(testDir, 'certificate-registry.json');
+
+    // Monday 19 October 2026 and the days around it, in local time
+    const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    /**
+     * Build an app with stubbed Easy-RSA calls; the session user comes from test headers
+     */
+    async function createApp() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile,
+            indexFile: path.join(testDir, 'index.txt')
+        });
+
+        // Both devices are online
+        const killed = [];
+        const management = {
+            isConnected: () => true,
+            getStatus: async () => ({
+                clients: [
+                    { commonName: 'kids-tablet', realIP: '203.0.113.5', virtualAddress: '10.8.0.20', connectedSince: new Date() },
+                    { commonName: 'moms-phone', realIP: '203.0.113.6', virtualAddress: '10.8.0.21', connectedSince: new Date() }
+                ]
+            }),
+            killClient: async name => {
+                killed.push(name);
+                return { killed: 1 };
+            }
+        };
+
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' }
+        }, { registry, management });
+        routes.registryReady = Promise.resolve();
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {};
+
+        for (const name of ['moms-phone', 'kids-tablet']) {
+            await fs.writeFile(path.join(testDir, `${name}.ovpn`), 'client\n');
+            await registry.set(name, { name, status: 'active', createdBy: 'mom', assignedTo: [] });
+        }
+        await registry.set('dads-laptop', { name: 'dads-laptop', status: 'active', backend: 'wireguard', address: '10.9.0.2' });
+
+        const events = [];
+        routes.logCertificateEvent = (event, name, username, clientIP, meta) => events.push({ event, name, meta });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: true,
+                username: req.get('x-test-user') || 'root',
+                role: req.get('x-test-role') || 'admin',
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, routes, registry, events, killed };
+    }
+
+    function setSchedule(app, name, schedule, role = 'admin') {
+        return request(app)
+            .post(`/certificates/schedule/${name}`)
+            .set('x-test-role', role)
+            .send({ csrfToken: 'test-csrf-token', schedule });
+    }
+
+    // Test 1: Text form
+    await runTest('Read and write schedules in their text form', async () => {
+        const schedule = AccessSchedule.normalize('Mon-Fri 7:00-20:00; sat,SUN 09:00-22:30');
+        assert.deepStrictEqual(schedule.windows, [
+            { days: [1, 2, 3, 4, 5], start: '07:00', end: '20:00' },
+            { days: [0, 6], start: '09:00', end: '22:30' }
+        ]);
+        assert.strictEqual(AccessSchedule.format(schedule), 'Mon-Fri 07:00-20:00; Sat-Sun 09:00-22:30');
+        assert.strictEqual(AccessSchedule.format(AccessSchedule.normalize('Fri-Mon 10:00-24:00')), 'Mon,Fri-Sun 10:00-24:00');
+        assert.strictEqual(AccessSchedule.format(AccessSchedule.normalize({ windows: [{ days: [7, 1, 2, 3, 4, 5, 6], start: '0:00', end: '12:00' }] })), 'Daily 00:00-12:00');
+
+        assert.strictEqual(AccessSchedule.normalize(''), null);
+        assert.strictEqual(AccessSchedule.normalize(null), null);
+
+        for (const input of ['Funday 07:00-08:00', 'Mon 7-8', 'Mon 25:00-26:00', 'Mon 07:60-08:00', { windows: [] }, { windows: [{ days: [], start: '07:00', end: '08:00' }] }]) {
+            assert.throws(
+                () => AccessSchedule.normalize(input),
+                error => error.code === 'INVALID_ACCESS_SCHEDULE',
+                `${JSON.stringify(input)} should be rejected`
+            );
+        }
+    });
+
+    // Test 2: Time checks
+    await runTest('Allow connections only inside the windows, including overnight ones', async () => {
+        const schoolDays = AccessSchedule.normalize('Mon-Fri 07:00-20:00');
+        assert.strictEqual(AccessSchedule.isAllowed(schoolDays, at(19, 7, 0)), true);
+        assert.strictEqual(AccessSchedule.isAllowed(schoolDays, at(19, 19, 59)), true);
+        assert.strictEqual(AccessSchedule.isAllowed(schoolDays, at(19, 20, 0)), false, 'the end time is exclusive');
+        assert.strictEqual(AccessSchedule.isAllowed(schoolDays, at(18, 12, 0)), false, 'Sunday is not listed');
+
+        // Saturday 23:00 until Sunday 01:00 crosses the end of the week
+        const lateSaturday = AccessSchedule.normalize('Sat 23:00-01:00');
+        assert.strictEqual(AccessSchedule.isAllowed(lateSaturday, at(24, 23, 30)), true);
+        assert.strictEqual(AccessSchedule.isAllowed(lateSaturday, at(25, 0, 30)), true);
+        assert.strictEqual(AccessSchedule.isAllowed(lateSaturday, at(25, 1, 0)), false);
+        assert.strictEqual(AccessSchedule.isAllowed(lateSaturday, at(18, 0, 30)), true, 'same rule the week before');
+
+        assert.strictEqual(AccessSchedule.isAllowed(null, at(19, 3, 0)), true, 'no schedule means no limits');
+    });
+
+    // Test 3: Connect hook
+    await runTest('Refuse connections outside the schedule in the client-connect hook', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(registryFile, JSON.stringify({
+            certificates: { 'kids-tablet': { schedule: AccessSchedule.normalize('Mon-Fri 07:00-20:00') } }
+        }));
+
+        const argv = ['connect', '--registry', registryFile, '--groups', path.join(testDir, 'access-groups.json')];
+        const env = { common_name: 'kids-tablet', ifconfig_pool_remote_ip: '10.8.0.20' };
+        const applied = [];
+        const runIptables = async args => {
+            applied.push(args);
+        };
+
+        assert.strictEqual(await runClientAccessHook(argv, env, { runIptables, logger: mockLogger, now: () => at(19, 21, 0) }), 1);
+        assert.ok(!applied.some(args => args[0] === '-I'), 'no rules are added for a refused client');
+
+        assert.strictEqual(await runClientAccessHook(argv, env, { runIptables, logger: mockLogger, now: () => at(19, 8, 0) }), 0);
+        assert.ok(applied.some(args => args[0] === '-I'));
+
+        const other = { common_name: 'moms-phone', ifconfig_pool_remote_ip: '10.8.0.21' };
+        assert.strictEqual(await runClientAccessHook(argv, other, { runIptables, logger: mockLogger, now: () => at(19, 21, 0) }), 0);
+    });
+
+    // Test 4: API
+    await runTest('Set and clear schedules through the API', async () => {
+        const { app, registry, events } = await createApp();
+
+        const set = await setSchedule(app, 'kids-tablet', 'Mon-Fri 07:00-20:00; Sat-Sun 09:00-21:00');
+        assert.strictEqual(set.status, 200);
+        assert.strictEqual(set.body.certificate.scheduleText, 'Mon-Fri 07:00-20:00; Sat-Sun 09:00-21:00');
+        assert.strictEqual((await registry.get('kids-tablet')).schedule.windows.length, 2);
+        assert.strictEqual(events[events.length - 1].event, 'SCHEDULE_SET');
+
+        const list = await request(app).get('/certificates/list');
+        const entry = list.body.certificates.find(cert => cert.name === 'kids-tablet');
+        assert.strictEqual(entry.scheduleText, 'Mon-Fri 07:00-20:00; Sat-Sun 09:00-21:00');
+        assert.strictEqual(typeof entry.withinSchedule, 'boolean');
+        assert.strictEqual(list.body.certificates.find(cert => cert.name === 'moms-phone').schedule, null);
+
+        assert.strictEqual((await setSchedule(app, 'kids-tablet', 'Mon 7-8')).status, 400);
+        assert.strictEqual((await setSchedule(app, 'dads-laptop', 'Mon 07:00-08:00')).status, 409);
+        assert.strictEqual((await setSchedule(app, 'nobody', 'Mon 07:00-08:00')).status, 404);
+        assert.strictEqual((await setSchedule(app, 'kids-tablet', '', 'member')).status, 403);
+
+        const cleared = await setSchedule(app, 'kids-tablet', '');
+        assert.strictEqual(cleared.status, 200);
+        assert.strictEqual(cleared.body.certificate.schedule, null);
+        assert.strictEqual((await registry.get('kids-tablet')).schedule, null);
+        assert.strictEqual(events[events.length - 1].event, 'SCHEDULE_REMOVED');
+    });
+
+    // Test 5: Enforcement job
+    await runTest('Disconnect sessions that run past the end of their window', async () => {
+        const { routes, registry, events, killed } = await createApp();
+        await registry.update('kids-tablet', { schedule: AccessSchedule.normalize('Mon-Fri 07:00-20:00') });
+
+        assert.deepStrictEqual(await routes.enforceAccessSchedules(at(19, 19, 0)), []);
+        assert.deepStrictEqual(killed, []);
+
+        const results = await routes.enforceAccessSchedules(at(19, 20, 1));
+        assert.deepStrictEqual(results, [{ name: 'kids-tablet', status: 'disconnected', sessions: 1 }]);
+        assert.deepStrictEqual(killed, ['kids-tablet'], 'devices without a schedule stay connected');
+        assert.strictEqual(events[events.length - 1].event, 'SCHEDULE_DISCONNECT');
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Access Schedule Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Access Schedule Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testAccessSchedules().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testAccessSchedules;
@@ -0,0 +1,259 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+
+/**
+ * Test persistent certificate registry
+ */
+async function testCertificateRegistry() {
+    console.log('🧪 Testing Certificate Registry...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-registry');
+    const registryFile = path.join(testDir, 'certificate-registry.json');
+    const indexFile = path.join(testDir, 'index.txt');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    async function resetTestDir() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+    }
+
+    const indexContent = [
+        'V\t350101000000Z\t\t01\tunknown\t/CN=server',
+        'V\t270315120000Z\t\t02\tunknown\t/CN=anna-laptop',
+        'R\t270316120000Z\t250320093000Z,keyCompromise\t03\tunknown\t/CN=old-phone',
+        'R\t270317120000Z\t250321093000Z\t04\tunknown\t/CN=bob-tablet',
+        'V\t270418120000Z\t\t05\tunknown\t/CN=bob-tablet',
+        ''
+    ].join('\n');
+
+    // Test 1: Parse index dates
+    await runTest('Parse Easy-RSA index dates', async () => {
+        assert.strictEqual(CertificateRegistry.parseIndexDate('270315120000Z'), '2027-03-15T12:00:00.000Z');
+        assert.strictEqual(CertificateRegistry.parseIndexDate('991231235959Z'), '1999-12-31T23:59:59.000Z');
+        assert.strictEqual(CertificateRegistry.parseIndexDate('20500101000000Z'), '2050-01-01T00:00:00.000Z');
+        assert.strictEqual(CertificateRegistry.parseIndexDate(''), null);
+        assert.strictEqual(CertificateRegistry.parseIndexDate('garbage'), null);
+    });
+
+    // Test 2: Parse index lines
+    await runTest('Parse Easy-RSA index lines', async () => {
+        const revoked = CertificateRegistry.parseIndexLine('R\t270316120000Z\t250320093000Z,keyCompromise\t03\tunknown\t/CN=old-phone');
+        assert.strictEqual(revoked.name, 'old-phone');
+        assert.strictEqual(revoked.status, 'revoked');
+        assert.strictEqual(revoked.serialNumber, '03');
+        assert.strictEqual(revoked.revokedAt, '2025-03-20T09:30:00.000Z');
+
+        const active = CertificateRegistry.parseIndexLine('V\t270315120000Z\t\t02\tunknown\t/C=US/CN=anna-laptop');
+        assert.strictEqual(active.name, 'anna-laptop');
+        assert.strictEqual(active.status, 'active');
+        assert.strictEqual(active.revokedAt, undefined);
+
+        assert.strictEqual(CertificateRegistry.parseIndexLine(''), null);
+        assert.strictEqual(CertificateRegistry.parseIndexLine('not an index line'), null);
+    });
+
+    // Test 3: Rebuild from index on first start
+    await runTest('Rebuild registry from index.txt on first start', async () => {
+        await resetTestDir();
+        await fs.writeFile(indexFile, indexContent);
+
+        const registry = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        await registry.initialize();
+
+        const records = await registry.list();
+        assert.strictEqual(records.length, 4, 'Should import one record per common name');
+
+        const oldPhone = await registry.get('old-phone');
+        assert.strictEqual(oldPhone.status, 'revoked');
+        assert.strictEqual(oldPhone.source, 'easy-rsa-index');
+
+        const bobTablet = await registry.get('bob-tablet');
+        assert.strictEqual(bobTablet.status, 'active', 'Reissued certificate should win over revoked one');
+        assert.strictEqual(bobTablet.serialNumber, '05');
+
+        const stats = await fs.stat(registryFile);
+        assert(stats.isFile(), 'Registry file should be written after rebuild');
+    });
+
+    // Test 4: Missing index starts empty
+    await runTest('Missing index.txt yields empty registry', async () => {
+        await resetTestDir();
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile,
+            indexFile: path.join(testDir, 'missing-index.txt')
+        });
+
+        const records = await registry.list();
+        assert.strictEqual(records.length, 0);
+    });
+
+    // Test 5: Records survive a restart
+    await runTest('Records persist across instances', async () => {
+        await resetTestDir();
+
+        const first = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        await first.set('john-laptop', {
+            createdAt: '2025-01-15T10:30:00.000Z',
+            createdBy: 'admin',
+            status: 'active'
+        });
+        await first.update('john-laptop', {
+            status: 'revoked',
+            revokedAt: '2025-02-01T08:00:00.000Z',
+            revokedBy: 'admin'
+        });
+
+        const second = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        const record = await second.get('john-laptop');
+
+        assert.strictEqual(record.createdBy, 'admin');
+        assert.strictEqual(record.status, 'revoked');
+        assert.strictEqual(record.revokedBy, 'admin');
+    });
+
+    // Test 6: Index is not consulted once the registry exists
+    await runTest('Existing registry is not rebuilt', async () => {
+        await resetTestDir();
+
+        const first = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        await first.set('only-entry', { status: 'active', createdBy: 'admin' });
+
+        await fs.writeFile(indexFile, indexContent);
+        const second = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        const records = await second.list();
+
+        assert.strictEqual(records.length, 1);
+        assert.strictEqual(records[0].name, 'only-entry');
+    });
+
+    // Test 7: Concurrent writes are serialized atomically
+    await runTest('Concurrent updates are serialized', async () => {
+        await resetTestDir();
+
+        const registry = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        await Promise.all(Array.from({ length: 20 }, (_, i) =>
+            registry.set(`client-${i}`, { status: 'active', createdBy: 'admin' })
+        ));
+
+        const content = JSON.parse(await fs.readFile(registryFile, 'utf8'));
+        assert.strictEqual(Object.keys(content.certificates).length, 20);
+
+        const leftovers = (await fs.readdir(testDir)).filter(file => file.endsWith('.tmp'));
+        assert.strictEqual(leftovers.length, 0, 'No temporary files should remain');
+    });
+
+    // Test 8: Updating unknown certificate fails
+    await runTest('Update of unknown certificate throws', async () => {
+        await resetTestDir();
+
+        const registry = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        await assert.rejects(() => registry.update('ghost', { status: 'revoked' }), /not found/);
+        assert.strictEqual(await registry.remove('ghost'), false);
+    });
+
+    // Only an active record keeps a name taken
+    await runTest('Revoked names can be issued again', async () => {
+        await resetTestDir();
+        const registry = new CertificateRegistry(mockLogger, { registryFile, indexFile });
+        let issued = 0;
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' }
+        }, {
+            registry,
+            backends: {
+                openvpn: {
+                    type: 'openvpn',
+                    label: 'OpenVPN',
+                    usesCertificates: true,
+                    createClient: async (name) => {
+                        issued++;
+                        await fs.writeFile(path.join(testDir, `${name}.ovpn`), `client\n# ${name} ${issued}\n`);
+                        return {};
+                    }
+                }
+            }
+        });
+
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {};
+        routes.getCertificateSerial = async () => `0${issued}`;
+        routes.getCertificateExpiry = async () => null;
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = { authenticated: true, username: 'root', role: 'admin', csrfToken: 'test-csrf-token' };
+            next();
+        });
+        app.use('/', routes.getRouter());
+        const post = (url, body = {}) => request(app).post(url).send({ ...body, csrfToken: 'test-csrf-token' });
+
+        assert.strictEqual((await post('/certificates/generate', { clientName: 'anna-phone' })).status, 201);
+        assert.strictEqual((await post('/certificates/generate', { clientName: 'anna-phone' })).status, 409);
+
+        assert.strictEqual((await post('/certificates/revoke/anna-phone')).status, 200);
+        const reissued = await post('/certificates/generate', { clientName: 'anna-phone' });
+        assert.strictEqual(reissued.status, 201, JSON.stringify(reissued.body));
+
+        const record = await registry.get('anna-phone');
+        assert.strictEqual(record.status, 'active');
+        assert.strictEqual(record.serialNumber, '02');
+        assert.strictEqual(issued, 2);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Certificate Registry Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Certificate Registry Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testCertificateRegistry().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testCertificateRegistry;
@@ -0,0 +1,273 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const express = require('express');
+const request = require('supertest');
+const OpenVPNConfigLinter = require('../src/utils/openvpn-config-linter');
+const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+const ServerConfigRoutes = require('../src/routes/server-config');
+const CertificateRoutes = require('../src/routes/certificates');
+const AuthenticationService = require('../src/services/auth-service');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Test the OpenVPN config linter, its API endpoint and npm script
+ */
+async function testConfigLint() {
+    console.log('🧪 Testing OpenVPN Config Linter...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+    const securityEvents = [];
+    const mockLoggingService = {
+        logSecurityEvent: (event) => securityEvents.push(event)
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-config-lint');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    // What the hardened server setup and the enhanced certificate manager generate today
+    const securityConfig = new OpenVPNSecurityConfig({}, mockLogger);
+    securityConfig.platform = 'linux';
+    const generatedServer = securityConfig.generateHardenedConfig('/etc/openvpn/certificates', { dnsServers: ['1.1.1.1'] });
+    const generatedClient = [
+        'client', 'dev tun', 'proto udp', 'remote vpn.example.com 1194', 'nobind', 'persist-key', 'persist-tun',
+        'compress lz4', 'verb 3', 'tls-auth [inline] 1', '<tls-auth>', 'KEY', '</tls-auth>', '<ca>', 'CA', '</ca>'
+    ].join('\n');
+
+    const cleanServer = [
+        'port 1194', 'proto udp', 'dev tun', 'tls-crypt /etc/openvpn/ta.key', 'tls-version-min 1.2',
+        'data-ciphers AES-256-GCM:AES-128-GCM', 'auth SHA256', 'user nobody', 'group nogroup',
+        'chroot /var/lib/openvpn', 'crl-verify crl.pem', 'management 127.0.0.1 7505'
+    ].join('\n');
+    const cleanClient = [
+        'client', 'dev tun', 'proto udp', 'remote vpn.example.com 1194', 'remote-cert-tls server',
+        '<tls-crypt>', 'KEY', '</tls-crypt>'
+    ].join('\n');
+
+    const rulesFound = result => result.findings.map(finding => finding.rule);
+
+    // Test 1: Parser
+    await runTest('Parse directives, quoted pushes, comments and inline blocks', async () => {
+        const parsed = OpenVPNConfigLinter.parse([
+            '# comment',
+            '; another comment',
+            'port 1194',
+            'push "dhcp-option DNS 10.8.0.1"  # trailing comment',
+            'push \'compress lz4-v2\'',
+            '<ca>',
+            '-----BEGIN CERTIFICATE-----',
+            '</ca>',
+            'Port 1195'
+        ].join('\r\n'));
+
+        assert.deepStrictEqual(parsed.directives.map(directive => [directive.name, directive.line]),
+            [['port', 3], ['push', 4], ['push', 5], ['port', 9]]);
+        assert.deepStrictEqual(parsed.get('port').args, ['1195'], 'the last occurrence applies');
+        assert.deepStrictEqual(parsed.getPushed('dhcp-option').args, ['DNS', '10.8.0.1']);
+        assert.strictEqual(parsed.getPushed('compress').line, 5);
+        assert.deepStrictEqual(parsed.blocks.ca, { line: 6, content: '-----BEGIN CERTIFICATE-----' });
+        assert.ok(parsed.has('ca'));
+        assert.deepStrictEqual(OpenVPNConfigLinter.parseLine('--remote "my host" 1194'), { name: 'remote', args: ['my host', '1194'] });
+    });
+
+    // Test 2: The generated configs
+    await runTest('Catch compression, tls-auth against tls-crypt and crl-verify outside the chroot', async () => {
+        const result = OpenVPNConfigLinter.lint({ server: generatedServer, client: generatedClient });
+        assert.strictEqual(result.passed, false);
+
+        const compression = result.findings.filter(finding => finding.rule === 'compression-enabled');
+        assert.deepStrictEqual(compression.map(finding => finding.target), ['client', 'server', 'server']);
+        assert.ok(compression.every(finding => finding.severity === 'error' && finding.category === 'security'));
+        assert.ok(generatedServer.split('\n')[compression[1].line - 1].startsWith('compress lz4-v2'), 'findings point at the line');
+
+        const wrap = result.findings.find(finding => finding.rule === 'tls-wrap-mismatch');
+        assert.strictEqual(wrap.target, 'client');
+        assert.strictEqual(wrap.line, 10);
+        assert.ok(wrap.message.includes('tls-crypt') && wrap.message.includes('tls-auth'));
+
+        const chroot = result.findings.filter(finding => finding.rule === 'chroot-file-paths');
+        assert.deepStrictEqual(chroot.map(finding => finding.message.split(' ')[0]), ['crl-verify', 'client-config-dir']);
+        assert.ok(chroot[0].message.includes('/var/empty/etc/openvpn/certificates/crl.pem'));
+
+        assert.ok(rulesFound(result).includes('duplicate-cn'));
+        assert.ok(rulesFound(result).includes('remote-cert-tls'));
+        assert.strictEqual(result.summary.error, result.findings.filter(finding => finding.severity === 'error').length);
+        assert.deepStrictEqual(result.findings.map(finding => finding.severity),
+            [...result.findings.map(finding => finding.severity)].sort((a, b) =>
+                OpenVPNConfigLinter.SEVERITIES.indexOf(a) - OpenVPNConfigLinter.SEVERITIES.indexOf(b)),
+            'errors come first');
+    });
+
+    // Test 3: Rules
+    await runTest('Pass clean configs and flag mismatches and weak settings', async () => {
+        const clean = OpenVPNConfigLinter.lint({ server: cleanServer, client: cleanClient });
+        assert.deepStrictEqual(clean.findings, []);
+        assert.strictEqual(clean.passed, true);
+
+        const mismatched = OpenVPNConfigLinter.lint({
+            server: `${cleanServer}\nport 443\nproto tcp-server\ndev tap0`,
+            client: cleanClient.replace('remote vpn.example.com 1194', 'remote vpn.example.com 1194 udp\ncipher BF-CBC')
+        });
+        assert.deepStrictEqual(rulesFound(mismatched).sort(), [
+            'cipher-mismatch', 'dev-mismatch', 'duplicate-directive', 'duplicate-directive', 'duplicate-directive',
+            'port-mismatch', 'proto-mismatch', 'weak-cipher'
+        ]);
+
+        const weak = OpenVPNConfigLinter.lint({
+            server: 'tls-auth ta.key 0\ncipher DES-CBC\nauth SHA1\nmanagement 0.0.0.0 7505\nscript-security 3\ntls-version-min 1.0\ncomp-lzo',
+            client: 'client\nremote vpn.example.com 1194\nremote-cert-tls server\ntls-auth ta.key 0\ncomp-lzo no'
+        });
+        assert.deepStrictEqual(rulesFound(weak).sort(), [
+            'compression-enabled', 'compression-mismatch', 'deprecated-directive', 'deprecated-directive', 'management-exposed',
+            'privileges-not-dropped', 'script-security', 'tls-version-min', 'tls-wrap-mismatch', 'weak-auth-digest', 'weak-cipher'
+        ]);
+        assert.ok(weak.findings.find(finding => finding.rule === 'tls-wrap-mismatch').message.includes('key direction 0'));
+
+        const serverOnly = OpenVPNConfigLinter.lint({ server: generatedServer }, { disabledRules: ['compression-enabled'] });
+        assert.ok(!rulesFound(serverOnly).includes('compression-enabled'));
+        assert.ok(serverOnly.findings.every(finding => finding.target === 'server'), 'pair rules need both configs');
+    });
+
+    /**
+     * App authenticated by bearer token; the token names the user and role unless a real
+     * authentication service is passed. The certificate routes come first, as in src/server.js
+     */
+    async function createApp(authService = null) {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'openvpn.conf'), cleanServer);
+        await fs.writeFile(path.join(testDir, 'laptop-anna.ovpn'), generatedClient);
+
+        const routes = new ServerConfigRoutes(mockLogger, mockLoggingService, null, { certificates: { dir: testDir } }, {
+            authService: authService || {
+                validateToken: async (token) => {
+                    const [username, role] = token.split(':');
+                    return { valid: true, decoded: { username, role } };
+                }
+            },
+            securityConfig,
+            serverConfigPaths: [path.join(testDir, 'missing.conf'), path.join(testDir, 'openvpn.conf')],
+            certManager: { renderClientConfig: () => cleanClient }
+        });
+
+        const app = express();
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', new CertificateRoutes(mockLogger, mockLoggingService, null, { certificates: { dir: testDir } }).getRouter());
+        app.use('/', routes.getRouter());
+        return app;
+    }
+
+    // Test 4: API
+    await runTest('Return structured findings from the API to administrators', async () => {
+        const app = await createApp();
+        const get = (url, token = 'root:admin') => request(app).get(url).set('Authorization', `Bearer ${token}`);
+
+        const clean = await get('/api/server-config/lint');
+        assert.strictEqual(clean.status, 200);
+        assert.deepStrictEqual(clean.body.server, { source: 'file', path: path.join(testDir, 'openvpn.conf') });
+        assert.deepStrictEqual(clean.body.client, { source: 'generated', name: null });
+        assert.deepStrictEqual(clean.body.summary, { error: 0, warning: 0, info: 0 });
+        assert.strictEqual(clean.body.passed, true);
+
+        const profile = await get('/api/server-config/lint?client=laptop-anna');
+        assert.strictEqual(profile.status, 200);
+        assert.strictEqual(profile.body.passed, false);
+        assert.deepStrictEqual(Object.keys(profile.body.findings[0]).sort(), ['category', 'line', 'message', 'rule', 'severity', 'target']);
+        assert.ok(profile.body.findings.some(finding => finding.rule === 'tls-wrap-mismatch' && finding.line === 10));
+
+        assert.strictEqual((await get('/api/server-config/lint?client=nobody')).status, 404);
+        assert.strictEqual((await get('/api/server-config/lint?client=../etc')).status, 400);
+        assert.strictEqual((await get('/api/server-config/lint', 'anna:member')).status, 403);
+        assert.deepStrictEqual(securityEvents, ['SERVER_CONFIG_ACCESS_DENIED']);
+    });
+
+    // Test 5: Real tokens
+    await runTest('Lint for JWT clients behind the certificate routes', async () => {
+        const authService = new AuthenticationService({ logAuthenticationEvent: () => {} }, null);
+        const { accessToken } = await authService.generateTokens('root', '127.0.0.1', 'admin');
+        const app = await createApp(authService);
+
+        const response = await request(app).get('/api/server-config/lint')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+        assert.strictEqual(response.body.passed, true);
+    });
+
+    // Test 6: npm script
+    await runTest('Report findings from the command line and fail on errors', async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        const serverFile = path.join(testDir, 'server.conf');
+        const clientFile = path.join(testDir, 'client.ovpn');
+        await fs.writeFile(serverFile, generatedServer);
+        await fs.writeFile(clientFile, generatedClient);
+        const script = path.join(__dirname, '..', 'scripts', 'lint-openvpn-config.js');
+
+        const failure = await execFileAsync('node', [script, '--server', serverFile, '--client', clientFile, '--json'])
+            .then(() => null, error => error);
+        assert.ok(failure, 'errors make the script fail');
+        assert.strictEqual(failure.code, 1);
+        const report = JSON.parse(failure.stdout);
+        assert.strictEqual(report.server, serverFile);
+        assert.ok(report.findings.some(finding => finding.rule === 'chroot-file-paths'));
+
+        await fs.writeFile(serverFile, cleanServer);
+        await fs.writeFile(clientFile, cleanClient);
+        const { stdout } = await execFileAsync('node', [script, '--server', serverFile, '--client', clientFile]);
+        assert.ok(stdout.includes('0 error(s), 0 warning(s), 0 note(s)'));
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 OpenVPN Config Linter Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 OpenVPN Config Linter Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testConfigLint().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testConfigLint;
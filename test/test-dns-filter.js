@@ -0,0 +1,400 @@
+const assert = require('assert');
+const path = require('path');
+const dgram = require('dgram');
+const net = require('net');
+const fs = require('fs').promises;
+const Blocklists = require('../src/utils/blocklists');
+const DnsMessage = require('../src/utils/dns-message');
+const DnsFilterServer = require('../src/services/dns-filter');
+const { getClientDnsServers } = require('../src/utils/dns-settings');
+
+/**
+ * Test the filtering DNS forwarder against a local stub upstream
+ */
+async function testDnsFilter() {
+    console.log('🧪 Testing DNS Filter...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-dns-filter');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function buildQuery(name, type = DnsMessage.TYPES.A, id = 0x1234) {
+        const header = Buffer.alloc(12);
+        header.writeUInt16BE(id, 0);
+        header.writeUInt16BE(0x0100, 2);
+        header.writeUInt16BE(1, 4);
+        const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+        const question = Buffer.alloc(4);
+        question.writeUInt16BE(type, 0);
+        question.writeUInt16BE(1, 2);
+        return Buffer.concat([header, ...labels, Buffer.from([0]), question]);
+    }
+
+    /**
+     * Upstream resolver on 127.0.0.1 that answers every A query with 192.0.2.1,
+     * or stays silent when asked to
+     */
+    async function startUpstream({ silent = false } = {}) {
+        const queries = [];
+        const answer = (message) => {
+            const query = DnsMessage.parseQuery(message);
+            queries.push(query.name);
+            return DnsMessage.buildResponse(message, query, DnsMessage.RCODES.NOERROR, [Buffer.from([192, 0, 2, 1])]);
+        };
+
+        const udp = dgram.createSocket('udp4');
+        udp.on('message', (message, rinfo) => {
+            if (!silent) {
+                udp.send(answer(message), rinfo.port, rinfo.address);
+            }
+        });
+        await new Promise(resolve => udp.bind(0, '127.0.0.1', resolve));
+        const port = udp.address().port;
+
+        const tcp = net.createServer(socket => {
+            socket.on('data', data => {
+                socket.write(DnsFilterServer.frame(answer(data.subarray(2))));
+            });
+        });
+        // Same port number for TCP; skip TCP if it is taken
+        await new Promise(resolve => {
+            tcp.once('error', resolve);
+            tcp.listen(port, '127.0.0.1', resolve);
+        });
+
+        return {
+            address: `127.0.0.1:${port}`,
+            queries,
+            close: () => {
+                udp.close();
+                tcp.close();
+            }
+        };
+    }
+
+    async function writeBlocklists() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'ads.txt'), [
+            '# hosts format',
+            '0.0.0.0 ads.example.com tracker.example.net',
+            '127.0.0.1 localhost',
+            '||doubleclick.test^',
+            '@@||ok.doubleclick.test^'
+        ].join('\n'));
+        await fs.writeFile(path.join(testDir, 'adult.txt'), 'adult.example.org\n');
+    }
+
+    // Test 1: List formats
+    await runTest('Parse hosts, adblock and plain domain lists', async () => {
+        const list = Blocklists.parse([
+            '! comment',
+            '0.0.0.0 Ads.Example.com tracker.example.net # inline comment',
+            '127.0.0.1 localhost',
+            '||doubleclick.test^',
+            '||ignored.test^$third-party',
+            '@@||ok.doubleclick.test^',
+            'plain.example.org',
+            'not a domain'
+        ].join('\n'));
+
+        assert.deepStrictEqual([...list.exact].sort(), ['ads.example.com', 'plain.example.org', 'tracker.example.net']);
+        assert.deepStrictEqual([...list.withSubdomains], ['doubleclick.test']);
+        assert.deepStrictEqual([...list.allowed], ['ok.doubleclick.test']);
+
+        await writeBlocklists();
+        const blocklists = new Blocklists(mockLogger, { dir: testDir });
+        assert.deepStrictEqual(await blocklists.load(), { ads: 3, adult: 1 });
+        assert.strictEqual(blocklists.match('ads.example.com', ['ads']), 'ads');
+        assert.strictEqual(blocklists.match('sub.ads.example.com', ['ads']), null, 'hosts entries do not cover subdomains');
+        assert.strictEqual(blocklists.match('x.doubleclick.test', ['ads']), 'ads');
+        assert.strictEqual(blocklists.match('ok.doubleclick.test', ['ads']), null, 'allow rules exempt a name');
+        assert.strictEqual(blocklists.match('adult.example.org', ['ads']), null, 'only the given lists apply');
+        assert.strictEqual(blocklists.match('adult.example.org', ['ads', 'adult']), 'adult');
+
+        const missing = new Blocklists(mockLogger, { dir: path.join(testDir, 'missing') });
+        assert.deepStrictEqual(await missing.load(), {});
+    });
+
+    // Test 2: Wire format
+    await runTest('Parse queries and build blocked and failure responses', async () => {
+        const query = buildQuery('Ads.Example.com', DnsMessage.TYPES.A, 0xbeef);
+        const parsed = DnsMessage.parseQuery(query);
+        assert.strictEqual(parsed.id, 0xbeef);
+        assert.strictEqual(parsed.name, 'ads.example.com');
+        assert.strictEqual(parsed.type, DnsMessage.TYPES.A);
+
+        const blocked = DnsMessage.buildBlockedResponse(query, parsed);
+        assert.strictEqual(blocked.readUInt16BE(0), 0xbeef);
+        assert.strictEqual(blocked.readUInt16BE(2) & 0x8000, 0x8000, 'QR bit is set');
+        assert.strictEqual(blocked.readUInt16BE(2) & 0x000f, DnsMessage.RCODES.NOERROR);
+        assert.strictEqual(blocked.readUInt16BE(6), 1, 'one answer');
+        assert.deepStrictEqual([...blocked.subarray(blocked.length - 4)], [0, 0, 0, 0]);
+
+        const mxQuery = buildQuery('ads.example.com', DnsMessage.TYPES.MX);
+        const nx = DnsMessage.buildBlockedResponse(mxQuery, DnsMessage.parseQuery(mxQuery));
+        assert.strictEqual(nx.readUInt16BE(2) & 0x000f, DnsMessage.RCODES.NXDOMAIN);
+        assert.strictEqual(nx.readUInt16BE(6), 0);
+
+        const servfail = DnsMessage.buildErrorResponse(query, parsed, DnsMessage.RCODES.SERVFAIL);
+        assert.strictEqual(servfail.readUInt16BE(2) & 0x000f, DnsMessage.RCODES.SERVFAIL);
+
+        for (const invalid of [Buffer.alloc(4), DnsMessage.withId(blocked, 1), query.subarray(0, 20)]) {
+            assert.throws(() => DnsMessage.parseQuery(invalid), error => error.code === 'INVALID_DNS_MESSAGE');
+        }
+    });
+
+    // Test 3: Per-group filtering
+    await runTest('Block or forward by the blocklists of the client access group', async () => {
+        await writeBlocklists();
+        const upstream = await startUpstream();
+        const groups = {
+            '10.8.0.20': { name: 'kids', blocklists: ['ads', 'adult'] },
+            '10.8.0.21': { name: 'adults', blocklists: [] }
+        };
+        const lookups = [];
+        const filter = new DnsFilterServer(mockLogger, {
+            upstream: [upstream.address],
+            blocklistDir: testDir,
+            defaultBlocklists: ['ads'],
+            resolveClient: async address => {
+                lookups.push(address);
+                return groups[address] || null;
+            }
+        });
+
+        try {
+            await filter.blocklists.load();
+            await filter.openUpstreamSocket();
+
+            const answerOf = response => [...response.subarray(response.length - 4)].join('.');
+
+            assert.strictEqual(answerOf(await filter.handleQuery(buildQuery('adult.example.org'), '10.8.0.20')), '0.0.0.0');
+            assert.strictEqual(answerOf(await filter.handleQuery(buildQuery('adult.example.org'), '10.8.0.21')), '192.0.2.1', 'an empty list turns filtering off');
+            assert.strictEqual(answerOf(await filter.handleQuery(buildQuery('ads.example.com'), '10.8.0.22')), '0.0.0.0', 'default lists for unknown clients');
+            assert.strictEqual(answerOf(await filter.handleQuery(buildQuery('adult.example.org'), '10.8.0.22')), '192.0.2.1');
+
+            const forwarded = await filter.handleQuery(buildQuery('www.example.com', DnsMessage.TYPES.A, 0x4242), '10.8.0.20');
+            assert.strictEqual(forwarded.readUInt16BE(0), 0x4242, 'the client ID is restored');
+            assert.deepStrictEqual(upstream.queries, ['adult.example.org', 'adult.example.org', 'www.example.com']);
+
+            assert.strictEqual(lookups.filter(address => address === '10.8.0.20').length, 1, 'groups are cached per address');
+            assert.strictEqual(await filter.handleQuery(Buffer.from('junk'), '10.8.0.20'), null);
+        } finally {
+            filter.stop();
+            upstream.close();
+        }
+    });
+
+    // Test 4: Upstream failure
+    await runTest('Answer SERVFAIL when no upstream responds', async () => {
+        const upstream = await startUpstream({ silent: true });
+        const filter = new DnsFilterServer(mockLogger, {
+            upstream: [upstream.address],
+            timeoutMs: 100,
+            blocklists: new Blocklists(mockLogger, { dir: path.join(testDir, 'missing') })
+        });
+
+        try {
+            await filter.openUpstreamSocket();
+            const response = await filter.handleQuery(buildQuery('www.example.com'), '10.8.0.20');
+            assert.strictEqual(response.readUInt16BE(2) & 0x000f, DnsMessage.RCODES.SERVFAIL);
+            assert.strictEqual(filter.pending.size, 0);
+            assert.strictEqual(filter.getStats().failed, 1);
+        } finally {
+            filter.stop();
+            upstream.close();
+        }
+
+        assert.throws(() => DnsFilterServer.parseServer('dns.example.com'), error => error.code === 'INVALID_DNS_UPSTREAM');
+    });
+
+    // Test 5: Sockets and stats
+    await runTest('Serve UDP and TCP clients and report aggregate stats', async () => {
+        await writeBlocklists();
+        const upstream = await startUpstream();
+        const filter = new DnsFilterServer(mockLogger, {
+            listenAddress: '127.0.0.1',
+            port: 0,
+            upstream: [upstream.address],
+            blocklistDir: testDir
+        });
+
+        try {
+            await filter.start();
+            assert.ok(filter.isListening());
+
+            const udpPort = filter.udpServer.address().port;
+            const client = dgram.createSocket('udp4');
+            const udpResponse = await new Promise((resolve, reject) => {
+                client.once('message', resolve);
+                client.once('error', reject);
+                client.send(buildQuery('tracker.example.net'), udpPort, '127.0.0.1');
+            });
+            client.close();
+            assert.strictEqual(udpResponse.readUInt16BE(6), 1);
+            assert.deepStrictEqual([...udpResponse.subarray(udpResponse.length - 4)], [0, 0, 0, 0]);
+
+            const tcpPort = filter.tcpServer.address().port;
+            const tcpResponse = await new Promise((resolve, reject) => {
+                const socket = net.createConnection({ host: '127.0.0.1', port: tcpPort }, () => {
+                    socket.write(DnsFilterServer.frame(buildQuery('tracker.example.net', DnsMessage.TYPES.AAAA)));
+                });
+                socket.once('data', data => {
+                    socket.destroy();
+                    resolve(data.subarray(2));
+                });
+                socket.once('error', reject);
+            });
+            assert.deepStrictEqual([...tcpResponse.subarray(tcpResponse.length - 16)], new Array(16).fill(0));
+
+            await filter.handleQuery(buildQuery('www.example.com'), '10.8.0.20');
+
+            const flushed = filter.flushStats();
+            assert.strictEqual(flushed.queries, 3);
+            assert.strictEqual(flushed.blocked, 2);
+            assert.strictEqual(flushed.forwarded, 1);
+            assert.deepStrictEqual(flushed.lists, { ads: 2 });
+            assert.deepStrictEqual(flushed.topBlocked, [{ domain: 'tracker.example.net', count: 2 }]);
+            assert.deepStrictEqual(flushed.types, { A: 2, AAAA: 1 });
+            assert.strictEqual(filter.getStats().queries, 0, 'flushing starts a new period');
+        } finally {
+            filter.stop();
+            upstream.close();
+        }
+        assert.ok(!filter.isListening());
+    });
+
+    // Test 6: Bind retries
+    await runTest('Stop retrying without crashing when the address comes up but the port is in use', async () => {
+        await writeBlocklists();
+        const errors = [];
+        const filter = new DnsFilterServer({ ...mockLogger, error: (message) => errors.push(message) }, {
+            listenAddress: '127.0.0.1',
+            port: 0,
+            upstream: ['127.0.0.1:53'],
+            blocklistDir: testDir,
+            bindRetryMs: 10
+        });
+        const bindErrors = ['EADDRNOTAVAIL', 'EADDRINUSE'];
+        filter.bindUdp = async () => {
+            const error = new Error(`bind ${bindErrors[0]}`);
+            error.code = bindErrors.shift();
+            throw error;
+        };
+
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            // The first failure only schedules a retry
+            await filter.start();
+            await new Promise(resolve => setTimeout(resolve, 50));
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandled);
+            filter.stop();
+        }
+
+        assert.deepStrictEqual(bindErrors, []);
+        assert.deepStrictEqual(unhandled, []);
+        assert.deepStrictEqual(errors, ['DNS forwarder failed to start', 'DNS forwarder stopped retrying']);
+        assert.ok(!filter.isListening());
+    });
+
+    // Test 7: Moving to a new gateway
+    await runTest('Rebind to a new gateway address and keep serving', async () => {
+        await writeBlocklists();
+        const upstream = await startUpstream();
+        const filter = new DnsFilterServer(mockLogger, {
+            listenAddress: '127.0.0.1',
+            port: 0,
+            upstream: [upstream.address],
+            blocklistDir: testDir
+        });
+
+        try {
+            await filter.start();
+            await filter.rebind('127.0.0.2');
+            assert.strictEqual(filter.udpServer.address().address, '127.0.0.2');
+            assert.strictEqual(filter.tcpServer.address().address, '127.0.0.2');
+
+            const client = dgram.createSocket('udp4');
+            const response = await new Promise((resolve, reject) => {
+                client.once('message', resolve);
+                client.once('error', reject);
+                client.send(buildQuery('tracker.example.net'), filter.udpServer.address().port, '127.0.0.2');
+            });
+            client.close();
+            assert.strictEqual(response.readUInt16BE(6), 1);
+        } finally {
+            filter.stop();
+            upstream.close();
+        }
+
+        // A stopped forwarder only remembers the address for its next start
+        await filter.rebind('127.0.0.3');
+        assert.strictEqual(filter.options.listenAddress, '127.0.0.3');
+        assert.ok(!filter.isListening());
+    });
+
+    // Test 8: Pushed resolvers
+    await runTest('Push the gateway resolver to clients only when filtering is on', async () => {
+        const config = { vpn: { subnet: '10.8.0.0', netmask: '255.255.255.0' }, dns: { filter: { enabled: false } } };
+        assert.deepStrictEqual(getClientDnsServers(config), ['1.1.1.1', '1.0.0.1']);
+
+        config.dns.filter.enabled = true;
+        assert.deepStrictEqual(getClientDnsServers(config), ['10.8.0.1']);
+
+        config.dns.filter.listenAddress = '10.8.0.53';
+        assert.deepStrictEqual(getClientDnsServers(config), ['10.8.0.53']);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 DNS Filter Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 DNS Filter Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testDnsFilter().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testDnsFilter;
@@ -0,0 +1,310 @@
+const assert = require('assert');
+const path = require('path');
+const tls = require('tls');
+const https = require('https');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const express = require('express');
+const request = require('supertest');
+const DnsProviders = require('../src/utils/dns-providers');
+const DnsMessage = require('../src/utils/dns-message');
+const DnsFilterServer = require('../src/services/dns-filter');
+const Blocklists = require('../src/utils/blocklists');
+const AccessGroups = require('../src/utils/access-groups');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const NetworkSecurityManager = require('../src/utils/network-security');
+const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+const {
+    getClientDnsServers,
+    getClientDns6Servers,
+    getDnsUpstreams,
+    getWireGuardDnsServers,
+    getAllowedDnsServers,
+    validateDnsConfig
+} = require('../src/utils/dns-settings');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Test DNS providers: presets, derived configuration, per-group overrides and encrypted upstreams
+ */
+async function testDnsProviders() {
+    console.log('🧪 Testing DNS Providers...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-dns-providers');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function buildQuery(name, type = DnsMessage.TYPES.A, id = 0x1234) {
+        const header = Buffer.alloc(12);
+        header.writeUInt16BE(id, 0);
+        header.writeUInt16BE(0x0100, 2);
+        header.writeUInt16BE(1, 4);
+        const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+        const question = Buffer.alloc(4);
+        question.writeUInt16BE(type, 0);
+        question.writeUInt16BE(1, 2);
+        return Buffer.concat([header, ...labels, Buffer.from([0]), question]);
+    }
+
+    function answer(message, address) {
+        return DnsMessage.buildResponse(message, DnsMessage.parseQuery(message), DnsMessage.RCODES.NOERROR, [Buffer.from(address)]);
+    }
+
+    /**
+     * Self-signed certificate for dns.test and 127.0.0.1
+     */
+    async function createCertificate() {
+        const keyFile = path.join(testDir, 'dns.key');
+        const certFile = path.join(testDir, 'dns.crt');
+        await execFileAsync('openssl', [
+            'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+            '-keyout', keyFile, '-out', certFile, '-days', '1', '-subj', '/CN=dns.test',
+            '-addext', 'subjectAltName=DNS:dns.test,IP:127.0.0.1'
+        ]);
+        return { key: await fs.readFile(keyFile), cert: await fs.readFile(certFile) };
+    }
+
+    // Test 1: Presets and validation
+    await runTest('Resolve presets and validate custom providers', async () => {
+        const quad9 = DnsProviders.resolve({ provider: 'quad9' });
+        assert.deepStrictEqual(quad9.ipv4, ['9.9.9.9', '149.112.112.112']);
+        assert.strictEqual(DnsProviders.resolve({}).name, 'cloudflare');
+        assert.ok(DnsProviders.list().some(preset => preset.name === 'cloudflare-family'));
+
+        const custom = DnsProviders.resolve({ provider: 'custom', servers: ['192.168.1.1', 'FD00::1'], tlsName: 'DNS.Home.Example' });
+        assert.deepStrictEqual([custom.ipv4, custom.ipv6, custom.tlsName], [['192.168.1.1'], ['fd00::1'], 'dns.home.example']);
+
+        const invalid = error => error.code === 'INVALID_DNS_CONFIG';
+        assert.throws(() => DnsProviders.resolve({ provider: 'google' }), invalid);
+        assert.throws(() => DnsProviders.resolve({ provider: 'custom' }), invalid);
+        assert.throws(() => DnsProviders.resolve({ provider: 'custom', servers: ['dns.example.com'] }), invalid);
+        assert.throws(() => DnsProviders.resolve({ provider: 'custom', servers: ['fd00::1'] }), invalid, 'IPv6 alone is not enough');
+        assert.throws(() => DnsProviders.resolve({ provider: 'custom', servers: ['192.168.1.1'], dohUrl: 'http://dns.example.com' }), invalid);
+
+        assert.deepStrictEqual(DnsProviders.getUpstreams(quad9, 'tls'), ['tls://9.9.9.9#dns.quad9.net', 'tls://149.112.112.112#dns.quad9.net']);
+        assert.deepStrictEqual(DnsProviders.getUpstreams(quad9, 'https'), ['https://dns.quad9.net/dns-query']);
+        assert.throws(() => DnsProviders.getUpstreams(DnsProviders.resolve({ provider: 'opendns-familyshield' }), 'tls'), invalid);
+        assert.throws(() => DnsProviders.getUpstreams(quad9, 'quic'), invalid);
+        assert.throws(() => validateDnsConfig({ dns: { provider: 'custom', servers: [] } }), invalid);
+    });
+
+    // Test 2: Derived settings
+    await runTest('Derive pushed servers, upstreams and the leak monitor list from one model', async () => {
+        const direct = { dns: { provider: 'adguard-family', filter: { enabled: false } } };
+        assert.deepStrictEqual(getClientDnsServers(direct), ['94.140.14.15', '94.140.15.16']);
+        assert.deepStrictEqual(getClientDns6Servers(direct), ['2a10:50c0::bad1:ff', '2a10:50c0::bad2:ff']);
+        assert.deepStrictEqual(getClientDns6Servers({ dns: { ...direct.dns, ipv6: false } }), []);
+        assert.deepStrictEqual(getWireGuardDnsServers(direct), ['94.140.14.15', '94.140.15.16']);
+        assert.deepStrictEqual(getWireGuardDnsServers({ ...direct, wireguard: { dns: ['10.9.0.1'] } }), ['10.9.0.1']);
+
+        const filtered = { vpn: { subnet: '10.8.0.0' }, dns: { provider: 'quad9', filter: { enabled: true, upstreamProtocol: 'tls' } } };
+        assert.deepStrictEqual(getClientDnsServers(filtered), ['10.8.0.1']);
+        assert.deepStrictEqual(getClientDns6Servers(filtered), [], 'IPv6 resolvers would bypass the forwarder');
+        assert.deepStrictEqual(getDnsUpstreams(filtered), ['tls://9.9.9.9#dns.quad9.net', 'tls://149.112.112.112#dns.quad9.net']);
+        assert.deepStrictEqual(getDnsUpstreams({ dns: { ...filtered.dns, filter: { ...filtered.dns.filter, upstream: ['192.168.1.1'] } } }),
+            ['192.168.1.1'], 'DNS_UPSTREAM wins');
+
+        const allowed = getAllowedDnsServers(filtered, ['cloudflare-family']);
+        assert.deepStrictEqual(allowed.slice(0, 3), ['10.8.0.1', '9.9.9.9', '149.112.112.112']);
+        assert.ok(allowed.includes('1.1.1.3') && allowed.includes('2606:4700:4700::1113'));
+        assert.ok(!allowed.includes('1.1.1.1'));
+    });
+
+    // Test 3: Generated files
+    await runTest('Write the provider into the server config, DNS protection and leak monitor', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        const config = { certificates: { dir: testDir }, dns: { provider: 'quad9', filter: { enabled: false } } };
+
+        const hardened = new OpenVPNSecurityConfig(config, mockLogger).generateHardenedConfig(testDir, {});
+        assert.ok(hardened.includes('push "dhcp-option DNS 9.9.9.9"\npush "dhcp-option DNS 149.112.112.112"\n'));
+        assert.ok(hardened.includes('push "dhcp-option DNS6 2620:fe::fe"\n'));
+        assert.ok(!hardened.includes('1.1.1.1'));
+
+        const groups = new AccessGroups(mockLogger, { storeFile: path.join(testDir, 'access-groups.json') });
+        await groups.create({ name: 'kids', dnsProvider: 'cleanbrowsing-family' });
+
+        const security = new NetworkSecurityManager(config, mockLogger);
+        security.platform = 'linux';
+        security.scriptsDir = path.join(testDir, 'scripts');
+        await fs.mkdir(security.scriptsDir, { recursive: true });
+        await security.configureDNSLeakProtection();
+
+        const protection = await fs.readFile(path.join(testDir, 'dns-protection.conf'), 'utf8');
+        assert.ok(protection.includes('push "dhcp-option DNS 9.9.9.9"'));
+        assert.ok(protection.includes('push "dhcp-option DNS6 2620:fe::9"'));
+        assert.ok(!/1\.1\.1\.1|2606:4700/.test(protection), 'no hardcoded Cloudflare servers');
+
+        const monitor = await fs.readFile(path.join(security.scriptsDir, 'dns-monitor.sh'), 'utf8');
+        const allowed = monitor.match(/^ALLOWED_DNS_SERVERS="(.*)"$/m)[1].split(' ');
+        assert.ok(allowed.includes('149.112.112.112') && allowed.includes('185.228.168.168'));
+        assert.ok(!allowed.includes('1.1.1.1'));
+    });
+
+    // Test 4: Per-group overrides in client-config-dir
+    await runTest('Push a group provider to its clients through client-config-dir', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+        const config = { certificates: { dir: testDir, serverCertName: 'server' }, dns: { provider: 'cloudflare', filter: { enabled: false } } };
+        const routes = new CertificateRoutes(mockLogger, null, null, config, { registry });
+        routes.registryReady = Promise.resolve();
+        routes.logCertificateEvent = () => {};
+
+        await registry.set('kids-tablet', { name: 'kids-tablet', status: 'active' });
+        await routes.clientConfigDir.assignStaticAddress('kids-tablet', '10.8.0.50');
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = { authenticated: true, username: 'root', role: 'admin', csrfToken: 'test-csrf-token' };
+            next();
+        });
+        app.use('/', routes.getRouter());
+        const post = (url, body = {}) => request(app).post(url).send({ csrfToken: 'test-csrf-token', ...body });
+
+        const list = await request(app).get('/certificates/access-groups');
+        assert.ok(list.body.dnsProviders.some(provider => provider.name === 'quad9'));
+
+        assert.strictEqual((await post('/certificates/access-groups/create', { name: 'kids', dnsProvider: 'google' })).status, 400);
+        assert.strictEqual((await post('/certificates/access-groups/create', { name: 'kids', dnsProvider: 'cloudflare-family' })).status, 200);
+        assert.strictEqual((await post('/certificates/access-group/kids-tablet', { group: 'kids' })).status, 200);
+
+        const ccdFile = path.join(testDir, 'ccd', 'kids-tablet');
+        let content = await fs.readFile(ccdFile, 'utf8');
+        assert.ok(content.includes('ifconfig-push 10.8.0.50'), 'other directives are kept');
+        assert.ok(content.includes('push-remove "dhcp-option DNS"\npush "dhcp-option DNS 1.1.1.3"\npush "dhcp-option DNS 1.0.0.3"\n'));
+        assert.deepStrictEqual(await routes.clientConfigDir.getDnsOverride('kids-tablet'),
+            ['1.1.1.3', '1.0.0.3', '2606:4700:4700::1113', '2606:4700:4700::1003']);
+
+        // Changing the group rewrites its clients
+        assert.strictEqual((await post('/certificates/access-groups/update/kids', { dnsProvider: 'quad9' })).status, 200);
+        content = await fs.readFile(ccdFile, 'utf8');
+        assert.ok(content.includes('push "dhcp-option DNS 9.9.9.9"') && !content.includes('1.1.1.3'));
+
+        // With the filtering forwarder the group's provider is used upstream, so clients keep the gateway
+        routes.config = { ...config, dns: { ...config.dns, filter: { enabled: true } } };
+        assert.deepStrictEqual(await routes.syncDnsOverrides(), ['kids-tablet']);
+        assert.strictEqual(await routes.clientConfigDir.getDnsOverride('kids-tablet'), null);
+        assert.ok((await fs.readFile(ccdFile, 'utf8')).includes('ifconfig-push 10.8.0.50'));
+        assert.deepStrictEqual(await routes.syncDnsOverrides(), [], 'nothing left to change');
+    });
+
+    // Test 5: Encrypted upstreams
+    await runTest('Forward over DNS over TLS and DNS over HTTPS with per-group providers', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        const credentials = await createCertificate();
+
+        assert.deepStrictEqual(DnsFilterServer.parseServer('tls://9.9.9.9#dns.quad9.net'),
+            { protocol: 'tls', host: '9.9.9.9', port: 853, tlsName: 'dns.quad9.net' });
+        assert.strictEqual(DnsFilterServer.parseServer('https://dns.quad9.net/dns-query').protocol, 'https');
+        assert.throws(() => DnsFilterServer.parseServer('tls://9.9.9.9'), error => error.code === 'INVALID_DNS_UPSTREAM');
+
+        const tlsServer = tls.createServer(credentials, socket => {
+            socket.on('data', data => socket.write(DnsFilterServer.frame(answer(data.subarray(2), [192, 0, 2, 53]))));
+        });
+        await new Promise(resolve => tlsServer.listen(0, '127.0.0.1', resolve));
+
+        const dohRequests = [];
+        const httpsServer = https.createServer(credentials, (req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                const message = Buffer.concat(chunks);
+                dohRequests.push({ type: req.headers['content-type'], id: message.readUInt16BE(0) });
+                res.writeHead(200, { 'content-type': 'application/dns-message' });
+                res.end(answer(message, [192, 0, 2, 80]));
+            });
+        });
+        await new Promise(resolve => httpsServer.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const filter = new DnsFilterServer(mockLogger, {
+                upstream: [`tls://127.0.0.1:${tlsServer.address().port}#dns.test`],
+                tlsOptions: { ca: credentials.cert },
+                blocklists: new Blocklists(mockLogger, { dir: path.join(testDir, 'missing') }),
+                resolveClient: async address => (address === '10.8.0.20' ? { name: 'kids', dnsProvider: 'doh-test' } : null),
+                resolveUpstreams: () => [`https://127.0.0.1:${httpsServer.address().port}/dns-query`]
+            });
+            const lastAddress = response => [...response.subarray(response.length - 4)];
+
+            const overTls = await filter.handleQuery(buildQuery('example.com', DnsMessage.TYPES.A, 0x0101), '10.8.0.10');
+            assert.strictEqual(overTls.readUInt16BE(0), 0x0101);
+            assert.deepStrictEqual(lastAddress(overTls), [192, 0, 2, 53]);
+
+            const overHttps = await filter.handleQuery(buildQuery('example.com', DnsMessage.TYPES.A, 0x0202), '10.8.0.20');
+            assert.strictEqual(overHttps.readUInt16BE(0), 0x0202, 'the client ID is restored');
+            assert.deepStrictEqual(lastAddress(overHttps), [192, 0, 2, 80]);
+            assert.deepStrictEqual(dohRequests, [{ type: 'application/dns-message', id: 0 }]);
+
+            // An upstream with the wrong certificate name is refused
+            const mismatched = new DnsFilterServer(mockLogger, {
+                upstream: [`tls://127.0.0.1:${tlsServer.address().port}#other.test`],
+                tlsOptions: { ca: credentials.cert },
+                blocklists: new Blocklists(mockLogger, { dir: path.join(testDir, 'missing') })
+            });
+            const refused = await mismatched.handleQuery(buildQuery('example.com'), '10.8.0.10');
+            assert.strictEqual(refused.readUInt16BE(2) & 0x000f, DnsMessage.RCODES.SERVFAIL);
+        } finally {
+            tlsServer.close();
+            httpsServer.close();
+        }
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 DNS Providers Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 DNS Providers Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testDnsProviders().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testDnsProviders;
@@ -0,0 +1,260 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const DnsZone = require('../src/utils/dns-zone');
+const DnsMessage = require('../src/utils/dns-message');
+const DnsFilterServer = require('../src/services/dns-filter');
+const Blocklists = require('../src/utils/blocklists');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+
+/**
+ * Test the family DNS zone: manual records, names from certificates and local answers
+ */
+async function testDnsZone() {
+    console.log('🧪 Testing DNS Zone...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-dns-zone');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function buildQuery(name, type = DnsMessage.TYPES.A) {
+        const header = Buffer.alloc(12);
+        header.writeUInt16BE(0x1234, 0);
+        header.writeUInt16BE(0x0100, 2);
+        header.writeUInt16BE(1, 4);
+        const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+        const question = Buffer.alloc(4);
+        question.writeUInt16BE(type, 0);
+        question.writeUInt16BE(1, 2);
+        return Buffer.concat([header, ...labels, Buffer.from([0]), question]);
+    }
+
+    /**
+     * Build an app whose management interface reports the given sessions
+     */
+    async function createApp(sessions = []) {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+
+        const management = {
+            isConnected: () => true,
+            getStatus: async () => ({ clients: sessions })
+        };
+
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' },
+            dns: { filter: { enabled: true }, zone: { enabled: true, domain: 'family.lan' } }
+        }, { registry, management });
+        routes.registryReady = Promise.resolve();
+
+        await registry.set('laptop-anna', { name: 'laptop-anna', status: 'active' });
+        await registry.set('Kids_Tablet', { name: 'Kids_Tablet', status: 'active' });
+        await registry.set('old-phone', { name: 'old-phone', status: 'revoked' });
+        await registry.set('dads-laptop', { name: 'dads-laptop', status: 'active', backend: 'wireguard', address: '10.9.0.2' });
+        await routes.clientConfigDir.assignStaticAddress('Kids_Tablet', '10.8.0.50');
+
+        const events = [];
+        routes.logCertificateEvent = (event, name, username, clientIP, meta) => events.push({ event, name, meta });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: true,
+                username: req.get('x-test-user') || 'root',
+                role: req.get('x-test-role') || 'admin',
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, routes, events };
+    }
+
+    function post(app, url, body = {}, role = 'admin') {
+        return request(app)
+            .post(url)
+            .set('x-test-role', role)
+            .send({ csrfToken: 'test-csrf-token', ...body });
+    }
+
+    // Test 1: Record store
+    await runTest('Store manual records with validated names and addresses', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        const storeFile = path.join(testDir, 'dns-zone.json');
+        const zone = new DnsZone(mockLogger, { storeFile, domain: 'family.lan' });
+
+        const printer = await zone.create({ name: 'Printer.family.lan.', address: '192.168.1.20', description: 'Hallway' });
+        assert.deepStrictEqual(printer, { name: 'printer', type: 'A', address: '192.168.1.20', description: 'Hallway' });
+        assert.strictEqual((await zone.create({ name: 'nas.home', address: 'FD00::10' })).type, 'AAAA');
+        assert.strictEqual((await fs.stat(storeFile)).mode & 0o777, 0o600);
+
+        const updated = await zone.update('printer', { address: '192.168.1.21' });
+        assert.strictEqual(updated.address, '192.168.1.21');
+        assert.strictEqual(updated.description, 'Hallway', 'partial updates keep the description');
+
+        const reloaded = new DnsZone(mockLogger, { storeFile, domain: 'family.lan' });
+        assert.deepStrictEqual((await reloaded.list()).map(record => record.name), ['nas.home', 'printer']);
+
+        await assert.rejects(zone.create({ name: 'printer', address: '192.168.1.22' }), error => error.code === 'DNS_RECORD_EXISTS');
+        await assert.rejects(zone.create({ name: '-bad-', address: '192.168.1.22' }), error => error.code === 'INVALID_DNS_RECORD');
+        await assert.rejects(zone.create({ name: 'tv', address: 'tv.local' }), error => error.code === 'INVALID_DNS_RECORD');
+        await assert.rejects(zone.remove('nobody'), error => error.code === 'DNS_RECORD_NOT_FOUND');
+
+        await zone.remove('nas.home.family.lan');
+        assert.strictEqual(await zone.get('nas.home'), null);
+
+        assert.strictEqual(DnsZone.hostnameFor('Laptop_Anna'), 'laptop-anna');
+        assert.strictEqual(DnsZone.hostnameFor('__'), null);
+    });
+
+    // Test 2: Zone contents
+    await runTest('Name certificates after their current, static or WireGuard address', async () => {
+        const { routes } = await createApp([
+            { commonName: 'laptop-anna', realIP: '203.0.113.5', virtualAddress: '10.8.0.6', connectedSince: new Date() }
+        ]);
+        await routes.dnsZone.create({ name: 'printer', address: '192.168.1.20' });
+
+        const records = await routes.getZoneRecords();
+        assert.deepStrictEqual(records.map(record => [record.fqdn, record.address, record.source]), [
+            ['dads-laptop.family.lan', '10.9.0.2', 'certificate'],
+            ['kids-tablet.family.lan', '10.8.0.50', 'certificate'],
+            ['laptop-anna.family.lan', '10.8.0.6', 'session'],
+            ['printer.family.lan', '192.168.1.20', 'manual']
+        ]);
+        assert.strictEqual(records.find(record => record.name === 'kids-tablet').certificate, 'Kids_Tablet');
+    });
+
+    // Test 3: API
+    await runTest('Manage manual records through the API', async () => {
+        const { app, events } = await createApp();
+
+        const created = await post(app, '/certificates/dns-records/create', { name: 'nas', address: '192.168.1.30' });
+        assert.strictEqual(created.status, 200);
+        assert.strictEqual(created.body.record.name, 'nas');
+        assert.strictEqual(events[events.length - 1].event, 'DNS_RECORD_CREATED');
+
+        const list = await request(app).get('/certificates/dns-records');
+        assert.strictEqual(list.status, 200);
+        assert.strictEqual(list.body.domain, 'family.lan');
+        assert.strictEqual(list.body.served, true);
+        assert.ok(list.body.records.some(record => record.fqdn === 'nas.family.lan' && record.source === 'manual'));
+
+        assert.strictEqual((await post(app, '/certificates/dns-records/update/nas', { address: '192.168.1.31' })).body.record.address, '192.168.1.31');
+        assert.strictEqual((await post(app, '/certificates/dns-records/create', { name: 'laptop-anna', address: '192.168.1.40' })).status, 409,
+            'certificate names are taken');
+        assert.strictEqual((await post(app, '/certificates/dns-records/create', { name: 'tv', address: 'nope' })).status, 400);
+        assert.strictEqual((await post(app, '/certificates/dns-records/delete/tv')).status, 404);
+        assert.strictEqual((await post(app, '/certificates/dns-records/create', { name: 'tv', address: '192.168.1.50' }, 'member')).status, 403);
+        assert.strictEqual((await request(app).get('/certificates/dns-records').set('x-test-role', 'member')).status, 403);
+
+        assert.strictEqual((await post(app, '/certificates/dns-records/delete/nas')).status, 200);
+        assert.strictEqual(events[events.length - 1].event, 'DNS_RECORD_DELETED');
+    });
+
+    // Test 4: Local answers
+    await runTest('Answer zone names locally and follow connects and disconnects', async () => {
+        let zoneRecords = [
+            { name: 'laptop-anna.family.lan', address: '10.8.0.6' },
+            { name: 'nas.family.lan', address: 'fd00::10' }
+        ];
+        const filter = new DnsFilterServer(mockLogger, {
+            upstream: [],
+            zoneDomain: 'family.lan',
+            blocklists: new Blocklists(mockLogger, { dir: path.join(testDir, 'missing') }),
+            resolveZone: async () => zoneRecords
+        });
+        const rcode = response => response.readUInt16BE(2) & 0x000f;
+
+        const answer = await filter.handleQuery(buildQuery('Laptop-Anna.family.lan'), '10.8.0.20');
+        assert.strictEqual(rcode(answer), DnsMessage.RCODES.NOERROR);
+        assert.strictEqual(answer.readUInt16BE(2) & 0x0400, 0x0400, 'answers are authoritative');
+        assert.deepStrictEqual([...answer.subarray(answer.length - 4)], [10, 8, 0, 6]);
+
+        const aaaa = await filter.handleQuery(buildQuery('nas.family.lan', DnsMessage.TYPES.AAAA), '10.8.0.20');
+        assert.strictEqual(aaaa.subarray(aaaa.length - 16).toString('hex'), 'fd000000000000000000000000000010');
+
+        const noData = await filter.handleQuery(buildQuery('laptop-anna.family.lan', DnsMessage.TYPES.AAAA), '10.8.0.20');
+        assert.strictEqual(rcode(noData), DnsMessage.RCODES.NOERROR);
+        assert.strictEqual(noData.readUInt16BE(6), 0);
+
+        assert.strictEqual(rcode(await filter.handleQuery(buildQuery('printer.family.lan'), '10.8.0.20')), DnsMessage.RCODES.NXDOMAIN);
+
+        // The device disconnects: its name goes away once the cache is cleared
+        zoneRecords = zoneRecords.slice(1);
+        filter.clearZoneCache();
+        assert.strictEqual(rcode(await filter.handleQuery(buildQuery('laptop-anna.family.lan'), '10.8.0.20')), DnsMessage.RCODES.NXDOMAIN);
+
+        assert.strictEqual(filter.getStats().local, 5);
+        assert.strictEqual(filter.getStats().forwarded, 0);
+    });
+
+    // Test 5: Search domain
+    await runTest('Push the zone as the search domain', async () => {
+        const securityConfig = new OpenVPNSecurityConfig({}, mockLogger);
+        const withZone = securityConfig.generateHardenedConfig(testDir, { dnsServers: ['10.8.0.1'], searchDomain: 'family.lan' });
+        assert.ok(withZone.includes('push "dhcp-option DNS 10.8.0.1"\npush "dhcp-option DOMAIN family.lan"\n'));
+
+        const withoutZone = securityConfig.generateHardenedConfig(testDir, {});
+        assert.ok(!withoutZone.includes('dhcp-option DOMAIN '));
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 DNS Zone Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 DNS Zone Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testDnsZone().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testDnsZone;
@@ -0,0 +1,341 @@
+const assert = require('assert');
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const CronSchedule = require('../src/utils/cron-schedule');
+const JobScheduler = require('../src/services/job-scheduler');
+const JobRoutes = require('../src/routes/jobs');
+const CertificateRoutes = require('../src/routes/certificates');
+const UserRoutes = require('../src/routes/users');
+const AccountRoutes = require('../src/routes/account');
+const AuthenticationService = require('../src/services/auth-service');
+const { registerScheduledJobs } = require('../src/services/scheduled-jobs');
+const { cleanupExpiredSessions } = require('../src/middleware/session-middleware');
+
+/**
+ * Test the scheduled job runner and its status API
+ */
+async function testJobScheduler() {
+    console.log('🧪 Testing Job Scheduler...\n');
+
+    const systemEvents = [];
+    const securityEvents = [];
+
+    const mockLoggingService = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        logSystemEvent: (event, message, details) => {
+            systemEvents.push({ event, details });
+        },
+        logSecurityEvent: (event, message, details) => {
+            securityEvents.push({ event, details });
+        }
+    };
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    /**
+     * Scheduler whose clock advances by a fixed step on every read
+     */
+    function createScheduler(stepMs = 5) {
+        let time = new Date(2026, 0, 1, 12, 0, 0).getTime();
+        return new JobScheduler(mockLoggingService, {
+            now: () => {
+                const current = new Date(time);
+                time += stepMs;
+                return current;
+            }
+        });
+    }
+
+    /**
+     * App authenticated by bearer token; the token names the user and role
+     */
+    function createApp(scheduler) {
+        const authService = {
+            validateToken: async (token) => {
+                const [username, role] = token.split(':');
+                return { valid: true, decoded: { username, role } };
+            }
+        };
+
+        const routes = new JobRoutes(mockLogger, mockLoggingService, null, { scheduler, authService });
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', routes.getRouter());
+        return app;
+    }
+
+    // Test 1: Cron expressions
+    await runTest('Parse cron expressions and compute the next run', async () => {
+        const start = new Date(2026, 0, 1, 12, 7, 30);
+
+        assert.deepStrictEqual(new CronSchedule('*/15 * * * *').next(start), new Date(2026, 0, 1, 12, 15));
+        assert.deepStrictEqual(new CronSchedule('0 3 * * *').next(start), new Date(2026, 0, 2, 3, 0));
+        assert.deepStrictEqual(new CronSchedule('@hourly').next(start), new Date(2026, 0, 1, 13, 0));
+        assert.deepStrictEqual(new CronSchedule('30 2 * * 0').next(start), new Date(2026, 0, 4, 2, 30));
+        assert.deepStrictEqual(new CronSchedule('0 9 1-7 * 1').next(start), new Date(2026, 0, 2, 9, 0));
+        assert.deepStrictEqual(new CronSchedule('0 0 1 1,7 *').next(start), new Date(2026, 6, 1, 0, 0));
+
+        assert.strictEqual(new CronSchedule('0 0 31 2 *').next(start), null);
+        assert.strictEqual(CronSchedule.isValid('61 * * * *'), false);
+        assert.strictEqual(CronSchedule.isValid('* * *'), false);
+        assert.strictEqual(CronSchedule.isValid('5-1 * * * *'), false);
+        assert.throws(() => new CronSchedule('every day'), error => error.code === 'INVALID_SCHEDULE');
+    });
+
+    // Test 2: Successful and failed runs are recorded
+    await runTest('Record last-run status and duration', async () => {
+        systemEvents.length = 0;
+        const scheduler = createScheduler(250);
+
+        scheduler.register('ok-job', { schedule: '@daily', handler: async () => ({ removed: 3 }) });
+        scheduler.register('bad-job', {
+            schedule: '@daily',
+            handler: async () => { throw new Error('disk full'); }
+        });
+
+        const ok = await scheduler.runJob('ok-job');
+        assert.strictEqual(ok.status, 'success');
+        assert.strictEqual(ok.trigger, 'schedule');
+        assert.deepStrictEqual(ok.result, { removed: 3 });
+        assert.strictEqual(ok.durationMs, 250);
+
+        const bad = await scheduler.runJob('bad-job', { trigger: 'manual', triggeredBy: 'root' });
+        assert.strictEqual(bad.status, 'failed');
+        assert.strictEqual(bad.error, 'disk full');
+        assert.strictEqual(bad.triggeredBy, 'root');
+
+        const status = scheduler.getJob('bad-job');
+        assert.strictEqual(status.runCount, 1);
+        assert.strictEqual(status.failureCount, 1);
+        assert.strictEqual(status.lastRun.status, 'failed');
+        assert.deepStrictEqual(systemEvents.map(e => e.event), ['JOB_COMPLETED', 'JOB_FAILED']);
+    });
+
+    // Test 3: Registration errors and overlapping runs
+    await runTest('Reject duplicate jobs and overlapping runs', async () => {
+        const scheduler = createScheduler();
+        let release;
+
+        scheduler.register('slow-job', {
+            schedule: '@hourly',
+            handler: () => new Promise(resolve => { release = resolve; })
+        });
+
+        assert.throws(() => scheduler.register('slow-job', { schedule: '@hourly', handler: () => {} }),
+            error => error.code === 'JOB_EXISTS');
+        assert.throws(() => scheduler.register('broken', { schedule: 'nope', handler: () => {} }),
+            error => error.code === 'INVALID_SCHEDULE');
+        await assert.rejects(scheduler.runJob('missing'), error => error.code === 'JOB_NOT_FOUND');
+
+        const first = scheduler.runJob('slow-job');
+        assert.strictEqual(scheduler.getJob('slow-job').running, true);
+        await assert.rejects(scheduler.runJob('slow-job'), error => error.code === 'JOB_RUNNING');
+
+        release();
+        assert.strictEqual((await first).status, 'success');
+        assert.strictEqual(scheduler.getJob('slow-job').running, false);
+    });
+
+    // Test 4: start() arms enabled jobs only
+    await runTest('Schedule enabled jobs when started', async () => {
+        const scheduler = createScheduler(0);
+        scheduler.register('enabled-job', { schedule: '0 3 * * *', handler: () => {} });
+        scheduler.register('disabled-job', { schedule: '0 3 * * *', handler: () => {}, enabled: false });
+
+        assert.strictEqual(scheduler.getJob('enabled-job').nextRunAt, null);
+
+        scheduler.start();
+        try {
+            assert.strictEqual(scheduler.getJob('enabled-job').nextRunAt, new Date(2026, 0, 2, 3, 0).toISOString());
+            assert.strictEqual(scheduler.getJob('disabled-job').nextRunAt, null);
+        } finally {
+            scheduler.stop();
+        }
+
+        assert.strictEqual(scheduler.getJob('enabled-job').nextRunAt, null);
+    });
+
+    // Test 5: Built-in jobs are registered from config
+    await runTest('Register built-in jobs from configuration', async () => {
+        const scheduler = createScheduler();
+        const registered = registerScheduledJobs(scheduler, {
+            schedules: {
+                'pending-revocations': { schedule: '15 * * * *', enabled: true },
+                'failed-attempt-cleanup': { schedule: '*/10 * * * *', enabled: true },
+                'certificate-backup': { schedule: '30 2 * * 0', enabled: false }
+            }
+        }, {
+            certificateRoutes: {
+                processPendingRevocations: async () => [
+                    { name: 'alice-laptop', revoked: true },
+                    { name: 'kids-tablet', revoked: false, error: 'easyrsa failed' }
+                ]
+            },
+            authService: { cleanupFailedAttempts: () => 2 },
+            webAuthRoutes: { cleanupFailedAttempts: () => 1 }
+        });
+
+        // The backup job has no backup manager, so it is skipped
+        assert.deepStrictEqual(registered, ['pending-revocations', 'failed-attempt-cleanup']);
+
+        const cleanup = await scheduler.runJob('failed-attempt-cleanup');
+        assert.deepStrictEqual(cleanup.result, { removed: 3 });
+
+        const revocations = await scheduler.runJob('pending-revocations');
+        assert.strictEqual(revocations.status, 'failed');
+        assert.ok(revocations.error.includes('kids-tablet'));
+    });
+
+    // Test 6: Idle sessions are removed from the store
+    await runTest('Remove idle sessions from the session store', async () => {
+        const store = new session.MemoryStore();
+        const cookie = { originalMaxAge: null, expires: null };
+        const set = (id, data) => new Promise(resolve => store.set(id, { cookie, ...data }, resolve));
+
+        await set('fresh', { lastActivity: new Date().toISOString() });
+        await set('idle', { lastActivity: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+        await set('anonymous', {});
+
+        const result = await cleanupExpiredSessions(store, 30 * 60 * 1000);
+        assert.deepStrictEqual(result, { checked: 3, removed: 1 });
+
+        const remaining = await new Promise(resolve => store.all((err, sessions) => resolve(Object.keys(sessions))));
+        assert.deepStrictEqual(remaining.sort(), ['anonymous', 'fresh']);
+    });
+
+    // Test 7: Status endpoint
+    await runTest('List jobs through the API', async () => {
+        const scheduler = createScheduler();
+        scheduler.register('crl-refresh', { schedule: '0 3 * * *', description: 'Refresh CRL', handler: () => {} });
+        const app = createApp(scheduler);
+
+        const unauthenticated = await request(app).get('/api/jobs').set('Accept', 'application/json');
+        assert.strictEqual(unauthenticated.status, 401);
+
+        const response = await request(app).get('/api/jobs').set('Authorization', 'Bearer kid:guest');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.canRun, false);
+        assert.strictEqual(response.body.jobs[0].name, 'crl-refresh');
+        assert.strictEqual(response.body.jobs[0].schedule, '0 3 * * *');
+        assert.strictEqual(response.body.jobs[0].lastRun, null);
+    });
+
+    // Test 8: Manual trigger
+    await runTest('Let administrators trigger a job manually', async () => {
+        systemEvents.length = 0;
+        securityEvents.length = 0;
+        const scheduler = createScheduler();
+        let runs = 0;
+        scheduler.register('session-cleanup', { schedule: '*/15 * * * *', handler: () => ({ removed: ++runs }) });
+        const app = createApp(scheduler);
+
+        const denied = await request(app).post('/api/jobs/session-cleanup/run').set('Authorization', 'Bearer bob:member');
+        assert.strictEqual(denied.status, 403);
+        assert.strictEqual(runs, 0);
+        assert.strictEqual(securityEvents[0].event, 'JOB_ACCESS_DENIED');
+
+        const missing = await request(app).post('/api/jobs/no-such-job/run').set('Authorization', 'Bearer root:admin');
+        assert.strictEqual(missing.status, 404);
+
+        const response = await request(app).post('/api/jobs/session-cleanup/run').set('Authorization', 'Bearer root:admin');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.lastRun.trigger, 'manual');
+        assert.strictEqual(response.body.lastRun.triggeredBy, 'root');
+        assert.deepStrictEqual(response.body.lastRun.result, { removed: 1 });
+        assert.strictEqual(response.body.job.runCount, 1);
+        assert.ok(systemEvents.some(e => e.event === 'JOB_TRIGGERED' && e.details.username === 'root'));
+    });
+
+    // Test 9: Real tokens behind the web routers
+    await runTest('Accept JWTs with the routers mounted in server order', async () => {
+        const scheduler = createScheduler();
+        scheduler.register('crl-refresh', { schedule: '0 3 * * *', handler: () => {} });
+        const authService = new AuthenticationService(mockLoggingService, null);
+        const { accessToken } = await authService.generateTokens('root', '127.0.0.1', 'admin');
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+        // Same order as src/server.js: the session-only web routers come first
+        const certificateRoutes = new CertificateRoutes(mockLogger, mockLoggingService, null, {
+            certificates: { dir: 'test-job-scheduler-certificates' }
+        });
+        app.use('/', certificateRoutes.getRouter());
+        app.use('/', new UserRoutes(mockLogger, mockLoggingService, null, { userConfig: {} }).getRouter());
+        app.use('/', new AccountRoutes(mockLogger, mockLoggingService, null, { userConfig: {} }).getRouter());
+        app.use('/', new JobRoutes(mockLogger, mockLoggingService, null, { scheduler, authService }).getRouter());
+
+        const response = await request(app).get('/api/jobs')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+        assert.strictEqual(response.body.canRun, true);
+
+        const run = await request(app).post('/api/jobs/crl-refresh/run').set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(run.status, 200);
+
+        // The certificate pages still need a browser session
+        const page = await request(app).get('/certificates/list')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(page.status, 401);
+    });
+
+    console.log('\n📊 Job Scheduler Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Job Scheduler Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testJobScheduler().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testJobScheduler;
@@ -0,0 +1,219 @@
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const MetricsRegistry = require('../src/utils/metrics-registry');
+const BasicHealthService = require('../src/services/metrics-service');
+const { requestLogger } = require('../src/middleware/auth-middleware');
+
+/**
+ * Test the metrics registry, Prometheus rendering and BasicHealthService recording
+ */
+async function testMetrics() {
+    console.log('🧪 Testing Metrics...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    // Test 1: Counters and gauges in the text format
+    await runTest('Render counters and gauges', async () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter({ name: 'test_requests_total', help: 'Requests\nper path', labelNames: ['path'] });
+        const gauge = registry.gauge({ name: 'test_temperature', help: 'Temperature' });
+
+        counter.inc({ path: '/a' });
+        counter.inc({ path: '/a' }, 2);
+        counter.inc({ path: 'say "hi"\\' });
+        gauge.set({}, 21.5);
+        gauge.dec({}, 1.5);
+
+        assert.strictEqual(counter.get({ path: '/a' }), 3);
+        assert.strictEqual(registry.render(), [
+            '# HELP test_requests_total Requests\\nper path',
+            '# TYPE test_requests_total counter',
+            'test_requests_total{path="/a"} 3',
+            'test_requests_total{path="say \\"hi\\"\\\\"} 1',
+            '# HELP test_temperature Temperature',
+            '# TYPE test_temperature gauge',
+            'test_temperature 20',
+            ''
+        ].join('\n'));
+
+        // Registering the same metric again returns it; a different type is an error
+        assert.strictEqual(registry.counter({ name: 'test_requests_total', labelNames: ['path'] }), counter);
+        assert.throws(() => registry.gauge({ name: 'test_requests_total' }), error => error.code === 'METRIC_EXISTS');
+    });
+
+    // Test 2: Histograms render cumulative buckets, sum and count
+    await runTest('Render histogram buckets', async () => {
+        const registry = new MetricsRegistry();
+        const histogram = registry.histogram({
+            name: 'test_duration_seconds',
+            help: 'Duration',
+            labelNames: ['route'],
+            buckets: [0.1, 0.5, 1]
+        });
+
+        for (const value of [0.05, 0.2, 0.3, 0.7, 4]) {
+            histogram.observe({ route: '/x' }, value);
+        }
+
+        const lines = registry.render().split('\n');
+        assert.ok(lines.includes('test_duration_seconds_bucket{route="/x",le="0.1"} 1'));
+        assert.ok(lines.includes('test_duration_seconds_bucket{route="/x",le="0.5"} 3'));
+        assert.ok(lines.includes('test_duration_seconds_bucket{route="/x",le="1"} 4'));
+        assert.ok(lines.includes('test_duration_seconds_bucket{route="/x",le="+Inf"} 5'));
+        assert.ok(lines.includes('test_duration_seconds_count{route="/x"} 5'));
+        assert.deepStrictEqual(histogram.get({ route: '/x' }).count, 5);
+
+        assert.throws(() => registry.histogram({ name: 'bad_buckets', buckets: [1, 0.5] }),
+            error => error.code === 'INVALID_METRIC_BUCKETS');
+    });
+
+    // Test 3: Invalid names, labels and values are rejected
+    await runTest('Reject invalid metrics', async () => {
+        const registry = new MetricsRegistry();
+        assert.throws(() => registry.counter({ name: 'bad-name' }), error => error.code === 'INVALID_METRIC_NAME');
+        assert.throws(() => registry.counter({ name: 'ok_total', labelNames: ['le'] }), error => error.code === 'INVALID_METRIC_LABELS');
+
+        const counter = registry.counter({ name: 'events_total', labelNames: ['type'] });
+        assert.throws(() => counter.inc({}), error => error.code === 'INVALID_METRIC_LABELS');
+        assert.throws(() => counter.inc({ type: 'a', extra: 'b' }), error => error.code === 'INVALID_METRIC_LABELS');
+        assert.throws(() => counter.inc({ type: 'a' }, -1), error => error.code === 'INVALID_METRIC_VALUE');
+    });
+
+    // Test 4: BasicHealthService feeds the registry
+    await runTest('Record auth, certificate and error metrics', async () => {
+        const service = new BasicHealthService(mockLogger);
+
+        service.recordAuthAttempt('success', 'admin', '127.0.0.1');
+        service.recordAuthAttempt('failed', 'admin', '127.0.0.1');
+        service.recordAuthAttempt('failed', 'admin', '127.0.0.1');
+        service.recordAuthAttempt('locked', 'admin', '127.0.0.1');
+        service.recordCertificateOperation('generate', 'success', 'admin');
+        service.recordCertificateOperation('revoke', 'failed', 'admin');
+        service.recordSystemError('CERTIFICATE_GENERATION_ERROR');
+
+        const text = await service.getPrometheusMetrics();
+        assert.ok(text.includes('familyvpn_auth_attempts_total{outcome="success"} 1'));
+        assert.ok(text.includes('familyvpn_auth_attempts_total{outcome="failed"} 2'));
+        assert.ok(text.includes('familyvpn_auth_attempts_total{outcome="locked"} 1'));
+        assert.ok(text.includes('familyvpn_certificate_operations_total{operation="generate",status="success"} 1'));
+        assert.ok(text.includes('familyvpn_certificate_operations_total{operation="revoke",status="failed"} 1'));
+        assert.ok(text.includes('familyvpn_system_errors_total{type="CERTIFICATE_GENERATION_ERROR"} 1'));
+        assert.ok(/familyvpn_uptime_seconds \d/.test(text));
+
+        // The JSON summary keeps working
+        assert.strictEqual(service.getBasicMetrics().auth.totalAttempts, 4);
+    });
+
+    // Test 5: recordMetric() registers and updates custom metrics
+    await runTest('Record custom metrics', async () => {
+        const service = new BasicHealthService(mockLogger);
+
+        service.recordMetric('backup_size_bytes', 2048, { kind: 'full' });
+        service.recordMetric('backup_size_bytes', 4096, { kind: 'full' });
+        assert.strictEqual(service.registry.getMetric('familyvpn_backup_size_bytes').get({ kind: 'full' }), 4096);
+
+        // Existing counters are incremented rather than overwritten
+        service.recordMetric('familyvpn_auth_attempts_total', 2, { outcome: 'success' });
+        service.recordMetric('familyvpn_auth_attempts_total', 1, { outcome: 'success' });
+        assert.strictEqual(service.metrics.authAttempts.get({ outcome: 'success' }), 3);
+
+        const text = await service.getPrometheusMetrics();
+        assert.ok(text.includes('familyvpn_backup_size_bytes{kind="full"} 4096'));
+    });
+
+    // Test 6: Connected clients are read at scrape time
+    await runTest('Report connected VPN clients', async () => {
+        const warnings = [];
+        const service = new BasicHealthService({ ...mockLogger, warn: (message) => warnings.push(message) });
+
+        let text = await service.getPrometheusMetrics();
+        assert.ok(!/^familyvpn_vpn_connected_clients /m.test(text));
+
+        let connected = 3;
+        service.setConnectedClientsProvider(async () => connected);
+        text = await service.getPrometheusMetrics();
+        assert.ok(text.includes('familyvpn_vpn_connected_clients 3'));
+
+        // Unknown status drops the sample instead of reporting a stale count
+        connected = null;
+        text = await service.getPrometheusMetrics();
+        assert.ok(!/^familyvpn_vpn_connected_clients /m.test(text));
+
+        service.setConnectedClientsProvider(async () => {
+            throw new Error('management interface down');
+        });
+        text = await service.getPrometheusMetrics();
+        assert.ok(!/^familyvpn_vpn_connected_clients /m.test(text));
+        assert.ok(text.includes('familyvpn_auth_attempts_total'));
+        assert.deepStrictEqual(warnings, ['Metric collection failed']);
+    });
+
+    // Test 7: Request latency is labelled by route pattern
+    await runTest('Observe HTTP latency per route', async () => {
+        const service = new BasicHealthService(mockLogger);
+        const app = express();
+        app.use(requestLogger(mockLogger, null, service));
+
+        const router = express.Router();
+        router.get('/items/:id', (req, res) => res.json({ id: req.params.id }));
+        app.use('/api', router);
+
+        await request(app).get('/api/items/1');
+        await request(app).get('/api/items/2?verbose=1');
+        await request(app).get('/nowhere');
+
+        const text = await service.getPrometheusMetrics();
+        assert.ok(text.includes('familyvpn_http_requests_total{method="GET",route="/api/items/:id",status="200"} 2'));
+        assert.ok(text.includes('familyvpn_http_requests_total{method="GET",route="unmatched",status="404"} 1'));
+        assert.ok(text.includes('familyvpn_http_request_duration_seconds_count{method="GET",route="/api/items/:id"} 2'));
+        assert.ok(!text.includes('/api/items/1'));
+    });
+
+    console.log('\n📊 Metrics Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Metrics Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testMetrics().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testMetrics;
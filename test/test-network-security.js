@@ -252,6 +252,10 @@ class NetworkSecurityTest {
           if (!connectContent.includes('logger')) {
             throw new Error('Connect script missing logging functionality');
           }
+
+          if (!connectContent.includes('client-access.js\' connect') || !connectContent.includes('|| exit 1')) {
+            throw new Error('Connect script missing access group rules');
+          }
         } else {
           throw new Error('Client connect script not created');
         }
@@ -261,8 +265,8 @@ class NetworkSecurityTest {
         if (await fs.pathExists(disconnectScript)) {
           const disconnectContent = await fs.readFile(disconnectScript, 'utf8');
           
-          if (!disconnectContent.includes('iptables -D')) {
-            throw new Error('Disconnect script missing cleanup rules');
+          if (!disconnectContent.includes('client-access.js\' disconnect')) {
+            throw new Error('Disconnect script missing access group cleanup');
           }
         } else {
           throw new Error('Client disconnect script not created');
@@ -0,0 +1,220 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const OnboardingLinks = require('../src/utils/onboarding-links');
+
+/**
+ * Test single-use onboarding links and the QR code flow on the certificates page
+ */
+async function testOnboardingLinks() {
+    console.log('🧪 Testing QR Onboarding Links...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-onboarding');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    async function createRoutes(webConfig = {}) {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'moms-phone.ovpn'), 'client\nremote vpn.example.com 1194\n');
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' },
+            web: webConfig
+        }, { registry });
+        routes.registryReady = Promise.resolve();
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {};
+
+        await registry.set('moms-phone', { name: 'moms-phone', status: 'active', createdBy: 'mom' });
+
+        const events = [];
+        routes.logCertificateEvent = (event, name, username, clientIP, meta) => events.push({ event, name, username, meta });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            const username = req.get('x-test-user');
+            req.session = username ? {
+                authenticated: true,
+                username,
+                role: req.get('x-test-role') || 'admin',
+                csrfToken: 'test-csrf-token'
+            } : {};
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, routes, registry, events };
+    }
+
+    function createLink(app, name = 'moms-phone', user = 'root', role = 'admin') {
+        return request(app)
+            .post(`/certificates/onboarding/${name}`)
+            .set('x-test-user', user)
+            .set('x-test-role', role)
+            .set('Host', 'family.example.com:3000')
+            .send({ csrfToken: 'test-csrf-token' });
+    }
+
+    function tokenOf(url) {
+        return url.split('/onboard/')[1];
+    }
+
+    // Test 1: Link store
+    await runTest('Issue single-use links that expire', async () => {
+        let now = Date.parse('2026-05-01T12:00:00Z');
+        const links = new OnboardingLinks(mockLogger, { ttlMinutes: 5, now: () => now });
+
+        const link = links.create('moms-phone', { createdBy: 'mom' });
+        assert.match(link.token, /^[A-Za-z0-9_-]{43}$/);
+        assert.strictEqual(link.expiresAt, '2026-05-01T12:05:00.000Z');
+        assert.ok(!links.links.has(link.token), 'tokens must only be stored hashed');
+
+        assert.strictEqual(links.peek(link.token).clientName, 'moms-phone');
+        assert.strictEqual(links.consume(link.token).createdBy, 'mom');
+        assert.strictEqual(links.consume(link.token), null);
+
+        const expiring = links.create('moms-phone');
+        now += 5 * 60 * 1000;
+        assert.strictEqual(links.consume(expiring.token), null);
+
+        links.create('moms-phone');
+        links.create('dads-laptop');
+        assert.strictEqual(links.revokeClient('moms-phone'), 1);
+        assert.strictEqual(links.links.size, 1);
+    });
+
+    // Test 2: QR code creation
+    await runTest('Create an HTTPS link and QR code for a profile', async () => {
+        const { app, events } = await createRoutes();
+
+        const response = await createLink(app);
+        assert.strictEqual(response.status, 200);
+        assert.ok(response.body.url.startsWith('https://family.example.com:3000/onboard/'));
+        assert.ok(response.body.qrCodeSvg.startsWith('<svg'));
+        assert.strictEqual(response.body.format, 'ovpn');
+        assert.ok(Date.parse(response.body.expiresAt) > Date.now());
+
+        assert.strictEqual(events[0].event, 'ONBOARDING_LINK_CREATED');
+        assert.strictEqual(events[0].meta.expiresAt, response.body.expiresAt);
+        assert.ok(!JSON.stringify(events).includes(tokenOf(response.body.url)), 'tokens must not be logged');
+
+        const missing = await createLink(app, 'nobody');
+        assert.strictEqual(missing.status, 404);
+
+        const denied = await createLink(app, 'moms-phone', 'kid', 'guest');
+        assert.strictEqual(denied.status, 403);
+    });
+
+    // Test 3: Scanning the code
+    await runTest('Download the profile once without logging in', async () => {
+        const { app, registry, events } = await createRoutes({ publicUrl: 'https://vpn.example.com/' });
+
+        const { body } = await createLink(app);
+        assert.ok(body.url.startsWith('https://vpn.example.com/onboard/'));
+        const onboardPath = `/onboard/${tokenOf(body.url)}`;
+
+        // Link previews must not burn the link
+        const probe = await request(app).head(onboardPath);
+        assert.strictEqual(probe.status, 200);
+
+        const download = await request(app).get(onboardPath).buffer(true).parse((res, callback) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => callback(null, text));
+        });
+        assert.strictEqual(download.status, 200);
+        assert.ok(download.headers['content-type'].startsWith('application/x-openvpn-profile'));
+        assert.ok(download.headers['content-disposition'].includes('moms-phone.ovpn'));
+        assert.strictEqual(download.headers['cache-control'], 'no-store');
+        assert.ok(download.body.includes('remote vpn.example.com 1194'));
+
+        const audit = events.find(entry => entry.event === 'DOWNLOAD');
+        assert.strictEqual(audit.username, 'root');
+        assert.strictEqual(audit.meta.via, 'onboarding-link');
+        assert.strictEqual((await registry.get('moms-phone')).downloadCount, 1);
+
+        const reused = await request(app).get(onboardPath);
+        assert.strictEqual(reused.status, 404);
+
+        const unknown = await request(app).get('/onboard/not-a-real-token');
+        assert.strictEqual(unknown.status, 404);
+    });
+
+    // Test 4: Revocation
+    await runTest('Invalidate outstanding links when the certificate is revoked', async () => {
+        const { app } = await createRoutes();
+
+        const { body } = await createLink(app);
+        const revoke = await request(app)
+            .post('/certificates/revoke/moms-phone')
+            .set('x-test-user', 'root')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual(revoke.status, 200);
+
+        const download = await request(app).get(`/onboard/${tokenOf(body.url)}`);
+        assert.strictEqual(download.status, 404);
+
+        const again = await createLink(app);
+        assert.strictEqual(again.status, 410);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Onboarding Link Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Onboarding Link Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testOnboardingLinks().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testOnboardingLinks;
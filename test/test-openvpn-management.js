@@ -0,0 +1,370 @@
+const assert = require('assert');
+const net = require('net');
+const express = require('express');
+const request = require('supertest');
+const OpenVPNManagementClient = require('../src/services/openvpn-management');
+const ConnectionRoutes = require('../src/routes/connections');
+
+/**
+ * Test the OpenVPN management interface client against a local fake server
+ */
+async function testOpenVPNManagement() {
+    console.log('🧪 Testing OpenVPN Management Client...\n');
+
+    const mockLoggingService = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const STATUS_3 = [
+        'TITLE\tOpenVPN 2.6.8 x86_64-pc-linux-gnu',
+        'TIME\t2026-01-15 10:30:00\t1768473000',
+        'HEADER\tCLIENT_LIST\tCommon Name\tReal Address\tVirtual Address\tVirtual IPv6 Address\tBytes Received\tBytes Sent\tConnected Since\tConnected Since (time_t)\tUsername\tClient ID\tPeer ID\tData Channel Cipher',
+        'CLIENT_LIST\talice-laptop\t203.0.113.10:51234\t10.8.0.2\t\t123456\t654321\t2026-01-15 09:00:00\t1768467600\tUNDEF\t0\t0\tAES-256-GCM',
+        'CLIENT_LIST\tkids-tablet\t198.51.100.7:40000\t10.8.0.3\t\t1000\t2000\t2026-01-15 10:00:00\t1768471200\tUNDEF\t1\t1\tAES-256-GCM',
+        'HEADER\tROUTING_TABLE\tVirtual Address\tCommon Name\tReal Address\tLast Ref\tLast Ref (time_t)',
+        'ROUTING_TABLE\t10.8.0.2\talice-laptop\t203.0.113.10:51234\t2026-01-15 10:29:58\t1768472998',
+        'GLOBAL_STATS\tMax bcast/mcast queue length\t0',
+        'END'
+    ];
+
+    /**
+     * Minimal management interface: greeting, optional password, status 3 and kill
+     */
+    function createFakeServer(options = {}) {
+        const server = net.createServer();
+        const sockets = new Set();
+        const commands = [];
+
+        server.on('connection', (socket) => {
+            sockets.add(socket);
+            socket.on('close', () => sockets.delete(socket));
+            socket.setEncoding('utf8');
+
+            let authenticated = !options.password;
+            let buffer = '';
+
+            if (options.password) {
+                socket.write('ENTER PASSWORD:');
+            } else {
+                socket.write('>INFO:OpenVPN Management Interface Version 5 -- type \'help\' for more info\r\n');
+            }
+
+            socket.on('data', (data) => {
+                buffer += data;
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+
+                    if (!authenticated) {
+                        if (line === options.password) {
+                            authenticated = true;
+                            socket.write('SUCCESS: password is correct\r\n');
+                            socket.write('>INFO:OpenVPN Management Interface Version 5 -- type \'help\' for more info\r\n');
+                        } else {
+                            socket.write('ERROR: bad password\r\n');
+                            socket.end();
+                        }
+                        continue;
+                    }
+
+                    commands.push(line);
+
+                    if (line === 'status 3') {
+                        if (options.silent) {
+                            continue;
+                        }
+                        socket.write(STATUS_3.map(l => `${l}\r\n`).join(''));
+                    } else if (line === 'kill alice-laptop') {
+                        socket.write('SUCCESS: common name \'alice-laptop\' found, 1 client(s) killed\r\n');
+                    } else if (line.startsWith('kill ')) {
+                        socket.write(`ERROR: common name '${line.slice(5)}' not found\r\n`);
+                    } else {
+                        socket.write('ERROR: unknown command, enter \'help\' for more options\r\n');
+                    }
+                }
+            });
+        });
+
+        return new Promise(resolve => {
+            server.listen(0, '127.0.0.1', () => {
+                resolve({
+                    port: server.address().port,
+                    commands,
+                    broadcast: (text) => sockets.forEach(socket => socket.write(text)),
+                    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+                    close: () => new Promise(done => {
+                        sockets.forEach(socket => socket.destroy());
+                        server.close(done);
+                    })
+                });
+            });
+        });
+    }
+
+    function waitFor(emitter, event) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for '${event}'`)), 2000);
+            emitter.once(event, (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            });
+        });
+    }
+
+    async function connectClient(server, options = {}) {
+        const client = new OpenVPNManagementClient(mockLoggingService, {
+            port: server.port,
+            reconnectDelay: 20,
+            commandTimeout: 500,
+            ...options
+        });
+        const connected = waitFor(client, 'connected');
+        client.start();
+        await connected;
+        return client;
+    }
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    // Test 1: status 3 parsing
+    await runTest('Read connected clients with status 3', async () => {
+        const server = await createFakeServer();
+        const client = await connectClient(server);
+
+        try {
+            const status = await client.getStatus();
+            assert.strictEqual(status.updatedAt, new Date(1768473000 * 1000).toISOString());
+            assert.strictEqual(status.clients.length, 2);
+
+            const alice = status.clients[0];
+            assert.strictEqual(alice.commonName, 'alice-laptop');
+            assert.strictEqual(alice.realIP, '203.0.113.10');
+            assert.strictEqual(alice.virtualAddress, '10.8.0.2');
+            assert.strictEqual(alice.bytesReceived, 123456);
+            assert.strictEqual(alice.bytesSent, 654321);
+            assert.strictEqual(alice.connectedSince, new Date(1768467600 * 1000).toISOString());
+            assert.strictEqual(alice.username, null);
+            assert.strictEqual(alice.cipher, 'AES-256-GCM');
+
+            assert.strictEqual(status.routes[0].commonName, 'alice-laptop');
+            assert.strictEqual(status.globalStats['Max bcast/mcast queue length'], '0');
+        } finally {
+            client.stop();
+            await server.close();
+        }
+    });
+
+    // Test 2: Older status layouts are mapped through their headers
+    await runTest('Parse the OpenVPN 2.4 status layout', async () => {
+        const status = OpenVPNManagementClient.parseStatus([
+            'HEADER\tCLIENT_LIST\tCommon Name\tReal Address\tVirtual Address\tBytes Received\tBytes Sent\tConnected Since\tConnected Since (time_t)\tUsername',
+            'CLIENT_LIST\tbob-phone\t[2001:db8::1]:1194\t10.8.0.6\t10\t20\tThu Jan 15 10:00:00 2026\t1768471200\tbob'
+        ]);
+
+        assert.strictEqual(status.clients[0].commonName, 'bob-phone');
+        assert.strictEqual(status.clients[0].realIP, '[2001:db8::1]');
+        assert.strictEqual(status.clients[0].virtualIPv6Address, null);
+        assert.strictEqual(status.clients[0].bytesSent, 20);
+        assert.strictEqual(status.clients[0].username, 'bob');
+        assert.strictEqual(status.clients[0].clientId, null);
+    });
+
+    // Test 3: kill <cn>
+    await runTest('Kill clients by common name', async () => {
+        const server = await createFakeServer();
+        const client = await connectClient(server);
+
+        try {
+            const result = await client.killClient('alice-laptop');
+            assert.deepStrictEqual(result, { commonName: 'alice-laptop', killed: 1 });
+
+            await assert.rejects(client.killClient('nobody'), error => error.code === 'CLIENT_NOT_FOUND');
+            await assert.rejects(client.killClient('alice\nsignal SIGTERM'), error => error.code === 'INVALID_COMMAND');
+            assert.deepStrictEqual(server.commands, ['kill alice-laptop', 'kill nobody']);
+        } finally {
+            client.stop();
+            await server.close();
+        }
+    });
+
+    // Test 4: >CLIENT: notifications
+    await runTest('Emit >CLIENT: notifications with their environment', async () => {
+        const server = await createFakeServer();
+        const client = await connectClient(server);
+
+        try {
+            const received = [];
+            client.on('client', notification => received.push(notification));
+
+            const statusPromise = client.getStatus();
+            server.broadcast([
+                '>CLIENT:CONNECT,4,1',
+                '>CLIENT:ENV,common_name=kids-tablet',
+                '>CLIENT:ENV,untrusted_ip=198.51.100.7',
+                '>CLIENT:ENV,END',
+                '>CLIENT:ADDRESS,4,10.8.0.3,1',
+                '>CLIENT:DISCONNECT,2',
+                '>CLIENT:ENV,common_name=alice-laptop',
+                '>CLIENT:ENV,bytes_sent=5000',
+                '>CLIENT:ENV,END',
+                ''
+            ].join('\r\n'));
+
+            // Notifications interleaved with a command reply must not break it
+            const status = await statusPromise;
+            assert.strictEqual(status.clients.length, 2);
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.strictEqual(received.length, 3);
+            assert.deepStrictEqual(received[0], {
+                event: 'CONNECT',
+                clientId: 4,
+                keyId: 1,
+                env: { common_name: 'kids-tablet', untrusted_ip: '198.51.100.7' }
+            });
+            assert.strictEqual(received[1].event, 'ADDRESS');
+            assert.strictEqual(received[1].address, '10.8.0.3');
+            assert.strictEqual(received[2].event, 'DISCONNECT');
+            assert.strictEqual(received[2].env.bytes_sent, '5000');
+        } finally {
+            client.stop();
+            await server.close();
+        }
+    });
+
+    // Test 5: Reconnect after the server drops the connection
+    await runTest('Reconnect automatically and fail in-flight commands', async () => {
+        const server = await createFakeServer({ silent: true });
+        const client = await connectClient(server);
+
+        try {
+            const pending = client.getStatus();
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const disconnected = waitFor(client, 'disconnected');
+            const reconnected = new Promise(resolve => client.once('disconnected', () => client.once('connected', resolve)));
+            server.dropConnections();
+
+            await assert.rejects(pending, error => error.code === 'MANAGEMENT_DISCONNECTED');
+            await disconnected;
+            await reconnected;
+            assert.strictEqual(client.isConnected(), true);
+        } finally {
+            client.stop();
+            await server.close();
+        }
+
+        await assert.rejects(client.getStatus(), error => error.code === 'MANAGEMENT_UNAVAILABLE');
+    });
+
+    // Test 6: Password prompt and command timeout
+    await runTest('Answer the password prompt and time out silent commands', async () => {
+        const server = await createFakeServer({ password: 's3cret', silent: true });
+        const client = await connectClient(server, { password: 's3cret', commandTimeout: 100 });
+
+        try {
+            await assert.rejects(client.getStatus(), error => error.code === 'MANAGEMENT_TIMEOUT');
+            assert.deepStrictEqual(server.commands, ['status 3']);
+        } finally {
+            client.stop();
+            await server.close();
+        }
+    });
+
+    // Test 7: /api/connections
+    await runTest('Serve connections through the authenticated API', async () => {
+        const server = await createFakeServer();
+        const client = await connectClient(server);
+
+        const registry = {
+            list: async () => [
+                { name: 'alice-laptop', createdBy: 'alice', assignedTo: [] },
+                { name: 'kids-tablet', createdBy: 'alice', assignedTo: ['kid'] }
+            ]
+        };
+        const authService = {
+            validateToken: async (token) => {
+                const [username, role] = token.split(':');
+                return { valid: true, decoded: { username, role } };
+            }
+        };
+
+        const routes = new ConnectionRoutes(mockLoggingService, mockLoggingService, null, {
+            management: client,
+            authService,
+            registry
+        });
+        const app = express();
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        try {
+            const anonymous = await request(app).get('/api/connections').set('Accept', 'application/json');
+            assert.strictEqual(anonymous.status, 401);
+
+            const admin = await request(app).get('/api/connections').set('Authorization', 'Bearer root:admin');
+            assert.strictEqual(admin.status, 200);
+            assert.strictEqual(admin.body.count, 2);
+            assert.strictEqual(admin.body.connections[0].virtualAddress, '10.8.0.2');
+
+            const guest = await request(app).get('/api/connections').set('Authorization', 'Bearer kid:guest');
+            assert.deepStrictEqual(guest.body.connections.map(c => c.commonName), ['kids-tablet']);
+
+            client.stop();
+            await server.close();
+
+            const unavailable = await request(app).get('/api/connections').set('Authorization', 'Bearer root:admin');
+            assert.strictEqual(unavailable.status, 503);
+        } finally {
+            client.stop();
+            await server.close().catch(() => {});
+        }
+    });
+
+    console.log('\n📊 OpenVPN Management Client Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 OpenVPN Management Client Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testOpenVPNManagement().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testOpenVPNManagement;
@@ -0,0 +1,294 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const OpenVPNStatusParser = require('../src/utils/openvpn-status-parser');
+const ConnectionRoutes = require('../src/routes/connections');
+const CertificateRoutes = require('../src/routes/certificates');
+const AuthenticationService = require('../src/services/auth-service');
+
+/**
+ * Test status file / access log parsing and the connection history API
+ */
+async function testOpenVPNStatus() {
+    console.log('🧪 Testing OpenVPN Status Parsing...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-openvpn-status');
+
+    const STATUS_V1 = [
+        'OpenVPN CLIENT LIST',
+        'Updated,2026-01-15 10:30:00',
+        'Common Name,Real Address,Bytes Received,Bytes Sent,Connected Since',
+        'alice-laptop,203.0.113.10:51234,123456,654321,2026-01-15 09:00:00',
+        'kids-tablet,198.51.100.7:40000,1000,2000,2026-01-15 10:00:00',
+        'ROUTING TABLE',
+        'Virtual Address,Common Name,Real Address,Last Ref',
+        '10.8.0.3,kids-tablet,198.51.100.7:40000,2026-01-15 10:29:50',
+        '10.8.0.2,alice-laptop,203.0.113.10:51234,2026-01-15 10:29:58',
+        'GLOBAL STATS',
+        'Max bcast/mcast queue length,0',
+        'END',
+        ''
+    ].join('\n');
+
+    const V2_ROWS = [
+        ['TITLE', 'OpenVPN 2.6.8 x86_64-pc-linux-gnu'],
+        ['TIME', '2026-01-15 10:30:00', '1768473000'],
+        ['HEADER', 'CLIENT_LIST', 'Common Name', 'Real Address', 'Virtual Address', 'Virtual IPv6 Address', 'Bytes Received', 'Bytes Sent', 'Connected Since', 'Connected Since (time_t)', 'Username', 'Client ID', 'Peer ID', 'Data Channel Cipher'],
+        ['CLIENT_LIST', 'alice-laptop', '203.0.113.10:51234', '10.8.0.2', '', '123456', '654321', '2026-01-15 09:00:00', '1768467600', 'UNDEF', '0', '0', 'AES-256-GCM'],
+        ['HEADER', 'ROUTING_TABLE', 'Virtual Address', 'Common Name', 'Real Address', 'Last Ref', 'Last Ref (time_t)'],
+        ['ROUTING_TABLE', '10.8.0.2', 'alice-laptop', '203.0.113.10:51234', '2026-01-15 10:29:58', '1768472998'],
+        ['GLOBAL_STATS', 'Max bcast/mcast queue length', '0'],
+        ['END']
+    ];
+
+    const ACCESS_LOG = [
+        // Older scripts wrote the output of plain date(1)
+        'Wed Jan 14 20:00:00 UTC 2026: CONNECT - CN: alice-laptop, Real IP: 203.0.113.10, VPN IP: 10.8.0.2',
+        'Wed Jan 14 21:00:00 UTC 2026: DISCONNECT - CN: alice-laptop, Real IP: 203.0.113.10, VPN IP: 10.8.0.2',
+        '2026-01-15T08:00:00Z: DISCONNECT - CN: kids-tablet, Real IP: 198.51.100.7, VPN IP: 10.8.0.3, Duration: 600, Bytes Received: 10, Bytes Sent: 20',
+        '2026-01-15T09:00:00Z: CONNECT - CN: alice-laptop, Real IP: 203.0.113.10, VPN IP: 10.8.0.2',
+        '2026-01-15T09:05:00Z: CONNECT - CN: alice-laptop, Real IP: 192.0.2.50, VPN IP: 10.8.0.4',
+        'garbage line',
+        '2026-01-15T09:35:00Z: DISCONNECT - CN: alice-laptop, Real IP: 192.0.2.50, VPN IP: 10.8.0.4, Duration: 1800, Bytes Received: 5000, Bytes Sent: 7000',
+        '2026-01-15T10:00:00Z: CONNECT - CN: kids-tablet, Real IP: 198.51.100.7, VPN IP: 10.8.0.3',
+        ''
+    ].join('\n');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    // Test 1: status-version 1
+    await runTest('Parse status version 1', async () => {
+        const status = OpenVPNStatusParser.parseStatus(STATUS_V1);
+
+        assert.strictEqual(status.version, 1);
+        assert.strictEqual(status.updatedAt, new Date('2026-01-15 10:30:00').toISOString());
+        assert.strictEqual(status.clients.length, 2);
+
+        const alice = status.clients[0];
+        assert.strictEqual(alice.commonName, 'alice-laptop');
+        assert.strictEqual(alice.realIP, '203.0.113.10');
+        assert.strictEqual(alice.bytesReceived, 123456);
+        assert.strictEqual(alice.connectedSince, new Date('2026-01-15 09:00:00').toISOString());
+        // Version 1 has no virtual address column; it is taken from the routing table
+        assert.strictEqual(alice.virtualAddress, '10.8.0.2');
+        assert.strictEqual(status.clients[1].virtualAddress, '10.8.0.3');
+        assert.strictEqual(status.globalStats['Max bcast/mcast queue length'], '0');
+    });
+
+    // Test 2: status-version 2 and 3
+    await runTest('Parse status versions 2 and 3', async () => {
+        const v2 = OpenVPNStatusParser.parseStatus(V2_ROWS.map(row => row.join(',')).join('\n'));
+        const v3 = OpenVPNStatusParser.parseStatus(V2_ROWS.map(row => row.join('\t')).join('\n'));
+
+        assert.strictEqual(v2.version, 2);
+        assert.strictEqual(v3.version, 3);
+
+        for (const status of [v2, v3]) {
+            assert.strictEqual(status.updatedAt, new Date(1768473000 * 1000).toISOString());
+            assert.strictEqual(status.clients.length, 1);
+            assert.strictEqual(status.clients[0].virtualAddress, '10.8.0.2');
+            assert.strictEqual(status.clients[0].bytesSent, 654321);
+            assert.strictEqual(status.clients[0].connectedSince, new Date(1768467600 * 1000).toISOString());
+            assert.strictEqual(status.clients[0].cipher, 'AES-256-GCM');
+            assert.strictEqual(status.routes[0].lastRef, new Date(1768472998 * 1000).toISOString());
+        }
+    });
+
+    // Test 3: client-access.log
+    await runTest('Parse the client access log', async () => {
+        const entries = OpenVPNStatusParser.parseAccessLog(ACCESS_LOG);
+
+        assert.strictEqual(entries.length, 7);
+        assert.deepStrictEqual(entries[0], {
+            timestamp: '2026-01-14T20:00:00.000Z',
+            event: 'CONNECT',
+            commonName: 'alice-laptop',
+            realIP: '203.0.113.10',
+            virtualAddress: '10.8.0.2'
+        });
+        assert.strictEqual(entries[5].duration, 1800);
+        assert.strictEqual(entries[5].bytesReceived, 5000);
+        assert.strictEqual(entries[5].bytesSent, 7000);
+
+        // Unknown zone names fall back to local time instead of being dropped
+        const [local] = OpenVPNStatusParser.parseAccessLog(
+            'Wed Jan 14 20:00:00 CET 2026: CONNECT - CN: bob-phone, Real IP: 192.0.2.1, VPN IP: 10.8.0.9');
+        assert.strictEqual(local.timestamp, new Date('Wed Jan 14 20:00:00 2026').toISOString());
+    });
+
+    // Test 4: Sessions per certificate
+    await runTest('Build per-certificate connection history', async () => {
+        const history = OpenVPNStatusParser.buildHistory(OpenVPNStatusParser.parseAccessLog(ACCESS_LOG));
+
+        const alice = history['alice-laptop'];
+        assert.strictEqual(alice.totalSessions, 3);
+        assert.strictEqual(alice.lastConnectedAt, '2026-01-15T09:05:00.000Z');
+        assert.strictEqual(alice.lastDisconnectedAt, '2026-01-15T09:35:00.000Z');
+
+        // Newest first; the two overlapping sessions are told apart by VPN IP
+        assert.strictEqual(alice.sessions[0].realIP, '192.0.2.50');
+        assert.strictEqual(alice.sessions[0].disconnectedAt, '2026-01-15T09:35:00.000Z');
+        assert.strictEqual(alice.sessions[0].duration, 1800);
+        assert.strictEqual(alice.sessions[1].disconnectedAt, null);
+        assert.strictEqual(alice.sessions[2].disconnectedAt, '2026-01-14T21:00:00.000Z');
+
+        const kids = history['kids-tablet'];
+        assert.strictEqual(kids.totalSessions, 2);
+        assert.strictEqual(kids.sessions[1].connectedAt, null);
+        assert.strictEqual(kids.sessions[1].bytesSent, 20);
+
+        const limited = OpenVPNStatusParser.buildHistory(OpenVPNStatusParser.parseAccessLog(ACCESS_LOG), { limit: 1 });
+        assert.strictEqual(limited['alice-laptop'].sessions.length, 1);
+        assert.strictEqual(limited['alice-laptop'].totalSessions, 3);
+    });
+
+    // Test 5: API falls back to the status file and serves history
+    await runTest('Serve status file connections and history through the API', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+
+        const statusLogPath = path.join(testDir, 'openvpn-status.log');
+        const accessLogPath = path.join(testDir, 'client-access.log');
+        await fs.writeFile(statusLogPath, STATUS_V1);
+        await fs.writeFile(accessLogPath, ACCESS_LOG);
+
+        const registry = {
+            list: async () => [
+                { name: 'alice-laptop', createdBy: 'alice', assignedTo: [] },
+                { name: 'kids-tablet', createdBy: 'alice', assignedTo: ['kid'] }
+            ]
+        };
+        const authService = {
+            validateToken: async (token) => {
+                const [username, role] = token.split(':');
+                return { valid: true, decoded: { username, role } };
+            }
+        };
+
+        const routes = new ConnectionRoutes(mockLogger, mockLogger, null, {
+            management: { isConnected: () => false },
+            authService,
+            registry,
+            statusLogPath,
+            accessLogPath
+        });
+        const app = express();
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        try {
+            const current = await request(app).get('/api/connections').set('Authorization', 'Bearer root:admin');
+            assert.strictEqual(current.status, 200);
+            assert.strictEqual(current.body.source, 'status-log');
+            // The sample file was written long ago
+            assert.strictEqual(current.body.stale, true);
+            assert.strictEqual(current.body.count, 2);
+
+            const history = await request(app).get('/api/connections/history').set('Authorization', 'Bearer kid:guest');
+            assert.strictEqual(history.status, 200);
+            assert.deepStrictEqual(Object.keys(history.body.history), ['kids-tablet']);
+
+            const single = await request(app)
+                .get('/api/connections/history?name=alice-laptop')
+                .set('Authorization', 'Bearer root:admin');
+            assert.deepStrictEqual(Object.keys(single.body.history), ['alice-laptop']);
+
+            await fs.rm(statusLogPath);
+            await fs.rm(accessLogPath);
+
+            const unavailable = await request(app).get('/api/connections').set('Authorization', 'Bearer root:admin');
+            assert.strictEqual(unavailable.status, 503);
+
+            const empty = await request(app).get('/api/connections/history').set('Authorization', 'Bearer root:admin');
+            assert.deepStrictEqual(empty.body.history, {});
+        } finally {
+            await fs.rm(testDir, { recursive: true, force: true });
+        }
+    });
+
+    // Test 6: Bearer tokens with the routers mounted as in src/server.js
+    await runTest('Serve connections to JWT clients behind the certificate routes', async () => {
+        const authService = new AuthenticationService({ logAuthenticationEvent: () => {} }, null);
+        const { accessToken } = await authService.generateTokens('root', '127.0.0.1', 'admin');
+        const routes = new ConnectionRoutes(mockLogger, mockLogger, null, {
+            management: {
+                isConnected: () => true,
+                getStatus: async () => ({ clients: [{ commonName: 'alice-laptop', realAddress: '203.0.113.5:51820' }] })
+            },
+            authService,
+            registry: { list: async () => [] }
+        });
+
+        const app = express();
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', new CertificateRoutes(mockLogger, mockLogger, null, { certificates: { dir: testDir } }).getRouter());
+        app.use('/', routes.getRouter());
+
+        const response = await request(app).get('/api/connections')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+        assert.strictEqual(response.body.source, 'management');
+        assert.strictEqual(response.body.count, 1);
+
+        const history = await request(app).get('/api/connections/history')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(history.status, 200);
+    });
+
+    console.log('\n📊 OpenVPN Status Parsing Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 OpenVPN Status Parsing Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testOpenVPNStatus().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testOpenVPNStatus;
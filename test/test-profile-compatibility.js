@@ -0,0 +1,287 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config');
+const CertificateManager = require('../src/utils/certificate-manager');
+const ProfileCompatibilityChecker = require('../src/utils/profile-compatibility');
+const ServerConfigRoutes = require('../src/routes/server-config');
+const CertificateRoutes = require('../src/routes/certificates');
+const AuthenticationService = require('../src/services/auth-service');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Test the server-client profile compatibility checker, its API endpoint and the check
+ * that runs after a profile is generated
+ */
+async function testProfileCompatibility() {
+    console.log('🧪 Testing Profile Compatibility Checker...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+    const securityEvents = [];
+    const mockLoggingService = {
+        logSecurityEvent: (event) => securityEvents.push(event)
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-profile-compat');
+    const checker = new ProfileCompatibilityChecker(mockLogger);
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    const openssl = (...args) => execFileAsync('openssl', args, { cwd: testDir });
+    const staticKey = () => [
+        '-----BEGIN OpenVPN Static key V1-----',
+        ...Array.from({ length: 16 }, () => crypto.randomBytes(16).toString('hex')),
+        '-----END OpenVPN Static key V1-----'
+    ].join('\n');
+
+    /**
+     * A CA with two clients (bob revoked in crl.pem), an unrelated CA with its own client, and ta.key
+     */
+    async function createPki() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'index.txt'), '');
+        await fs.writeFile(path.join(testDir, 'crlnumber'), '1000\n');
+        await fs.writeFile(path.join(testDir, 'ca.cnf'), [
+            '[ ca ]', 'default_ca = CA_default', '[ CA_default ]',
+            'database = index.txt', 'crlnumber = crlnumber', 'default_md = sha256', 'default_crl_days = 30'
+        ].join('\n'));
+
+        const ecKey = ['-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes'];
+        for (const ca of ['ca', 'other-ca']) {
+            await openssl('req', '-x509', ...ecKey, '-keyout', `${ca}.key`, '-out', `${ca}.crt`, '-days', '30', '-subj', `/CN=${ca}`);
+        }
+        const clients = [['alice', 'ca', '1001'], ['bob', 'ca', '1002'], ['mallory', 'other-ca', '1003']];
+        for (const [name, ca, serial] of clients) {
+            await openssl('req', '-new', ...ecKey, '-keyout', `${name}.key`, '-out', `${name}.csr`, '-subj', `/CN=${name}`);
+            await openssl('x509', '-req', '-in', `${name}.csr`, '-CA', `${ca}.crt`, '-CAkey', `${ca}.key`,
+                '-set_serial', `0x${serial}`, '-out', `${name}.crt`, '-days', '10');
+        }
+        await openssl('ca', '-config', 'ca.cnf', '-cert', 'ca.crt', '-keyfile', 'ca.key', '-revoke', 'bob.crt');
+        await openssl('ca', '-config', 'ca.cnf', '-cert', 'ca.crt', '-keyfile', 'ca.key', '-gencrl', '-out', 'crl.pem');
+        await fs.writeFile(path.join(testDir, 'ta.key'), staticKey());
+    }
+
+    const read = file => fs.readFile(path.join(testDir, file), 'utf8');
+    const serverConfig = (extra = []) => [
+        'port 1194', 'proto udp', 'dev tun', `ca ${path.join(testDir, 'ca.crt')}`,
+        `tls-crypt ${path.join(testDir, 'ta.key')}`, 'data-ciphers AES-256-GCM:AES-128-GCM', 'auth SHA256',
+        `crl-verify ${path.join(testDir, 'crl.pem')}`, 'push "compress stub-v2"', ...extra
+    ].join('\n');
+
+    async function profile({ name = 'alice', ca = 'ca', wrap = 'tls-crypt', key, extra = [] } = {}) {
+        return [
+            'client', 'dev tun', 'proto udp', 'remote vpn.example.com 1194', 'nobind', ...extra,
+            '<ca>', (await read(`${ca}.crt`)).trim(), '</ca>',
+            '<cert>', (await read(`${name}.crt`)).trim(), '</cert>',
+            '<key>', (await read(`${name}.key`)).trim(), '</key>',
+            ...(wrap ? [`<${wrap}>`, (key || await read('ta.key')).trim(), `</${wrap}>`] : [])
+        ].join('\n');
+    }
+
+    const statusOf = (result, check) => result.checks.filter(entry => entry.check === check).map(entry => entry.status);
+    const failureOf = (result, check) => result.checks.find(entry => entry.check === check && entry.status === 'fail');
+
+    await createPki();
+
+    // Test 1: Compatible profile
+    await runTest('Pass a profile made from the server\'s CA, key and ciphers', async () => {
+        const result = await checker.check({ profile: await profile(), server: serverConfig(), certDir: testDir });
+
+        assert.strictEqual(result.compatible, true, JSON.stringify(result.checks.filter(entry => entry.status !== 'pass')));
+        assert.deepStrictEqual(result.summary, { fail: 0, warning: 0 });
+        assert.deepStrictEqual(
+            result.checks.map(entry => entry.check),
+            ['proto', 'dev', 'compression', 'port', 'tls-wrap', 'data-ciphers', 'ca', 'client-cert', 'crl']
+        );
+        assert.ok(result.checks.every(entry => entry.status === 'pass' && entry.fix === null));
+    });
+
+    // Test 2: CA, signature and revocation
+    await runTest('Catch a foreign CA, a certificate from another CA and a revoked certificate', async () => {
+        const foreign = await checker.check({ profile: await profile({ name: 'mallory', ca: 'other-ca' }), server: serverConfig(), certDir: testDir });
+        assert.strictEqual(foreign.compatible, false);
+        assert.ok(failureOf(foreign, 'ca').fix.includes('Regenerate the profile'));
+        assert.deepStrictEqual(statusOf(foreign, 'client-cert'), ['pass'], 'the embedded CA did sign it');
+
+        const unsigned = await checker.check({ profile: await profile({ name: 'mallory' }), server: serverConfig(), certDir: testDir });
+        assert.deepStrictEqual(statusOf(unsigned, 'ca'), ['pass']);
+        assert.ok(failureOf(unsigned, 'client-cert').message.includes('unable to get local issuer certificate'));
+        assert.ok(failureOf(unsigned, 'client-cert').fix.includes('different CA'));
+
+        const revoked = await checker.check({ profile: await profile({ name: 'bob' }), server: serverConfig(), certDir: testDir });
+        assert.ok(failureOf(revoked, 'crl').message.includes('serial 1002'));
+        assert.ok(failureOf(revoked, 'crl').fix.includes('Issue a new certificate'));
+
+        await fs.rename(path.join(testDir, 'crl.pem'), path.join(testDir, 'crl.pem.bak'));
+        try {
+            const missing = await checker.check({ profile: await profile(), server: serverConfig(), certDir: testDir });
+            assert.ok(failureOf(missing, 'crl').fix.includes('crl-refresh'));
+        } finally {
+            await fs.rename(path.join(testDir, 'crl.pem.bak'), path.join(testDir, 'crl.pem'));
+        }
+    });
+
+    // Test 3: TLS wrapping, ciphers and transport
+    await runTest('Catch wrapping key, cipher, digest and transport mismatches with fixes', async () => {
+        const server = serverConfig();
+
+        const wrongKey = await checker.check({ profile: await profile({ key: staticKey() }), server, certDir: testDir });
+        assert.ok(failureOf(wrongKey, 'tls-wrap').message.includes('not the server\'s key'));
+
+        const wrongMode = await checker.check({ profile: await profile({ wrap: 'tls-auth', extra: ['key-direction 1'] }), server, certDir: testDir });
+        assert.ok(failureOf(wrongMode, 'tls-wrap').fix.includes('<tls-crypt>'));
+
+        const noWrap = await checker.check({ profile: await profile({ wrap: null }), server, certDir: testDir });
+        assert.ok(failureOf(noWrap, 'tls-wrap').message.includes('no tls-crypt key'));
+
+        const ciphers = await checker.check({ profile: await profile({ extra: ['data-ciphers CHACHA20-POLY1305'] }), server, certDir: testDir });
+        assert.strictEqual(failureOf(ciphers, 'data-ciphers').fix, 'Add "data-ciphers AES-256-GCM:AES-128-GCM" to the profile');
+
+        // tls-auth signs packets with the auth digest, which defaults to SHA1 on the client
+        const tlsAuthServer = server.replace(/^tls-crypt (.+)$/m, 'tls-auth $1 0');
+        const digest = await checker.check({ profile: await profile({ wrap: 'tls-auth', extra: ['key-direction 1'] }), server: tlsAuthServer, certDir: testDir });
+        assert.deepStrictEqual(statusOf(digest, 'tls-wrap'), ['pass']);
+        assert.strictEqual(failureOf(digest, 'auth-digest').fix, 'Set "auth SHA256" in the profile');
+
+        const transport = await checker.check({
+            profile: await profile({ extra: ['proto tcp', 'compress lz4'] }),
+            server: server.replace('push "compress stub-v2"', ''),
+            certDir: testDir
+        });
+        assert.ok(failureOf(transport, 'proto').fix.includes('proto udp'));
+        assert.ok(failureOf(transport, 'compression'));
+
+        await assert.rejects(() => checker.check({ profile: ' ', server, certDir: testDir }), { code: 'INVALID_PROFILE' });
+    });
+
+    // Test 4: Runs after generateClientConfig()
+    await runTest('Check profiles as they are generated and log the fixes', async () => {
+        const warnings = [];
+        const originalDir = config.certificates.dir;
+        const originalServerConfig = process.env.OPENVPN_CONFIG;
+        config.certificates.dir = testDir;
+        process.env.OPENVPN_CONFIG = path.join(testDir, 'openvpn.conf');
+        await fs.writeFile(process.env.OPENVPN_CONFIG, serverConfig());
+
+        try {
+            // Skip the constructor's directory setup; only profile rendering is needed
+            const certManager = Object.create(CertificateManager.prototype);
+            certManager.logger = { ...mockLogger, warn: (message, meta) => warnings.push({ message, meta }) };
+            certManager.platform = 'linux';
+
+            const result = await certManager.generateClientConfig('alice');
+            assert.ok((await read('alice.ovpn')).includes('<cert>'));
+            assert.strictEqual(result.compatible, false);
+            // Profiles from this manager carry no tls-crypt key yet
+            assert.ok(failureOf(result, 'tls-wrap'));
+            assert.ok(warnings.some(({ message, meta }) => message.startsWith('Profile alice will not connect') && meta.check === 'tls-wrap' && meta.fix));
+        } finally {
+            config.certificates.dir = originalDir;
+            if (originalServerConfig === undefined) {
+                delete process.env.OPENVPN_CONFIG;
+            } else {
+                process.env.OPENVPN_CONFIG = originalServerConfig;
+            }
+        }
+    });
+
+    // Test 5: API
+    await runTest('Check stored and uploaded profiles through the API', async () => {
+        await fs.writeFile(path.join(testDir, 'openvpn.conf'), serverConfig());
+        await fs.writeFile(path.join(testDir, 'laptop-bob.ovpn'), await profile({ name: 'bob' }));
+
+        // Signed tokens, with the certificate routes mounted first as in src/server.js
+        const authService = new AuthenticationService({ logAuthenticationEvent: () => {} }, null);
+        const adminToken = (await authService.generateTokens('root', '127.0.0.1', 'admin')).accessToken;
+        const memberToken = (await authService.generateTokens('anna', '127.0.0.1', 'member')).accessToken;
+        const routes = new ServerConfigRoutes(mockLogger, mockLoggingService, null, { certificates: { dir: testDir } }, {
+            authService,
+            serverConfigPaths: [path.join(testDir, 'openvpn.conf')]
+        });
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', new CertificateRoutes(mockLogger, mockLoggingService, null, { certificates: { dir: testDir } }).getRouter());
+        app.use('/', routes.getRouter());
+        const post = (body, token = adminToken) => request(app)
+            .post('/api/server-config/check-profile')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        const stored = await post({ client: 'laptop-bob' });
+        assert.strictEqual(stored.status, 200, JSON.stringify(stored.body));
+        assert.deepStrictEqual(stored.body.client, { source: 'file', name: 'laptop-bob' });
+        assert.deepStrictEqual(stored.body.server, { source: 'file', path: path.join(testDir, 'openvpn.conf') });
+        assert.strictEqual(stored.body.compatible, false);
+        assert.ok(failureOf(stored.body, 'crl'));
+
+        const uploaded = await post({ profile: await profile() });
+        assert.strictEqual(uploaded.status, 200);
+        assert.deepStrictEqual(uploaded.body.client, { source: 'upload', name: null });
+        assert.strictEqual(uploaded.body.compatible, true);
+
+        assert.strictEqual((await post({ client: 'nobody' })).status, 404);
+        assert.strictEqual((await post({ client: '../etc' })).status, 400);
+        assert.strictEqual((await post({ profile: '' })).status, 400);
+        assert.strictEqual((await post({ client: 'laptop-bob' }, memberToken)).status, 403);
+        assert.deepStrictEqual(securityEvents, ['SERVER_CONFIG_ACCESS_DENIED']);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Profile Compatibility Checker Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Profile Compatibility Checker Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testProfileCompatibility().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testProfileCompatibility;
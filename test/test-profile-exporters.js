@@ -0,0 +1,258 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const OpenVPNBackend = require('../src/services/openvpn-backend');
+const ProfileExporter = require('../src/utils/profile-exporters');
+
+/**
+ * Test the Apple, ChromeOS and NetworkManager profile exporters and the download format parameter
+ */
+async function testProfileExporters() {
+    console.log('🧪 Testing Profile Exporters...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-exporters');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    // Throwaway CA and client certificate, laid out like the certificates directory
+    async function createMaterial(clientName) {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+
+        const file = name => path.join(testDir, name);
+        await execFile('openssl', ['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+            '-subj', '/CN=Test Family CA', '-keyout', file('ca.key'), '-out', file('ca.crt')]);
+        await execFile('openssl', ['req', '-newkey', 'rsa:2048', '-nodes',
+            '-subj', `/CN=${clientName}`, '-keyout', file(`${clientName}.key`), '-out', file(`${clientName}.csr`)]);
+        await execFile('openssl', ['x509', '-req', '-in', file(`${clientName}.csr`), '-days', '1',
+            '-CA', file('ca.crt'), '-CAkey', file('ca.key'), '-CAcreateserial', '-out', file(`${clientName}.crt`)]);
+        await fs.writeFile(file(`${clientName}.ovpn`), 'client\nremote vpn.example.com 1194\n');
+
+        return {
+            ca: (await fs.readFile(file('ca.crt'), 'utf8')).trim(),
+            cert: (await fs.readFile(file(`${clientName}.crt`), 'utf8')).trim(),
+            key: (await fs.readFile(file(`${clientName}.key`), 'utf8')).trim()
+        };
+    }
+
+    // Decrypt a PKCS#12 bundle back to PEM to prove it holds the certificate and key
+    async function readPKCS12(bundle, password) {
+        const bundleFile = path.join(testDir, 'check.p12');
+        await fs.writeFile(bundleFile, bundle);
+        const { stdout } = await execFile('openssl', ['pkcs12', '-in', bundleFile, '-nodes',
+            '-passin', 'env:CHECK_PASSWORD'], { env: { ...process.env, CHECK_PASSWORD: password } });
+        return stdout;
+    }
+
+    const settings = { host: 'vpn.example.com', port: 1194, protocol: 'udp', compress: 'lz4' };
+    const exporter = new ProfileExporter(mockLogger);
+    let material;
+
+    // Test 1: Apple configuration profile
+    await runTest('Export an Apple .mobileconfig with an embedded PKCS#12 identity', async () => {
+        material = await createMaterial('moms-iphone');
+        const result = await exporter.export('mobileconfig', { name: 'moms-iphone', ...settings, ...material });
+
+        assert.strictEqual(result.filename, 'moms-iphone.mobileconfig');
+        assert.strictEqual(result.contentType, 'application/x-apple-aspen-config');
+        assert.ok(result.content.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+        assert.ok(result.content.includes('<string>com.apple.security.pkcs12</string>'));
+        assert.ok(result.content.includes('<string>com.apple.vpn.managed</string>'));
+        assert.ok(result.content.includes('<string>net.openvpn.connect.app</string>'));
+        assert.ok(result.content.includes('<string>vpn.example.com 1194</string>'));
+        assert.ok(result.content.includes('-----BEGIN CERTIFICATE-----\\n'), 'CA should be inline with escaped newlines');
+        assert.ok(!result.content.includes('PRIVATE KEY'), 'private key must only travel inside the PKCS#12');
+
+        // The VPN payload must reference the identity payload
+        const identityUUID = result.content.match(/<key>PayloadCertificateUUID<\/key>\s*<string>([^<]+)<\/string>/)[1];
+        assert.ok(result.content.includes(`<key>PayloadUUID</key>\n\t\t\t<string>${identityUUID}</string>`));
+
+        const password = result.content.match(/<key>Password<\/key>\s*<string>([^<]+)<\/string>/)[1];
+        const bundle = Buffer.from(result.content.match(/<data>([^<]+)<\/data>/)[1], 'base64');
+        const pem = await readPKCS12(bundle, password);
+        assert.ok(pem.includes('subject=CN = moms-iphone'));
+        assert.ok(pem.includes('PRIVATE KEY'));
+    });
+
+    // Test 2: ChromeOS ONC
+    await runTest('Export a ChromeOS .onc with certificate references', async () => {
+        const result = await exporter.export('onc', { name: 'moms-iphone', ...settings, ...material });
+        const onc = JSON.parse(result.content);
+
+        assert.strictEqual(onc.Type, 'UnencryptedConfiguration');
+        const authority = onc.Certificates.find(cert => cert.Type === 'Authority');
+        const client = onc.Certificates.find(cert => cert.Type === 'Client');
+        assert.strictEqual(authority.X509, ProfileExporter.pemToBase64(material.ca));
+
+        const network = onc.NetworkConfigurations[0];
+        assert.strictEqual(network.Type, 'VPN');
+        assert.strictEqual(network.VPN.Type, 'OpenVPN');
+        assert.strictEqual(network.VPN.Host, 'vpn.example.com');
+        assert.strictEqual(network.VPN.OpenVPN.ClientCertRef, client.GUID);
+        assert.deepStrictEqual(network.VPN.OpenVPN.ServerCARefs, [authority.GUID]);
+        assert.strictEqual(network.VPN.OpenVPN.Port, 1194);
+        assert.strictEqual(network.VPN.OpenVPN.CompressionAlgorithm, 'LZ4');
+
+        // ONC imports client certificates without a passphrase
+        const pem = await readPKCS12(Buffer.from(client.PKCS12, 'base64'), '');
+        assert.ok(pem.includes('PRIVATE KEY'));
+    });
+
+    // Test 3: NetworkManager keyfile
+    await runTest('Export a NetworkManager .nmconnection keyfile', async () => {
+        const result = await exporter.export('nmconnection', { name: 'moms-iphone', ...settings, protocol: 'tcp', ...material });
+
+        assert.strictEqual(result.filename, 'moms-iphone.nmconnection');
+        assert.ok(result.content.includes('[connection]\nid=Family VPN (moms-iphone)\n'));
+        assert.ok(result.content.includes('type=vpn\n'));
+        assert.ok(result.content.includes('service-type=org.freedesktop.NetworkManager.openvpn\n'));
+        assert.ok(result.content.includes('remote=vpn.example.com:1194\n'));
+        assert.ok(result.content.includes('proto-tcp=yes\n'));
+        assert.ok(result.content.includes('ca=/etc/NetworkManager/certs/familyvpn-moms-iphone/ca.crt\n'));
+        assert.ok(!result.content.includes('PRIVATE KEY'));
+    });
+
+    // Test 4: Identifiers and validation
+    await runTest('Keep identifiers stable and reject unusable input', async () => {
+        const uuid = ProfileExporter.createUUID(material.cert, 'profile');
+        assert.match(uuid, /^[0-9A-F]{8}-[0-9A-F]{4}-5[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/);
+        assert.strictEqual(ProfileExporter.createUUID(material.cert, 'profile'), uuid);
+        assert.notStrictEqual(ProfileExporter.createUUID(material.cert, 'vpn'), uuid);
+
+        assert.strictEqual(ProfileExporter.escapeXml('<a & "b">'), '&lt;a &amp; &quot;b&quot;&gt;');
+
+        await assert.rejects(exporter.export('pbk', { name: 'moms-iphone', ...settings, ...material }),
+            error => error.code === 'UNSUPPORTED_FORMAT');
+        await assert.rejects(exporter.export('onc', { name: 'moms-iphone', ...settings, host: null, ...material }),
+            error => error.code === 'VPN_HOST_NOT_CONFIGURED');
+    });
+
+    // Test 5: The download endpoint's format parameter
+    await runTest('Select the profile format on the download endpoint', async () => {
+        material = await createMaterial('dads-laptop');
+
+        let host = 'vpn.example.com';
+        const certManager = {
+            loadClientMaterial: async () => material,
+            getClientProfileSettings: () => ({ ...settings, host })
+        };
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' }
+        }, {
+            registry,
+            backends: {
+                openvpn: new OpenVPNBackend(mockLogger, { certManager, certDir: testDir })
+            }
+        });
+        routes.registryReady = Promise.resolve();
+        await registry.set('dads-laptop', { name: 'dads-laptop', status: 'active', createdBy: 'root' });
+
+        const events = [];
+        routes.logCertificateEvent = (event, name, username, clientIP, meta) => events.push({ event, meta });
+
+        const app = express();
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: true,
+                username: 'root',
+                role: 'admin',
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        // Profiles use vendor content types, so collect the raw body
+        const download = url => request(app).get(url).buffer(true).parse((res, callback) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => callback(null, text));
+        });
+
+        const native = await download('/certificates/download/dads-laptop');
+        assert.strictEqual(native.status, 200);
+        assert.ok(native.headers['content-disposition'].includes('dads-laptop.ovpn'));
+
+        const onc = await download('/certificates/download/dads-laptop?format=onc');
+        assert.strictEqual(onc.status, 200);
+        assert.ok(onc.headers['content-type'].startsWith('application/x-onc'));
+        assert.ok(onc.headers['content-disposition'].includes('dads-laptop.onc'));
+        assert.strictEqual(JSON.parse(onc.body).NetworkConfigurations[0].VPN.Host, 'vpn.example.com');
+        assert.deepStrictEqual(events.map(entry => entry.meta.format), ['ovpn', 'onc']);
+        assert.strictEqual((await registry.get('dads-laptop')).downloadCount, 2);
+
+        const unknown = await request(app).get('/certificates/download/dads-laptop?format=pbk');
+        assert.strictEqual(unknown.status, 400);
+        assert.deepStrictEqual(unknown.body.formats, ['ovpn', 'mobileconfig', 'onc', 'nmconnection']);
+
+        host = null;
+        const unconfigured = await request(app).get('/certificates/download/dads-laptop?format=mobileconfig');
+        assert.strictEqual(unconfigured.status, 503);
+
+        const list = await request(app).get('/certificates/list');
+        const entry = list.body.certificates.find(cert => cert.name === 'dads-laptop');
+        assert.deepStrictEqual(entry.exportFormats.map(format => format.format),
+            ['ovpn', 'mobileconfig', 'onc', 'nmconnection']);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Profile Exporter Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Profile Exporter Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testProfileExporters().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testProfileExporters;
@@ -0,0 +1,292 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+const ServerSettings = require('../src/utils/server-settings');
+const ServerConfigRoutes = require('../src/routes/server-config');
+const CertificateRoutes = require('../src/routes/certificates');
+const AuthenticationService = require('../src/services/auth-service');
+
+/**
+ * Test the server settings editor: validation, diff preview, atomic apply with rollback
+ * and the API that restarts OpenVPN
+ */
+async function testServerSettings() {
+    console.log('🧪 Testing Server Settings Editor...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+    const securityEvents = [];
+    const mockLoggingService = {
+        logSecurityEvent: (event) => securityEvents.push(event)
+    };
+
+    const testDir = path.join(process.cwd(), 'test-server-settings');
+    const configPath = path.join(testDir, 'openvpn.conf');
+    const storeFile = path.join(testDir, 'server-settings.json');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    const createConfig = () => ({
+        vpn: { subnet: '10.8.0.0', netmask: '255.255.255.0', port: 1194, protocol: 'udp', maxClients: 100 },
+        wireguard: { enabled: true, subnet: '10.9.0.0', netmask: '255.255.255.0' },
+        certificates: { dir: testDir }
+    });
+
+    async function createSettings(options = {}) {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        const config = createConfig();
+        const staticAddresses = new Map(Object.entries(options.staticAddresses || {}));
+        const settings = new ServerSettings(mockLogger, {
+            config,
+            storeFile,
+            configPath,
+            securityConfig: new OpenVPNSecurityConfig(config, mockLogger),
+            clientConfigDir: { getStaticAddresses: async () => staticAddresses, subnet: null, staticAddresses: 50 },
+            logDir: '/var/log/openvpn'
+        });
+        return { config, settings };
+    }
+
+    async function rejects(promise, pattern) {
+        await assert.rejects(promise, error => {
+            assert.strictEqual(error.code, 'INVALID_SERVER_SETTINGS');
+            assert.ok(error.details.some(detail => pattern.test(detail)), error.message);
+            return true;
+        });
+    }
+
+    await runTest('Should validate port, protocol, subnet and max clients', async () => {
+        const { settings } = await createSettings({ staticAddresses: { 'laptop-anna': '10.8.0.10' } });
+
+        assert.deepStrictEqual(await settings.validate({ port: '443', protocol: 'TCP' }), {
+            port: 443, protocol: 'tcp', subnet: '10.8.0.0', netmask: '255.255.255.0', maxClients: 100
+        });
+
+        await rejects(settings.validate({ port: 70000 }), /Port/);
+        await rejects(settings.validate({ protocol: 'sctp' }), /Protocol/);
+        await rejects(settings.validate({ subnet: '10.8.0.1' }), /network address/);
+        await rejects(settings.validate({ subnet: '8.8.8.0' }), /not a private network/);
+        await rejects(settings.validate({ subnet: '10.9.0.0' }), /WireGuard/);
+        await rejects(settings.validate({ subnet: '10.20.0.0' }), /laptop-anna/);
+        await rejects(settings.validate({ netmask: '255.255.255.248', maxClients: 10 }), /at most 5/);
+        await rejects(settings.validate({ maxClients: 0 }), /at least 1/);
+    });
+
+    await runTest('Should produce unified diffs', async () => {
+        assert.strictEqual(ServerSettings.unifiedDiff('a\nb\n', 'a\nb\n'), '');
+
+        const diff = ServerSettings.unifiedDiff('1\n2\n3\n4\n5\n6\n7\n8\n', '1\n2\n3\n4\nfive\n6\n7\n8\n', {
+            oldLabel: 'old.conf',
+            newLabel: 'new.conf'
+        });
+        assert.strictEqual(diff, [
+            '--- old.conf', '+++ new.conf', '@@ -2,7 +2,7 @@',
+            ' 2', ' 3', ' 4', '-5', '+five', ' 6', ' 7', ' 8', ''
+        ].join('\n'));
+    });
+
+    await runTest('Should write max-clients into the generated server config', async () => {
+        const securityConfig = new OpenVPNSecurityConfig(createConfig(), mockLogger);
+        assert.ok(/^max-clients 100$/m.test(securityConfig.generateHardenedConfig(testDir)));
+        assert.ok(/^max-clients 12$/m.test(securityConfig.generateHardenedConfig(testDir, { maxClients: 12 })));
+    });
+
+    await runTest('Should leave the UDP-only exit notification out of a TCP config', async () => {
+        const { settings } = await createSettings();
+        assert.ok(/^explicit-exit-notify 1$/m.test(settings.render(await settings.getSettings())));
+
+        const tcp = settings.render(await settings.validate({ protocol: 'tcp' }));
+        assert.ok(/^proto tcp$/m.test(tcp));
+        assert.ok(!tcp.includes('explicit-exit-notify'));
+    });
+
+    await runTest('Should preview, apply and roll back the server config', async () => {
+        const { config, settings } = await createSettings();
+        const original = settings.render(await settings.getSettings());
+        await fs.writeFile(configPath, original);
+
+        const preview = await settings.preview({ port: 443, protocol: 'tcp' });
+        assert.strictEqual(preview.changed, true);
+        assert.strictEqual(preview.affectsProfiles, true);
+        assert.strictEqual(preview.restartRequired, true);
+        assert.deepStrictEqual(preview.changes.map(change => change.field), ['port', 'protocol']);
+        assert.ok(preview.diff.includes('-port 1194\n-proto udp\n+port 443\n+proto tcp\n'));
+        assert.strictEqual(await fs.readFile(configPath, 'utf8'), original, 'preview must not write');
+
+        const applied = await settings.apply({ port: 443, protocol: 'tcp', maxClients: 20 }, 'admin');
+        assert.strictEqual(applied.settings.maxClients, 20);
+        const written = await fs.readFile(configPath, 'utf8');
+        assert.ok(/^port 443$/m.test(written) && /^proto tcp$/m.test(written) && /^max-clients 20$/m.test(written));
+        assert.strictEqual(await fs.readFile(`${configPath}.previous`, 'utf8'), original);
+        assert.strictEqual(config.vpn.port, 443);
+        assert.strictEqual((await fs.readdir(testDir)).filter(file => file.endsWith('.tmp')).length, 0);
+
+        const state = await settings.getState();
+        assert.strictEqual(state.appliedBy, 'admin');
+        assert.strictEqual(state.canRollback, true);
+        assert.strictEqual(state.previous.settings.port, 1194);
+
+        // A restart reads the stored settings back into config.vpn
+        const restarted = createConfig();
+        assert.strictEqual(ServerSettings.applyStoredSettings(restarted, storeFile).port, 443);
+        assert.strictEqual(restarted.vpn.protocol, 'tcp');
+
+        const rolledBack = await settings.rollback('admin');
+        assert.strictEqual(rolledBack.settings.port, 1194);
+        assert.strictEqual(await fs.readFile(configPath, 'utf8'), original);
+        assert.strictEqual(await fs.readFile(`${configPath}.previous`, 'utf8'), written);
+        assert.strictEqual(config.vpn.protocol, 'udp');
+
+        // Rolling back again re-applies the change
+        await settings.rollback('admin');
+        assert.strictEqual(await fs.readFile(configPath, 'utf8'), written);
+    });
+
+    await runTest('Should push the new gateway resolver and move the DNS forwarder with the subnet', async () => {
+        const { config, settings } = await createSettings();
+        config.dns = { filter: { enabled: true } };
+        const listenAddresses = [];
+        settings.dnsFilter = { rebind: async (address) => listenAddresses.push(address) };
+        await fs.writeFile(configPath, settings.render(await settings.getSettings()));
+
+        const preview = await settings.preview({ subnet: '10.20.0.0' });
+        assert.ok(preview.diff.includes('-push "dhcp-option DNS 10.8.0.1"\n+push "dhcp-option DNS 10.20.0.1"\n'), preview.diff);
+        assert.ok(!/^\+.*10\.8\.0\./m.test(preview.diff));
+
+        await settings.apply({ subnet: '10.20.0.0' }, 'admin');
+        await settings.rollback('admin');
+        assert.deepStrictEqual(listenAddresses, ['10.20.0.1', '10.8.0.1']);
+    });
+
+    await runTest('Should refuse a rollback without a previous version', async () => {
+        const { settings } = await createSettings();
+
+        // Nothing was installed, so there is nothing to keep
+        await settings.apply({ maxClients: 50 }, 'admin');
+        assert.strictEqual((await settings.getState()).canRollback, false);
+        await assert.rejects(settings.rollback('admin'), error => error.code === 'NO_PREVIOUS_VERSION');
+    });
+
+    await runTest('Should edit settings through the API and restart OpenVPN', async () => {
+        const { settings } = await createSettings();
+        await fs.writeFile(configPath, settings.render(await settings.getSettings()));
+        securityEvents.length = 0;
+
+        // A reload picks up max clients only; anything else needs OpenVPN restarted
+        const reloads = [];
+        // Signed tokens, with the certificate routes mounted first as in src/server.js
+        const authService = new AuthenticationService({ logAuthenticationEvent: () => {} }, null);
+        const adminToken = (await authService.generateTokens('root', '127.0.0.1', 'admin')).accessToken;
+        const memberToken = (await authService.generateTokens('anna', '127.0.0.1', 'member')).accessToken;
+        const routes = new ServerConfigRoutes(mockLogger, mockLoggingService, null, createConfig(), {
+            authService,
+            serverSettings: settings,
+            reloadOpenVPN: async (options) => {
+                reloads.push(options);
+                return options.restartRequired
+                    ? { reloaded: false, restartRequired: true, message: 'Restart the OpenVPN service' }
+                    : { reloaded: true, message: 'OpenVPN reloaded' };
+            }
+        });
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.cookies = {};
+            next();
+        });
+        app.use('/', new CertificateRoutes(mockLogger, mockLoggingService, null, createConfig()).getRouter());
+        app.use('/', routes.getRouter());
+        const post = (route, body, token = adminToken) => request(app)
+            .post(`/api/server-config/${route}`)
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        const state = await request(app).get('/api/server-config/settings')
+            .set('Accept', 'application/json')
+            .set('Authorization', `Bearer ${adminToken}`);
+        assert.strictEqual(state.status, 200, JSON.stringify(state.body));
+        assert.strictEqual(state.body.settings.port, 1194);
+        assert.strictEqual(state.body.canRollback, false);
+
+        const preview = await post('preview', { maxClients: 30 });
+        assert.strictEqual(preview.status, 200);
+        assert.strictEqual(preview.body.affectsProfiles, false);
+        assert.strictEqual(preview.body.restartRequired, false);
+        assert.ok(preview.body.diff.includes('+max-clients 30'));
+
+        const invalid = await post('apply', { port: 0 });
+        assert.strictEqual(invalid.status, 400);
+        assert.ok(Array.isArray(invalid.body.details));
+        assert.deepStrictEqual(reloads, []);
+
+        assert.strictEqual((await post('rollback', {})).status, 409);
+
+        const applied = await post('apply', { maxClients: 30 });
+        assert.strictEqual(applied.status, 200);
+        assert.deepStrictEqual(applied.body.reload, { reloaded: true, message: 'OpenVPN reloaded' });
+
+        const rolledBack = await post('rollback', {});
+        assert.strictEqual(rolledBack.status, 200);
+        assert.strictEqual(rolledBack.body.settings.maxClients, 100);
+
+        const moved = await post('apply', { port: 443 });
+        assert.strictEqual(moved.status, 200);
+        assert.strictEqual(moved.body.restartRequired, true);
+        assert.deepStrictEqual(moved.body.reload, { reloaded: false, restartRequired: true, message: 'Restart the OpenVPN service' });
+        assert.deepStrictEqual(reloads, [{ restartRequired: false }, { restartRequired: false }, { restartRequired: true }]);
+
+        assert.strictEqual((await post('apply', { maxClients: 30 }, memberToken)).status, 403);
+        assert.deepStrictEqual(securityEvents, ['SERVER_CONFIG_APPLIED', 'SERVER_CONFIG_ROLLED_BACK', 'SERVER_CONFIG_APPLIED', 'SERVER_CONFIG_ACCESS_DENIED']);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Server Settings Editor Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Server Settings Editor Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testServerSettings().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testServerSettings;
@@ -0,0 +1,252 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+
+/**
+ * Test disconnecting live VPN sessions on revocation and on demand
+ */
+async function testSessionDisconnect() {
+    console.log('🧪 Testing Session Disconnect...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-disconnect');
+    const auditEvents = [];
+
+    const mockLoggingService = {
+        logCertificateEvent: (event, clientName, username, clientIP, details) => {
+            auditEvents.push({ event, clientName, username, details });
+        }
+    };
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    /**
+     * Stand-in for OpenVPNManagementClient with a fixed set of connected common names
+     */
+    function createManagement(connectedNames, options = {}) {
+        const killed = [];
+        return {
+            killed,
+            isConnected: () => !options.offline,
+            getStatus: async () => ({
+                clients: connectedNames.map((name, index) => ({
+                    commonName: name,
+                    realIP: `203.0.113.${10 + index}`,
+                    virtualAddress: `10.8.0.${2 + index}`,
+                    connectedSince: '2026-01-15T09:00:00.000Z'
+                }))
+            }),
+            killClient: async (name) => {
+                if (options.failKill) {
+                    const error = new Error('Management command timed out');
+                    error.code = 'MANAGEMENT_TIMEOUT';
+                    throw error;
+                }
+                if (!connectedNames.includes(name)) {
+                    const error = new Error(`No connected client with common name '${name}'`);
+                    error.code = 'CLIENT_NOT_FOUND';
+                    throw error;
+                }
+                killed.push(name);
+                connectedNames.splice(connectedNames.indexOf(name), 1);
+                return { commonName: name, killed: 1 };
+            }
+        };
+    }
+
+    async function createApp(management) {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        auditEvents.length = 0;
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+
+        for (const [name, createdBy] of [['alice-laptop', 'alice'], ['bob-phone', 'bob']]) {
+            await fs.writeFile(path.join(testDir, `${name}.ovpn`), 'client\n');
+            await registry.set(name, {
+                status: 'active',
+                createdBy,
+                serialNumber: `${name.toUpperCase()}-01`,
+                assignedTo: ['kid']
+            });
+        }
+
+        const routes = new CertificateRoutes(mockLogger, mockLoggingService, null, {
+            certificates: { dir: testDir, serverCertName: 'server' }
+        }, { registry, management });
+
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {};
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: true,
+                username: req.get('x-test-user'),
+                role: req.get('x-test-role'),
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, registry };
+    }
+
+    function post(app, url, username = 'root', role = 'admin') {
+        return request(app)
+            .post(url)
+            .set('x-test-user', username)
+            .set('x-test-role', role)
+            .send({ csrfToken: 'test-csrf-token' });
+    }
+
+    // Test 1: Revocation kicks the live session and audits the outcome
+    await runTest('Disconnect the live session when revoking', async () => {
+        const management = createManagement(['alice-laptop']);
+        const { app, registry } = await createApp(management);
+
+        const response = await post(app, '/certificates/revoke/alice-laptop', 'alice', 'member');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.disconnect, { status: 'disconnected', sessions: 1 });
+        assert.deepStrictEqual(management.killed, ['alice-laptop']);
+
+        const event = auditEvents.find(e => e.event === 'REVOCATION_SUCCESS');
+        assert.deepStrictEqual(event.details.disconnect, { status: 'disconnected', sessions: 1 });
+        assert.strictEqual((await registry.get('alice-laptop')).status, 'revoked');
+    });
+
+    // Test 2: Revocation still succeeds when nothing can be disconnected
+    await runTest('Record why no session was disconnected', async () => {
+        const { app } = await createApp(createManagement([]));
+        const notConnected = await post(app, '/certificates/revoke/bob-phone');
+        assert.strictEqual(notConnected.status, 200);
+        assert.strictEqual(notConnected.body.disconnect.status, 'not_connected');
+
+        const offline = await createApp(createManagement(['bob-phone'], { offline: true }));
+        const unavailable = await post(offline.app, '/certificates/revoke/bob-phone');
+        assert.strictEqual(unavailable.status, 200);
+        assert.strictEqual(unavailable.body.disconnect.status, 'unavailable');
+
+        const broken = await createApp(createManagement(['bob-phone'], { failKill: true }));
+        const failed = await post(broken.app, '/certificates/revoke/bob-phone');
+        assert.strictEqual(failed.status, 200);
+        assert.strictEqual(failed.body.disconnect.status, 'failed');
+        assert.ok(auditEvents.find(e => e.event === 'REVOCATION_SUCCESS').details.disconnect.error.includes('timed out'));
+
+        const withoutManagement = await createApp(null);
+        const none = await post(withoutManagement.app, '/certificates/revoke/bob-phone');
+        assert.strictEqual(none.body.disconnect.status, 'unavailable');
+    });
+
+    // Test 3: Certificate list shows live sessions
+    await runTest('Flag connected certificates in the list', async () => {
+        const { app } = await createApp(createManagement(['bob-phone']));
+
+        const response = await request(app)
+            .get('/certificates/list')
+            .set('x-test-user', 'alice')
+            .set('x-test-role', 'member');
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.certificates.length, 1);
+        assert.strictEqual(response.body.certificates[0].connected, false);
+
+        const admin = await request(app)
+            .get('/certificates/list')
+            .set('x-test-user', 'root')
+            .set('x-test-role', 'admin');
+
+        const bob = admin.body.certificates.find(cert => cert.name === 'bob-phone');
+        assert.strictEqual(bob.connected, true);
+        assert.strictEqual(bob.connection.virtualAddress, '10.8.0.2');
+        assert.strictEqual(bob.permissions.disconnect, true);
+    });
+
+    // Test 4: Disconnect now
+    await runTest('Disconnect a session on demand', async () => {
+        const management = createManagement(['alice-laptop', 'bob-phone']);
+        const { app, registry } = await createApp(management);
+
+        const foreign = await post(app, '/certificates/disconnect/bob-phone', 'alice', 'member');
+        assert.strictEqual(foreign.status, 403);
+
+        const guest = await post(app, '/certificates/disconnect/bob-phone', 'kid', 'guest');
+        assert.strictEqual(guest.status, 403);
+        assert.deepStrictEqual(management.killed, []);
+
+        const own = await post(app, '/certificates/disconnect/alice-laptop', 'alice', 'member');
+        assert.strictEqual(own.status, 200);
+        assert.deepStrictEqual(own.body.disconnect, { status: 'disconnected', sessions: 1 });
+        assert.ok(auditEvents.some(e => e.event === 'SESSION_DISCONNECTED' && e.clientName === 'alice-laptop'));
+
+        // The certificate stays valid
+        assert.strictEqual((await registry.get('alice-laptop')).status, 'active');
+
+        const again = await post(app, '/certificates/disconnect/alice-laptop', 'alice', 'member');
+        assert.strictEqual(again.status, 409);
+
+        const missing = await post(app, '/certificates/disconnect/no-such-cert');
+        assert.strictEqual(missing.status, 404);
+
+        const offline = await createApp(createManagement(['bob-phone'], { offline: true }));
+        const unavailable = await post(offline.app, '/certificates/disconnect/bob-phone');
+        assert.strictEqual(unavailable.status, 503);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Session Disconnect Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Session Disconnect Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testSessionDisconnect().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testSessionDisconnect;
@@ -0,0 +1,326 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const ShareLinkStore = require('../src/utils/share-links');
+
+/**
+ * Test signed share links: expiry, download limits, PINs, listing, revocation and auditing
+ */
+async function testShareLinks() {
+    console.log('🧪 Testing Share Links...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-share-links');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    async function resetDir() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+    }
+
+    function createStore(options = {}) {
+        return new ShareLinkStore(mockLogger, {
+            storeFile: path.join(testDir, 'share-links.json'),
+            ...options
+        });
+    }
+
+    async function rejectsWith(promise, code) {
+        await assert.rejects(promise, error => {
+            assert.strictEqual(error.code, code);
+            return true;
+        });
+    }
+
+    async function createRoutes() {
+        await resetDir();
+        await fs.writeFile(path.join(testDir, 'grandma-laptop.ovpn'), 'client\nremote vpn.example.com 1194\n');
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' },
+            web: { publicUrl: 'https://vpn.example.com' }
+        }, { registry });
+        routes.registryReady = Promise.resolve();
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {};
+
+        await registry.set('grandma-laptop', { name: 'grandma-laptop', status: 'active', createdBy: 'root' });
+
+        const events = [];
+        routes.logCertificateEvent = (event, name, username, clientIP, meta) => events.push({ event, name, username, meta });
+
+        const app = express();
+        app.engine('html', async (filePath, options, callback) => {
+            const content = await fs.readFile(filePath, 'utf8');
+            callback(null, content.replace(/\{\{error\}\}/g, options.error || ''));
+        });
+        app.set('views', path.join(__dirname, '..', 'src', 'views'));
+        app.set('view engine', 'html');
+        app.use(express.json());
+        app.use(express.urlencoded({ extended: true }));
+        app.use((req, res, next) => {
+            const username = req.get('x-test-user');
+            req.session = username ? {
+                authenticated: true,
+                username,
+                role: req.get('x-test-role') || 'admin',
+                csrfToken: 'test-csrf-token'
+            } : {};
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, routes, registry, events };
+    }
+
+    function share(app, body = {}, user = 'root', role = 'admin') {
+        return request(app)
+            .post('/certificates/share/grandma-laptop')
+            .set('x-test-user', user)
+            .set('x-test-role', role)
+            .send({ csrfToken: 'test-csrf-token', ...body });
+    }
+
+    function sharePath(url) {
+        return url.replace('https://vpn.example.com', '');
+    }
+
+    // Test 1: Signing, expiry and download limits
+    await runTest('Sign links and enforce expiry and download limits', async () => {
+        await resetDir();
+        let now = Date.parse('2026-05-01T12:00:00Z');
+        const store = createStore({ now: () => now });
+
+        const { link, token } = await store.create('grandma-laptop', {
+            createdBy: 'root',
+            expiresAt: now + 60 * 60 * 1000,
+            maxDownloads: 2
+        });
+        assert.strictEqual(link.status, 'active');
+        assert.strictEqual(link.remainingDownloads, 2);
+        assert.strictEqual(link.pinHash, undefined);
+
+        // Tampered or unknown tokens are rejected
+        const [id, signature] = token.split('.');
+        const forged = `${id}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+        await rejectsWith(store.inspect(forged), 'SHARE_LINK_INVALID');
+        await rejectsWith(store.inspect('unknown.signature'), 'SHARE_LINK_INVALID');
+        await rejectsWith(store.inspect('__proto__.x'), 'SHARE_LINK_INVALID');
+
+        assert.strictEqual((await store.redeem(token)).downloads, 1);
+        assert.strictEqual((await store.redeem(token)).remainingDownloads, 0);
+        await rejectsWith(store.redeem(token), 'SHARE_LINK_EXHAUSTED');
+
+        const expiring = await store.create('grandma-laptop', { expiresAt: now + 1000, maxDownloads: 1 });
+        now += 1000;
+        await rejectsWith(store.inspect(expiring.token), 'SHARE_LINK_EXPIRED');
+
+        await rejectsWith(store.create('grandma-laptop', { expiresAt: now - 1, maxDownloads: 1 }), 'INVALID_SHARE_LINK_OPTIONS');
+        await rejectsWith(store.create('grandma-laptop', { expiresAt: now + 1000, maxDownloads: 0 }), 'INVALID_SHARE_LINK_OPTIONS');
+    });
+
+    // Test 2: Persistence and revocation
+    await runTest('Persist links across restarts and revoke them', async () => {
+        await resetDir();
+        const store = createStore();
+        const { link, token } = await store.create('grandma-laptop', {
+            expiresAt: Date.now() + 60 * 60 * 1000,
+            maxDownloads: 1
+        });
+        await store.create('dads-phone', { expiresAt: Date.now() + 60 * 60 * 1000, maxDownloads: 1 });
+
+        const keyStats = await fs.stat(path.join(testDir, 'share-links.key'));
+        assert.strictEqual(keyStats.mode & 0o777, 0o600);
+
+        // A new instance reads the same links and signing key
+        const reloaded = createStore();
+        assert.strictEqual((await reloaded.inspect(token)).id, link.id);
+        assert.strictEqual((await reloaded.list()).length, 2);
+        assert.deepStrictEqual((await reloaded.list({ clientName: 'dads-phone' })).map(entry => entry.clientName), ['dads-phone']);
+
+        const revoked = await reloaded.revoke(link.id, 'root');
+        assert.strictEqual(revoked.status, 'revoked');
+        assert.strictEqual(revoked.revokedBy, 'root');
+        assert.strictEqual(revoked.token, undefined);
+        await rejectsWith(reloaded.redeem(token), 'SHARE_LINK_REVOKED');
+
+        assert.strictEqual(await reloaded.revokeClient('dads-phone', 'root'), 1);
+        assert.strictEqual(await reloaded.revoke('missing', 'root'), null);
+    });
+
+    // Test 3: PINs
+    await runTest('Require the PIN and lock after repeated wrong PINs', async () => {
+        await resetDir();
+        const store = createStore({ maxPinAttempts: 3 });
+        const { link, token } = await store.create('grandma-laptop', {
+            expiresAt: Date.now() + 60 * 60 * 1000,
+            maxDownloads: 5,
+            pin: '2468'
+        });
+        assert.strictEqual(link.pinProtected, true);
+
+        const stored = JSON.parse(await fs.readFile(path.join(testDir, 'share-links.json'), 'utf8'));
+        assert.ok(!JSON.stringify(stored).includes('2468'), 'PIN must only be stored hashed');
+
+        await rejectsWith(store.redeem(token), 'SHARE_LINK_PIN_REQUIRED');
+        await rejectsWith(store.redeem(token, { pin: '1111' }), 'SHARE_LINK_PIN_INVALID');
+        assert.strictEqual((await store.redeem(token, { pin: '2468' })).downloads, 1);
+
+        // A correct PIN resets the counter; three wrong ones in a row lock the link
+        await rejectsWith(store.redeem(token, { pin: '1111' }), 'SHARE_LINK_PIN_INVALID');
+        await rejectsWith(store.redeem(token, { pin: 'abcd' }), 'SHARE_LINK_PIN_INVALID');
+        await rejectsWith(store.redeem(token, { pin: '0000' }), 'SHARE_LINK_LOCKED');
+        await rejectsWith(store.redeem(token, { pin: '2468' }), 'SHARE_LINK_REVOKED');
+
+        await rejectsWith(store.create('grandma-laptop', {
+            expiresAt: Date.now() + 1000,
+            maxDownloads: 1,
+            pin: '12'
+        }), 'INVALID_SHARE_LINK_OPTIONS');
+    });
+
+    // Test 4: Creating, using and listing links through the routes
+    await runTest('Download a profile through a share link without an account', async () => {
+        const { app, registry, events } = await createRoutes();
+
+        assert.strictEqual((await share(app, { maxDownloads: 0 })).status, 400);
+        assert.strictEqual((await share(app, { expiresInHours: 24 * 365 })).status, 400);
+        assert.strictEqual((await share(app, { pin: '12ab' })).status, 400);
+        assert.strictEqual((await share(app, { format: 'pbk' })).status, 400);
+        assert.strictEqual((await share(app, {}, 'kid', 'guest')).status, 403);
+
+        const created = await share(app, { expiresInHours: 2, maxDownloads: 1 });
+        assert.strictEqual(created.status, 201);
+        assert.ok(created.body.url.startsWith('https://vpn.example.com/share/'));
+        assert.strictEqual(created.body.link.maxDownloads, 1);
+        assert.ok(events.some(entry => entry.event === 'SHARE_LINK_CREATED'));
+
+        const download = await request(app).get(sharePath(created.body.url)).buffer(true).parse((res, callback) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => callback(null, text));
+        });
+        assert.strictEqual(download.status, 200);
+        assert.ok(download.headers['content-disposition'].includes('grandma-laptop.ovpn'));
+        assert.ok(download.body.includes('remote vpn.example.com 1194'));
+        assert.strictEqual((await registry.get('grandma-laptop')).downloadCount, 1);
+
+        const used = events.find(entry => entry.event === 'SHARE_LINK_DOWNLOAD');
+        assert.strictEqual(used.name, 'grandma-laptop');
+        assert.strictEqual(used.username, 'root');
+        assert.strictEqual(used.meta.downloads, 1);
+
+        const again = await request(app).get(sharePath(created.body.url));
+        assert.strictEqual(again.status, 410);
+        const rejected = events.find(entry => entry.event === 'SHARE_LINK_REJECTED');
+        assert.strictEqual(rejected.meta.reason, 'SHARE_LINK_EXHAUSTED');
+
+        const list = await request(app).get('/certificates/shares').set('x-test-user', 'root');
+        assert.strictEqual(list.body.links.length, 1);
+        assert.strictEqual(list.body.links[0].status, 'exhausted');
+        assert.strictEqual(list.body.links[0].url, undefined);
+
+        const guestList = await request(app).get('/certificates/shares').set('x-test-user', 'kid').set('x-test-role', 'guest');
+        assert.strictEqual(guestList.body.links.length, 0);
+    });
+
+    // Test 5: PIN form and revocation through the routes
+    await runTest('Ask for the PIN in the browser and honour revocation', async () => {
+        const { app, events } = await createRoutes();
+
+        const created = await share(app, { maxDownloads: 3, pin: '1357' });
+        const linkPath = sharePath(created.body.url);
+
+        const page = await request(app).get(linkPath).set('Accept', 'text/html');
+        assert.strictEqual(page.status, 200);
+        assert.ok(page.text.includes('name="pin"'));
+
+        const json = await request(app).get(linkPath).set('Accept', 'application/json');
+        assert.strictEqual(json.status, 401);
+
+        const wrong = await request(app).post(linkPath).type('form').send({ pin: '0000' });
+        assert.strictEqual(wrong.status, 401);
+        assert.ok(wrong.text.includes('Incorrect PIN'));
+
+        const right = await request(app).post(linkPath).type('form').send({ pin: '1357' });
+        assert.strictEqual(right.status, 200);
+        assert.ok(right.headers['content-disposition'].includes('grandma-laptop.ovpn'));
+
+        // Revoking the link stops it immediately
+        const list = await request(app).get('/certificates/shares').set('x-test-user', 'root');
+        const revoke = await request(app)
+            .post(`/certificates/shares/${list.body.links[0].id}/revoke`)
+            .set('x-test-user', 'root')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual(revoke.status, 200);
+        assert.ok(events.some(entry => entry.event === 'SHARE_LINK_REVOKED'));
+        assert.strictEqual((await request(app).post(linkPath).send({ pin: '1357' })).status, 410);
+
+        // Revoking the certificate revokes its links too
+        const second = await share(app, {});
+        await request(app)
+            .post('/certificates/revoke/grandma-laptop')
+            .set('x-test-user', 'root')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual((await request(app).get(sharePath(second.body.url))).status, 410);
+        assert.strictEqual((await share(app, {})).status, 410);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Share Link Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Share Link Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testShareLinks().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testShareLinks;
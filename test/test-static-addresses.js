@@ -0,0 +1,257 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const ClientConfigDir = require('../src/utils/client-config-dir');
+const OpenVPNSecurityConfig = require('../src/utils/openvpn-security-config');
+
+/**
+ * Test static VPN addresses written to OpenVPN's client-config-dir
+ */
+async function testStaticAddresses() {
+    console.log('🧪 Testing Static VPN Addresses...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-static-addresses');
+    const ccdDir = path.join(testDir, 'ccd');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    async function createClientConfigDir() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(ccdDir, { recursive: true });
+        return new ClientConfigDir(mockLogger, { dir: ccdDir, subnet: '10.8.0.0', netmask: '255.255.255.0' });
+    }
+
+    /**
+     * Build an app with stubbed Easy-RSA calls; the session user comes from test headers
+     */
+    async function createApp() {
+        const clientConfigDir = await createClientConfigDir();
+
+        const registry = new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+
+        // One live session from another device
+        const management = {
+            isConnected: () => true,
+            getStatus: async () => ({
+                clients: [{ commonName: 'dads-laptop', realIP: '203.0.113.5', virtualAddress: '10.8.0.30', connectedSince: new Date() }]
+            })
+        };
+
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' },
+            vpn: { subnet: '10.8.0.0', netmask: '255.255.255.0' }
+        }, { registry, clientConfigDir, management });
+        routes.registryReady = Promise.resolve();
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {};
+        routes.disconnectSessions = async () => ({ status: 'not_connected', sessions: 0 });
+
+        for (const name of ['moms-phone', 'dads-laptop']) {
+            await fs.writeFile(path.join(testDir, `${name}.ovpn`), 'client\n');
+            await registry.set(name, { name, status: 'active', createdBy: 'mom', assignedTo: [] });
+        }
+        await registry.set('kids-tablet', { name: 'kids-tablet', status: 'active', backend: 'wireguard', address: '10.9.0.2' });
+
+        const events = [];
+        routes.logCertificateEvent = (event, name, username, clientIP, meta) => events.push({ event, name, meta });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: true,
+                username: req.get('x-test-user') || 'root',
+                role: req.get('x-test-role') || 'admin',
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, events };
+    }
+
+    function setAddress(app, name, address, role = 'admin') {
+        return request(app)
+            .post(`/certificates/static-ip/${name}`)
+            .set('x-test-role', role)
+            .send({ csrfToken: 'test-csrf-token', address });
+    }
+
+    // Test 1: Writing ifconfig-push
+    await runTest('Write ifconfig-push and keep other directives', async () => {
+        const ccd = await createClientConfigDir();
+        const filePath = path.join(ccdDir, 'moms-phone');
+        await fs.writeFile(filePath, 'push "route 192.168.1.0 255.255.255.0"\n');
+
+        assert.strictEqual(await ccd.assignStaticAddress('moms-phone', '10.8.0.020'), '10.8.0.20');
+        assert.strictEqual(
+            await fs.readFile(filePath, 'utf8'),
+            'push "route 192.168.1.0 255.255.255.0"\nifconfig-push 10.8.0.20 255.255.255.0\n'
+        );
+        assert.strictEqual((await fs.stat(filePath)).mode & 0o777, 0o644);
+
+        assert.strictEqual(await ccd.assignStaticAddress('moms-phone', '10.8.0.21'), '10.8.0.21');
+        assert.deepStrictEqual([...await ccd.getStaticAddresses()], [['moms-phone', '10.8.0.21']]);
+
+        await ccd.removeStaticAddress('moms-phone');
+        assert.strictEqual(await fs.readFile(filePath, 'utf8'), 'push "route 192.168.1.0 255.255.255.0"\n');
+
+        await ccd.setDirective('moms-phone', 'push', null);
+        await assert.rejects(fs.access(filePath), 'empty files are removed');
+    });
+
+    // Test 2: Validation and conflicts
+    await runTest('Reject addresses outside the subnet and conflicting ones', async () => {
+        const ccd = await createClientConfigDir();
+
+        // 10.8.0.52 and up belong to OpenVPN's dynamic pool
+        for (const address of ['10.9.0.5', '10.8.0.0', '10.8.0.255', '10.8.0.1', '10.8.0.52', '10.8.0.200', 'not-an-ip', '10.8.0.300']) {
+            await assert.rejects(
+                ccd.assignStaticAddress('moms-phone', address),
+                error => error.code === 'INVALID_STATIC_ADDRESS',
+                `${address} should be rejected`
+            );
+        }
+
+        await ccd.assignStaticAddress('moms-phone', '10.8.0.20');
+        await assert.rejects(
+            ccd.assignStaticAddress('dads-laptop', '10.8.0.20'),
+            error => error.code === 'ADDRESS_CONFLICT' && error.conflictWith === 'moms-phone'
+        );
+        await assert.rejects(
+            ccd.assignStaticAddress('dads-laptop', '10.8.0.40', new Map([['kids-phone', '10.8.0.40']])),
+            error => error.code === 'ADDRESS_CONFLICT'
+        );
+
+        assert.strictEqual(await ccd.assignStaticAddress('kids-phone', '10.8.0.51'), '10.8.0.51');
+
+        // Re-assigning a client's own address is not a conflict
+        assert.strictEqual(await ccd.assignStaticAddress('moms-phone', '10.8.0.20', new Map([['moms-phone', '10.8.0.20']])), '10.8.0.20');
+
+        assert.throws(() => ccd.getPath('../server'), error => error.code === 'INVALID_CLIENT_NAME');
+    });
+
+    // Test 3: API
+    await runTest('Assign static addresses through the API', async () => {
+        const { app, events } = await createApp();
+
+        const assigned = await setAddress(app, 'moms-phone', '10.8.0.20');
+        assert.strictEqual(assigned.status, 200);
+        assert.strictEqual(assigned.body.certificate.staticAddress, '10.8.0.20');
+        assert.strictEqual(events[events.length - 1].event, 'STATIC_IP_ASSIGNED');
+
+        const list = await request(app).get('/certificates/list');
+        assert.strictEqual(list.body.vpnSubnet, '10.8.0.0/24');
+        assert.deepStrictEqual(list.body.staticRange, { first: '10.8.0.2', last: '10.8.0.51' });
+        const entry = list.body.certificates.find(cert => cert.name === 'moms-phone');
+        assert.strictEqual(entry.staticAddress, '10.8.0.20');
+        assert.strictEqual(entry.permissions.network, true);
+        assert.strictEqual(list.body.certificates.find(cert => cert.name === 'kids-tablet').permissions.network, false);
+
+        assert.strictEqual((await setAddress(app, 'dads-laptop', '10.8.0.20')).status, 409);
+        const live = await setAddress(app, 'moms-phone', '10.8.0.30');
+        assert.strictEqual(live.status, 409);
+        assert.strictEqual(live.body.conflictWith, 'dads-laptop');
+
+        assert.strictEqual((await setAddress(app, 'moms-phone', '192.168.1.20')).status, 400);
+        assert.strictEqual((await setAddress(app, 'kids-tablet', '10.8.0.50')).status, 409);
+        assert.strictEqual((await setAddress(app, 'moms-phone', '10.8.0.50', 'member')).status, 403);
+        assert.strictEqual((await setAddress(app, 'nobody', '10.8.0.50')).status, 404);
+
+        const removed = await setAddress(app, 'moms-phone', '');
+        assert.strictEqual(removed.status, 200);
+        assert.strictEqual(removed.body.certificate.staticAddress, null);
+        assert.strictEqual(events[events.length - 1].event, 'STATIC_IP_REMOVED');
+        assert.strictEqual(events[events.length - 1].meta.previousAddress, '10.8.0.20');
+    });
+
+    // Test 4: Revocation
+    await runTest('Remove the CCD file when the certificate is revoked', async () => {
+        const { app, events } = await createApp();
+        await setAddress(app, 'moms-phone', '10.8.0.20');
+
+        const revoke = await request(app)
+            .post('/certificates/revoke/moms-phone')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual(revoke.status, 200);
+        await assert.rejects(fs.access(path.join(ccdDir, 'moms-phone')));
+        assert.strictEqual(events.find(entry => entry.event === 'REVOCATION_SUCCESS').meta.clientConfigRemoved, true);
+
+        // The freed address can go to another device
+        assert.strictEqual((await setAddress(app, 'dads-laptop', '10.8.0.20')).status, 200);
+        assert.strictEqual((await setAddress(app, 'moms-phone', '10.8.0.21')).status, 409);
+    });
+
+    // Test 5: Server config
+    await runTest('Keep the dynamic pool out of the static range', async () => {
+        const securityConfig = new OpenVPNSecurityConfig({ vpn: { staticAddresses: 50 } }, mockLogger);
+        const generated = securityConfig.generateHardenedConfig(testDir);
+        assert.ok(/^server 10\.8\.0\.0 255\.255\.255\.0 nopool$/m.test(generated));
+        assert.ok(/^ifconfig-pool 10\.8\.0\.52 10\.8\.0\.254 255\.255\.255\.0$/m.test(generated));
+
+        // A /30 has a single client address, so nothing is reserved and OpenVPN keeps its own pool
+        const tiny = securityConfig.generateHardenedConfig(testDir, { subnet: '10.8.0.0', netmask: '255.255.255.252' });
+        assert.ok(/^server 10\.8\.0\.0 255\.255\.255\.252$/m.test(tiny));
+        assert.ok(!tiny.includes('ifconfig-pool'));
+
+        const ccd = new ClientConfigDir(mockLogger, { dir: ccdDir, subnet: '10.8.0.0', netmask: '255.255.255.248', staticAddresses: 50 });
+        assert.deepStrictEqual(ccd.getStaticRange(), { first: '10.8.0.2', last: '10.8.0.3' });
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 Static Address Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 Static Address Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testStaticAddresses().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testStaticAddresses;
@@ -0,0 +1,322 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const TotpUtils = require('../src/utils/totp');
+const UserConfigManager = require('../src/utils/user-config');
+const WebAuthRoutes = require('../src/routes/auth');
+const AccountRoutes = require('../src/routes/account');
+const AuthenticationService = require('../src/services/auth-service');
+
+/**
+ * Test TOTP two-factor authentication
+ */
+async function testTotp() {
+    console.log('🧪 Testing TOTP Two-Factor Authentication...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-totp');
+    const authEvents = [];
+
+    const mockLoggingService = {
+        logAuthenticationEvent: (event, username, clientIP, success, meta) => {
+            authEvents.push({ event, username, success, ...meta });
+        },
+        logSecurityEvent: () => {},
+        info: () => {},
+        warn: () => {}
+    };
+
+    const mockHealthService = {
+        recordAuthAttempt: () => {},
+        recordHttpRequest: () => {}
+    };
+
+    const strongPassword = 'Str0ng!Passw0rd';
+    const totp = new TotpUtils();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    /**
+     * Fresh user store with an admin who has completed TOTP enrollment
+     */
+    async function createUserStore() {
+        await fs.rm(testDir, { recursive: true, force: true });
+
+        const userConfig = new UserConfigManager(mockLogger, testDir);
+        await userConfig.initialize();
+        await userConfig.createAdminUser('root', strongPassword, { role: 'admin' });
+
+        const { secret } = await userConfig.beginTotpEnrollment('root');
+        const { recoveryCodes } = await userConfig.confirmTotpEnrollment('root', totp.generateCode(secret));
+
+        return { userConfig, secret, recoveryCodes };
+    }
+
+    /**
+     * Code for the next time step (the current one is consumed during enrollment)
+     */
+    function nextCode(secret) {
+        return totp.generateCode(secret, Date.now() + totp.step * 1000);
+    }
+
+    /**
+     * Build an app with real sessions so the login steps share state
+     */
+    function createApp(userConfig) {
+        const authRoutes = new WebAuthRoutes(mockLogger, mockLoggingService, mockHealthService, { userConfig });
+        const accountRoutes = new AccountRoutes(mockLogger, mockLoggingService, mockHealthService, { userConfig });
+
+        const app = express();
+        app.use(express.json());
+        app.use(session({ secret: 'test-session-secret', resave: false, saveUninitialized: true }));
+        app.use((req, res, next) => {
+            req.session.csrfToken = req.session.csrfToken || 'test-csrf-token';
+            next();
+        });
+        app.use('/', authRoutes.getRouter());
+        app.use('/', accountRoutes.getRouter());
+        app.get('/whoami', (req, res) => {
+            res.json({ authenticated: !!req.session.authenticated, username: req.session.username });
+        });
+
+        return { app, authRoutes };
+    }
+
+    function post(agent, url, body = {}) {
+        return agent
+            .post(url)
+            .set('Accept', 'application/json')
+            .send({ csrfToken: 'test-csrf-token', ...body });
+    }
+
+    // Test 1: RFC 6238 reference values
+    await runTest('Generate RFC 6238 reference codes', async () => {
+        const secret = TotpUtils.base32Encode(Buffer.from('12345678901234567890'));
+        assert.strictEqual(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+        const eightDigits = new TotpUtils({ digits: 8 });
+        assert.strictEqual(eightDigits.generateCode(secret, 59 * 1000), '94287082');
+        assert.strictEqual(eightDigits.generateCode(secret, 1111111109 * 1000), '07081804');
+        assert.strictEqual(totp.generateCode(secret, 59 * 1000), '287082');
+
+        const bytes = Buffer.from('family vpn two-factor');
+        assert.ok(TotpUtils.base32Decode(TotpUtils.base32Encode(bytes)).equals(bytes));
+    });
+
+    // Test 2: Verification window and provisioning URI
+    await runTest('Verify codes within the allowed window', async () => {
+        const secret = totp.generateSecret();
+        const now = Date.now();
+
+        assert.notStrictEqual(totp.verify(secret, totp.generateCode(secret, now - 30000), { time: now }), null);
+        assert.strictEqual(totp.verify(secret, totp.generateCode(secret, now - 120000), { time: now }), null);
+        assert.strictEqual(totp.verify(secret, 'abcdef', { time: now }), null);
+
+        const uri = totp.buildProvisioningUri(secret, 'root');
+        assert.ok(uri.startsWith('otpauth://totp/Family%20VPN%3Aroot?'));
+        assert.ok(uri.includes(`secret=${secret}`));
+    });
+
+    // Test 3: Enrollment, replay protection and recovery codes
+    await runTest('Enroll, reject replayed codes and consume recovery codes once', async () => {
+        const { userConfig, secret, recoveryCodes } = await createUserStore();
+        assert.strictEqual(recoveryCodes.length, 10);
+
+        const status = await userConfig.getTotpStatus('root');
+        assert.strictEqual(status.enabled, true);
+        assert.strictEqual(status.remainingRecoveryCodes, 10);
+
+        // The enrollment code cannot be reused
+        await assert.rejects(() => userConfig.verifySecondFactor('root', totp.generateCode(secret)), /code/i);
+
+        const code = nextCode(secret);
+        const result = await userConfig.verifySecondFactor('root', code);
+        assert.strictEqual(result.method, 'totp');
+        await assert.rejects(() => userConfig.verifySecondFactor('root', code), /code/i);
+
+        const recovery = await userConfig.verifySecondFactor('root', recoveryCodes[0].toUpperCase());
+        assert.strictEqual(recovery.method, 'recovery-code');
+        assert.strictEqual(recovery.remainingRecoveryCodes, 9);
+        await assert.rejects(() => userConfig.verifySecondFactor('root', recoveryCodes[0]), /code/i);
+
+        // Stored file never contains plaintext recovery codes
+        const stored = await fs.readFile(path.join(testDir, 'web-users.json'), 'utf8');
+        assert.ok(!stored.includes(recoveryCodes[1]));
+    });
+
+    // Test 4: Password step does not authenticate the session
+    await runTest('Require the second step before the session is authenticated', async () => {
+        const { userConfig, secret } = await createUserStore();
+        const { app } = createApp(userConfig);
+        const agent = request.agent(app);
+
+        const login = await post(agent, '/login', { username: 'root', password: strongPassword });
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.totpRequired, true);
+
+        const pending = await agent.get('/whoami');
+        assert.strictEqual(pending.body.authenticated, false);
+        // The password alone is not a login yet
+        assert.strictEqual((await userConfig.getUser('root')).loginCount, 0);
+
+        const account = await agent.get('/account').set('Accept', 'application/json');
+        assert.notStrictEqual(account.status, 200);
+
+        const verified = await post(agent, '/login/totp', { code: nextCode(secret) });
+        assert.strictEqual(verified.status, 200);
+        assert.strictEqual(verified.body.success, true);
+
+        const done = await agent.get('/whoami');
+        assert.strictEqual(done.body.authenticated, true);
+        assert.strictEqual(done.body.username, 'root');
+
+        const user = await userConfig.getUser('root');
+        assert.strictEqual(user.loginCount, 1);
+        assert.ok(user.lastLogin);
+    });
+
+    // Test 5: Second step without a password step
+    await runTest('Reject the second step without a pending password check', async () => {
+        const { userConfig, secret } = await createUserStore();
+        const { app } = createApp(userConfig);
+        const agent = request.agent(app);
+
+        const response = await post(agent, '/login/totp', { code: nextCode(secret) });
+        assert.strictEqual(response.status, 401);
+
+        const state = await agent.get('/whoami');
+        assert.strictEqual(state.body.authenticated, false);
+    });
+
+    // Test 6: TOTP failures count towards the lockout
+    await runTest('Lock the account after repeated invalid codes', async () => {
+        const { userConfig } = await createUserStore();
+        const { app, authRoutes } = createApp(userConfig);
+        authRoutes.maxFailedAttempts = 3;
+        const agent = request.agent(app);
+
+        await post(agent, '/login', { username: 'root', password: strongPassword });
+
+        for (let i = 0; i < 2; i++) {
+            const wrong = await post(agent, '/login/totp', { code: '000000' });
+            assert.strictEqual(wrong.body.error, 'Invalid verification code');
+        }
+
+        const locked = await post(agent, '/login/totp', { code: '000000' });
+        assert.match(locked.body.error, /locked/);
+
+        // Correct password and code are both refused while locked
+        const retry = await post(agent, '/login', { username: 'root', password: strongPassword });
+        assert.match(retry.body.error, /locked/);
+
+        assert.ok(authEvents.some(e => e.event === 'TOTP_FAILED' && e.username === 'root'));
+        const user = await userConfig.getUser('root');
+        assert.strictEqual(user.loginCount, 0);
+        assert.strictEqual(user.lastLogin, null);
+    });
+
+    // Test 7: Account enrollment routes
+    await runTest('Enroll and disable two-factor from the account page', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        const userConfig = new UserConfigManager(mockLogger, testDir);
+        await userConfig.initialize();
+        await userConfig.createAdminUser('alice', strongPassword, { role: 'member' });
+
+        const { app } = createApp(userConfig);
+        const agent = request.agent(app);
+        await post(agent, '/login', { username: 'alice', password: strongPassword });
+
+        const setup = await post(agent, '/account/totp/setup');
+        assert.strictEqual(setup.status, 200);
+        assert.ok(setup.body.qrCodeSvg.startsWith('<svg'));
+
+        const wrong = await post(agent, '/account/totp/confirm', { code: '000000' });
+        assert.strictEqual(wrong.status, 400);
+
+        const confirm = await post(agent, '/account/totp/confirm', { code: totp.generateCode(setup.body.secret) });
+        assert.strictEqual(confirm.status, 200);
+        assert.strictEqual(confirm.body.recoveryCodes.length, 10);
+
+        const again = await post(agent, '/account/totp/setup');
+        assert.strictEqual(again.status, 409);
+
+        const noCode = await post(agent, '/account/totp/disable', { code: '' });
+        assert.strictEqual(noCode.status, 400);
+
+        const disable = await post(agent, '/account/totp/disable', { code: confirm.body.recoveryCodes[0] });
+        assert.strictEqual(disable.status, 200);
+        assert.strictEqual((await userConfig.getTotpStatus('alice')).enabled, false);
+    });
+
+    // Test 8: JWT login also requires the second factor
+    await runTest('Require a TOTP code for API token logins', async () => {
+        const { userConfig, secret } = await createUserStore();
+        const authService = new AuthenticationService(mockLoggingService, mockHealthService, userConfig);
+
+        await assert.rejects(
+            () => authService.authenticate('root', strongPassword, '127.0.0.1'),
+            error => error.code === 'TOTP_REQUIRED'
+        );
+        await assert.rejects(
+            () => authService.authenticate('root', strongPassword, '127.0.0.1', '000000'),
+            error => error.code === 'INVALID_TOTP'
+        );
+        assert.strictEqual((await userConfig.getUser('root')).loginCount, 0);
+
+        const result = await authService.authenticate('root', strongPassword, '127.0.0.1', nextCode(secret));
+        assert.strictEqual(result.success, true);
+        assert.ok(result.tokens.accessToken);
+        assert.strictEqual((await userConfig.getUser('root')).loginCount, 1);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 TOTP Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 TOTP Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testTotp().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testTotp;
@@ -0,0 +1,333 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const UserConfigManager = require('../src/utils/user-config');
+const UserRoutes = require('../src/routes/users');
+const { createSessionMiddleware, requireAuthentication } = require('../src/middleware/session-middleware');
+
+/**
+ * Test user management routes
+ */
+async function testUserManagement() {
+    console.log('🧪 Testing User Management Routes...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-user-management');
+    const auditEvents = [];
+
+    const mockLoggingService = {
+        logSecurityEvent: (eventType, message, meta) => {
+            auditEvents.push({ eventType, message, ...meta });
+        }
+    };
+
+    const mockHealthService = {
+        recordHttpRequest: () => {}
+    };
+
+    const strongPassword = 'Str0ng!Passw0rd';
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    /**
+     * Build an app with a fresh user store; session user comes from test headers
+     */
+    async function createApp() {
+        await fs.rm(testDir, { recursive: true, force: true });
+
+        const userConfig = new UserConfigManager(mockLogger, testDir);
+        await userConfig.initialize();
+        await userConfig.createAdminUser('root', strongPassword, { role: 'admin' });
+        await userConfig.createAdminUser('alice', strongPassword, { role: 'member' });
+
+        const routes = new UserRoutes(mockLogger, mockLoggingService, mockHealthService, { userConfig });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: req.get('x-test-user') !== undefined,
+                username: req.get('x-test-user'),
+                role: req.get('x-test-role'),
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        return { app, userConfig };
+    }
+
+    function asAdmin(req) {
+        return req.set('x-test-user', 'root').set('x-test-role', 'admin').set('Accept', 'application/json');
+    }
+
+    function post(app, url, body = {}) {
+        return asAdmin(request(app).post(url)).send({ ...body, csrfToken: 'test-csrf-token' });
+    }
+
+    // Test 1: Authentication and role checks
+    await runTest('Routes require an authenticated administrator', async () => {
+        const { app } = await createApp();
+        auditEvents.length = 0;
+
+        const anonymous = await request(app).get('/users/list').set('Accept', 'application/json');
+        assert.strictEqual(anonymous.status, 401);
+
+        const member = await request(app).get('/users/list')
+            .set('x-test-user', 'alice').set('x-test-role', 'member').set('Accept', 'application/json');
+        assert.strictEqual(member.status, 403);
+        assert.strictEqual(auditEvents[0].userEventType, 'ACCESS_DENIED');
+        assert.strictEqual(auditEvents[0].username, 'alice');
+
+        const memberPage = await request(app).get('/users')
+            .set('x-test-user', 'alice').set('x-test-role', 'member');
+        assert.strictEqual(memberPage.status, 302);
+        assert.strictEqual(memberPage.headers.location, '/certificates');
+    });
+
+    // Test 2: Listing
+    await runTest('List users without password hashes', async () => {
+        const { app } = await createApp();
+
+        const response = await asAdmin(request(app).get('/users/list'));
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.count, 2);
+        assert.strictEqual(response.body.currentUser, 'root');
+        assert(!JSON.stringify(response.body).includes('passwordHash'), 'Hashes must not be exposed');
+    });
+
+    // Test 3: CSRF protection
+    await runTest('State-changing routes require a CSRF token', async () => {
+        const { app } = await createApp();
+
+        const response = await asAdmin(request(app).post('/users/create'))
+            .send({ username: 'bob', password: strongPassword });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.body.error, 'Invalid CSRF token');
+    });
+
+    // Test 4: Creation
+    await runTest('Create users with validation', async () => {
+        const { app, userConfig } = await createApp();
+        auditEvents.length = 0;
+
+        const created = await post(app, '/users/create', { username: 'grandma', password: strongPassword, role: 'guest' });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.user.role, 'guest');
+        assert.strictEqual(auditEvents[0].userEventType, 'USER_CREATED');
+        assert.strictEqual(auditEvents[0].targetUser, 'grandma');
+
+        const defaultRole = await post(app, '/users/create', { username: 'bob', password: strongPassword });
+        assert.strictEqual(defaultRole.body.user.role, 'member');
+
+        const duplicate = await post(app, '/users/create', { username: 'alice', password: strongPassword });
+        assert.strictEqual(duplicate.status, 409);
+
+        const weak = await post(app, '/users/create', { username: 'weakling', password: 'abc' });
+        assert.strictEqual(weak.status, 400);
+
+        const badName = await post(app, '/users/create', { username: '../etc', password: strongPassword });
+        assert.strictEqual(badName.status, 400);
+
+        const badRole = await post(app, '/users/create', { username: 'eve', password: strongPassword, role: 'root' });
+        assert.strictEqual(badRole.status, 400);
+
+        const login = await userConfig.authenticateUser('grandma', strongPassword);
+        assert.strictEqual(login.user.role, 'guest');
+    });
+
+    // Test 5: Disable and enable
+    await runTest('Disable and enable users', async () => {
+        const { app, userConfig } = await createApp();
+
+        const disabled = await post(app, '/users/disable/alice');
+        assert.strictEqual(disabled.status, 200);
+        assert.strictEqual(disabled.body.user.isActive, false);
+        await assert.rejects(() => userConfig.authenticateUser('alice', strongPassword), /disabled/);
+
+        const enabled = await post(app, '/users/enable/alice');
+        assert.strictEqual(enabled.body.user.isActive, true);
+
+        const self = await post(app, '/users/disable/root');
+        assert.strictEqual(self.status, 400);
+
+        const missing = await post(app, '/users/disable/nobody');
+        assert.strictEqual(missing.status, 404);
+    });
+
+    // Test 6: Password reset
+    await runTest('Reset user password', async () => {
+        const { app, userConfig } = await createApp();
+        const newPassword = 'N3w!Secure#Pass';
+
+        const weak = await post(app, '/users/reset-password/alice', { password: 'short' });
+        assert.strictEqual(weak.status, 400);
+
+        const reset = await post(app, '/users/reset-password/alice', { password: newPassword });
+        assert.strictEqual(reset.status, 200);
+
+        await assert.rejects(() => userConfig.authenticateUser('alice', strongPassword), /Invalid credentials/);
+        const login = await userConfig.authenticateUser('alice', newPassword);
+        assert.strictEqual(login.success, true);
+    });
+
+    // Test 7: Role changes and last administrator protection
+    await runTest('Change roles without losing the last administrator', async () => {
+        const { app, userConfig } = await createApp();
+
+        const promoted = await post(app, '/users/role/alice', { role: 'admin' });
+        assert.strictEqual(promoted.body.user.role, 'admin');
+
+        const invalid = await post(app, '/users/role/alice', { role: 'owner' });
+        assert.strictEqual(invalid.status, 400);
+
+        const self = await post(app, '/users/role/root', { role: 'guest' });
+        assert.strictEqual(self.status, 400);
+
+        // With root disabled alice is the only active administrator left
+        await userConfig.disableUser('root');
+        const demote = await post(app, '/users/role/alice', { role: 'member' });
+        assert.strictEqual(demote.status, 409);
+
+        const remove = await post(app, '/users/delete/alice');
+        assert.strictEqual(remove.status, 409);
+    });
+
+    // Test 8: Deletion
+    await runTest('Delete users', async () => {
+        const { app, userConfig } = await createApp();
+
+        const deleted = await post(app, '/users/delete/alice');
+        assert.strictEqual(deleted.status, 200);
+        assert.strictEqual(await userConfig.getUser('alice'), null);
+
+        const again = await post(app, '/users/delete/alice');
+        assert.strictEqual(again.status, 404);
+
+        const self = await post(app, '/users/delete/root');
+        assert.strictEqual(self.status, 400);
+    });
+
+    // Test 9: Sessions end when the account changes
+    await runTest('Log users out when they are disabled, re-roled, deleted or get a new password', async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        const userConfig = new UserConfigManager(mockLogger, testDir);
+        await userConfig.initialize();
+        await userConfig.createAdminUser('root', strongPassword, { role: 'admin' });
+        await userConfig.createAdminUser('alice', strongPassword, { role: 'admin' });
+        await userConfig.createAdminUser('bob', strongPassword, { role: 'member' });
+        await userConfig.createAdminUser('carol', strongPassword, { role: 'member' });
+
+        const sessionMiddleware = createSessionMiddleware({ sessionSecret: 'test-session-secret' });
+        const routes = new UserRoutes(mockLogger, mockLoggingService, mockHealthService, {
+            userConfig,
+            sessionStore: sessionMiddleware.store
+        });
+
+        const app = express();
+        app.use(express.json());
+        app.use(sessionMiddleware);
+        app.post('/test-login', (req, res) => {
+            Object.assign(req.session, {
+                authenticated: true,
+                username: req.body.username,
+                role: req.body.role,
+                csrfToken: 'test-csrf-token'
+            });
+            res.json({ success: true });
+        });
+        app.get('/whoami', requireAuthentication(), (req, res) => res.json({ role: req.session.role }));
+        app.use('/', routes.getRouter());
+
+        const login = async (username, role) => {
+            const agent = request.agent(app);
+            await agent.post('/test-login').send({ username, role });
+            return agent;
+        };
+        const root = await login('root', 'admin');
+        const alice = await login('alice', 'admin');
+        const aliceElsewhere = await login('alice', 'admin');
+        const bob = await login('bob', 'member');
+        const adminPost = (url, body = {}) => root.post(url).set('Accept', 'application/json')
+            .send({ ...body, csrfToken: 'test-csrf-token' });
+
+        assert.strictEqual((await alice.get('/users/list').set('Accept', 'application/json')).status, 200);
+
+        assert.strictEqual((await adminPost('/users/disable/alice')).status, 200);
+        for (const agent of [alice, aliceElsewhere]) {
+            const rejected = await agent.get('/users/list').set('Accept', 'application/json');
+            assert.strictEqual(rejected.status, 401);
+        }
+
+        assert.strictEqual((await adminPost('/users/role/bob', { role: 'guest' })).status, 200);
+        assert.strictEqual((await bob.get('/whoami').set('Accept', 'application/json')).status, 401);
+        const bobAgain = await login('bob', 'guest');
+
+        assert.strictEqual((await adminPost('/users/delete/bob')).status, 200);
+        assert.strictEqual((await bobAgain.get('/whoami').set('Accept', 'application/json')).status, 401);
+
+        const carol = await login('carol', 'member');
+        const newPassword = `${strongPassword}-2`;
+        assert.strictEqual((await adminPost('/users/reset-password/carol', { password: newPassword })).status, 200);
+        assert.strictEqual((await carol.get('/whoami').set('Accept', 'application/json')).status, 401);
+
+        // Resetting their own password ends the administrator's other sessions, not this one
+        const rootElsewhere = await login('root', 'admin');
+        assert.strictEqual((await adminPost('/users/reset-password/root', { password: newPassword })).status, 200);
+        assert.strictEqual((await rootElsewhere.get('/whoami').set('Accept', 'application/json')).status, 401);
+
+        // The administrator making the changes stays logged in
+        assert.strictEqual((await root.get('/whoami').set('Accept', 'application/json')).status, 200);
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 User Management Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 User Management Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testUserManagement().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testUserManagement;
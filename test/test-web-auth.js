@@ -1,11 +1,14 @@
 const assert = require('assert');
 const path = require('path');
 const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
 
 // Import modules to test
 const WebAuthRoutes = require('../src/routes/auth');
 const PasswordUtils = require('../src/utils/password-utils');
 const UserConfigManager = require('../src/utils/user-config');
+const AuthenticationService = require('../src/services/auth-service');
 const { createSessionMiddleware } = require('../src/middleware/session-middleware');
 
 // Mock logger
@@ -264,6 +267,142 @@ async function runWebAuthTests() {
         assert(result2 === false, 'Null hash verification should return false');
     });
 
+    // Helper: app with login routes backed by a user store
+    function createLoginApp(userConfig) {
+        const app = express();
+        app.use(express.json());
+        app.use(createSessionMiddleware({ sessionSecret: 'test-secret' }));
+        app.use((req, res, next) => {
+            req.session.csrfToken = 'test-csrf-token';
+            next();
+        });
+
+        const authRoutes = new WebAuthRoutes(mockLogger, mockLoggingService, mockHealthService, { userConfig });
+        app.use('/', authRoutes.getRouter());
+        return app;
+    }
+
+    // Test 11: Session login uses the user store
+    await runTest('Web Login - Multi-user Store', async () => {
+        const tempDir = path.join(__dirname, 'temp-config-login');
+        const userConfig = new UserConfigManager(mockLogger, tempDir);
+
+        try {
+            await userConfig.initialize();
+            await userConfig.createAdminUser('alice', 'TestPassword123!');
+            await userConfig.createAdminUser('bobby', 'AnotherPass456!', { role: 'member' });
+
+            const app = createLoginApp(userConfig);
+
+            const response = await request(app)
+                .post('/login')
+                .set('Accept', 'application/json')
+                .send({ username: 'bobby', password: 'AnotherPass456!', csrfToken: 'test-csrf-token' })
+                .expect(200);
+            assert(response.body.success === true, 'Second user should be able to log in');
+
+            const bobby = await userConfig.getUser('bobby');
+            assert(bobby.lastLogin, 'lastLogin should be recorded');
+            assert(bobby.loginCount === 1, 'loginCount should be incremented');
+
+            await request(app)
+                .post('/login')
+                .set('Accept', 'application/json')
+                .send({ username: 'alice', password: 'WrongPassword1!', csrfToken: 'test-csrf-token' })
+                .expect(401);
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    // Test 12: Disabled users are rejected
+    await runTest('Web Login - Disabled User Rejected', async () => {
+        const tempDir = path.join(__dirname, 'temp-config-disabled');
+        const userConfig = new UserConfigManager(mockLogger, tempDir);
+
+        try {
+            await userConfig.initialize();
+            await userConfig.createAdminUser('carol', 'TestPassword123!');
+            await userConfig.disableUser('carol');
+
+            const app = createLoginApp(userConfig);
+            const response = await request(app)
+                .post('/login')
+                .set('Accept', 'application/json')
+                .send({ username: 'carol', password: 'TestPassword123!', csrfToken: 'test-csrf-token' })
+                .expect(401);
+
+            assert(response.body.error.includes('disabled'), 'Should report disabled account');
+
+            const carol = await userConfig.getUser('carol');
+            assert(carol.lastLogin === null, 'Disabled user login should not be recorded');
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    // Test 13: JWT authentication uses the user store
+    await runTest('JWT Authentication - Multi-user Store', async () => {
+        const tempDir = path.join(__dirname, 'temp-config-jwt');
+        const userConfig = new UserConfigManager(mockLogger, tempDir);
+
+        try {
+            await userConfig.initialize();
+            await userConfig.createAdminUser('dave', 'TestPassword123!');
+
+            const authService = new AuthenticationService(mockLoggingService, mockHealthService, userConfig);
+            const result = await authService.authenticate('dave', 'TestPassword123!', '127.0.0.1');
+            assert(result.success === true, 'Stored user should authenticate');
+            assert(result.tokens.accessToken, 'Access token should be issued');
+
+            await userConfig.disableUser('dave');
+            await assert.rejects(
+                () => authService.authenticate('dave', 'TestPassword123!', '127.0.0.1'),
+                /disabled/
+            );
+            await assert.rejects(
+                () => authService.refreshToken(result.tokens.refreshToken, '127.0.0.1'),
+                /Invalid refresh token/
+            );
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    // Test 14: Environment admin seeds an empty store
+    await runTest('User Config Manager - Environment Admin Seeding', async () => {
+        const tempDir = path.join(__dirname, 'temp-config-env');
+        const originalUsername = process.env.WEB_ADMIN_USERNAME;
+        const originalPasswordHash = process.env.WEB_ADMIN_PASSWORD_HASH;
+
+        try {
+            // Existing but empty store created before the admin was configured
+            const emptyStore = new UserConfigManager(mockLogger, tempDir);
+            await emptyStore.initialize();
+
+            process.env.WEB_ADMIN_USERNAME = 'envadmin';
+            process.env.WEB_ADMIN_PASSWORD_HASH = await PasswordUtils.createHash('TestPassword123!');
+
+            const userConfig = new UserConfigManager(mockLogger, tempDir);
+            await userConfig.initialize();
+
+            const result = await userConfig.authenticateUser('envadmin', 'TestPassword123!');
+            assert(result.user.role === 'admin', 'Environment admin should be imported');
+        } finally {
+            if (originalUsername) {
+                process.env.WEB_ADMIN_USERNAME = originalUsername;
+            } else {
+                delete process.env.WEB_ADMIN_USERNAME;
+            }
+            if (originalPasswordHash) {
+                process.env.WEB_ADMIN_PASSWORD_HASH = originalPasswordHash;
+            } else {
+                delete process.env.WEB_ADMIN_PASSWORD_HASH;
+            }
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    });
+
     // Print test summary
     console.log('\n📊 Test Summary:');
     console.log(`✅ Passed: ${testsPassed}`);
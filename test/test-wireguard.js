@@ -0,0 +1,282 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const CertificateRegistry = require('../src/utils/certificate-registry');
+const CertificateRoutes = require('../src/routes/certificates');
+const WireGuardBackend = require('../src/services/wireguard-backend');
+const WireGuardConfig = require('../src/utils/wireguard-config');
+const Subnet = require('../src/utils/subnet');
+
+/**
+ * Test WireGuard keys, peer allocation, config generation and the tunnel type choice
+ */
+async function testWireGuard() {
+    console.log('🧪 Testing WireGuard Backend...\n');
+
+    const mockLogger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {}
+    };
+
+    const testDir = path.join(process.cwd(), 'test-certificates-wireguard');
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function runTest(testName, testFunction) {
+        try {
+            console.log(`  ▶️  ${testName}`);
+            await testFunction();
+            console.log(`  ✅ ${testName} - PASSED`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`  ❌ ${testName} - FAILED: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    async function resetDir() {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+    }
+
+    function createRegistry() {
+        return new CertificateRegistry(mockLogger, {
+            registryFile: path.join(testDir, 'certificate-registry.json'),
+            indexFile: path.join(testDir, 'index.txt')
+        });
+    }
+
+    function createBackend(registry, options = {}) {
+        return new WireGuardBackend(mockLogger, {
+            endpoint: 'vpn.example.com',
+            subnet: '10.9.0.0',
+            netmask: '255.255.255.0',
+            dns: ['10.9.0.1'],
+            dir: path.join(testDir, 'wireguard'),
+            registry,
+            ...options
+        });
+    }
+
+    // Test 1: X25519 keys in WireGuard's encoding
+    await runTest('Generate and derive X25519 keys', async () => {
+        // RFC 7748 section 6.1 test vector (Alice)
+        const privateKey = Buffer.from('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a', 'hex').toString('base64');
+        const publicKey = Buffer.from('8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a', 'hex').toString('base64');
+        assert.strictEqual(WireGuardConfig.getPublicKey(privateKey), publicKey);
+
+        const keys = WireGuardConfig.generateKeyPair();
+        assert.ok(WireGuardConfig.isValidKey(keys.privateKey));
+        assert.ok(WireGuardConfig.isValidKey(keys.publicKey));
+        assert.strictEqual(WireGuardConfig.getPublicKey(keys.privateKey), keys.publicKey);
+        assert.notStrictEqual(WireGuardConfig.generateKeyPair().privateKey, keys.privateKey);
+
+        assert.ok(WireGuardConfig.isValidKey(WireGuardConfig.generatePresharedKey()));
+        assert.throws(() => WireGuardConfig.getPublicKey('not-a-key'), error => error.code === 'INVALID_WIREGUARD_KEY');
+    });
+
+    // Test 2: Address allocation inside the subnet
+    await runTest('Allocate addresses within the subnet', async () => {
+        const subnet = new Subnet('10.9.0.77', '255.255.255.248');
+        assert.strictEqual(subnet.toCIDR(), '10.9.0.72/29');
+        assert.strictEqual(subnet.firstHost, '10.9.0.73');
+        assert.strictEqual(subnet.nextFreeHost([]), '10.9.0.74');
+        assert.strictEqual(subnet.nextFreeHost(['10.9.0.74', '10.9.0.76']), '10.9.0.75');
+        assert.strictEqual(subnet.nextFreeHost(['10.9.0.74', '10.9.0.75', '10.9.0.76', '10.9.0.77', '10.9.0.78']), null);
+
+        assert.ok(subnet.containsHost('10.9.0.78'));
+        assert.ok(!subnet.containsHost('10.9.0.79'));
+        assert.ok(!subnet.containsHost('10.9.0.72'));
+        assert.throws(() => new Subnet('10.9.0.0', '255.0.255.0'), error => error.code === 'INVALID_SUBNET');
+    });
+
+    // Test 3: Peers get client configs and appear in wg0.conf
+    await runTest('Create peers and render configs', async () => {
+        await resetDir();
+        const registry = createRegistry();
+        const backend = createBackend(registry, { externalInterface: 'eth0' });
+
+        const alice = await backend.createClient('alice-phone');
+        const bob = await backend.createClient('bob-laptop');
+        assert.strictEqual(alice.address, '10.9.0.2');
+        assert.strictEqual(bob.address, '10.9.0.3');
+        assert.strictEqual((await registry.get('alice-phone')).backend, 'wireguard');
+
+        const server = await backend.getServerKeys();
+        const clientConfig = await fs.readFile(backend.getClientConfigPath('alice-phone'), 'utf8');
+        assert.ok(clientConfig.includes('Address = 10.9.0.2/32'));
+        assert.ok(clientConfig.includes('DNS = 10.9.0.1'));
+        assert.ok(clientConfig.includes(`PublicKey = ${server.publicKey}`));
+        assert.ok(clientConfig.includes(`PresharedKey = ${alice.presharedKey}`));
+        assert.ok(clientConfig.includes('Endpoint = vpn.example.com:51820'));
+
+        // The private key in the client config matches the registered public key
+        const privateKey = /PrivateKey = (\S+)/.exec(clientConfig)[1];
+        assert.strictEqual(WireGuardConfig.getPublicKey(privateKey), alice.publicKey);
+
+        const serverConfig = await fs.readFile(path.join(testDir, 'wireguard', 'wg0.conf'), 'utf8');
+        assert.ok(serverConfig.includes('Address = 10.9.0.1/24'));
+        assert.ok(serverConfig.includes('ListenPort = 51820'));
+        assert.ok(serverConfig.includes(`PublicKey = ${alice.publicKey}`));
+        assert.ok(serverConfig.includes('AllowedIPs = 10.9.0.3/32'));
+        assert.ok(serverConfig.includes('-s 10.9.0.0/24 -o eth0 -j MASQUERADE'));
+
+        // The server key survives a restart
+        const reloaded = createBackend(registry);
+        assert.strictEqual((await reloaded.getServerKeys()).publicKey, server.publicKey);
+        const keyStats = await fs.stat(path.join(testDir, 'wireguard', 'server.key'));
+        assert.strictEqual(keyStats.mode & 0o777, 0o600);
+    });
+
+    // Test 4: Concurrent creation, revocation and address reuse
+    await runTest('Revoke peers and reuse addresses', async () => {
+        await resetDir();
+        const registry = createRegistry();
+        const backend = createBackend(registry);
+
+        const peers = await Promise.all(['one', 'two', 'three'].map(name => backend.createClient(`peer-${name}`)));
+        assert.deepStrictEqual(peers.map(peer => peer.address).sort(), ['10.9.0.2', '10.9.0.3', '10.9.0.4']);
+
+        const revokedAddress = (await registry.get('peer-two')).address;
+        await backend.revokeClient('peer-two');
+        await registry.update('peer-two', { status: 'revoked' });
+
+        const serverConfig = await fs.readFile(path.join(testDir, 'wireguard', 'wg0.conf'), 'utf8');
+        assert.ok(!serverConfig.includes('# peer-two'));
+        await assert.rejects(fs.access(backend.getClientConfigPath('peer-two')));
+
+        const replacement = await backend.createClient('peer-four');
+        assert.strictEqual(replacement.address, revokedAddress);
+
+        // A /30 has room for the server and a single peer
+        const tiny = createBackend(registry, { subnet: '10.10.0.0', netmask: '255.255.255.252' });
+        assert.strictEqual((await tiny.createClient('peer-five')).address, '10.10.0.2');
+        await assert.rejects(tiny.createClient('peer-six'), error => error.code === 'SUBNET_EXHAUSTED');
+        await assert.rejects(createBackend(registry, { endpoint: null }).createClient('peer-seven'),
+            error => error.code === 'WIREGUARD_NOT_CONFIGURED');
+    });
+
+    // Test 5: Choosing the tunnel type on the certificates page
+    await runTest('Add and manage a WireGuard device through the routes', async () => {
+        await resetDir();
+        const registry = createRegistry();
+
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' },
+            wireguard: { enabled: true, endpoint: 'vpn.example.com:443' }
+        }, { registry });
+
+        // Never shell out to Easy-RSA from tests
+        routes.revokeCertificate = async () => {
+            throw new Error('Easy-RSA must not be used for WireGuard peers');
+        };
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.session = {
+                authenticated: true,
+                username: req.get('x-test-user') || 'root',
+                role: req.get('x-test-role') || 'admin',
+                csrfToken: 'test-csrf-token'
+            };
+            next();
+        });
+        app.use('/', routes.getRouter());
+
+        const unsupported = await request(app)
+            .post('/certificates/generate')
+            .send({ clientName: 'kids-tablet', tunnelType: 'ipsec', csrfToken: 'test-csrf-token' });
+        assert.strictEqual(unsupported.status, 400);
+
+        const created = await request(app)
+            .post('/certificates/generate')
+            .send({ clientName: 'kids-tablet', tunnelType: 'wireguard', csrfToken: 'test-csrf-token' });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.certificate.tunnelType, 'wireguard');
+        assert.strictEqual(created.body.certificate.address, '10.9.0.2');
+
+        const list = await request(app).get('/certificates/list');
+        assert.deepStrictEqual(list.body.tunnelTypes.map(type => type.type), ['openvpn', 'wireguard']);
+        const entry = list.body.certificates.find(cert => cert.name === 'kids-tablet');
+        assert.strictEqual(entry.tunnelType, 'wireguard');
+        assert.strictEqual(entry.createdBy, 'root');
+        assert.strictEqual(entry.permissions.renew, false);
+        assert.strictEqual(entry.permissions.disconnect, false);
+        assert.strictEqual(entry.presharedKey, undefined);
+
+        const download = await request(app).get('/certificates/download/kids-tablet').buffer(true);
+        assert.strictEqual(download.status, 200);
+        assert.ok(download.headers['content-disposition'].includes('kids-tablet.conf'));
+        assert.ok(download.body.toString('utf8').includes('Endpoint = vpn.example.com:443'));
+
+        const renew = await request(app)
+            .post('/certificates/renew/kids-tablet')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual(renew.status, 409);
+
+        const disconnect = await request(app)
+            .post('/certificates/disconnect/kids-tablet')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual(disconnect.status, 409);
+
+        const revoke = await request(app)
+            .post('/certificates/revoke/kids-tablet')
+            .send({ csrfToken: 'test-csrf-token' });
+        assert.strictEqual(revoke.status, 200);
+        assert.strictEqual((await registry.get('kids-tablet')).status, 'revoked');
+
+        const afterRevoke = await request(app).get('/certificates/download/kids-tablet');
+        assert.strictEqual(afterRevoke.status, 410);
+
+        const revokedEntry = (await request(app).get('/certificates/list')).body.certificates
+            .find(cert => cert.name === 'kids-tablet');
+        assert.strictEqual(revokedEntry.status, 'revoked');
+    });
+
+    // Test 6: WireGuard stays hidden until enabled
+    await runTest('Only offer enabled tunnel types', async () => {
+        await resetDir();
+        const routes = new CertificateRoutes(mockLogger, null, null, {
+            certificates: { dir: testDir, serverCertName: 'server' }
+        }, { registry: createRegistry() });
+
+        assert.deepStrictEqual(routes.getTunnelTypes().map(type => type.type), ['openvpn']);
+        assert.strictEqual(routes.getBackend({}).type, 'openvpn');
+        assert.strictEqual(routes.getBackend({ backend: 'wireguard' }).type, 'wireguard');
+    });
+
+    await fs.rm(testDir, { recursive: true, force: true });
+
+    console.log('\n📊 WireGuard Test Summary:');
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    console.log(`📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+    console.log('\n🏁 WireGuard Tests Complete!\n');
+
+    return {
+        passed: testsPassed,
+        failed: testsFailed,
+        total: testsPassed + testsFailed
+    };
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testWireGuard().then(results => {
+        if (results.failed > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = testWireGuard;